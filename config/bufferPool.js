@@ -0,0 +1,32 @@
+// Nature-based projects can lose stored carbon to fire, clearing, floods and
+// the like, so part of every issuance is withheld into the registry buffer
+// pool. The share withheld depends on the project's risk rating.
+const NATURE_BASED_CATEGORIES = [
+  'reforestation',
+  'afforestation',
+  'forest_conservation',
+  'agroforestry',
+  'wetland_restoration',
+  'grassland_restoration',
+  'soil_carbon',
+  'blue_carbon'
+];
+
+const RISK_BUFFER_RATES = {
+  low: 0.1,
+  medium: 0.15,
+  high: 0.25,
+  very_high: 0.4
+};
+
+// Applied until a verifier or government stakeholder rates the project.
+const DEFAULT_RISK_RATING = 'medium';
+
+const REVERSAL_EVENT_TYPES = ['fire', 'clearing', 'flood', 'storm', 'pest', 'drought', 'other'];
+
+module.exports = {
+  NATURE_BASED_CATEGORIES,
+  RISK_BUFFER_RATES,
+  DEFAULT_RISK_RATING,
+  REVERSAL_EVENT_TYPES
+};
@@ -0,0 +1,201 @@
+// Data types projects can upload: the file formats accepted for each and the
+// metadata that must describe every upload. Formats are checked against the
+// sniffed content of every file, not the extension or the MIME type the
+// client declared. Metadata fields are declared once here and drive both
+// validation and the JSON Schema served for each type.
+//
+// Tabular types also declare `columns`: the header row of every CSV or
+// spreadsheet uploaded for them is matched against these, and each row below
+// it is parsed into a measurement. `timeColumn` names the column that dates a
+// row.
+const MIME = {
+  csv: 'text/csv',
+  json: 'application/json',
+  text: 'text/plain',
+  xml: 'application/xml',
+  pdf: 'application/pdf',
+  jpeg: 'image/jpeg',
+  png: 'image/png',
+  tiff: 'image/tiff',
+  webp: 'image/webp',
+  mp4: 'video/mp4',
+  zip: 'application/zip',
+  xlsx: 'application/vnd.openxmlformats-officedocument.spreadsheetml.sheet',
+  kmz: 'application/vnd.google-earth.kmz',
+  hdf5: 'application/x-hdf5',
+  netcdf: 'application/x-netcdf'
+};
+
+// Field types: string, number, integer, boolean, date, object, array.
+// Constraints: required, min, max, exclusiveMin, maxLength, enum, notFuture,
+// items (arrays), properties and additionalProperties (objects).
+const COMMON_FIELDS = {
+  collectionDate: { type: 'date', required: true, notFuture: true, description: 'When the data was collected' },
+  location: {
+    type: 'object',
+    required: true,
+    description: 'Where the data was collected (WGS84)',
+    properties: {
+      latitude: { type: 'number', required: true, min: -90, max: 90 },
+      longitude: { type: 'number', required: true, min: -180, max: 180 }
+    }
+  },
+  equipment: { type: 'string', maxLength: 200 },
+  methodology: { type: 'string', maxLength: 200 },
+  qualityScore: { type: 'number', min: 0, max: 100 },
+  notes: { type: 'string', maxLength: 1000 },
+  measurements: {
+    type: 'object',
+    description: 'Numeric inputs to the sequestration calculation, keyed by name',
+    additionalProperties: { type: 'number' }
+  }
+};
+
+const DATA_TYPES = {
+  field_survey: {
+    description: 'Ground survey of project plots',
+    fileTypes: [MIME.csv, MIME.json, MIME.text, MIME.pdf, MIME.xlsx, MIME.jpeg, MIME.png],
+    fields: {
+      surveyTeam: { type: 'string', maxLength: 200 },
+      plotCount: { type: 'integer', min: 1 },
+      plotSizeM2: { type: 'number', exclusiveMin: 0, unit: 'm²' }
+    },
+    timeColumn: 'surveyDate',
+    columns: {
+      plotId: { type: 'string', required: true, maxLength: 100 },
+      surveyDate: { type: 'date', notFuture: true },
+      latitude: { type: 'number', min: -90, max: 90 },
+      longitude: { type: 'number', min: -180, max: 180 },
+      species: { type: 'string', maxLength: 200 },
+      treeCount: { type: 'integer', min: 0 },
+      dbhCm: { type: 'number', exclusiveMin: 0, unit: 'cm', description: 'Diameter at breast height' },
+      heightM: { type: 'number', exclusiveMin: 0, unit: 'm' },
+      canopyCoverPercent: { type: 'number', min: 0, max: 100, unit: '%' },
+      notes: { type: 'string', maxLength: 1000 }
+    }
+  },
+  drone_imagery: {
+    description: 'Aerial imagery captured by drone',
+    fileTypes: [MIME.jpeg, MIME.png, MIME.tiff, MIME.webp, MIME.mp4],
+    fields: {
+      altitudeM: { type: 'number', required: true, min: 0, max: 500, unit: 'm', description: 'Flight altitude above ground' },
+      gsdCm: { type: 'number', required: true, exclusiveMin: 0, unit: 'cm/px', description: 'Ground sample distance' },
+      cameraModel: { type: 'string', maxLength: 200 },
+      overlapPercent: { type: 'number', min: 0, max: 100, unit: '%' }
+    }
+  },
+  sensor_data: {
+    description: 'Readings from in-situ sensors',
+    fileTypes: [MIME.csv, MIME.json, MIME.text, MIME.xlsx],
+    fields: {
+      deviceId: { type: 'string', required: true, maxLength: 100 },
+      samplingIntervalSeconds: { type: 'integer', required: true, min: 1, unit: 's' },
+      sensorType: { type: 'string', maxLength: 100 },
+      unit: { type: 'string', maxLength: 50 }
+    },
+    timeColumn: 'timestamp',
+    // Long logs carry `parameter`/`value` pairs; wide logs have one numeric
+    // column per channel, which `additionalColumns` admits
+    columns: {
+      timestamp: { type: 'date', required: true, notFuture: true },
+      deviceId: { type: 'string', maxLength: 100 },
+      parameter: { type: 'string', maxLength: 100 },
+      value: { type: 'number' },
+      unit: { type: 'string', maxLength: 50 }
+    },
+    additionalColumns: { type: 'number' }
+  },
+  satellite_data: {
+    description: 'Satellite scenes covering the project area',
+    fileTypes: [MIME.tiff, MIME.hdf5, MIME.netcdf, MIME.zip, MIME.kmz, MIME.json, MIME.xml],
+    fields: {
+      satellite: { type: 'string', required: true, maxLength: 100, description: 'Mission, e.g. Sentinel-2' },
+      resolutionM: { type: 'number', required: true, exclusiveMin: 0, unit: 'm' },
+      cloudCoverPercent: { type: 'number', min: 0, max: 100, unit: '%' },
+      bands: { type: 'array', items: { type: 'string' } }
+    }
+  },
+  soil_samples: {
+    description: 'Laboratory results for soil cores',
+    fileTypes: [MIME.csv, MIME.json, MIME.pdf, MIME.xlsx],
+    fields: {
+      depthCm: { type: 'number', required: true, exclusiveMin: 0, max: 300, unit: 'cm' },
+      socPercent: { type: 'number', required: true, min: 0, max: 100, unit: '%', description: 'Soil organic carbon' },
+      bulkDensityGCm3: { type: 'number', exclusiveMin: 0, unit: 'g/cm³' },
+      sampleCount: { type: 'integer', min: 1 }
+    },
+    timeColumn: 'sampledOn',
+    columns: {
+      sampleId: { type: 'string', required: true, maxLength: 100 },
+      sampledOn: { type: 'date', notFuture: true },
+      latitude: { type: 'number', min: -90, max: 90 },
+      longitude: { type: 'number', min: -180, max: 180 },
+      depthCm: { type: 'number', required: true, exclusiveMin: 0, max: 300, unit: 'cm' },
+      socPercent: { type: 'number', required: true, min: 0, max: 100, unit: '%' },
+      bulkDensityGCm3: { type: 'number', exclusiveMin: 0, unit: 'g/cm³' },
+      notes: { type: 'string', maxLength: 1000 }
+    }
+  },
+  water_quality: {
+    description: 'Water sampling results',
+    fileTypes: [MIME.csv, MIME.json, MIME.pdf, MIME.xlsx],
+    fields: {
+      sampleCount: { type: 'integer', required: true, min: 1 },
+      ph: { type: 'number', min: 0, max: 14 },
+      dissolvedOxygenMgL: { type: 'number', min: 0, unit: 'mg/L' },
+      salinityPsu: { type: 'number', min: 0, unit: 'PSU' },
+      turbidityNtu: { type: 'number', min: 0, unit: 'NTU' }
+    }
+  },
+  biodiversity_survey: {
+    description: 'Species observations',
+    fileTypes: [MIME.csv, MIME.json, MIME.pdf, MIME.xlsx, MIME.jpeg, MIME.png],
+    fields: {
+      surveyMethod: {
+        type: 'string',
+        required: true,
+        enum: ['transect', 'quadrat', 'point_count', 'camera_trap', 'acoustic', 'other']
+      },
+      speciesCount: { type: 'integer', required: true, min: 0 },
+      observers: { type: 'integer', min: 1 }
+    }
+  },
+  carbon_measurement: {
+    description: 'Direct carbon stock or flux measurements',
+    fileTypes: [MIME.csv, MIME.json, MIME.pdf, MIME.xlsx],
+    fields: {
+      measurementType: {
+        type: 'string',
+        required: true,
+        enum: ['biomass', 'soil_carbon', 'flux', 'methane', 'electricity']
+      },
+      unit: { type: 'string', required: true, maxLength: 50 }
+    }
+  },
+  forest_inventory: {
+    description: 'Tree inventory across sample plots',
+    fileTypes: [MIME.csv, MIME.json, MIME.pdf, MIME.xlsx],
+    fields: {
+      plotCount: { type: 'integer', required: true, min: 1 },
+      treeCount: { type: 'integer', required: true, min: 0 },
+      meanDbhCm: { type: 'number', exclusiveMin: 0, unit: 'cm', description: 'Mean diameter at breast height' },
+      meanHeightM: { type: 'number', exclusiveMin: 0, unit: 'm' },
+      speciesRecorded: { type: 'array', items: { type: 'string' } }
+    }
+  },
+  remote_sensing: {
+    description: 'Derived remote sensing products such as vegetation indices',
+    fileTypes: [MIME.tiff, MIME.hdf5, MIME.netcdf, MIME.zip, MIME.json, MIME.csv],
+    fields: {
+      sensor: { type: 'string', required: true, maxLength: 100 },
+      resolutionM: { type: 'number', required: true, exclusiveMin: 0, unit: 'm' },
+      indices: { type: 'array', items: { type: 'string', enum: ['NDVI', 'EVI', 'SAVI', 'NDWI', 'LAI', 'NBR'] } }
+    }
+  }
+};
+
+module.exports = {
+  MIME,
+  COMMON_FIELDS,
+  DATA_TYPES
+};
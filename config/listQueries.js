@@ -0,0 +1,108 @@
+// Sorting and filtering for each paginated list endpoint. `sortable` fields
+// can be passed as `sort` (prefix - for descending); each filter maps a query
+// parameter onto a stored field. Filter types: `string` for an exact match,
+// `list` for one value or a comma-separated choice, and `date` / `number`
+// with an `op` for range bounds. The defaults and the most common filters
+// follow the indexes declared in models/index.js. Projects sort by
+// `distanceKm` only in near searches, where it is also the default.
+
+const range = (field, type, [from, to]) => ({
+  [from]: { field, type, op: '$gte' },
+  [to]: { field, type, op: '$lte' },
+});
+
+const LIST_QUERIES = {
+  projects: {
+    sortable: ['createdAt', 'updatedAt', 'name', 'startDate', 'endDate', 'estimatedCredits', 'distanceKm'],
+    defaultSort: 'createdAt',
+    filters: {
+      category: { field: 'category', type: 'list' },
+      status: { field: 'status', type: 'list' },
+      country: { field: 'location.country', type: 'string' },
+      state: { field: 'location.state', type: 'string' },
+      methodology: { field: 'methodology', type: 'string' },
+      ...range('startDate', 'date', ['startFrom', 'startTo']),
+      ...range('endDate', 'date', ['endFrom', 'endTo']),
+      ...range('createdAt', 'date', ['createdFrom', 'createdTo']),
+    },
+  },
+  dataUploads: {
+    sortable: ['createdAt', 'updatedAt', 'metadata.collectionDate'],
+    defaultSort: 'createdAt',
+    filters: {
+      projectId: { field: 'projectId', type: 'string' },
+      dataType: { field: 'dataType', type: 'list' },
+      status: { field: 'status', type: 'list' },
+      uploadedBy: { field: 'uploadedBy', type: 'string' },
+      monitoringPeriodId: { field: 'monitoringPeriodId', type: 'string' },
+      ...range('metadata.collectionDate', 'date', ['collectedFrom', 'collectedTo']),
+      ...range('createdAt', 'date', ['createdFrom', 'createdTo']),
+    },
+  },
+  verificationSubmissions: {
+    sortable: ['submittedAt', 'createdAt', 'updatedAt', 'reviewedAt'],
+    defaultSort: '-submittedAt',
+    filters: {
+      status: { field: 'status', type: 'list' },
+      projectId: { field: 'projectId', type: 'string' },
+      dataType: { field: 'dataType', type: 'list' },
+      assignedVerifierId: { field: 'assignedVerifierId', type: 'string' },
+      submittedBy: { field: 'submittedBy', type: 'string' },
+      monitoringPeriodId: { field: 'monitoringPeriodId', type: 'string' },
+      ...range('submittedAt', 'date', ['submittedFrom', 'submittedTo']),
+      ...range('reviewedAt', 'date', ['reviewedFrom', 'reviewedTo']),
+    },
+  },
+  carbonCredits: {
+    sortable: ['createdAt', 'vintage', 'creditsAmount', 'serialNumber', 'retiredAt'],
+    defaultSort: 'createdAt',
+    filters: {
+      projectId: { field: 'projectId', type: 'string' },
+      status: { field: 'status', type: 'list' },
+      vintage: { field: 'vintage', type: 'list' },
+      methodology: { field: 'methodology', type: 'list' },
+      ownerId: { field: 'ownerId', type: 'string' },
+      accountId: { field: 'accountId', type: 'string' },
+      batchId: { field: 'batchId', type: 'string' },
+      monitoringPeriodId: { field: 'monitoringPeriodId', type: 'string' },
+      ...range('createdAt', 'date', ['issuedFrom', 'issuedTo']),
+      ...range('retiredAt', 'date', ['retiredFrom', 'retiredTo']),
+    },
+  },
+  stakeholders: {
+    sortable: ['name', 'createdAt', 'updatedAt'],
+    defaultSort: 'name',
+    filters: {
+      category: { field: 'category', type: 'list' },
+      status: { field: 'status', type: 'list' },
+    },
+  },
+  // Only active, unexpired listings are offered; the route adds that condition
+  marketplaceListings: {
+    sortable: ['price', 'listedAt', 'availableQuantity', 'vintage'],
+    defaultSort: 'price',
+    filters: {
+      methodology: { field: 'methodology', type: 'list' },
+      vintage: { field: 'vintage', type: 'list' },
+      projectId: { field: 'projectId', type: 'string' },
+      sellerId: { field: 'sellerId', type: 'string' },
+      ...range('price', 'number', ['minPrice', 'maxPrice']),
+      ...range('listedAt', 'date', ['listedFrom', 'listedTo']),
+    },
+  },
+  // Scoped to one subscription by the route
+  webhookDeliveries: {
+    sortable: ['createdAt', 'lastAttemptAt', 'nextAttemptAt'],
+    defaultSort: '-createdAt',
+    filters: {
+      status: { field: 'status', type: 'list' },
+      event: { field: 'event', type: 'list' },
+      eventId: { field: 'eventId', type: 'string' },
+      ...range('createdAt', 'date', ['createdFrom', 'createdTo']),
+    },
+  },
+};
+
+module.exports = {
+  LIST_QUERIES
+};
@@ -0,0 +1,69 @@
+// Crediting methodologies the sequestration engine knows how to apply. Each
+// one names the calculation model it uses, the project categories it covers,
+// its leakage deduction and the default parameters a project's own
+// measurements may override. Buffer pool shares depend on the project's risk
+// rating rather than the methodology (see config/bufferPool.js).
+const METHODOLOGIES = {
+  'AR-ACM0003': {
+    name: 'Afforestation and reforestation of lands except wetlands',
+    model: 'biomass',
+    categories: ['reforestation', 'afforestation', 'agroforestry', 'forest_conservation'],
+    leakageRate: 0.05,
+    parameters: { rootShootRatio: 0.24, carbonFraction: 0.47 }
+  },
+  VM0033: {
+    name: 'Tidal wetland and seagrass restoration',
+    model: 'tidal_wetland',
+    categories: ['blue_carbon', 'wetland_restoration'],
+    leakageRate: 0,
+    parameters: { rootShootRatio: 0.49, carbonFraction: 0.47 }
+  },
+  VM0042: {
+    name: 'Improved agricultural land management',
+    model: 'soil_carbon',
+    categories: ['soil_carbon', 'grassland_restoration', 'agroforestry'],
+    leakageRate: 0.05,
+    parameters: {}
+  },
+  ACM0001: {
+    name: 'Flaring or use of landfill gas',
+    model: 'methane_destruction',
+    categories: ['methane_capture'],
+    leakageRate: 0,
+    parameters: { destructionEfficiency: 0.9, methaneDensity: 0.000716, methaneGwp: 28, baselineDestructionFraction: 0 }
+  },
+  ACM0002: {
+    name: 'Grid-connected electricity generation from renewable sources',
+    model: 'grid_displacement',
+    categories: ['renewable_energy'],
+    leakageRate: 0,
+    parameters: { gridEmissionFactor: 0.71 }
+  },
+  'AMS-II.C': {
+    name: 'Demand-side energy efficiency activities',
+    model: 'grid_displacement',
+    categories: ['energy_efficiency'],
+    leakageRate: 0,
+    parameters: { gridEmissionFactor: 0.71 }
+  }
+};
+
+// Methodology used when a project hasn't chosen one that fits its category.
+const DEFAULT_METHODOLOGY_BY_CATEGORY = {
+  reforestation: 'AR-ACM0003',
+  afforestation: 'AR-ACM0003',
+  forest_conservation: 'AR-ACM0003',
+  agroforestry: 'AR-ACM0003',
+  wetland_restoration: 'VM0033',
+  blue_carbon: 'VM0033',
+  grassland_restoration: 'VM0042',
+  soil_carbon: 'VM0042',
+  methane_capture: 'ACM0001',
+  renewable_energy: 'ACM0002',
+  energy_efficiency: 'AMS-II.C'
+};
+
+module.exports = {
+  METHODOLOGIES,
+  DEFAULT_METHODOLOGY_BY_CATEGORY
+};
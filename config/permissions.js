@@ -0,0 +1,94 @@
+// Permission matrix: which stakeholder categories may perform each action.
+// Resource-level rules (project membership, credit ownership) are checked in
+// the route handlers on top of these category checks.
+const PERMISSIONS = {
+  'projects:create': {
+    categories: ['project_developer', 'government'],
+    description: 'create projects'
+  },
+  'projects:update': {
+    categories: ['project_developer', 'government'],
+    description: 'update projects'
+  },
+  'projects:delete': {
+    categories: ['project_developer', 'government'],
+    description: 'delete projects'
+  },
+  'projects:suspend': {
+    categories: ['government'],
+    description: 'suspend or reinstate projects'
+  },
+  'projects:reclassify': {
+    categories: ['government'],
+    description: "change a project's category"
+  },
+  'projects:link-stakeholders': {
+    categories: ['government'],
+    description: 'link stakeholders to projects or unlink them'
+  },
+  'projects:rate-risk': {
+    categories: ['verifier', 'government'],
+    description: "rate a project's reversal risk"
+  },
+  'reversals:record': {
+    categories: ['project_developer', 'verifier', 'government'],
+    description: 'record reversal events'
+  },
+  'reversals:review': {
+    categories: ['government'],
+    description: 'approve or reject reported reversals'
+  },
+  'data:upload': {
+    categories: ['project_developer'],
+    description: 'upload project data'
+  },
+  'data:delete': {
+    categories: ['project_developer'],
+    description: 'delete project data'
+  },
+  'data:submit': {
+    categories: ['project_developer'],
+    description: 'submit data for verification'
+  },
+  'verification:assign': {
+    categories: ['verifier', 'government'],
+    description: 'assign submissions to verifiers'
+  },
+  'verification:review': {
+    categories: ['verifier'],
+    description: 'approve, reject or request more data on submissions'
+  },
+  'credits:issue': {
+    categories: ['project_developer'],
+    description: 'request credit issuance'
+  },
+  'stakeholders:create': {
+    categories: ['government'],
+    description: 'create stakeholder records'
+  },
+  'stakeholders:update': {
+    categories: ['government'],
+    description: 'update other stakeholders'
+  },
+  'audit:read': {
+    categories: ['government'],
+    description: 'read the audit trail'
+  },
+  'ledger:manage': {
+    categories: ['government'],
+    description: 'record ledger roots and run ledger verification'
+  },
+  'attestations:rotate-keys': {
+    categories: ['government'],
+    description: 'rotate the attestation signing key'
+  }
+};
+
+// Categories that can't be claimed through self-registration. Accounts for
+// these must link to a stakeholder record created by a government stakeholder.
+const PRIVILEGED_CATEGORIES = ['verifier', 'government'];
+
+module.exports = {
+  PERMISSIONS,
+  PRIVILEGED_CATEGORIES
+};
@@ -0,0 +1,12 @@
+// Fields covered by each collection's text index and their relative weights.
+// Shared by the Mongoose schemas and the in-memory store so both rank search
+// results alike. MongoDB allows one text index per collection.
+const TEXT_INDEXES = {
+  projects: { name: 10, description: 2 },
+  stakeholders: { name: 10, role: 2 },
+  marketplaceListings: { tags: 5, description: 2 },
+};
+
+module.exports = {
+  TEXT_INDEXES
+};
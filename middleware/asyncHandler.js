@@ -0,0 +1,10 @@
+const { runInRequest } = require('./requestContext');
+
+// Express 4 doesn't forward rejected promises, so async route handlers are
+// wrapped to pass their errors on to the error handling middleware. Handlers
+// also run in their request's context, which is how the audit trail learns
+// who made a change.
+const asyncHandler = (handler) => (req, res, next) =>
+  runInRequest(req, () => Promise.resolve(handler(req, res, next)).catch(next));
+
+module.exports = asyncHandler;
@@ -0,0 +1,53 @@
+const { verifyAccessToken } = require('../services/auth');
+
+const unauthorized = (res, error) =>
+  res.status(401).json({
+    success: false,
+    error,
+  });
+
+// Builds the authentication middleware for a set of repositories. A valid
+// bearer token loads the active user into `req.user`, whose email is what the
+// routes record as the acting party (uploadedBy, submittedBy, reviewedBy).
+const createAuthMiddleware = (db) => {
+  const authenticate = async (req, res, next) => {
+    const [scheme, token] = (req.get('Authorization') || '').split(' ');
+
+    if (scheme !== 'Bearer' || !token) {
+      return unauthorized(res, 'Authentication required');
+    }
+
+    let payload;
+    try {
+      payload = verifyAccessToken(token);
+    } catch (error) {
+      return unauthorized(res, error.name === 'TokenExpiredError' ? 'Access token expired' : 'Invalid access token');
+    }
+
+    try {
+      const user = await db.users.findById(payload.sub);
+
+      if (!user || user.status !== 'active') {
+        return unauthorized(res, 'User account is not active');
+      }
+
+      // The linked stakeholder's category drives authorization
+      const stakeholder = await db.stakeholders.findById(user.stakeholderId);
+
+      req.user = {
+        id: user.id,
+        email: user.email,
+        name: user.name,
+        stakeholderId: user.stakeholderId,
+        category: stakeholder && stakeholder.status === 'active' ? stakeholder.category : null,
+      };
+      next();
+    } catch (error) {
+      next(error);
+    }
+  };
+
+  return { authenticate };
+};
+
+module.exports = createAuthMiddleware;
@@ -0,0 +1,47 @@
+const { PERMISSIONS } = require('../config/permissions');
+
+const forbidden = (res, error) =>
+  res.status(403).json({
+    success: false,
+    error,
+  });
+
+const can = (user, permission) => {
+  const rule = PERMISSIONS[permission];
+  if (!rule) {
+    throw new Error(`Unknown permission "${permission}"`);
+  }
+  return Boolean(user) && rule.categories.includes(user.category);
+};
+
+const denialReason = (permission) => {
+  const { categories, description } = PERMISSIONS[permission];
+  return `Only ${categories.join(' or ')} stakeholders can ${description}`;
+};
+
+// Route guard for a permission from the matrix; must run after authenticate.
+const authorize = (permission) => (req, res, next) => {
+  if (!can(req.user, permission)) {
+    return forbidden(res, denialReason(permission));
+  }
+  next();
+};
+
+// A stakeholder is linked to a project through the project's stakeholder list.
+const isProjectMember = (user, project) => (project.stakeholders || []).includes(user.stakeholderId);
+
+// Government stakeholders oversee every project; developers only their own.
+const canManageProject = (user, project) => user.category === 'government' || isProjectMember(user, project);
+
+// Verifiers review every project's evidence, so they may read its data too.
+const canViewProjectData = (user, project) => user.category === 'verifier' || canManageProject(user, project);
+
+module.exports = {
+  forbidden,
+  can,
+  denialReason,
+  authorize,
+  isProjectMember,
+  canManageProject,
+  canViewProjectData
+};
@@ -0,0 +1,28 @@
+const { AsyncLocalStorage } = require('async_hooks');
+const { v4: uuidv4 } = require('uuid');
+
+const contexts = new AsyncLocalStorage();
+
+// Proxies often assign request IDs already; reuse theirs when it looks sane.
+const REQUEST_ID_PATTERN = /^[\w.:-]{1,128}$/;
+
+// Gives every request an ID, echoed back in X-Request-Id, so log lines and
+// audit entries can be tied to the call that caused them.
+const requestContext = (req, res, next) => {
+  const supplied = req.get('X-Request-Id');
+  req.id = supplied && REQUEST_ID_PATTERN.test(supplied) ? supplied : uuidv4();
+  res.set('X-Request-Id', req.id);
+  next();
+};
+
+// Runs `callback` with `req` as the current request for everything it awaits.
+const runInRequest = (req, callback) => contexts.run(req, callback);
+
+// The request being handled, or null outside one (scripts, timers).
+const currentRequest = () => contexts.getStore() || null;
+
+module.exports = {
+  requestContext,
+  runInRequest,
+  currentRequest
+};
@@ -1,4 +1,6 @@
 const mongoose = require('mongoose');
+const { validateSerial } = require('../services/serials');
+const { TEXT_INDEXES } = require('../config/textIndexes');
 
 // Project Schema
 const projectSchema = new mongoose.Schema({
@@ -33,6 +35,14 @@ const projectSchema = new mongoose.Schema({
       latitude: Number,
       longitude: Number
     },
+    // GeoJSON Polygon or MultiPolygon; `area` is derived from it when set
+    boundary: {
+      type: {
+        type: String,
+        enum: ['Polygon', 'MultiPolygon']
+      },
+      coordinates: mongoose.Schema.Types.Mixed
+    },
     area: Number, // in hectares
     address: String
   },
@@ -56,7 +66,14 @@ const projectSchema = new mongoose.Schema({
     type: String,
     enum: ['planning', 'active', 'completed', 'suspended', 'cancelled'],
     default: 'planning'
-  },
+  }, // changed only through POST /projects/:id/status
+  statusHistory: [{
+    from: String,
+    to: String,
+    actor: String,
+    reason: String,
+    at: Date
+  }],
   stakeholders: [{
     type: mongoose.Schema.Types.ObjectId,
     ref: 'Stakeholder'
@@ -70,6 +87,21 @@ const projectSchema = new mongoose.Schema({
     min: 0,
     default: 0
   },
+  lastSerialUnit: {
+    type: Number,
+    min: 0,
+    default: 0
+  }, // highest credit unit number issued so far
+  riskRating: {
+    type: String,
+    enum: ['low', 'medium', 'high', 'very_high']
+  }, // reversal risk, sets the buffer pool share of each issuance
+  riskRationale: String,
+  riskAssessedBy: String,
+  riskAssessedAt: Date,
+  reclassifiedBy: String, // category changes go through PUT /projects/:id/category
+  reclassifiedAt: Date,
+  reclassificationReason: String,
   budget: {
     amount: Number,
     currency: { type: String, default: 'USD' }
@@ -113,22 +145,18 @@ const dataUploadSchema = new mongoose.Schema({
   },
   files: [{
     name: String,
-    type: String,
+    type: String, // sniffed from the content
+    declaredType: String, // as sent by the client
     size: Number,
-    path: String,
-    checksum: String
+    path: String, // local path, for files stored before storage keys
+    storage: String, // backend holding the file
+    storageKey: String,
+    checksum: String // SHA-256, hex
   }],
-  metadata: {
-    collectionDate: Date,
-    location: {
-      latitude: Number,
-      longitude: Number
-    },
-    equipment: String,
-    methodology: String,
-    qualityScore: Number,
-    notes: String
-  },
+  // Fields depend on the data type; validated against config/dataTypes.js
+  // before they are saved
+  metadata: mongoose.Schema.Types.Mixed,
+  recordCount: Number, // rows parsed into measurements from tabular files
   status: {
     type: String,
     enum: ['uploaded', 'processing', 'validated', 'rejected', 'submitted_for_verification'],
@@ -141,6 +169,10 @@ const dataUploadSchema = new mongoose.Schema({
   verificationId: {
     type: mongoose.Schema.Types.ObjectId,
     ref: 'VerificationSubmission'
+  },
+  monitoringPeriodId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'MonitoringPeriod'
   }
 }, {
   timestamps: true
@@ -158,6 +190,10 @@ const verificationSubmissionSchema = new mongoose.Schema({
     ref: 'Project',
     required: true
   },
+  monitoringPeriodId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'MonitoringPeriod'
+  },
   dataType: {
     type: String,
     required: true
@@ -168,9 +204,14 @@ const verificationSubmissionSchema = new mongoose.Schema({
   },
   status: {
     type: String,
-    enum: ['pending', 'under_review', 'approved', 'rejected', 'more_data_requested'],
+    enum: ['pending', 'under_review', 'approved', 'rejected', 'more_data_requested', 'resubmitted'],
     default: 'pending'
   },
+  assignedVerifierId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Stakeholder'
+  },
+  assignedAt: Date,
   reviewedBy: String,
   reviewedAt: Date,
   submittedAt: {
@@ -182,6 +223,15 @@ const verificationSubmissionSchema = new mongoose.Schema({
     min: 0,
     default: 0
   },
+  creditsProposed: Number, // from the sequestration calculation
+  creditsOverridden: Boolean, // reviewer approved a different figure
+  overrideReason: String,
+  calculation: mongoose.Schema.Types.Mixed, // step-by-step breakdown at approval
+  creditsIssued: {
+    type: Number,
+    min: 0,
+    default: 0
+  }, // drawn down by each issuance against this verification
   qualityScore: {
     type: Number,
     min: 0,
@@ -192,7 +242,22 @@ const verificationSubmissionSchema = new mongoose.Schema({
   requiredActions: [String], // for rejection
   requestedData: [String], // for more data requests
   requestedAt: Date,
-  metadata: mongoose.Schema.Types.Mixed
+  approvedAt: Date,
+  rejectedAt: Date,
+  resubmittedAt: Date,
+  metadata: mongoose.Schema.Types.Mixed,
+  history: [{
+    from: String,
+    to: String,
+    action: String,
+    actor: String,
+    actorStakeholderId: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'Stakeholder'
+    },
+    comments: String,
+    at: Date
+  }] // every status transition, oldest first
 }, {
   timestamps: true
 });
@@ -209,9 +274,43 @@ const carbonCreditSchema = new mongoose.Schema({
     ref: 'VerificationSubmission',
     required: true
   },
+  monitoringPeriodId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'MonitoringPeriod'
+  }, // vintage comes from this period when set
   serialNumber: {
     type: String,
-    unique: true
+    unique: true,
+    required: true,
+    validate: {
+      validator: (value) => validateSerial(value).valid,
+      message: (props) => `${props.value} is not a valid block serial number`
+    }
+  },
+  serialPrefix: String, // registry-project-vintage-methodology
+  serialStart: {
+    type: Number,
+    min: 1
+  },
+  serialEnd: {
+    type: Number,
+    min: 1
+  },
+  ownerId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Stakeholder'
+  },
+  accountId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'HolderAccount'
+  },
+  batchId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'CarbonCredit'
+  }, // original issuance this block was split from
+  parentCreditId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'CarbonCredit'
   },
   creditsAmount: {
     type: Number,
@@ -229,27 +328,24 @@ const carbonCreditSchema = new mongoose.Schema({
   },
   status: {
     type: String,
-    enum: ['issued', 'active', 'retired', 'cancelled'],
+    enum: ['issued', 'active', 'retired', 'cancelled', 'buffer'],
     default: 'issued'
   },
   description: String,
   certificateUrl: String,
   retiredBy: String,
   retiredAt: Date,
-  retirementReason: String
+  retirementBeneficiary: String,
+  retirementReason: String,
+  cancelledAt: Date,
+  reversalId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Reversal'
+  } // reversal that cancelled this buffer block
 }, {
   timestamps: true
 });
 
-// Auto-generate serial number before saving
-carbonCreditSchema.pre('save', function(next) {
-  if (!this.serialNumber) {
-    const timestamp = Date.now().toString(36);
-    const random = Math.random().toString(36).substr(2, 5);
-    this.serialNumber = `CC-${timestamp}-${random}`.toUpperCase();
-  }
-  next();
-});
 
 // Stakeholder Schema
 const stakeholderSchema = new mongoose.Schema({
@@ -327,6 +423,13 @@ const marketplaceListingSchema = new mongoose.Schema({
     ref: 'Stakeholder',
     required: true
   },
+  // Copied from the credit so the order book can be queried directly
+  projectId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Project'
+  },
+  methodology: String,
+  vintage: String,
   price: {
     type: Number,
     required: true,
@@ -369,21 +472,665 @@ const marketplaceListingSchema = new mongoose.Schema({
     status: {
       type: String,
       enum: ['pending', 'completed', 'failed']
+    },
+    orderId: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'MarketOrder'
+    },
+    creditId: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'CarbonCredit'
+    }, // block the buyer received
+    ledgerEntryId: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'LedgerEntry'
     }
   }]
 }, {
   timestamps: true
 });
 
+// Market Order Schema (bids resting in the order book; offers are listings)
+const marketOrderSchema = new mongoose.Schema({
+  side: {
+    type: String,
+    enum: ['bid'],
+    default: 'bid'
+  },
+  stakeholderId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Stakeholder',
+    required: true
+  },
+  methodology: {
+    type: String,
+    required: true
+  },
+  vintage: {
+    type: String,
+    required: true
+  },
+  price: {
+    type: Number,
+    required: true,
+    min: 0
+  },
+  currency: {
+    type: String,
+    default: 'USD'
+  },
+  quantity: {
+    type: Number,
+    required: true,
+    min: 1
+  },
+  filledQuantity: {
+    type: Number,
+    default: 0,
+    min: 0
+  },
+  status: {
+    type: String,
+    enum: ['open', 'partially_filled', 'filled', 'cancelled', 'expired'],
+    default: 'open'
+  },
+  expiryDate: Date,
+  fills: [{
+    listingId: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'MarketplaceListing'
+    },
+    creditId: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'CarbonCredit'
+    },
+    quantity: Number,
+    price: Number,
+    filledAt: Date
+  }]
+}, {
+  timestamps: true
+});
+
+// User Schema (login accounts, each acting on behalf of a stakeholder)
+const userSchema = new mongoose.Schema({
+  email: {
+    type: String,
+    required: true,
+    unique: true,
+    lowercase: true,
+    trim: true,
+    match: [/^\S+@\S+\.\S+$/, 'Please enter a valid email']
+  },
+  passwordHash: {
+    type: String,
+    required: true
+  },
+  name: {
+    type: String,
+    trim: true,
+    maxlength: 200
+  },
+  stakeholderId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Stakeholder',
+    required: true
+  },
+  status: {
+    type: String,
+    enum: ['active', 'disabled'],
+    default: 'active'
+  },
+  lastLoginAt: Date
+}, {
+  timestamps: true
+});
+
+// Refresh Token Schema (only a hash of the token is stored)
+const refreshTokenSchema = new mongoose.Schema({
+  userId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true
+  },
+  tokenHash: {
+    type: String,
+    required: true,
+    unique: true
+  },
+  expiresAt: {
+    type: Date,
+    required: true
+  },
+  revokedAt: Date
+}, {
+  timestamps: true
+});
+
+// Holder Account Schema (registry accounts that hold credits)
+const holderAccountSchema = new mongoose.Schema({
+  stakeholderId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Stakeholder'
+  },
+  type: {
+    type: String,
+    enum: ['holding', 'buffer'],
+    default: 'holding'
+  },
+  name: {
+    type: String,
+    trim: true
+  },
+  status: {
+    type: String,
+    enum: ['active', 'closed'],
+    default: 'active'
+  }
+}, {
+  timestamps: true
+});
+
+// Ledger Entry Schema (append-only record of every credit movement)
+const ledgerEntrySchema = new mongoose.Schema({
+  type: {
+    type: String,
+    required: true,
+    enum: ['issuance', 'transfer', 'retirement', 'cancellation']
+  },
+  batchId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'CarbonCredit',
+    required: true
+  },
+  creditId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'CarbonCredit',
+    required: true
+  }, // block the units came from (or were issued as)
+  resultingCreditId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'CarbonCredit'
+  }, // block the units ended up in after a split
+  fromAccountId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'HolderAccount'
+  },
+  toAccountId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'HolderAccount'
+  },
+  quantity: {
+    type: Number,
+    required: true,
+    min: 1
+  },
+  actor: String,
+  memo: String,
+  at: Date, // time of the movement, covered by the hash
+  sequence: {
+    type: Number,
+    min: 1
+  }, // position in the hash chain, gap-free
+  prevHash: String,
+  hash: String
+}, {
+  timestamps: true
+});
+
+// Ledger entries are never changed once written
+ledgerEntrySchema.pre(['updateOne', 'updateMany', 'findOneAndUpdate', 'replaceOne', 'deleteOne', 'deleteMany', 'findOneAndDelete'], function(next) {
+  next(new Error('Ledger entries are append-only'));
+});
+
+// Ledger Root Schema (Merkle root over a run of ledger entries, published so
+// the ledger can be checked against a copy held outside the registry; roots
+// are hash-chained like the entries)
+const ledgerRootSchema = new mongoose.Schema({
+  sequence: {
+    type: Number,
+    required: true,
+    min: 1
+  },
+  prevHash: {
+    type: String,
+    required: true
+  },
+  hash: {
+    type: String,
+    required: true
+  },
+  at: {
+    type: Date,
+    required: true
+  },
+  fromSequence: {
+    type: Number,
+    required: true
+  }, // first ledger entry covered
+  toSequence: {
+    type: Number,
+    required: true
+  }, // last ledger entry covered
+  leafCount: {
+    type: Number,
+    required: true
+  },
+  merkleRoot: {
+    type: String,
+    required: true
+  },
+  headHash: {
+    type: String,
+    required: true
+  }, // hash of the last entry covered
+  actor: String
+}, {
+  timestamps: true
+});
+
+ledgerRootSchema.pre(['updateOne', 'updateMany', 'findOneAndUpdate', 'replaceOne', 'deleteOne', 'deleteMany', 'findOneAndDelete'], function(next) {
+  next(new Error('Ledger roots are append-only'));
+});
+
+// Audit Entry Schema (append-only, hash-chained record of every change to a
+// tracked record)
+const auditEntrySchema = new mongoose.Schema({
+  sequence: {
+    type: Number,
+    required: true,
+    min: 1
+  }, // position in the chain, gap-free
+  at: {
+    type: Date,
+    required: true
+  },
+  entity: {
+    type: String,
+    required: true
+  },
+  entityId: {
+    type: String,
+    required: true
+  },
+  action: {
+    type: String,
+    required: true,
+    enum: ['create', 'update', 'delete']
+  },
+  actor: {
+    type: String,
+    required: true
+  }, // email of the acting user, or "system"
+  actorStakeholderId: String,
+  requestId: String,
+  method: String,
+  path: String,
+  before: mongoose.Schema.Types.Mixed,
+  after: mongoose.Schema.Types.Mixed,
+  prevHash: {
+    type: String,
+    required: true
+  },
+  hash: {
+    type: String,
+    required: true
+  } // sha256 over the entry, prevHash included
+}, {
+  timestamps: true,
+  // Empty objects in the recorded values are part of the hashed content
+  minimize: false
+});
+
+auditEntrySchema.pre(['updateOne', 'updateMany', 'findOneAndUpdate', 'replaceOne', 'deleteOne', 'deleteMany', 'findOneAndDelete'], function(next) {
+  next(new Error('Audit entries are append-only'));
+});
+
+// Reversal Schema (loss events on nature-based projects, covered from the buffer pool)
+const reversalSchema = new mongoose.Schema({
+  projectId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Project',
+    required: true
+  },
+  eventType: {
+    type: String,
+    required: true,
+    enum: ['fire', 'clearing', 'flood', 'storm', 'pest', 'drought', 'other']
+  },
+  description: String,
+  occurredAt: {
+    type: Date,
+    required: true
+  },
+  quantity: {
+    type: Number,
+    required: true,
+    min: 1
+  }, // tCO2e lost
+  cancelledQuantity: {
+    type: Number,
+    min: 0,
+    default: 0
+  },
+  shortfall: {
+    type: Number,
+    min: 0,
+    default: 0
+  }, // loss the buffer pool could not cover
+  status: {
+    type: String,
+    enum: ['pending', 'rejected', 'approved', 'covered', 'partially_covered', 'uncovered'],
+    default: 'pending'
+  }, // buffer credits are only cancelled once the registry approves
+  cancellations: [{
+    creditId: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'CarbonCredit'
+    },
+    resultingCreditId: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'CarbonCredit'
+    },
+    projectId: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'Project'
+    },
+    serialNumber: String,
+    quantity: Number,
+    ledgerEntryId: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'LedgerEntry'
+    }
+  }],
+  reportedBy: String,
+  reporterStakeholderId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Stakeholder'
+  },
+  reviewedBy: String,
+  reviewedAt: Date,
+  reviewComments: String,
+  rejectionReason: String
+}, {
+  timestamps: true
+});
+
+// Monitoring Period Schema (a date range of a project that is reported,
+// verified and issued as a unit)
+const monitoringPeriodSchema = new mongoose.Schema({
+  projectId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Project',
+    required: true
+  },
+  number: {
+    type: Number,
+    required: true,
+    min: 1
+  }, // sequence within the project
+  startDate: {
+    type: Date,
+    required: true
+  },
+  endDate: {
+    type: Date,
+    required: true
+  },
+  vintage: {
+    type: String,
+    required: true,
+    match: /^\d{4}$/
+  }, // year the period ends, given to its credits
+  status: {
+    type: String,
+    enum: ['open', 'submitted', 'verified', 'closed'],
+    default: 'open'
+  },
+  verificationId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'VerificationSubmission'
+  }, // the approved verification
+  verifiedAt: Date,
+  closedAt: Date,
+  createdBy: String,
+  history: [{
+    from: String,
+    to: String,
+    actor: String,
+    reason: String,
+    at: Date
+  }]
+}, {
+  timestamps: true
+});
+
+// Certificate Schema (PDF issued for a block of credits, kept with the hash
+// of its exact bytes so a copy can be checked later)
+const certificateSchema = new mongoose.Schema({
+  creditId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'CarbonCredit',
+    required: true
+  },
+  type: {
+    type: String,
+    required: true,
+    enum: ['issuance', 'retirement']
+  },
+  details: mongoose.Schema.Types.Mixed, // what the certificate states, as printed
+  verifyUrl: String, // encoded in the QR code
+  storage: String,
+  storageKey: String,
+  sha256: String,
+  size: Number,
+  issuedAt: Date
+}, {
+  timestamps: true
+});
+
+// Signing Key Schema (key pairs for credit attestations; the private half is
+// stored encrypted, see services/attestations.js)
+const signingKeySchema = new mongoose.Schema({
+  kid: {
+    type: String,
+    required: true
+  }, // JWK thumbprint of the public key
+  algorithm: {
+    type: String,
+    required: true,
+    enum: ['ES256']
+  },
+  publicJwk: {
+    type: mongoose.Schema.Types.Mixed,
+    required: true
+  },
+  privateKey: {
+    type: mongoose.Schema.Types.Mixed,
+    required: true
+  },
+  status: {
+    type: String,
+    enum: ['active', 'retired'],
+    default: 'active'
+  },
+  activatedAt: Date,
+  retiredAt: Date,
+  createdBy: String
+}, {
+  timestamps: true
+});
+
+// Webhook Subscription Schema (an endpoint notified of registry events; the
+// secret signs each delivery, see services/webhooks.js)
+const webhookSubscriptionSchema = new mongoose.Schema({
+  stakeholderId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Stakeholder',
+    required: true
+  },
+  url: {
+    type: String,
+    required: true
+  },
+  events: [{
+    type: String,
+    enum: [
+      'submission.approved',
+      'submission.rejected',
+      'credit.issued',
+      'credit.retired',
+      'listing.created',
+      'listing.filled'
+    ]
+  }],
+  description: String,
+  secret: {
+    type: String,
+    required: true
+  },
+  status: {
+    type: String,
+    enum: ['active', 'disabled'],
+    default: 'active'
+  },
+  createdBy: String
+}, {
+  timestamps: true
+});
+
+// Webhook Delivery Schema (one event sent to one subscription, with every
+// attempt made to deliver it)
+const webhookDeliverySchema = new mongoose.Schema({
+  subscriptionId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'WebhookSubscription',
+    required: true
+  },
+  eventId: {
+    type: String,
+    required: true
+  },
+  event: {
+    type: String,
+    required: true
+  },
+  payload: {
+    type: String,
+    required: true
+  }, // the exact body sent, so every attempt is signed over the same bytes
+  status: {
+    type: String,
+    enum: ['pending', 'succeeded', 'failed'],
+    default: 'pending'
+  },
+  attemptCount: {
+    type: Number,
+    default: 0
+  },
+  nextAttemptAt: Date,
+  lastAttemptAt: Date,
+  lastError: String,
+  deliveredAt: Date,
+  redeliveryOf: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'WebhookDelivery'
+  },
+  requestedBy: String,
+  attempts: [{
+    at: Date,
+    responseStatus: Number,
+    error: String,
+    durationMs: Number
+  }]
+}, {
+  timestamps: true
+});
+
+// Measurement Schema (one row parsed from a tabular upload)
+const measurementSchema = new mongoose.Schema({
+  uploadId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'DataUpload',
+    required: true
+  },
+  projectId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Project',
+    required: true
+  },
+  dataType: {
+    type: String,
+    required: true
+  },
+  fileIndex: {
+    type: Number,
+    required: true
+  },
+  row: {
+    type: Number,
+    required: true
+  }, // line in the source file, counting the header as row 1
+  recordedAt: Date, // from the data type's time column, when it has one
+  values: mongoose.Schema.Types.Mixed // keyed by the column names in config/dataTypes.js
+}, {
+  timestamps: true
+});
+
 // Create indexes for better performance
 projectSchema.index({ category: 1, status: 1 });
 projectSchema.index({ 'location.country': 1, 'location.state': 1 });
+projectSchema.index({ 'location.boundary': '2dsphere' });
 dataUploadSchema.index({ projectId: 1, dataType: 1, status: 1 });
+dataUploadSchema.index({ projectId: 1, 'files.checksum': 1 }, { unique: true, partialFilterExpression: { 'files.checksum': { $exists: true } } }); // each file once per project
 verificationSubmissionSchema.index({ status: 1, submittedAt: -1 });
-carbonCreditSchema.index({ serialNumber: 1 });
+verificationSubmissionSchema.index({ assignedVerifierId: 1, status: 1 });
+carbonCreditSchema.index({ serialPrefix: 1, serialStart: 1 });
 carbonCreditSchema.index({ projectId: 1, status: 1 });
 stakeholderSchema.index({ category: 1, status: 1 });
 marketplaceListingSchema.index({ status: 1, price: 1 });
+marketplaceListingSchema.index({ methodology: 1, vintage: 1, status: 1, price: 1, listedAt: 1 });
+
+// Text indexes for GET /search
+const textIndex = (weights) => [
+  Object.fromEntries(Object.keys(weights).map((field) => [field, 'text'])),
+  { weights, default_language: 'english' }
+];
+projectSchema.index(...textIndex(TEXT_INDEXES.projects));
+stakeholderSchema.index(...textIndex(TEXT_INDEXES.stakeholders));
+marketplaceListingSchema.index(...textIndex(TEXT_INDEXES.marketplaceListings));
+
+marketOrderSchema.index({ methodology: 1, vintage: 1, status: 1, price: -1, createdAt: 1 });
+userSchema.index({ stakeholderId: 1 });
+refreshTokenSchema.index({ expiresAt: 1 }, { expireAfterSeconds: 0 });
+carbonCreditSchema.index({ batchId: 1 });
+carbonCreditSchema.index({ status: 1, retiredAt: -1 });
+carbonCreditSchema.index({ accountId: 1, status: 1 });
+holderAccountSchema.index({ stakeholderId: 1, type: 1 }, { unique: true, partialFilterExpression: { stakeholderId: { $exists: true } } });
+holderAccountSchema.index({ type: 1 }, { unique: true, partialFilterExpression: { type: 'buffer' } });
+ledgerEntrySchema.index({ batchId: 1, createdAt: 1 });
+ledgerEntrySchema.index({ fromAccountId: 1 });
+ledgerEntrySchema.index({ toAccountId: 1 });
+ledgerEntrySchema.index({ sequence: 1 }, { unique: true, partialFilterExpression: { sequence: { $exists: true } } });
+ledgerEntrySchema.index({ creditId: 1 });
+ledgerEntrySchema.index({ resultingCreditId: 1 });
+ledgerRootSchema.index({ sequence: 1 }, { unique: true });
+ledgerRootSchema.index({ fromSequence: 1 }, { unique: true }); // one root per range of entries
+reversalSchema.index({ projectId: 1, occurredAt: -1 });
+measurementSchema.index({ uploadId: 1, fileIndex: 1, row: 1 });
+monitoringPeriodSchema.index({ projectId: 1, number: 1 }, { unique: true });
+auditEntrySchema.index({ sequence: 1 }, { unique: true });
+auditEntrySchema.index({ entity: 1, entityId: 1, sequence: -1 });
+auditEntrySchema.index({ actor: 1, sequence: -1 });
+auditEntrySchema.index({ at: 1 });
+certificateSchema.index({ creditId: 1, type: 1 }, { unique: true });
+signingKeySchema.index({ kid: 1 }, { unique: true });
+signingKeySchema.index({ status: 1, activatedAt: -1 });
+webhookSubscriptionSchema.index({ stakeholderId: 1 });
+webhookSubscriptionSchema.index({ status: 1 });
+webhookDeliverySchema.index({ subscriptionId: 1, createdAt: -1 });
+webhookDeliverySchema.index({ status: 1, nextAttemptAt: 1 });
+measurementSchema.index({ projectId: 1, dataType: 1, recordedAt: 1 });
 
 // Create models
 const Project = mongoose.model('Project', projectSchema);
@@ -392,6 +1139,20 @@ const VerificationSubmission = mongoose.model('VerificationSubmission', verifica
 const CarbonCredit = mongoose.model('CarbonCredit', carbonCreditSchema);
 const Stakeholder = mongoose.model('Stakeholder', stakeholderSchema);
 const MarketplaceListing = mongoose.model('MarketplaceListing', marketplaceListingSchema);
+const User = mongoose.model('User', userSchema);
+const RefreshToken = mongoose.model('RefreshToken', refreshTokenSchema);
+const HolderAccount = mongoose.model('HolderAccount', holderAccountSchema);
+const LedgerEntry = mongoose.model('LedgerEntry', ledgerEntrySchema);
+const LedgerRoot = mongoose.model('LedgerRoot', ledgerRootSchema);
+const MarketOrder = mongoose.model('MarketOrder', marketOrderSchema);
+const Reversal = mongoose.model('Reversal', reversalSchema);
+const Measurement = mongoose.model('Measurement', measurementSchema);
+const MonitoringPeriod = mongoose.model('MonitoringPeriod', monitoringPeriodSchema);
+const AuditEntry = mongoose.model('AuditEntry', auditEntrySchema);
+const Certificate = mongoose.model('Certificate', certificateSchema);
+const SigningKey = mongoose.model('SigningKey', signingKeySchema);
+const WebhookSubscription = mongoose.model('WebhookSubscription', webhookSubscriptionSchema);
+const WebhookDelivery = mongoose.model('WebhookDelivery', webhookDeliverySchema);
 
 module.exports = {
   Project,
@@ -399,5 +1160,19 @@ module.exports = {
   VerificationSubmission,
   CarbonCredit,
   Stakeholder,
-  MarketplaceListing
+  MarketplaceListing,
+  User,
+  RefreshToken,
+  HolderAccount,
+  LedgerEntry,
+  LedgerRoot,
+  MarketOrder,
+  Reversal,
+  Measurement,
+  MonitoringPeriod,
+  AuditEntry,
+  Certificate,
+  SigningKey,
+  WebhookSubscription,
+  WebhookDelivery
 };
\ No newline at end of file
@@ -0,0 +1,127 @@
+// Repositories whose changes go to the audit trail, by the entity name the
+// trail records them under. Measurements are covered by their upload, ledger
+// entries are an immutable record already, and refresh tokens and webhook
+// deliveries are bookkeeping rather than business data.
+const AUDITED_ENTITIES = {
+  projects: 'project',
+  dataUploads: 'dataUpload',
+  verificationSubmissions: 'verificationSubmission',
+  carbonCredits: 'carbonCredit',
+  stakeholders: 'stakeholder',
+  marketplaceListings: 'marketplaceListing',
+  users: 'user',
+  holderAccounts: 'holderAccount',
+  marketOrders: 'marketOrder',
+  reversals: 'reversal',
+  monitoringPeriods: 'monitoringPeriod',
+  certificates: 'certificate',
+  signingKeys: 'signingKey',
+  webhookSubscriptions: 'webhookSubscription',
+};
+
+// Passes every call through to the wrapped repository and records each
+// change once it has been made. Reads are untouched.
+class AuditedRepository {
+  constructor(repository, entity, auditLog) {
+    this.repository = repository;
+    this.entity = entity;
+    this.auditLog = auditLog;
+  }
+
+  find(filter) {
+    return this.repository.find(filter);
+  }
+
+  findOne(filter) {
+    return this.repository.findOne(filter);
+  }
+
+  findById(id) {
+    return this.repository.findById(id);
+  }
+
+  findPage(filter, options) {
+    return this.repository.findPage(filter, options);
+  }
+
+  count(filter) {
+    return this.repository.count(filter);
+  }
+
+  search(text, filter, options) {
+    return this.repository.search(text, filter, options);
+  }
+
+  async recordChange(action, before, after) {
+    const record = after || before;
+    await this.auditLog.record({ entity: this.entity, entityId: record.id, action, before, after });
+  }
+
+  async create(data) {
+    const created = await this.repository.create(data);
+    await this.recordChange('create', null, created);
+    return created;
+  }
+
+  async createMany(records) {
+    const created = await this.repository.createMany(records);
+    for (const record of created) {
+      await this.recordChange('create', null, record);
+    }
+    return created;
+  }
+
+  async update(id, changes) {
+    return this.updateWhere({ id }, changes);
+  }
+
+  // The record is read first so the entry can show what changed. A
+  // compare-and-swap that doesn't match changes nothing and isn't recorded.
+  async updateWhere(filter, changes) {
+    const before = await this.repository.findOne(filter);
+    if (!before) return this.repository.updateWhere(filter, changes);
+
+    const updated = await this.repository.updateWhere({ ...filter, id: before.id }, changes);
+    if (updated) await this.recordChange('update', before, updated);
+    return updated;
+  }
+
+  async push(id, field, value) {
+    const before = await this.repository.findById(id);
+    const updated = await this.repository.push(id, field, value);
+    if (before && updated) await this.recordChange('update', before, updated);
+    return updated;
+  }
+
+  async remove(id) {
+    const removed = await this.repository.remove(id);
+    if (removed) await this.recordChange('delete', removed, null);
+    return removed;
+  }
+
+  async removeWhere(filter) {
+    const doomed = await this.repository.find(filter);
+    const count = await this.repository.removeWhere(filter);
+    for (const record of doomed) {
+      await this.recordChange('delete', record, null);
+    }
+    return count;
+  }
+}
+
+// Returns the repositories with the audited ones wrapped.
+const withAuditTrail = (repositories, auditLog) => ({
+  ...repositories,
+  ...Object.fromEntries(
+    Object.entries(AUDITED_ENTITIES).map(([name, entity]) => [
+      name,
+      new AuditedRepository(repositories[name], entity, auditLog),
+    ]),
+  ),
+});
+
+module.exports = {
+  AUDITED_ENTITIES,
+  AuditedRepository,
+  withAuditTrail
+};
@@ -0,0 +1,62 @@
+const { createChainAppender } = require('../services/hashChain');
+
+// Append-only repositories whose records are hash-chained as they are
+// written (see services/hashChain.js). Callers create records as usual; the
+// chain fields are filled in here so no write can skip them.
+const CHAINED_REPOSITORIES = ['ledgerEntries', 'ledgerRoots'];
+const CHAIN_FIELDS = ['sequence', 'prevHash', 'hash'];
+
+class ChainedRepository {
+  constructor(repository) {
+    this.repository = repository;
+    this.append = createChainAppender(repository);
+  }
+
+  find(filter) {
+    return this.repository.find(filter);
+  }
+
+  findOne(filter) {
+    return this.repository.findOne(filter);
+  }
+
+  findById(id) {
+    return this.repository.findById(id);
+  }
+
+  findPage(filter, options) {
+    return this.repository.findPage(filter, options);
+  }
+
+  count(filter) {
+    return this.repository.count(filter);
+  }
+
+  // `at` is part of the hash, so the time of the record can't be changed
+  // without breaking the chain. Chain fields a caller passes are dropped;
+  // the appender assigns them.
+  create(data) {
+    const fields = { at: new Date().toISOString(), ...data };
+    CHAIN_FIELDS.forEach((field) => delete fields[field]);
+    return this.append(fields);
+  }
+
+  async createMany(records) {
+    const created = [];
+    for (const record of records) {
+      created.push(await this.create(record));
+    }
+    return created;
+  }
+}
+
+const withHashChains = (repositories) => ({
+  ...repositories,
+  ...Object.fromEntries(CHAINED_REPOSITORIES.map((name) => [name, new ChainedRepository(repositories[name])])),
+});
+
+module.exports = {
+  CHAINED_REPOSITORIES,
+  ChainedRepository,
+  withHashChains
+};
@@ -0,0 +1,28 @@
+const { createMemoryRepositories } = require('./memory');
+const { withHashChains } = require('./chained');
+
+const DATA_STORES = ['memory', 'mongodb'];
+
+// Tests run against the in-memory store; everything else defaults to MongoDB.
+const resolveDataStore = () =>
+  process.env.DATA_STORE || (process.env.NODE_ENV === 'test' ? 'memory' : 'mongodb');
+
+const createRepositories = (dataStore = resolveDataStore()) => {
+  if (!DATA_STORES.includes(dataStore)) {
+    throw new Error(`Unknown data store "${dataStore}", expected one of: ${DATA_STORES.join(', ')}`);
+  }
+
+  if (dataStore === 'mongodb') {
+    // Required lazily so the memory store never registers the Mongoose models.
+    const { createMongooseRepositories } = require('./mongoose');
+    return withHashChains(createMongooseRepositories());
+  }
+
+  return withHashChains(createMemoryRepositories());
+};
+
+module.exports = {
+  DATA_STORES,
+  resolveDataStore,
+  createRepositories
+};
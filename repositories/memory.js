@@ -0,0 +1,260 @@
+const { v4: uuidv4 } = require('uuid');
+const { geometriesIntersect, geometryWithin } = require('../services/geo');
+const { parseSearch, scoreRecord } = require('../services/textSearch');
+const { TEXT_INDEXES } = require('../config/textIndexes');
+
+// Copies are handed out so callers can't mutate stored records by accident,
+// which keeps behaviour in line with the Mongoose backend.
+const clone = (value) => (value === undefined ? value : JSON.parse(JSON.stringify(value)));
+
+// Filters follow the MongoDB subset the services use: equality, dotted paths
+// into nested objects, $and / $or and the comparison and GeoJSON operators
+// below. As in MongoDB, null matches a missing field.
+const isMissing = (value) => value === undefined || value === null;
+
+const equals = (actual, expected) => (isMissing(expected) ? isMissing(actual) : actual === expected);
+
+const OPERATORS = {
+  $gt: (actual, expected) => !isMissing(actual) && actual > expected,
+  $gte: (actual, expected) => !isMissing(actual) && actual >= expected,
+  $lt: (actual, expected) => !isMissing(actual) && actual < expected,
+  $lte: (actual, expected) => !isMissing(actual) && actual <= expected,
+  $ne: (actual, expected) => !equals(actual, expected),
+  $in: (actual, expected) => expected.includes(actual),
+  $nin: (actual, expected) => !expected.includes(actual),
+  $geoIntersects: (actual, { $geometry }) => Boolean(actual) && geometriesIntersect(actual, $geometry),
+  $geoWithin: (actual, { $geometry }) => Boolean(actual) && geometryWithin(actual, $geometry),
+};
+
+const isOperatorObject = (value) =>
+  value !== null &&
+  typeof value === 'object' &&
+  !Array.isArray(value) &&
+  Object.keys(value).length > 0 &&
+  Object.keys(value).every((key) => key in OPERATORS);
+
+const valueAt = (item, key) =>
+  key.split('.').reduce((value, part) => (value === undefined || value === null ? undefined : value[part]), item);
+
+const matches = (item, filter) =>
+  Object.entries(filter).every(([key, value]) => {
+    if (key === '$and') return value.every((clause) => matches(item, clause));
+    if (key === '$or') return value.some((clause) => matches(item, clause));
+
+    const actual = valueAt(item, key);
+    if (isOperatorObject(value)) {
+      return Object.entries(value).every(([operator, expected]) => OPERATORS[operator](actual, expected));
+    }
+    return equals(actual, value);
+  });
+
+// `sort` maps field names to 1 (ascending) or -1 (descending), in priority
+// order. Missing values sort first, as they do in MongoDB.
+const compareBy = (sort) => (a, b) => {
+  for (const [key, direction] of Object.entries(sort)) {
+    const left = valueAt(a, key);
+    const right = valueAt(b, key);
+    if (left === right) continue;
+    if (left === undefined || left === null) return -direction;
+    if (right === undefined || right === null) return direction;
+    return (left < right ? -1 : 1) * direction;
+  }
+  return 0;
+};
+
+const stripUndefined = (changes) =>
+  Object.fromEntries(Object.entries(changes).filter(([, value]) => value !== undefined));
+
+// Every value a dotted path reaches, stepping into arrays on the way, as a
+// MongoDB multikey index does.
+const valuesAt = (value, parts) => {
+  if (Array.isArray(value)) return value.flatMap((element) => valuesAt(element, parts));
+  if (parts.length === 0) return isMissing(value) ? [] : [value];
+  if (isMissing(value)) return [];
+  return valuesAt(value[parts[0]], parts.slice(1));
+};
+
+// Index keys a record holds for a unique index over `fields`. Records missing
+// any of the fields hold none, like a partial index that requires them.
+const indexKeys = (item, fields) =>
+  fields.reduce(
+    (keys, field) => keys.flatMap((key) => valuesAt(item, field.split('.')).map((value) => [...key, value])),
+    [[]],
+  ).map((key) => JSON.stringify(key));
+
+// Thrown the way the MongoDB driver reports a unique index violation, so
+// services handle both backends alike.
+const duplicateKeyError = (prefix, fields) =>
+  Object.assign(new Error(`E11000 duplicate key error: ${prefix} records must be unique on ${fields.join(', ')}`), {
+    code: 11000,
+  });
+
+class MemoryRepository {
+  // `unique` lists the field sets no two records may share a value for,
+  // mirroring the unique indexes of the Mongoose models.
+  constructor(prefix, { appendOnly = false, textIndex = null, unique = [] } = {}) {
+    this.prefix = prefix;
+    this.appendOnly = appendOnly;
+    this.textIndex = textIndex;
+    this.unique = unique;
+    this.items = [];
+  }
+
+  assertUnique(candidate) {
+    this.unique.forEach((fields) => {
+      const keys = new Set(indexKeys(candidate, fields));
+      const taken = this.items.some(
+        (item) => item.id !== candidate.id && indexKeys(item, fields).some((key) => keys.has(key)),
+      );
+      if (taken) throw duplicateKeyError(this.prefix, fields);
+    });
+  }
+
+  assertMutable() {
+    if (this.appendOnly) {
+      throw new Error(`${this.prefix} records are append-only`);
+    }
+  }
+
+  async find(filter = {}) {
+    return this.items.filter((item) => matches(item, filter)).map(clone);
+  }
+
+  async findOne(filter = {}) {
+    return clone(this.items.find((item) => matches(item, filter))) || null;
+  }
+
+  async findById(id) {
+    return this.findOne({ id });
+  }
+
+  // One page of matches plus the total across all pages.
+  async findPage(filter = {}, { sort = {}, skip = 0, limit } = {}) {
+    const found = this.items.filter((item) => matches(item, filter)).sort(compareBy(sort));
+    const end = limit === undefined ? undefined : skip + limit;
+    return { items: found.slice(skip, end).map(clone), total: found.length };
+  }
+
+  async count(filter = {}) {
+    return this.items.filter((item) => matches(item, filter)).length;
+  }
+
+  // Text search over the fields of the text index, best matches first. Each
+  // match carries its relevance as `score`.
+  async search(text, filter = {}, { limit } = {}) {
+    if (!this.textIndex) {
+      throw new Error(`${this.prefix} records have no text index`);
+    }
+
+    const search = parseSearch(text);
+    if (!search) return [];
+
+    return this.items
+      .filter((item) => matches(item, filter))
+      .map((item) => ({ item, score: scoreRecord(item, this.textIndex, search) }))
+      .filter(({ score }) => score > 0)
+      .sort((a, b) => b.score - a.score)
+      .slice(0, limit)
+      .map(({ item, score }) => ({ ...clone(item), score }));
+  }
+
+  async create(data) {
+    const now = new Date().toISOString();
+    const item = {
+      id: `${this.prefix}-${uuidv4().slice(0, 8)}`,
+      ...clone(stripUndefined(data)),
+      createdAt: now,
+      updatedAt: now,
+    };
+
+    this.assertUnique(item);
+    this.items.push(item);
+    return clone(item);
+  }
+
+  async createMany(records) {
+    const created = [];
+    for (const data of records) {
+      created.push(await this.create(data));
+    }
+    return created;
+  }
+
+  async update(id, changes) {
+    return this.updateWhere({ id }, changes);
+  }
+
+  // Conditional update: only applies when every field in `filter` still
+  // matches, so callers can compare-and-swap against a value they read.
+  async updateWhere(filter, changes) {
+    this.assertMutable();
+
+    const item = this.items.find((entry) => matches(entry, filter));
+    if (!item) return null;
+
+    const updated = { ...item, ...clone(stripUndefined(changes)) };
+    this.assertUnique(updated);
+    Object.assign(item, updated, { updatedAt: new Date().toISOString() });
+    return clone(item);
+  }
+
+  // Appends to an array field without rewriting it, so concurrent appends
+  // don't overwrite each other.
+  async push(id, field, value) {
+    this.assertMutable();
+
+    const item = this.items.find((entry) => entry.id === id);
+    if (!item) return null;
+
+    item[field] = [...(item[field] || []), clone(value)];
+    item.updatedAt = new Date().toISOString();
+    return clone(item);
+  }
+
+  async remove(id) {
+    this.assertMutable();
+
+    const index = this.items.findIndex((entry) => entry.id === id);
+    if (index === -1) return null;
+
+    const [removed] = this.items.splice(index, 1);
+    return clone(removed);
+  }
+
+  // Deletes every match and returns how many there were.
+  async removeWhere(filter) {
+    this.assertMutable();
+
+    const before = this.items.length;
+    this.items = this.items.filter((item) => !matches(item, filter));
+    return before - this.items.length;
+  }
+}
+
+const createMemoryRepositories = () => ({
+  projects: new MemoryRepository('PRJ', { textIndex: TEXT_INDEXES.projects }),
+  dataUploads: new MemoryRepository('UPL', { unique: [['projectId', 'files.checksum']] }),
+  verificationSubmissions: new MemoryRepository('SUB'),
+  carbonCredits: new MemoryRepository('CRD'),
+  stakeholders: new MemoryRepository('STK', { textIndex: TEXT_INDEXES.stakeholders }),
+  marketplaceListings: new MemoryRepository('LST', { textIndex: TEXT_INDEXES.marketplaceListings }),
+  users: new MemoryRepository('USR'),
+  refreshTokens: new MemoryRepository('RTK'),
+  holderAccounts: new MemoryRepository('ACC'),
+  ledgerEntries: new MemoryRepository('LED', { appendOnly: true, unique: [['sequence']] }),
+  ledgerRoots: new MemoryRepository('LRT', { appendOnly: true, unique: [['sequence'], ['fromSequence']] }),
+  marketOrders: new MemoryRepository('ORD'),
+  reversals: new MemoryRepository('REV'),
+  measurements: new MemoryRepository('MSR'),
+  monitoringPeriods: new MemoryRepository('MPD'),
+  auditEntries: new MemoryRepository('AUD', { appendOnly: true, unique: [['sequence']] }),
+  certificates: new MemoryRepository('CRT'),
+  signingKeys: new MemoryRepository('KEY'),
+  webhookSubscriptions: new MemoryRepository('WHK'),
+  webhookDeliveries: new MemoryRepository('WHD'),
+});
+
+module.exports = {
+  MemoryRepository,
+  createMemoryRepositories
+};
@@ -0,0 +1,240 @@
+const mongoose = require('mongoose');
+
+const {
+  Project,
+  DataUpload,
+  VerificationSubmission,
+  CarbonCredit,
+  Stakeholder,
+  MarketplaceListing,
+  User,
+  RefreshToken,
+  HolderAccount,
+  LedgerEntry,
+  LedgerRoot,
+  MarketOrder,
+  Reversal,
+  Measurement,
+  MonitoringPeriod,
+  AuditEntry,
+  Certificate,
+  SigningKey,
+  WebhookSubscription,
+  WebhookDelivery
+} = require('../models');
+
+// Lean documents are flattened to the same plain shape the in-memory backend
+// produces: string ids, ISO date strings and no Mongoose bookkeeping fields.
+const normalizeValue = (value) => {
+  if (value instanceof mongoose.Types.ObjectId) return value.toString();
+  if (value instanceof Date) return value.toISOString();
+  if (Array.isArray(value)) return value.map(normalizeValue);
+  if (value && typeof value === 'object') {
+    return Object.fromEntries(
+      Object.entries(value)
+        .filter(([key]) => key !== '_id' && key !== '__v')
+        .map(([key, nested]) => [key, normalizeValue(nested)])
+    );
+  }
+  return value;
+};
+
+const normalize = (doc) => {
+  if (!doc) return null;
+  return { id: doc._id.toString(), ...normalizeValue(doc) };
+};
+
+const stripUndefined = (changes) =>
+  Object.fromEntries(Object.entries(changes).filter(([, value]) => value !== undefined));
+
+// Ids that can't be cast to an ObjectId simply don't match anything, the same
+// way an unknown id behaves in memory.
+const isCastError = (error) => error instanceof mongoose.Error.CastError;
+
+class MongooseRepository {
+  constructor(Model, { appendOnly = false } = {}) {
+    this.Model = Model;
+    this.appendOnly = appendOnly;
+  }
+
+  assertMutable() {
+    if (this.appendOnly) {
+      throw new Error(`${this.Model.modelName} records are append-only`);
+    }
+  }
+
+  // `undefined` means "field not set", which MongoDB matches with null.
+  // Clauses of $and / $or are translated the same way.
+  toQuery(filter) {
+    const { id, ...rest } = filter;
+    const query = Object.fromEntries(
+      Object.entries(rest).map(([key, value]) => {
+        if (key === '$and' || key === '$or') return [key, value.map((clause) => this.toQuery(clause))];
+        return [key, value === undefined ? null : value];
+      })
+    );
+    return id === undefined ? query : { _id: id, ...query };
+  }
+
+  toSort(sort) {
+    return Object.fromEntries(Object.entries(sort).map(([key, direction]) => [key === 'id' ? '_id' : key, direction]));
+  }
+
+  async find(filter = {}) {
+    try {
+      const docs = await this.Model.find(this.toQuery(filter)).lean();
+      return docs.map(normalize);
+    } catch (error) {
+      if (isCastError(error)) return [];
+      throw error;
+    }
+  }
+
+  async findOne(filter = {}) {
+    try {
+      return normalize(await this.Model.findOne(this.toQuery(filter)).lean());
+    } catch (error) {
+      if (isCastError(error)) return null;
+      throw error;
+    }
+  }
+
+  async findById(id) {
+    if (!mongoose.isValidObjectId(id)) return null;
+    return normalize(await this.Model.findById(id).lean());
+  }
+
+  // One page of matches plus the total across all pages.
+  async findPage(filter = {}, { sort = {}, skip = 0, limit } = {}) {
+    try {
+      const query = this.toQuery(filter);
+      let cursor = this.Model.find(query).sort(this.toSort(sort)).skip(skip);
+      if (limit !== undefined) cursor = cursor.limit(limit);
+
+      const [docs, total] = await Promise.all([cursor.lean(), this.Model.countDocuments(query)]);
+      return { items: docs.map(normalize), total };
+    } catch (error) {
+      if (isCastError(error)) return { items: [], total: 0 };
+      throw error;
+    }
+  }
+
+  async count(filter = {}) {
+    try {
+      return await this.Model.countDocuments(this.toQuery(filter));
+    } catch (error) {
+      if (isCastError(error)) return 0;
+      throw error;
+    }
+  }
+
+  // Text search through the collection's text index, best matches first.
+  // Each match carries its relevance as `score`.
+  async search(text, filter = {}, { limit } = {}) {
+    try {
+      let cursor = this.Model.find(
+        { ...this.toQuery(filter), $text: { $search: text } },
+        { score: { $meta: 'textScore' } }
+      ).sort({ score: { $meta: 'textScore' } });
+      if (limit !== undefined) cursor = cursor.limit(limit);
+      return (await cursor.lean()).map(normalize);
+    } catch (error) {
+      if (isCastError(error)) return [];
+      throw error;
+    }
+  }
+
+  async create(data) {
+    const doc = await this.Model.create(stripUndefined(data));
+    return normalize(doc.toObject());
+  }
+
+  async createMany(records) {
+    const docs = await this.Model.insertMany(records.map(stripUndefined));
+    return docs.map((doc) => normalize(doc.toObject()));
+  }
+
+  async update(id, changes) {
+    if (!mongoose.isValidObjectId(id)) return null;
+    return this.updateWhere({ id }, changes);
+  }
+
+  // Conditional update: only applies when every field in `filter` still
+  // matches, so callers can compare-and-swap against a value they read.
+  async updateWhere(filter, changes) {
+    this.assertMutable();
+
+    try {
+      const doc = await this.Model.findOneAndUpdate(
+        this.toQuery(filter),
+        { $set: stripUndefined(changes) },
+        { new: true, runValidators: true }
+      ).lean();
+      return normalize(doc);
+    } catch (error) {
+      if (isCastError(error)) return null;
+      throw error;
+    }
+  }
+
+  // Appends to an array field without rewriting it, so concurrent appends
+  // don't overwrite each other.
+  async push(id, field, value) {
+    this.assertMutable();
+    if (!mongoose.isValidObjectId(id)) return null;
+
+    const doc = await this.Model.findByIdAndUpdate(
+      id,
+      { $push: { [field]: value } },
+      { new: true, runValidators: true }
+    ).lean();
+    return normalize(doc);
+  }
+
+  async remove(id) {
+    this.assertMutable();
+    if (!mongoose.isValidObjectId(id)) return null;
+    return normalize(await this.Model.findByIdAndDelete(id).lean());
+  }
+
+  // Deletes every match and returns how many there were.
+  async removeWhere(filter) {
+    this.assertMutable();
+
+    try {
+      const { deletedCount } = await this.Model.deleteMany(this.toQuery(filter));
+      return deletedCount;
+    } catch (error) {
+      if (isCastError(error)) return 0;
+      throw error;
+    }
+  }
+}
+
+const createMongooseRepositories = () => ({
+  projects: new MongooseRepository(Project),
+  dataUploads: new MongooseRepository(DataUpload),
+  verificationSubmissions: new MongooseRepository(VerificationSubmission),
+  carbonCredits: new MongooseRepository(CarbonCredit),
+  stakeholders: new MongooseRepository(Stakeholder),
+  marketplaceListings: new MongooseRepository(MarketplaceListing),
+  users: new MongooseRepository(User),
+  refreshTokens: new MongooseRepository(RefreshToken),
+  holderAccounts: new MongooseRepository(HolderAccount),
+  ledgerEntries: new MongooseRepository(LedgerEntry, { appendOnly: true }),
+  ledgerRoots: new MongooseRepository(LedgerRoot, { appendOnly: true }),
+  marketOrders: new MongooseRepository(MarketOrder),
+  reversals: new MongooseRepository(Reversal),
+  measurements: new MongooseRepository(Measurement),
+  monitoringPeriods: new MongooseRepository(MonitoringPeriod),
+  auditEntries: new MongooseRepository(AuditEntry, { appendOnly: true }),
+  certificates: new MongooseRepository(Certificate),
+  signingKeys: new MongooseRepository(SigningKey),
+  webhookSubscriptions: new MongooseRepository(WebhookSubscription),
+  webhookDeliveries: new MongooseRepository(WebhookDelivery),
+});
+
+module.exports = {
+  MongooseRepository,
+  createMongooseRepositories
+};
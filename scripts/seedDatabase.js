@@ -7,10 +7,26 @@ const {
   VerificationSubmission,
   CarbonCredit,
   Stakeholder,
-  MarketplaceListing
+  MarketplaceListing,
+  User,
+  RefreshToken,
+  HolderAccount,
+  LedgerEntry,
+  LedgerRoot,
+  MarketOrder,
+  Reversal,
+  Measurement,
+  MonitoringPeriod,
+  AuditEntry,
+  Certificate,
+  SigningKey,
+  WebhookSubscription,
+  WebhookDelivery
 } = require('../models');
 
 const connectDB = require('../config/database');
+const { createRepositories } = require('../repositories');
+const { issueVerifiedCredits } = require('../services/issuance');
 
 const sampleData = {
   stakeholders: [
@@ -128,6 +144,21 @@ async function seedDatabase() {
     await VerificationSubmission.deleteMany({});
     await CarbonCredit.deleteMany({});
     await MarketplaceListing.deleteMany({});
+    await MarketOrder.deleteMany({});
+    await User.deleteMany({});
+    await RefreshToken.deleteMany({});
+    await HolderAccount.deleteMany({});
+    // The ledger, ledger root and audit models refuse deletes, so the seeder clears them at driver level
+    await LedgerEntry.collection.deleteMany({});
+    await LedgerRoot.collection.deleteMany({});
+    await AuditEntry.collection.deleteMany({});
+    await Reversal.deleteMany({});
+    await Measurement.deleteMany({});
+    await MonitoringPeriod.deleteMany({});
+    await Certificate.deleteMany({});
+    await SigningKey.deleteMany({});
+    await WebhookSubscription.deleteMany({});
+    await WebhookDelivery.deleteMany({});
 
     // Insert stakeholders first
     console.log('Inserting stakeholders...');
@@ -196,6 +227,8 @@ async function seedDatabase() {
             longitude: 81.1498
           },
           equipment: "DJI Phantom 4 Pro",
+          altitudeM: 120,
+          gsdCm: 3.3,
           methodology: "Aerial photography",
           qualityScore: 90,
           notes: "High-resolution imagery of restoration site"
@@ -215,12 +248,20 @@ async function seedDatabase() {
       dataType: uploads[1].dataType,
       submittedBy: "drone@greentech.com",
       status: "approved",
+      assignedVerifierId: stakeholders[1]._id,
+      assignedAt: new Date(),
       reviewedBy: "verify@forestguard.in",
       reviewedAt: new Date(),
+      approvedAt: new Date(),
       creditsGenerated: 1000,
       qualityScore: 90,
       comments: "Excellent documentation of mangrove restoration progress",
-      metadata: uploads[1].metadata
+      metadata: uploads[1].metadata,
+      history: [
+        { from: null, to: "pending", action: "submitted", actor: "drone@greentech.com", at: new Date() },
+        { from: "pending", to: "under_review", action: "assigned", actor: "verify@forestguard.in", actorStakeholderId: stakeholders[1]._id, at: new Date() },
+        { from: "under_review", to: "approved", action: "approve", actor: "verify@forestguard.in", actorStakeholderId: stakeholders[1]._id, at: new Date() }
+      ]
     });
 
     await verification.save();
@@ -230,28 +271,33 @@ async function seedDatabase() {
     uploads[1].verificationId = verification._id;
     await uploads[1].save();
 
-    // Create sample carbon credit
-    const credit = new CarbonCredit({
-      projectId: projects[1]._id,
-      verificationId: verification._id,
+    // Issue sample carbon credit against the verification so it gets a serial
+    // block, a holder account, an issuance entry and counts towards the
+    // project's actual credits
+    const { credit } = await issueVerifiedCredits(createRepositories('mongodb'), {
+      stakeholderId: stakeholders[0]._id.toString(),
+      actor: 'seed',
+      projectId: projects[1]._id.toString(),
+      verificationId: verification._id.toString(),
       creditsAmount: 1000,
       methodology: "VM0033",
       vintage: "2024",
       status: "active",
       description: "Carbon credits from verified mangrove restoration"
     });
+    console.log(`Created carbon credit ${credit.serialNumber}`);
 
-    await credit.save();
-    console.log('Created carbon credit');
-
-    // Create sample marketplace listing
+    // Create sample marketplace listing, filed under the credit's order book
     const listing = new MarketplaceListing({
-      creditId: credit._id,
+      creditId: credit.id,
       sellerId: stakeholders[0]._id,
+      projectId: credit.projectId,
+      methodology: credit.methodology,
+      vintage: credit.vintage,
       price: 15.50,
       currency: "USD",
       minimumQuantity: 10,
-      availableQuantity: 1000,
+      availableQuantity: credit.creditsAmount,
       description: "High-quality carbon credits from coastal mangrove restoration project",
       tags: ["mangrove", "coastal", "restoration", "verified"]
     });
@@ -0,0 +1,54 @@
+const mongoose = require('mongoose');
+require('dotenv').config();
+
+const connectDB = require('../config/database');
+const { createRepositories, resolveDataStore } = require('../repositories');
+const { verifyLedger, publishLedgerRoot } = require('../services/ledgerChain');
+
+// Replays the credit ledger and checks it against the credit records:
+//   npm run ledger:verify            report only
+//   npm run ledger:verify -- --root  also record a root over new entries
+// Exits non-zero when anything fails to check out.
+
+async function run() {
+  const dataStore = resolveDataStore();
+  if (dataStore === 'memory') {
+    console.error('The in-memory store has nothing to verify outside the running server; use GET /ledger/verify');
+    process.exit(2);
+  }
+
+  let valid = false;
+  try {
+    await connectDB();
+    const db = createRepositories(dataStore);
+    const report = await verifyLedger(db);
+    valid = report.valid;
+
+    const { chain, roots, state } = report;
+    console.log(`Entry chain: ${chain.valid ? 'intact' : 'BROKEN'} (${chain.checked} entries checked)`);
+    if (chain.brokenAt) console.log(`  entry ${chain.brokenAt.sequence} (${chain.brokenAt.id}): ${chain.brokenAt.problem}`);
+    if (chain.unchainedEntries > 0) console.log(`  ${chain.unchainedEntries} entries predate the chain and are not covered`);
+
+    console.log(`Roots: ${roots.valid && roots.problems.length === 0 ? 'intact' : 'BROKEN'} (${roots.checked} roots checked)`);
+    if (roots.brokenAt) console.log(`  root ${roots.brokenAt.sequence}: ${roots.brokenAt.problem}`);
+    roots.problems.forEach(({ rootSequence, problem }) => console.log(`  root ${rootSequence}: ${problem}`));
+
+    console.log(`Credit records: ${state.valid ? 'match the ledger' : 'DO NOT match the ledger'} (${state.credits} credits)`);
+    state.problems.forEach(({ creditId, entrySequence, problem }) =>
+      console.log(`  ${creditId || ''}${entrySequence ? ` (entry ${entrySequence})` : ''}: ${problem}`),
+    );
+
+    if (valid && process.argv.includes('--root')) {
+      const root = await publishLedgerRoot(db, { actor: 'ledger:verify' });
+      console.log(root ? `Recorded root ${root.sequence}: ${root.hash}` : 'No new entries since the last root');
+    }
+  } catch (error) {
+    console.error('Error verifying ledger:', error);
+    valid = false;
+  } finally {
+    await mongoose.connection.close();
+    process.exit(valid ? 0 : 1);
+  }
+}
+
+run();
@@ -1,772 +1,3002 @@
+require("dotenv").config()
+
 const express = require("express")
 const multer = require("multer")
 const cors = require("cors")
-const { v4: uuidv4 } = require("uuid")
+const validator = require("validator")
+
+const connectDB = require("./config/database")
+const { createRepositories, resolveDataStore } = require("./repositories")
+const { AUDITED_ENTITIES, withAuditTrail } = require("./repositories/audited")
+const asyncHandler = require("./middleware/asyncHandler")
+const { requestContext, currentRequest } = require("./middleware/requestContext")
+const createAuthMiddleware = require("./middleware/auth")
+const {
+  forbidden,
+  can,
+  authorize,
+  denialReason,
+  canManageProject,
+  canViewProjectData,
+} = require("./middleware/authorize")
+const { PRIVILEGED_CATEGORIES } = require("./config/permissions")
+const {
+  MIN_PASSWORD_LENGTH,
+  hashPassword,
+  verifyPassword,
+  issueTokens,
+  findActiveRefreshToken,
+  revokeRefreshToken,
+  toPublicUser,
+} = require("./services/auth")
+const { ServiceError } = require("./services/errors")
+const { createAuditLog, queryAudit, verifyAuditChain } = require("./services/audit")
+const { parseListQuery, findListPage, pageFromList } = require("./services/pagination")
+const { LIST_QUERIES } = require("./config/listQueries")
+const { search } = require("./services/search")
+const { ensureCertificate, verifyCertificate } = require("./services/certificates")
+const { getPublicBaseUrl } = require("./services/publicUrl")
+const { toPublicKey, rotateSigningKey, getJwks, attestCredit, verifyAttestation } = require("./services/attestations")
+const { publishLedgerRoot, listLedgerRoots, getInclusionProof, verifyLedger } = require("./services/ledgerChain")
+const {
+  toPublicSubscription,
+  createSubscription,
+  updateSubscription,
+  publishEvent,
+  retryDueDeliveries,
+  redeliver,
+} = require("./services/webhooks")
+const {
+  ensureHoldingAccount,
+  getEncumberedQuantity,
+  transferCredit,
+  retireCredit,
+  getAccountBalances,
+  getBatchHoldings,
+  parseQuantity,
+} = require("./services/ledger")
+const { validateSerial } = require("./services/serials")
+const { issueVerifiedCredits, getIssuanceReport } = require("./services/issuance")
+const {
+  bufferRateFor,
+  recordReversal,
+  approveReversal,
+  rejectReversal,
+  getProjectBufferReport,
+  getRegistryBufferReport,
+} = require("./services/bufferPool")
+const { RISK_BUFFER_RATES } = require("./config/bufferPool")
+const { DATA_TYPES } = require("./config/dataTypes")
+const { createStorage, resolveStorageBackend } = require("./storage")
+const { StorageError } = require("./storage/errors")
+const {
+  TEMP_DIR,
+  DELETABLE_STATUSES,
+  ingestFiles,
+  discardTempFiles,
+  removeStoredFiles,
+  isDuplicateUpload,
+  parseRange,
+  signFileUrl,
+  verifyFileSignature,
+} = require("./services/uploads")
+const { validateMetadata, toJsonSchema } = require("./services/metadataSchemas")
+const { hasRecords, extractRecords, queryRecords } = require("./services/records")
+const { prepareLocation, spatialQuery, withDistances, isWithinBoundary } = require("./services/boundaries")
+const { createPeriod, periodForUpload, closePeriod, issuanceVintage } = require("./services/monitoringPeriods")
+const {
+  isRegulatoryTransition,
+  assertProjectAllows,
+  patchProject,
+  transitionProject,
+  reclassifyProject,
+  linkStakeholder,
+  unlinkStakeholder,
+  deleteProject,
+} = require("./services/projectLifecycle")
+const { proposeCredits, describeMethodologies } = require("./services/sequestration")
+const { createSubmission, assignVerifier, reviewSubmission, resubmit } = require("./services/verification")
+const {
+  isExpired,
+  offeredListingsFilter,
+  parseExpiryDate,
+  normalizeTags,
+  buyFromListing,
+  placeBid,
+  matchListing,
+  getOrderBook,
+  cancelOrder,
+} = require("./services/marketplace")
 
 const app = express()
 const PORT = process.env.PORT || 5000
 
+// Persistence backend, chosen once at startup ("memory" or "mongodb")
+const dataStore = resolveDataStore()
+const repositories = createRepositories(dataStore)
+
+// Every change to a tracked record is written to the audit trail, attributed
+// to the request being handled
+const auditLog = createAuditLog(repositories, { context: currentRequest })
+const db = withAuditTrail(repositories, auditLog)
+const { authenticate } = createAuthMiddleware(db)
+
+// File storage backend for uploaded data ("local" or "s3")
+const storageBackend = resolveStorageBackend()
+const storage = createStorage(storageBackend)
+
+// Exposed for scripts and tests that drive the app in-process
+app.locals.db = db
+app.locals.storage = storage
+
 // Middleware
+app.use(requestContext)
 app.use(cors())
 app.use(express.json())
 app.use(express.urlencoded({ extended: true }))
 
 // Configure multer for file uploads
+// Files land in a temporary directory until the ingest pipeline accepts them
 const upload = multer({
-  dest: "uploads/",
-  limits: { fileSize: 50 * 1024 * 1024 }, // 50MB limit
+  dest: TEMP_DIR,
+  limits: { fileSize: Number(process.env.MAX_FILE_SIZE) || 50 * 1024 * 1024 }, // 50MB default
 })
 
-// In-memory data storage
-const projects = []
-const dataUploads = []
-const verificationSubmissions = []
-const carbonCredits = []
-const stakeholders = []
-const marketplaceListings = []
-
 // Supported data types
-const supportedDataTypes = [
-  "field_survey",
-  "drone_imagery",
-  "sensor_data",
-  "satellite_data",
-  "soil_samples",
-  "water_quality",
-  "biodiversity_survey",
-]
+const supportedDataTypes = Object.keys(DATA_TYPES)
+
+// Prices arrive as JSON numbers or form strings; anything that doesn't parse
+// to a positive finite amount is refused rather than stored as NaN
+const parsePrice = (price) => {
+  const parsed = Number.parseFloat(price)
+  return Number.isFinite(parsed) && parsed > 0 ? parsed : null
+}
+
+// Webhooks go out after the response. Failing to record them is logged
+// rather than failing a change that has already been made
+const notify = (event, data) => {
+  publishEvent(db, event, data).catch((error) => console.error(`Failed to publish ${event} webhooks:`, error))
+}
+
+// AUTH ENDPOINTS
+app.post(
+  "/auth/register",
+  asyncHandler(async (req, res) => {
+    const { email, password, name, stakeholderId, stakeholder: stakeholderDetails } = req.body
+
+    if (!email || !validator.isEmail(String(email))) {
+      return res.status(400).json({
+        success: false,
+        error: "A valid email is required",
+      })
+    }
 
-// Helper function to find item by ID
-const findById = (array, id) => array.find((item) => item.id === id)
+    if (!password || String(password).length < MIN_PASSWORD_LENGTH) {
+      return res.status(400).json({
+        success: false,
+        error: `Password must be at least ${MIN_PASSWORD_LENGTH} characters`,
+      })
+    }
 
-// PROJECTS ENDPOINTS
-app.get("/projects", (req, res) => {
-  res.json({
-    success: true,
-    data: projects,
-    total: projects.length,
-  })
-})
+    if (!stakeholderId && !stakeholderDetails) {
+      return res.status(400).json({
+        success: false,
+        error: "Either a stakeholder ID or stakeholder details are required",
+      })
+    }
+
+    const normalizedEmail = validator.normalizeEmail(String(email), { gmail_remove_dots: false })
+    if (await db.users.findOne({ email: normalizedEmail })) {
+      return res.status(409).json({
+        success: false,
+        error: "An account with this email already exists",
+      })
+    }
 
-app.post("/projects", (req, res) => {
-  const { name, category, location, startDate, endDate, stakeholders: projectStakeholders } = req.body
+    let stakeholder
+    if (stakeholderId) {
+      stakeholder = await db.stakeholders.findById(stakeholderId)
+      if (!stakeholder) {
+        return res.status(404).json({
+          success: false,
+          error: "Stakeholder not found",
+        })
+      }
+
+      // Only someone holding the stakeholder's contact address may join it
+      if (String(stakeholder.contact?.email || "").toLowerCase() !== normalizedEmail) {
+        return forbidden(res, "Registration email must match the stakeholder's contact email")
+      }
+    } else {
+      if (!stakeholderDetails.name || !stakeholderDetails.category) {
+        return res.status(400).json({
+          success: false,
+          error: "Stakeholder name and category are required",
+        })
+      }
+
+      if (PRIVILEGED_CATEGORIES.includes(stakeholderDetails.category)) {
+        return forbidden(
+          res,
+          `${stakeholderDetails.category} accounts must be linked to a stakeholder record created by a government stakeholder`,
+        )
+      }
+
+      stakeholder = await db.stakeholders.create({
+        name: stakeholderDetails.name,
+        category: stakeholderDetails.category,
+        contact: { ...stakeholderDetails.contact, email: normalizedEmail },
+        role: stakeholderDetails.role,
+        projects: [],
+        status: "active",
+      })
+    }
 
-  if (!name || !category || !location) {
-    return res.status(400).json({
-      success: false,
-      error: "Name, category, and location are required",
+    const user = await db.users.create({
+      email: normalizedEmail,
+      passwordHash: await hashPassword(String(password)),
+      name,
+      stakeholderId: stakeholder.id,
+      status: "active",
     })
-  }
 
-  const project = {
-    id: `PRJ-${uuidv4().slice(0, 8)}`,
-    name,
-    category,
-    location,
-    startDate,
-    endDate,
-    stakeholders: projectStakeholders || [],
-    status: "active",
-    createdAt: new Date().toISOString(),
-    updatedAt: new Date().toISOString(),
-  }
+    res.status(201).json({
+      success: true,
+      data: {
+        user: toPublicUser(user),
+        stakeholder,
+        tokens: await issueTokens(db, user),
+      },
+    })
+  }),
+)
+
+app.post(
+  "/auth/login",
+  asyncHandler(async (req, res) => {
+    const { email, password } = req.body
+
+    if (!email || !password) {
+      return res.status(400).json({
+        success: false,
+        error: "Email and password are required",
+      })
+    }
 
-  projects.push(project)
-  res.status(201).json({
-    success: true,
-    data: project,
-  })
-})
+    const normalizedEmail = validator.normalizeEmail(String(email), { gmail_remove_dots: false })
+    const user = normalizedEmail ? await db.users.findOne({ email: normalizedEmail }) : null
 
-app.get("/projects/:id", (req, res) => {
-  const project = findById(projects, req.params.id)
+    if (!user || !(await verifyPassword(String(password), user.passwordHash))) {
+      return res.status(401).json({
+        success: false,
+        error: "Invalid email or password",
+      })
+    }
 
-  if (!project) {
-    return res.status(404).json({
-      success: false,
-      error: "Project not found",
+    if (user.status !== "active") {
+      return res.status(403).json({
+        success: false,
+        error: "User account is disabled",
+      })
+    }
+
+    const loggedInUser = await db.users.update(user.id, { lastLoginAt: new Date().toISOString() })
+
+    res.json({
+      success: true,
+      data: {
+        user: toPublicUser(loggedInUser),
+        tokens: await issueTokens(db, loggedInUser),
+      },
     })
-  }
+  }),
+)
+
+app.post(
+  "/auth/refresh",
+  asyncHandler(async (req, res) => {
+    const { refreshToken } = req.body
+
+    if (!refreshToken) {
+      return res.status(400).json({
+        success: false,
+        error: "Refresh token is required",
+      })
+    }
 
-  res.json({
-    success: true,
-    data: project,
-  })
-})
+    const record = await findActiveRefreshToken(db, String(refreshToken))
+    const user = record ? await db.users.findById(record.userId) : null
 
-app.put("/projects/:id", (req, res) => {
-  const projectIndex = projects.findIndex((p) => p.id === req.params.id)
+    // Refresh tokens are single use: each refresh rotates to a new one, and
+    // a token another request has just rotated is refused
+    if (!user || user.status !== "active" || !(await revokeRefreshToken(db, record))) {
+      return res.status(401).json({
+        success: false,
+        error: "Invalid or expired refresh token",
+      })
+    }
 
-  if (projectIndex === -1) {
-    return res.status(404).json({
-      success: false,
-      error: "Project not found",
+    res.json({
+      success: true,
+      data: {
+        tokens: await issueTokens(db, user),
+      },
     })
-  }
+  }),
+)
+
+app.post(
+  "/auth/logout",
+  asyncHandler(async (req, res) => {
+    const { refreshToken } = req.body
+
+    if (!refreshToken) {
+      return res.status(400).json({
+        success: false,
+        error: "Refresh token is required",
+      })
+    }
 
-  projects[projectIndex] = {
-    ...projects[projectIndex],
-    ...req.body,
-    updatedAt: new Date().toISOString(),
-  }
+    const record = await findActiveRefreshToken(db, String(refreshToken))
+    if (record) {
+      await revokeRefreshToken(db, record)
+    }
 
-  res.json({
-    success: true,
-    data: projects[projectIndex],
-  })
-})
+    res.json({
+      success: true,
+      message: "Logged out successfully",
+    })
+  }),
+)
+
+app.get(
+  "/auth/me",
+  authenticate,
+  asyncHandler(async (req, res) => {
+    const [user, stakeholder] = await Promise.all([
+      db.users.findById(req.user.id),
+      db.stakeholders.findById(req.user.stakeholderId),
+    ])
+
+    res.json({
+      success: true,
+      data: {
+        user: toPublicUser(user),
+        stakeholder,
+      },
+    })
+  }),
+)
 
-app.delete("/projects/:id", (req, res) => {
-  const projectIndex = projects.findIndex((p) => p.id === req.params.id)
+// PROJECTS ENDPOINTS
+app.get(
+  "/projects",
+  asyncHandler(async (req, res) => {
+    const { filter: spatialFilter, origin } = spatialQuery(req.query)
+    const listQuery = parseListQuery(LIST_QUERIES.projects, req.query, { defaultSort: origin && "distanceKm" })
+
+    let result
+    if (listQuery.sort.field === "distanceKm") {
+      if (!origin) {
+        return res.status(400).json({
+          success: false,
+          error: "Sorting by distanceKm needs near=<latitude>,<longitude>",
+        })
+      }
+
+      // Distances aren't stored, so a near search ranks every match in its radius
+      const found = await db.projects.find({ $and: [listQuery.filter, spatialFilter] })
+      result = pageFromList(withDistances(found, origin), listQuery)
+    } else {
+      const { items, page } = await findListPage(db.projects, listQuery, { filter: spatialFilter })
+      result = { items: origin ? withDistances(items, origin) : items, page }
+    }
 
-  if (projectIndex === -1) {
-    return res.status(404).json({
-      success: false,
-      error: "Project not found",
+    res.json({
+      success: true,
+      data: result.items,
+      total: result.page.total,
+      page: result.page,
     })
-  }
+  }),
+)
+
+app.post(
+  "/projects",
+  authenticate,
+  authorize("projects:create"),
+  asyncHandler(async (req, res) => {
+    const { name, category, location, startDate, endDate, status } = req.body
+
+    if (!name || !category || !location) {
+      return res.status(400).json({
+        success: false,
+        error: "Name, category, and location are required",
+      })
+    }
 
-  projects.splice(projectIndex, 1)
-  res.json({
-    success: true,
-    message: "Project deleted successfully",
-  })
-})
+    // Only the creator is linked here; anyone else is linked by government
+    if (req.body.stakeholders !== undefined) {
+      return res.status(400).json({
+        success: false,
+        error: "Stakeholders are linked by government through POST /projects/:id/stakeholders",
+      })
+    }
 
-// DATA UPLOAD ENDPOINTS
-app.post("/data/upload", upload.array("files"), (req, res) => {
-  const { projectId, dataType, metadata } = req.body
+    // Later moves go through POST /projects/:id/status
+    if (status !== undefined && !["planning", "active"].includes(status)) {
+      return res.status(400).json({
+        success: false,
+        error: "New projects start as planning or active",
+      })
+    }
 
-  if (!projectId || !dataType) {
-    return res.status(400).json({
-      success: false,
-      error: "Project ID and data type are required",
+    const project = await db.projects.create({
+      name,
+      category,
+      location: await prepareLocation(db, location),
+      startDate,
+      endDate,
+      stakeholders: [req.user.stakeholderId],
+      status: status || "active",
+      statusHistory: [{ from: null, to: status || "active", actor: req.user.email, at: new Date().toISOString() }],
     })
-  }
 
-  const project = findById(projects, projectId)
-  if (!project) {
-    return res.status(404).json({
-      success: false,
-      error: "Project not found",
-    })
-  }
+    const creator = await db.stakeholders.findById(req.user.stakeholderId)
+    await db.stakeholders.update(creator.id, { projects: [...(creator.projects || []), project.id] })
 
-  const upload = {
-    id: `UPL-${uuidv4().slice(0, 8)}`,
-    projectId,
-    dataType,
-    files: req.files
-      ? req.files.map((file) => ({
-          name: file.originalname,
-          type: file.mimetype,
-          size: file.size,
-          path: file.path,
-        }))
-      : [],
-    metadata: metadata ? JSON.parse(metadata) : {},
-    status: "uploaded",
-    createdAt: new Date().toISOString(),
-  }
+    res.status(201).json({
+      success: true,
+      data: project,
+    })
+  }),
+)
+
+app.get(
+  "/projects/:id",
+  asyncHandler(async (req, res) => {
+    const project = await db.projects.findById(req.params.id)
+
+    if (!project) {
+      return res.status(404).json({
+        success: false,
+        error: "Project not found",
+      })
+    }
 
-  dataUploads.push(upload)
-  res.status(201).json({
-    success: true,
-    data: upload,
-  })
-})
+    res.json({
+      success: true,
+      data: project,
+    })
+  }),
+)
+
+app.get(
+  "/projects/:id/issuance",
+  asyncHandler(async (req, res) => {
+    const project = await db.projects.findById(req.params.id)
+
+    if (!project) {
+      return res.status(404).json({
+        success: false,
+        error: "Project not found",
+      })
+    }
 
-app.get("/data/uploads", (req, res) => {
-  const { projectId } = req.query
-  let filteredUploads = dataUploads
+    res.json({
+      success: true,
+      data: await getIssuanceReport(db, project),
+    })
+  }),
+)
+
+// Partial update: only the fields sent change, nested objects are merged and
+// null removes a value. PUT is kept as an alias for older clients.
+const updateProject = [
+  authenticate,
+  authorize("projects:update"),
+  asyncHandler(async (req, res) => {
+    const existingProject = await db.projects.findById(req.params.id)
+
+    if (!existingProject) {
+      return res.status(404).json({
+        success: false,
+        error: "Project not found",
+      })
+    }
 
-  if (projectId) {
-    filteredUploads = dataUploads.filter((upload) => upload.projectId === projectId)
-  }
+    if (!canManageProject(req.user, existingProject)) {
+      return forbidden(res, "Only stakeholders linked to this project can update it")
+    }
 
-  res.json({
-    success: true,
-    data: filteredUploads,
-    total: filteredUploads.length,
-  })
-})
+    // Risk sets the buffer withheld from the project's own credits
+    if (["riskRating", "riskRationale", "riskAssessedBy", "riskAssessedAt"].some((field) => field in req.body)) {
+      return forbidden(res, "Risk ratings are set by verifiers or government through PUT /projects/:id/risk")
+    }
 
-app.get("/data/uploads/:id", (req, res) => {
-  const upload = findById(dataUploads, req.params.id)
+    const project = await patchProject(db, existingProject, req.body)
 
-  if (!upload) {
-    return res.status(404).json({
-      success: false,
-      error: "Upload not found",
+    res.json({
+      success: true,
+      data: project,
     })
-  }
+  }),
+]
 
-  res.json({
-    success: true,
-    data: upload,
-  })
-})
+app.patch("/projects/:id", ...updateProject)
+app.put("/projects/:id", ...updateProject)
+
+app.post(
+  "/projects/:id/status",
+  authenticate,
+  authorize("projects:update"),
+  asyncHandler(async (req, res) => {
+    const { status, reason } = req.body
+    const existingProject = await db.projects.findById(req.params.id)
+
+    if (!existingProject) {
+      return res.status(404).json({
+        success: false,
+        error: "Project not found",
+      })
+    }
 
-app.delete("/data/uploads/:id", (req, res) => {
-  const uploadIndex = dataUploads.findIndex((u) => u.id === req.params.id)
+    if (!status) {
+      return res.status(400).json({
+        success: false,
+        error: "Status is required",
+      })
+    }
 
-  if (uploadIndex === -1) {
-    return res.status(404).json({
-      success: false,
-      error: "Upload not found",
+    // Suspension is a regulatory action; the project's own developers can't undo it
+    if (isRegulatoryTransition(existingProject.status || "active", status)) {
+      if (!can(req.user, "projects:suspend")) {
+        return forbidden(res, denialReason("projects:suspend"))
+      }
+    } else if (!canManageProject(req.user, existingProject)) {
+      return forbidden(res, "Only stakeholders linked to this project can change its status")
+    }
+
+    const project = await transitionProject(db, existingProject, { to: status, user: req.user, reason })
+
+    res.json({
+      success: true,
+      data: project,
     })
-  }
+  }),
+)
+
+app.put(
+  "/projects/:id/risk",
+  authenticate,
+  authorize("projects:rate-risk"),
+  asyncHandler(async (req, res) => {
+    const { riskRating, rationale } = req.body
+
+    if (!Object.keys(RISK_BUFFER_RATES).includes(riskRating)) {
+      return res.status(400).json({
+        success: false,
+        error: `Risk rating must be one of: ${Object.keys(RISK_BUFFER_RATES).join(", ")}`,
+      })
+    }
 
-  dataUploads.splice(uploadIndex, 1)
-  res.json({
-    success: true,
-    message: "Upload deleted successfully",
-  })
-})
+    const existingProject = await db.projects.findById(req.params.id)
 
-app.post("/data/uploads/:id/verify", (req, res) => {
-  const upload = findById(dataUploads, req.params.id)
+    if (!existingProject) {
+      return res.status(404).json({
+        success: false,
+        error: "Project not found",
+      })
+    }
 
-  if (!upload) {
-    return res.status(404).json({
-      success: false,
-      error: "Upload not found",
+    const project = await db.projects.update(existingProject.id, {
+      riskRating,
+      riskRationale: rationale,
+      riskAssessedBy: req.user.email,
+      riskAssessedAt: new Date().toISOString(),
     })
-  }
 
-  const submission = {
-    id: `SUB-${uuidv4().slice(0, 8)}`,
-    uploadId: upload.id,
-    projectId: upload.projectId,
-    status: "pending",
-    submittedAt: new Date().toISOString(),
-    dataType: upload.dataType,
-    metadata: upload.metadata,
-  }
+    res.json({
+      success: true,
+      data: {
+        ...project,
+        buffer: bufferRateFor(project),
+      },
+    })
+  }),
+)
+
+// The category sets the project's buffer share, so only government moves it
+app.put(
+  "/projects/:id/category",
+  authenticate,
+  authorize("projects:reclassify"),
+  asyncHandler(async (req, res) => {
+    const existingProject = await db.projects.findById(req.params.id)
+
+    if (!existingProject) {
+      return res.status(404).json({
+        success: false,
+        error: "Project not found",
+      })
+    }
 
-  verificationSubmissions.push(submission)
+    const project = await reclassifyProject(db, existingProject, {
+      category: req.body.category,
+      reason: req.body.reason,
+      user: req.user,
+    })
 
-  // Update upload status
-  upload.status = "submitted_for_verification"
+    res.json({
+      success: true,
+      data: project,
+    })
+  }),
+)
+
+// Linked stakeholders act for the project, so links are a regulatory matter
+app.post(
+  "/projects/:id/stakeholders",
+  authenticate,
+  authorize("projects:link-stakeholders"),
+  asyncHandler(async (req, res) => {
+    const existingProject = await db.projects.findById(req.params.id)
+
+    if (!existingProject) {
+      return res.status(404).json({
+        success: false,
+        error: "Project not found",
+      })
+    }
 
-  res.json({
-    success: true,
-    data: submission,
-  })
-})
+    if (!req.body.stakeholderId) {
+      return res.status(400).json({
+        success: false,
+        error: "Stakeholder ID is required",
+      })
+    }
 
-app.get("/data/types", (req, res) => {
-  res.json({
-    success: true,
-    data: supportedDataTypes,
-  })
-})
+    res.status(201).json({
+      success: true,
+      data: await linkStakeholder(db, existingProject, req.body.stakeholderId),
+    })
+  }),
+)
+
+app.delete(
+  "/projects/:id/stakeholders/:stakeholderId",
+  authenticate,
+  authorize("projects:link-stakeholders"),
+  asyncHandler(async (req, res) => {
+    const existingProject = await db.projects.findById(req.params.id)
+
+    if (!existingProject) {
+      return res.status(404).json({
+        success: false,
+        error: "Project not found",
+      })
+    }
 
-app.post("/data/validate", (req, res) => {
-  const { dataType, metadata } = req.body
+    res.json({
+      success: true,
+      data: await unlinkStakeholder(db, existingProject, req.params.stakeholderId),
+    })
+  }),
+)
+
+app.get(
+  "/projects/:id/buffer",
+  asyncHandler(async (req, res) => {
+    const project = await db.projects.findById(req.params.id)
+
+    if (!project) {
+      return res.status(404).json({
+        success: false,
+        error: "Project not found",
+      })
+    }
 
-  if (!dataType) {
-    return res.status(400).json({
-      success: false,
-      error: "Data type is required",
+    res.json({
+      success: true,
+      data: await getProjectBufferReport(db, project),
     })
-  }
+  }),
+)
+
+app.get(
+  "/projects/:id/reversals",
+  asyncHandler(async (req, res) => {
+    const reversals = await db.reversals.find({ projectId: req.params.id })
+
+    res.json({
+      success: true,
+      data: reversals,
+      total: reversals.length,
+    })
+  }),
+)
+
+app.post(
+  "/projects/:id/reversals",
+  authenticate,
+  authorize("reversals:record"),
+  asyncHandler(async (req, res) => {
+    const { quantity, eventType, description, occurredAt } = req.body
+    const project = await db.projects.findById(req.params.id)
+
+    if (!project) {
+      return res.status(404).json({
+        success: false,
+        error: "Project not found",
+      })
+    }
 
-  const isValidType = supportedDataTypes.includes(dataType)
-  const validationErrors = []
+    // Developers report losses on their own projects; verifiers and government on any
+    if (req.user.category === "project_developer" && !canManageProject(req.user, project)) {
+      return forbidden(res, "Only developers linked to this project can report reversals on it")
+    }
 
-  if (!isValidType) {
-    validationErrors.push("Invalid data type")
-  }
+    const reversal = await recordReversal(db, {
+      project,
+      quantity,
+      eventType,
+      description,
+      occurredAt,
+      user: req.user,
+    })
 
-  if (metadata) {
-    if (!metadata.collectionDate) {
-      validationErrors.push("Collection date is required")
-    }
-    if (!metadata.location) {
-      validationErrors.push("Location is required")
+    res.status(201).json({
+      success: true,
+      data: reversal,
+    })
+  }),
+)
+
+// Reported reversals only draw on the buffer pool once the registry approves them
+app.post(
+  "/projects/:id/reversals/:reversalId/approve",
+  authenticate,
+  authorize("reversals:review"),
+  asyncHandler(async (req, res) => {
+    const project = await db.projects.findById(req.params.id)
+
+    if (!project) {
+      return res.status(404).json({
+        success: false,
+        error: "Project not found",
+      })
     }
-  }
 
-  res.json({
-    success: validationErrors.length === 0,
-    valid: validationErrors.length === 0,
-    errors: validationErrors,
-  })
-})
+    const reversal = await approveReversal(db, {
+      project,
+      reversalId: req.params.reversalId,
+      user: req.user,
+      comments: req.body.comments,
+    })
 
-// VERIFICATION ENDPOINTS
-app.get("/verification/submissions", (req, res) => {
-  const { status } = req.query
-  let filteredSubmissions = verificationSubmissions
+    res.json({
+      success: true,
+      data: reversal,
+    })
+  }),
+)
+
+app.post(
+  "/projects/:id/reversals/:reversalId/reject",
+  authenticate,
+  authorize("reversals:review"),
+  asyncHandler(async (req, res) => {
+    const { reason } = req.body
+
+    if (!reason) {
+      return res.status(400).json({
+        success: false,
+        error: "Reason is required",
+      })
+    }
 
-  if (status) {
-    filteredSubmissions = verificationSubmissions.filter((sub) => sub.status === status)
-  }
+    const project = await db.projects.findById(req.params.id)
 
-  res.json({
-    success: true,
-    data: filteredSubmissions,
-    total: filteredSubmissions.length,
-  })
-})
+    if (!project) {
+      return res.status(404).json({
+        success: false,
+        error: "Project not found",
+      })
+    }
 
-app.get("/verification/submissions/:id", (req, res) => {
-  const submission = findById(verificationSubmissions, req.params.id)
+    const reversal = await rejectReversal(db, {
+      project,
+      reversalId: req.params.reversalId,
+      user: req.user,
+      reason,
+    })
 
-  if (!submission) {
-    return res.status(404).json({
-      success: false,
-      error: "Submission not found",
+    res.json({
+      success: true,
+      data: reversal,
     })
-  }
+  }),
+)
+
+app.get(
+  "/projects/:id/monitoring-periods",
+  asyncHandler(async (req, res) => {
+    const periods = await db.monitoringPeriods.find({ projectId: req.params.id })
+    periods.sort((a, b) => a.number - b.number)
+
+    res.json({
+      success: true,
+      data: periods,
+      total: periods.length,
+    })
+  }),
+)
+
+app.post(
+  "/projects/:id/monitoring-periods",
+  authenticate,
+  authorize("projects:update"),
+  asyncHandler(async (req, res) => {
+    const project = await db.projects.findById(req.params.id)
+
+    if (!project) {
+      return res.status(404).json({
+        success: false,
+        error: "Project not found",
+      })
+    }
 
-  res.json({
-    success: true,
-    data: submission,
-  })
-})
+    if (!canManageProject(req.user, project)) {
+      return forbidden(res, "Only stakeholders linked to this project can add monitoring periods to it")
+    }
 
-app.post("/verification/submissions/:id/approve", (req, res) => {
-  const submissionIndex = verificationSubmissions.findIndex((s) => s.id === req.params.id)
+    assertProjectAllows(project, "plan")
 
-  if (submissionIndex === -1) {
-    return res.status(404).json({
-      success: false,
-      error: "Submission not found",
+    const period = await createPeriod(db, project, {
+      startDate: req.body.startDate,
+      endDate: req.body.endDate,
+      user: req.user,
     })
-  }
-
-  const { creditsGenerated, comments, qualityScore } = req.body
 
-  verificationSubmissions[submissionIndex] = {
-    ...verificationSubmissions[submissionIndex],
-    status: "approved",
-    creditsGenerated: creditsGenerated || 0,
-    comments,
-    qualityScore,
-    approvedAt: new Date().toISOString(),
-  }
+    res.status(201).json({
+      success: true,
+      data: period,
+    })
+  }),
+)
+
+// A period with the uploads, verification and credits that belong to it
+app.get(
+  "/projects/:id/monitoring-periods/:periodId",
+  asyncHandler(async (req, res) => {
+    const period = await db.monitoringPeriods.findOne({ id: req.params.periodId, projectId: req.params.id })
+
+    if (!period) {
+      return res.status(404).json({
+        success: false,
+        error: "Monitoring period not found",
+      })
+    }
 
-  res.json({
-    success: true,
-    data: verificationSubmissions[submissionIndex],
-  })
-})
+    const [uploads, submissions, credits] = await Promise.all([
+      db.dataUploads.find({ monitoringPeriodId: period.id }),
+      db.verificationSubmissions.find({ monitoringPeriodId: period.id }),
+      db.carbonCredits.find({ monitoringPeriodId: period.id }),
+    ])
+
+    const verification = submissions.find((submission) => submission.id === period.verificationId)
+
+    res.json({
+      success: true,
+      data: {
+        ...period,
+        uploads,
+        submissions,
+        credits,
+        creditsApproved: verification ? verification.creditsGenerated : 0,
+        creditsIssued: verification ? verification.creditsIssued || 0 : 0,
+      },
+    })
+  }),
+)
+
+// Ends issuance for a verified period before its allowance is used up
+app.post(
+  "/projects/:id/monitoring-periods/:periodId/close",
+  authenticate,
+  authorize("projects:update"),
+  asyncHandler(async (req, res) => {
+    const [project, period] = await Promise.all([
+      db.projects.findById(req.params.id),
+      db.monitoringPeriods.findOne({ id: req.params.periodId, projectId: req.params.id }),
+    ])
+
+    if (!project || !period) {
+      return res.status(404).json({
+        success: false,
+        error: "Monitoring period not found",
+      })
+    }
 
-app.post("/verification/submissions/:id/reject", (req, res) => {
-  const submissionIndex = verificationSubmissions.findIndex((s) => s.id === req.params.id)
+    if (!canManageProject(req.user, project)) {
+      return forbidden(res, "Only stakeholders linked to this project can close its monitoring periods")
+    }
 
-  if (submissionIndex === -1) {
-    return res.status(404).json({
-      success: false,
-      error: "Submission not found",
+    res.json({
+      success: true,
+      data: await closePeriod(db, period, { user: req.user, reason: req.body.reason }),
     })
-  }
+  }),
+)
+
+app.delete(
+  "/projects/:id",
+  authenticate,
+  authorize("projects:delete"),
+  asyncHandler(async (req, res) => {
+    const project = await db.projects.findById(req.params.id)
+
+    if (!project) {
+      return res.status(404).json({
+        success: false,
+        error: "Project not found",
+      })
+    }
 
-  const { reason, comments, requiredActions } = req.body
+    if (!canManageProject(req.user, project)) {
+      return forbidden(res, "Only stakeholders linked to this project can delete it")
+    }
 
-  verificationSubmissions[submissionIndex] = {
-    ...verificationSubmissions[submissionIndex],
-    status: "rejected",
-    reason,
-    comments,
-    requiredActions: requiredActions || [],
-    rejectedAt: new Date().toISOString(),
-  }
+    await deleteProject(db, storage, project)
 
-  res.json({
-    success: true,
-    data: verificationSubmissions[submissionIndex],
-  })
-})
+    res.json({
+      success: true,
+      message: "Project deleted successfully",
+    })
+  }),
+)
 
-app.post("/verification/submissions/:id/request-more", (req, res) => {
-  const submissionIndex = verificationSubmissions.findIndex((s) => s.id === req.params.id)
+// DATA UPLOAD ENDPOINTS
+app.post(
+  "/data/upload",
+  authenticate,
+  authorize("data:upload"),
+  upload.array("files"),
+  asyncHandler(async (req, res) => {
+    const { projectId, dataType, metadata, monitoringPeriodId } = req.body
+
+    // Rejected requests must not leave multer's temporary files behind
+    const reject = async (status, error, details = {}) => {
+      await discardTempFiles(req.files)
+      return res.status(status).json({
+        success: false,
+        error,
+        ...details,
+      })
+    }
 
-  if (submissionIndex === -1) {
-    return res.status(404).json({
-      success: false,
-      error: "Submission not found",
-    })
-  }
+    if (!projectId || !dataType) {
+      return reject(400, "Project ID and data type are required")
+    }
 
-  const { requestedData, comments } = req.body
+    if (!supportedDataTypes.includes(dataType)) {
+      return reject(400, `Unsupported data type "${dataType}"`)
+    }
 
-  verificationSubmissions[submissionIndex] = {
-    ...verificationSubmissions[submissionIndex],
-    status: "more_data_requested",
-    requestedData: requestedData || [],
-    comments,
-    requestedAt: new Date().toISOString(),
-  }
+    let parsedMetadata = {}
+    if (metadata) {
+      try {
+        parsedMetadata = typeof metadata === "string" ? JSON.parse(metadata) : metadata
+      } catch (error) {
+        return reject(400, `Metadata is not valid JSON: ${error.message}`)
+      }
+      if (!parsedMetadata || typeof parsedMetadata !== "object" || Array.isArray(parsedMetadata)) {
+        return reject(400, "Metadata must be a JSON object")
+      }
+    }
 
-  res.json({
-    success: true,
-    data: verificationSubmissions[submissionIndex],
-  })
-})
+    const validation = validateMetadata(dataType, parsedMetadata)
+    if (!validation.valid) {
+      return reject(400, `Metadata does not match the ${dataType} schema`, { errors: validation.errors })
+    }
 
-app.get("/verification/history", (req, res) => {
-  const { projectId } = req.query
-  let history = verificationSubmissions.filter((sub) => sub.status !== "pending")
+    const project = await db.projects.findById(projectId)
+    if (!project) {
+      return reject(404, "Project not found")
+    }
 
-  if (projectId) {
-    history = history.filter((sub) => sub.projectId === projectId)
-  }
+    if (!canManageProject(req.user, project)) {
+      await discardTempFiles(req.files)
+      return forbidden(res, "Only developers linked to this project can upload data for it")
+    }
 
-  res.json({
-    success: true,
-    data: history,
-    total: history.length,
-  })
-})
+    if (!isWithinBoundary(project, validation.metadata.location)) {
+      const { latitude, longitude } = validation.metadata.location
+      return reject(400, `Collection location (${latitude}, ${longitude}) is outside the project boundary`)
+    }
 
-// CARBON CREDITS ENDPOINTS
-app.get("/credits", (req, res) => {
-  const { projectId } = req.query
-  let filteredCredits = carbonCredits
+    let period
+    try {
+      assertProjectAllows(project, "upload")
+      period = await periodForUpload(db, project, {
+        monitoringPeriodId,
+        collectionDate: validation.metadata.collectionDate,
+      })
+    } catch (error) {
+      await discardTempFiles(req.files)
+      throw error
+    }
 
-  if (projectId) {
-    filteredCredits = carbonCredits.filter((credit) => credit.projectId === projectId)
-  }
+    const files = await ingestFiles(db, storage, { projectId: project.id, dataType, files: req.files })
+
+    let dataUpload
+    try {
+      const { records, errors, errorCount } = await extractRecords(storage, { dataType, files })
+      if (errorCount > 0) {
+        await removeStoredFiles(storage, { files })
+        return res.status(400).json({
+          success: false,
+          error: `Found ${errorCount} problem${errorCount === 1 ? "" : "s"} in the uploaded ${dataType} files`,
+          errors,
+        })
+      }
+
+      dataUpload = await db.dataUploads.create({
+        projectId: project.id,
+        dataType,
+        files,
+        metadata: validation.metadata,
+        monitoringPeriodId: period ? period.id : undefined,
+        recordCount: hasRecords(dataType) ? records.length : undefined,
+        status: "uploaded",
+        uploadedBy: req.user.email,
+      })
+      await db.measurements.createMany(
+        records.map((record) => ({ ...record, uploadId: dataUpload.id, projectId: project.id, dataType })),
+      )
+    } catch (error) {
+      if (dataUpload) {
+        await db.measurements.removeWhere({ uploadId: dataUpload.id })
+        await db.dataUploads.remove(dataUpload.id)
+      }
+      await removeStoredFiles(storage, { files })
+      if (isDuplicateUpload(error)) {
+        throw new ServiceError("These files have already been uploaded to this project", 409)
+      }
+      throw error
+    }
 
-  res.json({
-    success: true,
-    data: filteredCredits,
-    total: filteredCredits.length,
-  })
-})
+    res.status(201).json({
+      success: true,
+      data: dataUpload,
+    })
+  }),
+)
+
+app.get(
+  "/data/uploads",
+  asyncHandler(async (req, res) => {
+    const { items, page } = await findListPage(db.dataUploads, parseListQuery(LIST_QUERIES.dataUploads, req.query))
+
+    res.json({
+      success: true,
+      data: items,
+      total: page.total,
+      page,
+    })
+  }),
+)
+
+app.get(
+  "/data/uploads/:id",
+  asyncHandler(async (req, res) => {
+    const dataUpload = await db.dataUploads.findById(req.params.id)
+
+    if (!dataUpload) {
+      return res.status(404).json({
+        success: false,
+        error: "Upload not found",
+      })
+    }
 
-app.post("/credits/generate", (req, res) => {
-  const { projectId, verificationId, creditsAmount, methodology, vintage, description } = req.body
+    res.json({
+      success: true,
+      data: dataUpload,
+    })
+  }),
+)
+
+app.get(
+  "/data/uploads/:id/records",
+  authenticate,
+  asyncHandler(async (req, res) => {
+    const dataUpload = await db.dataUploads.findById(req.params.id)
+
+    if (!dataUpload) {
+      return res.status(404).json({
+        success: false,
+        error: "Upload not found",
+      })
+    }
 
-  if (!projectId || !verificationId || !creditsAmount) {
-    return res.status(400).json({
-      success: false,
-      error: "Project ID, verification ID, and credits amount are required",
+    const project = await db.projects.findById(dataUpload.projectId)
+    if (project && !canViewProjectData(req.user, project)) {
+      return forbidden(res, "Only stakeholders linked to this project or verifiers can read its data")
+    }
+
+    const { records, total, page, limit } = await queryRecords(db, dataUpload, req.query)
+
+    res.json({
+      success: true,
+      data: records,
+      total,
+      page,
+      limit,
     })
-  }
+  }),
+)
 
-  const project = findById(projects, projectId)
-  if (!project) {
-    return res.status(404).json({
+// Downloads accept either a bearer token or a signed URL's query parameters
+const authenticateDownload = (req, res, next) =>
+  req.query.signature !== undefined ? next() : authenticate(req, res, next)
+
+const findUploadedFile = async (req, res) => {
+  const dataUpload = await db.dataUploads.findById(req.params.id)
+
+  if (!dataUpload) {
+    res.status(404).json({
       success: false,
-      error: "Project not found",
+      error: "Upload not found",
     })
+    return null
   }
 
-  const verification = findById(verificationSubmissions, verificationId)
-  if (!verification || verification.status !== "approved") {
-    return res.status(400).json({
+  const fileIndex = Number(req.params.fileIndex)
+  const file = Number.isInteger(fileIndex) ? (dataUpload.files || [])[fileIndex] : undefined
+  if (!file) {
+    res.status(404).json({
       success: false,
-      error: "Valid approved verification required",
+      error: "File not found",
     })
+    return null
   }
 
-  const credit = {
-    id: `CRD-${uuidv4().slice(0, 8)}`,
-    projectId,
-    verificationId,
-    creditsAmount,
-    methodology: methodology || "VM0033",
-    vintage: vintage || new Date().getFullYear().toString(),
-    description,
-    status: "active",
-    createdAt: new Date().toISOString(),
-    serialNumber: `${projectId}-${vintage}-${Date.now()}`,
-  }
+  return { dataUpload, fileIndex, file }
+}
+
+app.get(
+  "/data/uploads/:id/files/:fileIndex",
+  authenticateDownload,
+  asyncHandler(async (req, res, next) => {
+    const found = await findUploadedFile(req, res)
+    if (!found) return
+    const { dataUpload, fileIndex, file } = found
+
+    if (req.user) {
+      const project = await db.projects.findById(dataUpload.projectId)
+      if (project && !canViewProjectData(req.user, project)) {
+        return forbidden(res, "Only stakeholders linked to this project or verifiers can download its data")
+      }
+    } else if (!verifyFileSignature({ uploadId: dataUpload.id, fileIndex, ...req.query })) {
+      return res.status(403).json({
+        success: false,
+        error: "Download link is invalid or has expired",
+      })
+    }
 
-  carbonCredits.push(credit)
-  res.status(201).json({
-    success: true,
-    data: credit,
-  })
-})
+    const stored = file.storageKey ? await storage.stat(file.storageKey) : null
+    if (!stored) {
+      return res.status(404).json({
+        success: false,
+        error: "File is no longer available in storage",
+      })
+    }
 
-app.get("/credits/portfolio", (req, res) => {
-  const portfolio = {
-    totalCredits: carbonCredits.reduce((sum, credit) => sum + credit.creditsAmount, 0),
-    activeCredits: carbonCredits.filter((c) => c.status === "active").length,
-    creditsByProject: projects.map((project) => ({
-      projectId: project.id,
-      projectName: project.name,
-      credits: carbonCredits.filter((c) => c.projectId === project.id),
-    })),
-  }
+    const range = parseRange(req.headers.range, stored.size)
+    if (range && range.unsatisfiable) {
+      res.set("Content-Range", `bytes */${stored.size}`)
+      return res.status(416).json({
+        success: false,
+        error: "Requested range is outside the file",
+      })
+    }
 
-  res.json({
-    success: true,
-    data: portfolio,
-  })
-})
+    res.attachment(file.name)
+    res.set({
+      "Content-Type": file.type || "application/octet-stream",
+      "Accept-Ranges": "bytes",
+      "Content-Length": range ? range.end - range.start + 1 : stored.size,
+    })
+    if (file.checksum) {
+      res.set("ETag", `"${file.checksum}"`)
+    }
+    if (range) {
+      res.status(206).set("Content-Range", `bytes ${range.start}-${range.end}/${stored.size}`)
+    }
 
-app.get("/credits/:id/certificate", (req, res) => {
-  const credit = findById(carbonCredits, req.params.id)
+    if (req.method === "HEAD") {
+      return res.end()
+    }
 
-  if (!credit) {
-    return res.status(404).json({
-      success: false,
-      error: "Credit not found",
+    const stream = await storage.createReadStream(file.storageKey, range)
+    stream.on("error", (error) => (res.headersSent ? res.destroy(error) : next(error)))
+    stream.pipe(res)
+  }),
+)
+
+app.post(
+  "/data/uploads/:id/files/:fileIndex/signed-url",
+  authenticate,
+  asyncHandler(async (req, res) => {
+    const found = await findUploadedFile(req, res)
+    if (!found) return
+    const { dataUpload, fileIndex } = found
+
+    const project = await db.projects.findById(dataUpload.projectId)
+    if (project && !canViewProjectData(req.user, project)) {
+      return forbidden(res, "Only stakeholders linked to this project or verifiers can share its data")
+    }
+
+    res.status(201).json({
+      success: true,
+      data: signFileUrl({
+        baseUrl: `${req.protocol}://${req.get("host")}`,
+        uploadId: dataUpload.id,
+        fileIndex,
+        expiresIn: req.body.expiresIn,
+      }),
     })
-  }
+  }),
+)
+
+app.delete(
+  "/data/uploads/:id",
+  authenticate,
+  authorize("data:delete"),
+  asyncHandler(async (req, res) => {
+    const dataUpload = await db.dataUploads.findById(req.params.id)
+
+    if (!dataUpload) {
+      return res.status(404).json({
+        success: false,
+        error: "Upload not found",
+      })
+    }
 
-  const project = findById(projects, credit.projectId)
-
-  const certificate = {
-    creditId: credit.id,
-    serialNumber: credit.serialNumber,
-    projectName: project?.name || "Unknown Project",
-    creditsAmount: credit.creditsAmount,
-    methodology: credit.methodology,
-    vintage: credit.vintage,
-    issuedDate: credit.createdAt,
-    certificateUrl: `${req.protocol}://${req.get("host")}/certificates/${credit.id}.pdf`,
-  }
+    const project = await db.projects.findById(dataUpload.projectId)
+    if (project && !canManageProject(req.user, project)) {
+      return forbidden(res, "Only developers linked to this project can delete its data")
+    }
 
-  res.json({
-    success: true,
-    data: certificate,
-  })
-})
+    // Conditional on the status, so an upload submitted meanwhile stays put
+    const removed = await db.dataUploads.removeWhere({ id: dataUpload.id, status: { $in: DELETABLE_STATUSES } })
+    if (removed === 0) {
+      return res.status(409).json({
+        success: false,
+        error: "Uploads submitted for verification or validated are kept as evidence and cannot be deleted",
+      })
+    }
+    await db.measurements.removeWhere({ uploadId: dataUpload.id })
+    await removeStoredFiles(storage, dataUpload)
 
-// STAKEHOLDERS ENDPOINTS
-app.get("/stakeholders", (req, res) => {
-  const { category } = req.query
-  let filteredStakeholders = stakeholders
+    res.json({
+      success: true,
+      message: "Upload deleted successfully",
+    })
+  }),
+)
+
+app.post(
+  "/data/uploads/:id/verify",
+  authenticate,
+  authorize("data:submit"),
+  asyncHandler(async (req, res) => {
+    const dataUpload = await db.dataUploads.findById(req.params.id)
+
+    if (!dataUpload) {
+      return res.status(404).json({
+        success: false,
+        error: "Upload not found",
+      })
+    }
 
-  if (category) {
-    filteredStakeholders = stakeholders.filter((s) => s.category === category)
-  }
+    const project = await db.projects.findById(dataUpload.projectId)
+    if (project && !canManageProject(req.user, project)) {
+      return forbidden(res, "Only developers linked to this project can submit its data for verification")
+    }
+    if (project) {
+      assertProjectAllows(project, "submit")
+    }
+
+    const submission = await createSubmission(db, {
+      upload: dataUpload,
+      user: req.user,
+      comments: req.body.comments,
+    })
+
+    res.json({
+      success: true,
+      data: submission,
+    })
+  }),
+)
 
+app.get("/data/types", (req, res) => {
   res.json({
     success: true,
-    data: filteredStakeholders,
-    total: filteredStakeholders.length,
+    data: supportedDataTypes,
   })
 })
 
-app.post("/stakeholders", (req, res) => {
-  const { name, category, contact, projects: stakeholderProjects } = req.body
-
-  if (!name || !category) {
-    return res.status(400).json({
+app.get("/data/types/:type/schema", (req, res) => {
+  if (!supportedDataTypes.includes(req.params.type)) {
+    return res.status(404).json({
       success: false,
-      error: "Name and category are required",
+      error: `Unknown data type "${req.params.type}"`,
     })
   }
 
-  const stakeholder = {
-    id: `STK-${uuidv4().slice(0, 8)}`,
-    name,
-    category,
-    contact,
-    projects: stakeholderProjects || [],
-    status: "active",
-    createdAt: new Date().toISOString(),
-  }
-
-  stakeholders.push(stakeholder)
-  res.status(201).json({
-    success: true,
-    data: stakeholder,
-  })
+  res.type("application/schema+json").json(toJsonSchema(req.params.type, `${req.protocol}://${req.get("host")}${req.originalUrl}`))
 })
 
-app.get("/stakeholders/:id", (req, res) => {
-  const stakeholder = findById(stakeholders, req.params.id)
+// Checks metadata against the same schema /data/upload enforces
+app.post("/data/validate", (req, res) => {
+  const { dataType, metadata } = req.body
 
-  if (!stakeholder) {
-    return res.status(404).json({
+  if (!dataType) {
+    return res.status(400).json({
       success: false,
-      error: "Stakeholder not found",
+      error: "Data type is required",
     })
   }
 
+  const { valid, errors } = validateMetadata(dataType, metadata)
+
   res.json({
-    success: true,
-    data: stakeholder,
+    success: valid,
+    valid,
+    errors,
   })
 })
 
-app.put("/stakeholders/:id", (req, res) => {
-  const stakeholderIndex = stakeholders.findIndex((s) => s.id === req.params.id)
+// VERIFICATION ENDPOINTS
+app.get(
+  "/verification/submissions",
+  asyncHandler(async (req, res) => {
+    const { items, page } = await findListPage(
+      db.verificationSubmissions,
+      parseListQuery(LIST_QUERIES.verificationSubmissions, req.query),
+    )
+
+    res.json({
+      success: true,
+      data: items,
+      total: page.total,
+      page,
+    })
+  }),
+)
+
+app.get(
+  "/verification/submissions/:id",
+  asyncHandler(async (req, res) => {
+    const submission = await db.verificationSubmissions.findById(req.params.id)
+
+    if (!submission) {
+      return res.status(404).json({
+        success: false,
+        error: "Submission not found",
+      })
+    }
 
-  if (stakeholderIndex === -1) {
-    return res.status(404).json({
-      success: false,
-      error: "Stakeholder not found",
+    res.json({
+      success: true,
+      data: submission,
     })
-  }
+  }),
+)
+
+app.get(
+  "/verification/submissions/:id/timeline",
+  asyncHandler(async (req, res) => {
+    const submission = await db.verificationSubmissions.findById(req.params.id)
+
+    if (!submission) {
+      return res.status(404).json({
+        success: false,
+        error: "Submission not found",
+      })
+    }
 
-  stakeholders[stakeholderIndex] = {
-    ...stakeholders[stakeholderIndex],
-    ...req.body,
-    updatedAt: new Date().toISOString(),
-  }
+    const timeline = [...(submission.history || [])].sort((a, b) => new Date(a.at) - new Date(b.at))
 
+    res.json({
+      success: true,
+      data: {
+        submissionId: submission.id,
+        status: submission.status,
+        assignedVerifierId: submission.assignedVerifierId || null,
+        timeline,
+      },
+    })
+  }),
+)
+
+// Proposed credits for a submission, worked out from its measurements
+app.get(
+  "/verification/submissions/:id/calculation",
+  asyncHandler(async (req, res) => {
+    const submission = await db.verificationSubmissions.findById(req.params.id)
+
+    if (!submission) {
+      return res.status(404).json({
+        success: false,
+        error: "Submission not found",
+      })
+    }
+
+    res.json({
+      success: true,
+      data: await proposeCredits(db, submission, { methodology: req.query.methodology }),
+    })
+  }),
+)
+
+app.get("/verification/methodologies", (req, res) => {
   res.json({
     success: true,
-    data: stakeholders[stakeholderIndex],
+    data: describeMethodologies(),
   })
 })
 
-app.post("/stakeholders/:id/connect", (req, res) => {
-  const stakeholder = findById(stakeholders, req.params.id)
+app.post(
+  "/verification/submissions/:id/assign",
+  authenticate,
+  authorize("verification:assign"),
+  asyncHandler(async (req, res) => {
+    const existing = await db.verificationSubmissions.findById(req.params.id)
+
+    if (!existing) {
+      return res.status(404).json({
+        success: false,
+        error: "Submission not found",
+      })
+    }
 
-  if (!stakeholder) {
-    return res.status(404).json({
-      success: false,
-      error: "Stakeholder not found",
+    const submission = await assignVerifier(db, {
+      submission: existing,
+      verifierId: req.body.verifierId,
+      user: req.user,
+      comments: req.body.comments,
     })
-  }
 
-  res.json({
-    success: true,
-    message: "Connection request sent successfully",
-    data: {
-      stakeholderId: stakeholder.id,
-      status: "connection_requested",
-      requestedAt: new Date().toISOString(),
-    },
-  })
-})
+    res.json({
+      success: true,
+      data: submission,
+    })
+  }),
+)
+
+app.post(
+  "/verification/submissions/:id/approve",
+  authenticate,
+  authorize("verification:review"),
+  asyncHandler(async (req, res) => {
+    const { creditsGenerated, comments, qualityScore, methodology, overrideReason } = req.body
+    const existing = await db.verificationSubmissions.findById(req.params.id)
+
+    if (!existing) {
+      return res.status(404).json({
+        success: false,
+        error: "Submission not found",
+      })
+    }
 
-app.post("/stakeholders/:id/message", (req, res) => {
-  const { message, subject } = req.body
-  const stakeholder = findById(stakeholders, req.params.id)
+    // Without an explicit figure the reviewer accepts the calculated proposal.
+    // Submissions whose data can't be calculated need creditsGenerated given.
+    let calculation = null
+    try {
+      calculation = await proposeCredits(db, existing, { methodology })
+    } catch (error) {
+      if (!(error instanceof ServiceError) || creditsGenerated === undefined) throw error
+    }
 
-  if (!stakeholder) {
-    return res.status(404).json({
-      success: false,
-      error: "Stakeholder not found",
+    // The approved amount caps what can later be issued, in whole credits
+    const approvedCredits = creditsGenerated === undefined ? calculation.proposedCredits : Number(creditsGenerated)
+    if (!Number.isInteger(approvedCredits) || approvedCredits < 0) {
+      return res.status(400).json({
+        success: false,
+        error: "Credits generated must be a non-negative whole number",
+      })
+    }
+
+    const submission = await reviewSubmission(db, {
+      submission: existing,
+      decision: "approved",
+      user: req.user,
+      comments,
+      changes: {
+        creditsGenerated: approvedCredits,
+        calculation,
+        creditsProposed: calculation ? calculation.proposedCredits : undefined,
+        creditsOverridden: Boolean(calculation) && approvedCredits !== calculation.proposedCredits,
+        overrideReason,
+        qualityScore,
+        approvedAt: new Date().toISOString(),
+      },
     })
-  }
+    notify("submission.approved", submission)
 
-  if (!message) {
-    return res.status(400).json({
-      success: false,
-      error: "Message is required",
+    res.json({
+      success: true,
+      data: submission,
     })
-  }
+  }),
+)
+
+app.post(
+  "/verification/submissions/:id/reject",
+  authenticate,
+  authorize("verification:review"),
+  asyncHandler(async (req, res) => {
+    const { reason, comments, requiredActions } = req.body
+    const existing = await db.verificationSubmissions.findById(req.params.id)
+
+    if (!existing) {
+      return res.status(404).json({
+        success: false,
+        error: "Submission not found",
+      })
+    }
 
-  res.json({
-    success: true,
-    message: "Message sent successfully",
-    data: {
-      stakeholderId: stakeholder.id,
-      subject,
-      message,
-      sentAt: new Date().toISOString(),
-    },
-  })
-})
+    const submission = await reviewSubmission(db, {
+      submission: existing,
+      decision: "rejected",
+      user: req.user,
+      comments,
+      changes: {
+        reason,
+        requiredActions: requiredActions || [],
+        rejectedAt: new Date().toISOString(),
+      },
+    })
+    notify("submission.rejected", submission)
 
-app.get("/stakeholders/:id/projects", (req, res) => {
-  const stakeholder = findById(stakeholders, req.params.id)
+    res.json({
+      success: true,
+      data: submission,
+    })
+  }),
+)
+
+app.post(
+  "/verification/submissions/:id/request-more",
+  authenticate,
+  authorize("verification:review"),
+  asyncHandler(async (req, res) => {
+    const { requestedData, comments } = req.body
+    const existing = await db.verificationSubmissions.findById(req.params.id)
+
+    if (!existing) {
+      return res.status(404).json({
+        success: false,
+        error: "Submission not found",
+      })
+    }
 
-  if (!stakeholder) {
-    return res.status(404).json({
-      success: false,
-      error: "Stakeholder not found",
+    const submission = await reviewSubmission(db, {
+      submission: existing,
+      decision: "more_data_requested",
+      user: req.user,
+      comments,
+      changes: {
+        requestedData: requestedData || [],
+        requestedAt: new Date().toISOString(),
+      },
     })
-  }
 
-  const stakeholderProjects = projects.filter((project) => stakeholder.projects.includes(project.id))
+    res.json({
+      success: true,
+      data: submission,
+    })
+  }),
+)
+
+app.post(
+  "/verification/submissions/:id/resubmit",
+  authenticate,
+  authorize("data:submit"),
+  asyncHandler(async (req, res) => {
+    const { uploadId, comments } = req.body
+    const existing = await db.verificationSubmissions.findById(req.params.id)
+
+    if (!existing) {
+      return res.status(404).json({
+        success: false,
+        error: "Submission not found",
+      })
+    }
+
+    const project = await db.projects.findById(existing.projectId)
+    if (project && !canManageProject(req.user, project)) {
+      return forbidden(res, "Only developers linked to this project can resubmit its data")
+    }
+    if (project) {
+      assertProjectAllows(project, "submit")
+    }
 
-  res.json({
-    success: true,
-    data: stakeholderProjects,
-    total: stakeholderProjects.length,
-  })
-})
+    let dataUpload
+    if (uploadId) {
+      dataUpload = await db.dataUploads.findById(uploadId)
+      if (!dataUpload || dataUpload.projectId !== existing.projectId) {
+        return res.status(400).json({
+          success: false,
+          error: "Resubmitted upload must belong to the same project",
+        })
+      }
+    }
+
+    const submission = await resubmit(db, {
+      submission: existing,
+      upload: dataUpload,
+      user: req.user,
+      comments,
+    })
+
+    res.json({
+      success: true,
+      data: submission,
+    })
+  }),
+)
+
+app.get(
+  "/verification/history",
+  asyncHandler(async (req, res) => {
+    const { projectId } = req.query
+    const submissions = await db.verificationSubmissions.find(projectId ? { projectId } : {})
+    const history = submissions.filter((sub) => sub.status !== "pending")
+
+    res.json({
+      success: true,
+      data: history,
+      total: history.length,
+    })
+  }),
+)
+
+// CARBON CREDITS ENDPOINTS
+app.get(
+  "/credits",
+  asyncHandler(async (req, res) => {
+    const { items, page } = await findListPage(db.carbonCredits, parseListQuery(LIST_QUERIES.carbonCredits, req.query))
+
+    res.json({
+      success: true,
+      data: items,
+      total: page.total,
+      page,
+    })
+  }),
+)
+
+app.post(
+  "/credits/generate",
+  authenticate,
+  authorize("credits:issue"),
+  asyncHandler(async (req, res) => {
+    const { projectId, verificationId, creditsAmount, methodology, vintage, description } = req.body
+
+    if (!projectId || !verificationId || !creditsAmount) {
+      return res.status(400).json({
+        success: false,
+        error: "Project ID, verification ID, and credits amount are required",
+      })
+    }
+
+    // Credits are numbered per tonne, so only whole units can be issued
+    const units = Number(creditsAmount)
+    if (!Number.isInteger(units) || units <= 0) {
+      return res.status(400).json({
+        success: false,
+        error: "Credits amount must be a positive whole number",
+      })
+    }
+
+    const project = await db.projects.findById(projectId)
+    if (!project) {
+      return res.status(404).json({
+        success: false,
+        error: "Project not found",
+      })
+    }
+
+    if (!canManageProject(req.user, project)) {
+      return forbidden(res, "Only developers linked to this project can request credit issuance")
+    }
+
+    assertProjectAllows(project, "issue")
+
+    const verification = await db.verificationSubmissions.findById(verificationId)
+    if (!verification || verification.status !== "approved" || verification.projectId !== project.id) {
+      return res.status(400).json({
+        success: false,
+        error: "Valid approved verification required",
+      })
+    }
+
+    // Credits from a monitoring period carry its vintage
+    const { vintage: creditVintage, monitoringPeriodId } = await issuanceVintage(db, verification, vintage)
+
+    const { credit, bufferCredit } = await issueVerifiedCredits(db, {
+      verificationId: verification.id,
+      stakeholderId: req.user.stakeholderId,
+      actor: req.user.email,
+      projectId,
+      creditsAmount: units,
+      methodology: methodology || "VM0033",
+      vintage: creditVintage,
+      monitoringPeriodId,
+      description,
+      status: "active",
+    })
+    notify("credit.issued", credit)
+
+    res.status(201).json({
+      success: true,
+      data: credit,
+      buffer: bufferCredit,
+    })
+  }),
+)
+
+// Issued vs approved vs estimated credits across every project
+app.get(
+  "/credits/issuance-report",
+  asyncHandler(async (req, res) => {
+    const projects = await db.projects.find()
+    const reports = await Promise.all(projects.map((project) => getIssuanceReport(db, project)))
+
+    res.json({
+      success: true,
+      data: reports,
+      total: reports.length,
+      totals: {
+        estimatedCredits: reports.reduce((sum, report) => sum + report.estimatedCredits, 0),
+        approvedCredits: reports.reduce((sum, report) => sum + report.approvedCredits, 0),
+        issuedCredits: reports.reduce((sum, report) => sum + report.issuedCredits, 0),
+      },
+    })
+  }),
+)
+
+app.get(
+  "/credits/serial/:serial",
+  asyncHandler(async (req, res) => {
+    const { valid, errors, parsed } = validateSerial(req.params.serial)
+
+    if (!valid) {
+      return res.status(400).json({
+        success: false,
+        error: "Invalid serial number",
+        errors,
+      })
+    }
+
+    // A serial matches the block whose unit range contains the whole of it,
+    // so single units and sub-ranges resolve to their enclosing block
+    const candidates = await db.carbonCredits.find({ serialPrefix: parsed.prefix })
+    const block = candidates.find((credit) => credit.serialStart <= parsed.start && parsed.end <= credit.serialEnd)
+
+    res.json({
+      success: true,
+      data: {
+        serial: req.params.serial.toUpperCase(),
+        parsed,
+        exists: Boolean(block),
+        block: block || null,
+      },
+    })
+  }),
+)
+
+app.post(
+  "/credits/:id/transfer",
+  authenticate,
+  asyncHandler(async (req, res) => {
+    const { toStakeholderId, quantity, memo } = req.body
+
+    if (!toStakeholderId || !quantity) {
+      return res.status(400).json({
+        success: false,
+        error: "Recipient stakeholder ID and quantity are required",
+      })
+    }
+
+    const credit = await db.carbonCredits.findById(req.params.id)
+    if (!credit) {
+      return res.status(404).json({
+        success: false,
+        error: "Credit not found",
+      })
+    }
+
+    if (credit.ownerId !== req.user.stakeholderId) {
+      return forbidden(res, "Only the credit owner can transfer it")
+    }
+
+    const transfer = await transferCredit(db, {
+      creditId: credit.id,
+      toStakeholderId,
+      quantity,
+      actor: req.user.email,
+      memo,
+    })
+
+    res.status(201).json({
+      success: true,
+      data: transfer,
+    })
+  }),
+)
+
+app.post(
+  "/credits/:id/retire",
+  authenticate,
+  asyncHandler(async (req, res) => {
+    const { quantity, beneficiary, purpose } = req.body
+
+    if (!quantity || !beneficiary) {
+      return res.status(400).json({
+        success: false,
+        error: "Quantity and beneficiary are required",
+      })
+    }
+
+    const credit = await db.carbonCredits.findById(req.params.id)
+    if (!credit) {
+      return res.status(404).json({
+        success: false,
+        error: "Credit not found",
+      })
+    }
+
+    if (credit.ownerId !== req.user.stakeholderId) {
+      return forbidden(res, "Only the credit owner can retire it")
+    }
+
+    const retirement = await retireCredit(db, {
+      creditId: credit.id,
+      quantity,
+      beneficiary,
+      purpose,
+      actor: req.user.email,
+    })
+    notify("credit.retired", retirement)
+
+    res.status(201).json({
+      success: true,
+      data: retirement,
+    })
+  }),
+)
+
+app.get(
+  "/credits/:id/holdings",
+  asyncHandler(async (req, res) => {
+    const credit = await db.carbonCredits.findById(req.params.id)
+
+    if (!credit) {
+      return res.status(404).json({
+        success: false,
+        error: "Credit not found",
+      })
+    }
+
+    res.json({
+      success: true,
+      data: await getBatchHoldings(db, credit.batchId || credit.id),
+    })
+  }),
+)
+
+app.get(
+  "/credits/portfolio",
+  asyncHandler(async (req, res) => {
+    const [projects, carbonCredits] = await Promise.all([db.projects.find(), db.carbonCredits.find()])
+
+    const portfolio = {
+      totalCredits: carbonCredits.reduce((sum, credit) => sum + credit.creditsAmount, 0),
+      activeCredits: carbonCredits.filter((c) => c.status === "active").length,
+      creditsByProject: projects.map((project) => ({
+        projectId: project.id,
+        projectName: project.name,
+        credits: carbonCredits.filter((c) => c.projectId === project.id),
+      })),
+    }
+
+    res.json({
+      success: true,
+      data: portfolio,
+    })
+  }),
+)
+
+app.get(
+  "/credits/:id/certificate",
+  asyncHandler(async (req, res) => {
+    const credit = await db.carbonCredits.findById(req.params.id)
+
+    if (!credit) {
+      return res.status(404).json({
+        success: false,
+        error: "Credit not found",
+      })
+    }
+
+    const certificate = await ensureCertificate(db, storage, { credit })
+
+    res.json({
+      success: true,
+      data: {
+        certificateId: certificate.id,
+        type: certificate.type,
+        creditId: credit.id,
+        serialNumber: certificate.details.serialNumber,
+        projectName: certificate.details.projectName,
+        creditsAmount: certificate.details.quantity,
+        methodology: certificate.details.methodology,
+        vintage: certificate.details.vintage,
+        verifier: certificate.details.verifier,
+        beneficiary: certificate.details.beneficiary,
+        issuedDate: certificate.details.issuedAt,
+        retiredDate: certificate.details.retiredAt,
+        sha256: certificate.sha256,
+        certificateUrl: `${getPublicBaseUrl()}/certificates/${certificate.id}.pdf`,
+        verifyUrl: certificate.verifyUrl,
+      },
+    })
+  }),
+)
+
+// Signed statement of the block's current state, for use outside the registry
+app.get(
+  "/credits/:id/attestation",
+  asyncHandler(async (req, res) => {
+    const credit = await db.carbonCredits.findById(req.params.id)
+
+    if (!credit) {
+      return res.status(404).json({
+        success: false,
+        error: "Credit not found",
+      })
+    }
+
+    const attestation = await attestCredit(db, { credit })
+    const baseUrl = getPublicBaseUrl()
+    res.json({
+      success: true,
+      data: {
+        ...attestation,
+        jwksUrl: `${baseUrl}/.well-known/jwks.json`,
+        verifyUrl: `${baseUrl}/attestations/verify`,
+      },
+    })
+  }),
+)
+
+// CERTIFICATES ENDPOINTS
+app.get(
+  "/certificates/:id.pdf",
+  asyncHandler(async (req, res, next) => {
+    const certificate = await db.certificates.findById(req.params.id)
+    const stored = certificate && certificate.storageKey ? await storage.stat(certificate.storageKey) : null
+
+    if (!stored) {
+      return res.status(404).json({
+        success: false,
+        error: "Certificate not found",
+      })
+    }
+
+    res.set({
+      "Content-Type": "application/pdf",
+      "Content-Length": stored.size,
+      "Content-Disposition": `inline; filename="certificate-${certificate.id}.pdf"`,
+      ETag: `"${certificate.sha256}"`,
+    })
+    if (req.method === "HEAD") {
+      return res.end()
+    }
+
+    const stream = await storage.createReadStream(certificate.storageKey)
+    stream.on("error", (error) => (res.headersSent ? res.destroy(error) : next(error)))
+    stream.pipe(res)
+  }),
+)
+
+// Anyone holding a certificate can check it: the QR code on the PDF links
+// here. Pass `sha256` to check a fingerprint, or POST the PDF itself.
+app.get(
+  "/certificates/:id/verify",
+  asyncHandler(async (req, res) => {
+    res.json({
+      success: true,
+      data: await verifyCertificate(db, req.params.id, { hash: req.query.sha256 }),
+    })
+  }),
+)
+
+app.post(
+  "/certificates/:id/verify",
+  express.raw({ type: ["application/pdf", "application/octet-stream"], limit: "10mb" }),
+  asyncHandler(async (req, res) => {
+    if (!Buffer.isBuffer(req.body) || req.body.length === 0) {
+      return res.status(400).json({
+        success: false,
+        error: "Send the certificate PDF as the request body (Content-Type: application/pdf)",
+      })
+    }
+
+    res.json({
+      success: true,
+      data: await verifyCertificate(db, req.params.id, { document: req.body }),
+    })
+  }),
+)
+
+// ATTESTATIONS ENDPOINTS
+app.get(
+  "/.well-known/jwks.json",
+  asyncHandler(async (req, res) => {
+    res.set("Cache-Control", "public, max-age=300").json(await getJwks(db))
+  }),
+)
+
+app.post(
+  "/attestations/verify",
+  asyncHandler(async (req, res) => {
+    res.json({
+      success: true,
+      data: await verifyAttestation(db, req.body.attestation),
+    })
+  }),
+)
+
+app.post(
+  "/attestations/keys/rotate",
+  authenticate,
+  authorize("attestations:rotate-keys"),
+  asyncHandler(async (req, res) => {
+    const key = await rotateSigningKey(db, { actor: req.user.email })
+
+    res.status(201).json({
+      success: true,
+      data: toPublicKey(key),
+    })
+  }),
+)
+
+// RETIREMENTS ENDPOINTS
+app.get(
+  "/retirements",
+  asyncHandler(async (req, res) => {
+    const { projectId, vintage, beneficiary } = req.query
+    const [retiredCredits, projects] = await Promise.all([
+      db.carbonCredits.find({ status: "retired" }),
+      db.projects.find(),
+    ])
+    const projectNames = new Map(projects.map((project) => [project.id, project.name]))
+
+    let retirements = retiredCredits.map((credit) => ({
+      creditId: credit.id,
+      batchId: credit.batchId,
+      serialNumber: credit.serialNumber,
+      projectId: credit.projectId,
+      projectName: projectNames.get(credit.projectId) || "Unknown Project",
+      vintage: credit.vintage,
+      methodology: credit.methodology,
+      quantity: credit.creditsAmount,
+      beneficiary: credit.retirementBeneficiary,
+      purpose: credit.retirementReason,
+      retiredAt: credit.retiredAt,
+    }))
+
+    if (projectId) {
+      retirements = retirements.filter((retirement) => retirement.projectId === projectId)
+    }
+
+    if (vintage) {
+      retirements = retirements.filter((retirement) => retirement.vintage === vintage)
+    }
+
+    if (beneficiary) {
+      const needle = beneficiary.toLowerCase()
+      retirements = retirements.filter((retirement) => (retirement.beneficiary || "").toLowerCase().includes(needle))
+    }
+
+    retirements.sort((a, b) => new Date(b.retiredAt) - new Date(a.retiredAt))
+
+    res.json({
+      success: true,
+      data: retirements,
+      total: retirements.length,
+    })
+  }),
+)
+
+// HOLDER ACCOUNTS ENDPOINTS
+app.get(
+  "/accounts",
+  asyncHandler(async (req, res) => {
+    const { stakeholderId } = req.query
+    const accounts = await db.holderAccounts.find(stakeholderId ? { stakeholderId } : {})
+
+    res.json({
+      success: true,
+      data: accounts,
+      total: accounts.length,
+    })
+  }),
+)
+
+app.get(
+  "/accounts/me",
+  authenticate,
+  asyncHandler(async (req, res) => {
+    const account = await ensureHoldingAccount(db, req.user.stakeholderId)
+
+    res.json({
+      success: true,
+      data: {
+        ...account,
+        balances: await getAccountBalances(db, account.id),
+      },
+    })
+  }),
+)
+
+app.get(
+  "/accounts/:id",
+  asyncHandler(async (req, res) => {
+    const account = await db.holderAccounts.findById(req.params.id)
+
+    if (!account) {
+      return res.status(404).json({
+        success: false,
+        error: "Account not found",
+      })
+    }
+
+    res.json({
+      success: true,
+      data: {
+        ...account,
+        balances: await getAccountBalances(db, account.id),
+      },
+    })
+  }),
+)
+
+// Registry-wide buffer pool balance, broken down by contributing project
+app.get(
+  "/buffer-pool",
+  asyncHandler(async (req, res) => {
+    res.json({
+      success: true,
+      data: await getRegistryBufferReport(db),
+    })
+  }),
+)
+
+app.get(
+  "/ledger/entries",
+  asyncHandler(async (req, res) => {
+    const { accountId, batchId, type } = req.query
+    let entries = await db.ledgerEntries.find(batchId ? { batchId } : {})
+
+    if (accountId) {
+      entries = entries.filter((entry) => entry.fromAccountId === accountId || entry.toAccountId === accountId)
+    }
+
+    if (type) {
+      entries = entries.filter((entry) => entry.type === type)
+    }
+
+    res.json({
+      success: true,
+      data: entries,
+      total: entries.length,
+    })
+  }),
+)
+
+// Inclusion proofs of the ledger entries behind a block against published roots
+app.get(
+  "/ledger/proof/:creditId",
+  asyncHandler(async (req, res) => {
+    res.json({
+      success: true,
+      data: await getInclusionProof(db, req.params.creditId),
+    })
+  }),
+)
+
+app.get(
+  "/ledger/roots",
+  asyncHandler(async (req, res) => {
+    const { roots, total } = await listLedgerRoots(db, req.query)
+
+    res.json({
+      success: true,
+      data: roots,
+      total,
+    })
+  }),
+)
+
+app.get(
+  "/ledger/roots/latest",
+  asyncHandler(async (req, res) => {
+    const { roots } = await listLedgerRoots(db, { limit: 1 })
+
+    if (roots.length === 0) {
+      return res.status(404).json({
+        success: false,
+        error: "No ledger root has been recorded yet",
+      })
+    }
+
+    res.json({
+      success: true,
+      data: roots[0],
+    })
+  }),
+)
+
+app.post(
+  "/ledger/roots",
+  authenticate,
+  authorize("ledger:manage"),
+  asyncHandler(async (req, res) => {
+    const root = await publishLedgerRoot(db, { actor: req.user.email })
+
+    if (!root) {
+      return res.status(409).json({
+        success: false,
+        error: "No ledger entries have been written since the last root",
+      })
+    }
+
+    res.status(201).json({
+      success: true,
+      data: root,
+    })
+  }),
+)
+
+app.get(
+  "/ledger/verify",
+  authenticate,
+  authorize("ledger:manage"),
+  asyncHandler(async (req, res) => {
+    res.json({
+      success: true,
+      data: await verifyLedger(db),
+    })
+  }),
+)
+
+// STAKEHOLDERS ENDPOINTS
+app.get(
+  "/stakeholders",
+  asyncHandler(async (req, res) => {
+    const { items, page } = await findListPage(db.stakeholders, parseListQuery(LIST_QUERIES.stakeholders, req.query))
+
+    res.json({
+      success: true,
+      data: items,
+      total: page.total,
+      page,
+    })
+  }),
+)
+
+app.post(
+  "/stakeholders",
+  authenticate,
+  authorize("stakeholders:create"),
+  asyncHandler(async (req, res) => {
+    const { name, category, contact, role, projects: stakeholderProjects } = req.body
+
+    if (!name || !category) {
+      return res.status(400).json({
+        success: false,
+        error: "Name and category are required",
+      })
+    }
+
+    const stakeholder = await db.stakeholders.create({
+      name,
+      category,
+      contact,
+      role,
+      projects: stakeholderProjects || [],
+      status: "active",
+    })
+
+    res.status(201).json({
+      success: true,
+      data: stakeholder,
+    })
+  }),
+)
+
+app.get(
+  "/stakeholders/:id",
+  asyncHandler(async (req, res) => {
+    const stakeholder = await db.stakeholders.findById(req.params.id)
+
+    if (!stakeholder) {
+      return res.status(404).json({
+        success: false,
+        error: "Stakeholder not found",
+      })
+    }
+
+    res.json({
+      success: true,
+      data: stakeholder,
+    })
+  }),
+)
+
+// Fields a stakeholder edits on its own record. Category and status are for
+// government only; projects and verification history are kept by the server.
+const STAKEHOLDER_FIELDS = ["name", "role", "contact", "credentials"]
+const GOVERNMENT_STAKEHOLDER_FIELDS = ["category", "status"]
+
+app.put(
+  "/stakeholders/:id",
+  authenticate,
+  asyncHandler(async (req, res) => {
+    const isGovernment = can(req.user, "stakeholders:update")
+
+    // Stakeholders may edit their own record; only government may edit others
+    if (req.params.id !== req.user.stakeholderId && !isGovernment) {
+      return forbidden(res, denialReason("stakeholders:update"))
+    }
+
+    const fields = Object.keys(req.body)
+    const unknown = fields.filter((field) => ![...STAKEHOLDER_FIELDS, ...GOVERNMENT_STAKEHOLDER_FIELDS].includes(field))
+    if (unknown.length > 0) {
+      return res.status(400).json({
+        success: false,
+        error: `These fields can't be changed: ${unknown.join(", ")}`,
+      })
+    }
+
+    // Category drives authorization, so nobody can promote themselves
+    if (fields.some((field) => GOVERNMENT_STAKEHOLDER_FIELDS.includes(field)) && !isGovernment) {
+      return forbidden(res, "Only government stakeholders can change a stakeholder's category or status")
+    }
+
+    const existing = await db.stakeholders.findById(req.params.id)
+
+    if (!existing) {
+      return res.status(404).json({
+        success: false,
+        error: "Stakeholder not found",
+      })
+    }
+
+    // Accounts join a stakeholder by its contact email, so that stays as registered
+    const changes = Object.fromEntries(fields.map((field) => [field, req.body[field]]))
+    if (changes.contact !== undefined) {
+      if (!changes.contact || typeof changes.contact !== "object" || Array.isArray(changes.contact)) {
+        return res.status(400).json({
+          success: false,
+          error: "Contact must be an object",
+        })
+      }
+      if (changes.contact.email !== undefined && changes.contact.email !== existing.contact?.email && !isGovernment) {
+        return forbidden(res, "Only government stakeholders can change a stakeholder's contact email")
+      }
+      changes.contact = { ...existing.contact, ...changes.contact }
+    }
+
+    const stakeholder = await db.stakeholders.update(existing.id, changes)
+
+    res.json({
+      success: true,
+      data: stakeholder,
+    })
+  }),
+)
+
+app.post(
+  "/stakeholders/:id/connect",
+  authenticate,
+  asyncHandler(async (req, res) => {
+    const stakeholder = await db.stakeholders.findById(req.params.id)
+
+    if (!stakeholder) {
+      return res.status(404).json({
+        success: false,
+        error: "Stakeholder not found",
+      })
+    }
+
+    res.json({
+      success: true,
+      message: "Connection request sent successfully",
+      data: {
+        stakeholderId: stakeholder.id,
+        status: "connection_requested",
+        requestedAt: new Date().toISOString(),
+      },
+    })
+  }),
+)
+
+app.post(
+  "/stakeholders/:id/message",
+  authenticate,
+  asyncHandler(async (req, res) => {
+    const { message, subject } = req.body
+    const stakeholder = await db.stakeholders.findById(req.params.id)
+
+    if (!stakeholder) {
+      return res.status(404).json({
+        success: false,
+        error: "Stakeholder not found",
+      })
+    }
+
+    if (!message) {
+      return res.status(400).json({
+        success: false,
+        error: "Message is required",
+      })
+    }
+
+    res.json({
+      success: true,
+      message: "Message sent successfully",
+      data: {
+        stakeholderId: stakeholder.id,
+        subject,
+        message,
+        sentAt: new Date().toISOString(),
+      },
+    })
+  }),
+)
+
+app.get(
+  "/stakeholders/:id/projects",
+  asyncHandler(async (req, res) => {
+    const stakeholder = await db.stakeholders.findById(req.params.id)
+
+    if (!stakeholder) {
+      return res.status(404).json({
+        success: false,
+        error: "Stakeholder not found",
+      })
+    }
+
+    const projects = await db.projects.find()
+    const stakeholderProjects = projects.filter((project) => stakeholder.projects.includes(project.id))
+
+    res.json({
+      success: true,
+      data: stakeholderProjects,
+      total: stakeholderProjects.length,
+    })
+  }),
+)
 
 // MARKETPLACE ENDPOINTS
-app.get("/marketplace/credits", (req, res) => {
-  const { category, minPrice, maxPrice } = req.query
-  let filteredListings = marketplaceListings.filter((listing) => listing.status === "active")
+app.get(
+  "/marketplace/credits",
+  asyncHandler(async (req, res) => {
+    const listQuery = parseListQuery(LIST_QUERIES.marketplaceListings, req.query)
+    const offered = [offeredListingsFilter()]
+
+    // Category belongs to the project, so it narrows listings by project
+    if (req.query.category) {
+      const projects = await db.projects.find({ category: { $in: String(req.query.category).split(",") } })
+      offered.push({ projectId: { $in: projects.map((project) => project.id) } })
+    }
+
+    const { items, page } = await findListPage(db.marketplaceListings, listQuery, { filter: { $and: offered } })
 
-  if (category) {
-    filteredListings = filteredListings.filter((listing) => {
-      const credit = findById(carbonCredits, listing.creditId)
-      const project = credit ? findById(projects, credit.projectId) : null
-      return project?.category === category
+    res.json({
+      success: true,
+      data: items,
+      total: page.total,
+      page,
     })
-  }
+  }),
+)
+
+app.post(
+  "/marketplace/credits/:id/list",
+  authenticate,
+  asyncHandler(async (req, res) => {
+    const { price, minimumQuantity, expiryDate, description, tags } = req.body
+    const credit = await db.carbonCredits.findById(req.params.id)
+
+    if (!credit) {
+      return res.status(404).json({
+        success: false,
+        error: "Credit not found",
+      })
+    }
 
-  if (minPrice) {
-    filteredListings = filteredListings.filter((listing) => listing.price >= Number.parseFloat(minPrice))
-  }
+    if (credit.ownerId !== req.user.stakeholderId) {
+      return forbidden(res, "Only the credit owner can list it on the marketplace")
+    }
 
-  if (maxPrice) {
-    filteredListings = filteredListings.filter((listing) => listing.price <= Number.parseFloat(maxPrice))
-  }
+    const askingPrice = parsePrice(price)
+    if (askingPrice === null) {
+      return res.status(400).json({
+        success: false,
+        error: "Valid price is required",
+      })
+    }
+    const minimumFillQuantity = minimumQuantity === undefined ? 1 : parseQuantity(minimumQuantity)
+    const expiresAt = parseExpiryDate(expiryDate)
+
+    if (credit.status !== "active") {
+      return res.status(400).json({
+        success: false,
+        error: `Credits with status "${credit.status}" cannot be listed`,
+      })
+    }
 
-  res.json({
-    success: true,
-    data: filteredListings,
-    total: filteredListings.length,
-  })
-})
+    // Units already offered in other listings can't be listed twice
+    const unlistedQuantity = credit.creditsAmount - (await getEncumberedQuantity(db, credit.id))
+    if (unlistedQuantity <= 0) {
+      return res.status(400).json({
+        success: false,
+        error: "No unlisted credits remain in this block",
+      })
+    }
+
+    const listing = await db.marketplaceListings.create({
+      creditId: credit.id,
+      sellerId: req.user.stakeholderId,
+      projectId: credit.projectId,
+      methodology: credit.methodology,
+      vintage: credit.vintage,
+      price: askingPrice,
+      minimumQuantity: minimumFillQuantity,
+      availableQuantity: unlistedQuantity,
+      expiryDate: expiresAt,
+      description,
+      tags: normalizeTags(tags),
+      status: "active",
+      listedAt: new Date().toISOString(),
+      transactions: [],
+    })
 
-app.post("/marketplace/credits/:id/list", (req, res) => {
-  const { price, minimumQuantity, expiryDate, description } = req.body
-  const credit = findById(carbonCredits, req.params.id)
+    notify("listing.created", listing)
 
-  if (!credit) {
-    return res.status(404).json({
-      success: false,
-      error: "Credit not found",
+    // A new offer may cross bids already resting in the order book
+    const fills = await matchListing(db, listing.id, req.user.email)
+    fills.forEach((fill) => notify("listing.filled", fill))
+
+    res.status(201).json({
+      success: true,
+      data: await db.marketplaceListings.findById(listing.id),
     })
-  }
+  }),
+)
+
+app.get(
+  "/marketplace/listings/:id",
+  asyncHandler(async (req, res) => {
+    const listing = await db.marketplaceListings.findById(req.params.id)
+
+    if (!listing) {
+      return res.status(404).json({
+        success: false,
+        error: "Listing not found",
+      })
+    }
 
-  if (!price || price <= 0) {
-    return res.status(400).json({
-      success: false,
-      error: "Valid price is required",
+    res.json({
+      success: true,
+      data: listing,
     })
-  }
+  }),
+)
+
+app.post(
+  "/marketplace/listings/:id/buy",
+  authenticate,
+  asyncHandler(async (req, res) => {
+    const { quantity } = req.body
+
+    if (!quantity) {
+      return res.status(400).json({
+        success: false,
+        error: "Quantity is required",
+      })
+    }
 
-  const listing = {
-    id: `LST-${uuidv4().slice(0, 8)}`,
-    creditId: credit.id,
-    price: Number.parseFloat(price),
-    minimumQuantity: minimumQuantity || 1,
-    availableQuantity: credit.creditsAmount,
-    expiryDate,
-    description,
-    status: "active",
-    listedAt: new Date().toISOString(),
-  }
+    const fill = await buyFromListing(db, {
+      listingId: req.params.id,
+      buyerStakeholderId: req.user.stakeholderId,
+      quantity,
+      actor: req.user.email,
+    })
+    notify("listing.filled", fill)
 
-  marketplaceListings.push(listing)
-  res.status(201).json({
-    success: true,
-    data: listing,
-  })
-})
+    res.status(201).json({
+      success: true,
+      data: fill,
+    })
+  }),
+)
+
+app.get(
+  "/marketplace/orderbook",
+  asyncHandler(async (req, res) => {
+    const { methodology, vintage } = req.query
+
+    if (!methodology || !vintage) {
+      return res.status(400).json({
+        success: false,
+        error: "Methodology and vintage are required",
+      })
+    }
 
-app.get("/marketplace/prices", (req, res) => {
-  const activeListing = marketplaceListings.filter((l) => l.status === "active")
-  const prices = activeListing.map((l) => l.price)
-
-  const priceStats = {
-    averagePrice: prices.length > 0 ? prices.reduce((a, b) => a + b, 0) / prices.length : 0,
-    minPrice: prices.length > 0 ? Math.min(...prices) : 0,
-    maxPrice: prices.length > 0 ? Math.max(...prices) : 0,
-    totalListings: activeListing.length,
-    priceRange: {
-      low: prices.filter((p) => p < 10).length,
-      medium: prices.filter((p) => p >= 10 && p < 20).length,
-      high: prices.filter((p) => p >= 20).length,
-    },
-  }
+    res.json({
+      success: true,
+      data: await getOrderBook(db, { methodology, vintage }),
+    })
+  }),
+)
+
+app.post(
+  "/marketplace/orders",
+  authenticate,
+  asyncHandler(async (req, res) => {
+    const { methodology, vintage, price, quantity, currency, expiryDate } = req.body
+
+    if (!methodology || !vintage || !quantity) {
+      return res.status(400).json({
+        success: false,
+        error: "Methodology, vintage and quantity are required",
+      })
+    }
 
-  res.json({
-    success: true,
-    data: priceStats,
+    const bidPrice = parsePrice(price)
+    if (bidPrice === null) {
+      return res.status(400).json({
+        success: false,
+        error: "Valid price is required",
+      })
+    }
+
+    const result = await placeBid(db, {
+      stakeholderId: req.user.stakeholderId,
+      methodology,
+      vintage,
+      price: bidPrice,
+      quantity,
+      currency,
+      expiryDate,
+      actor: req.user.email,
+    })
+    result.fills.forEach((fill) => notify("listing.filled", fill))
+
+    res.status(201).json({
+      success: true,
+      data: result,
+    })
+  }),
+)
+
+app.get(
+  "/marketplace/orders",
+  authenticate,
+  asyncHandler(async (req, res) => {
+    const { status } = req.query
+    const filter = { stakeholderId: req.user.stakeholderId }
+    const orders = await db.marketOrders.find(status ? { ...filter, status } : filter)
+
+    res.json({
+      success: true,
+      data: orders,
+      total: orders.length,
+    })
+  }),
+)
+
+app.get(
+  "/marketplace/orders/:id",
+  authenticate,
+  asyncHandler(async (req, res) => {
+    const order = await db.marketOrders.findById(req.params.id)
+
+    if (!order || order.stakeholderId !== req.user.stakeholderId) {
+      return res.status(404).json({
+        success: false,
+        error: "Order not found",
+      })
+    }
+
+    res.json({
+      success: true,
+      data: order,
+    })
+  }),
+)
+
+app.delete(
+  "/marketplace/orders/:id",
+  authenticate,
+  asyncHandler(async (req, res) => {
+    const order = await cancelOrder(db, {
+      orderId: req.params.id,
+      stakeholderId: req.user.stakeholderId,
+    })
+
+    res.json({
+      success: true,
+      data: order,
+    })
+  }),
+)
+
+app.get(
+  "/marketplace/prices",
+  asyncHandler(async (req, res) => {
+    const activeListing = (await db.marketplaceListings.find({ status: "active" })).filter(
+      (listing) => !isExpired(listing),
+    )
+    const prices = activeListing.map((l) => l.price)
+
+    const priceStats = {
+      averagePrice: prices.length > 0 ? prices.reduce((a, b) => a + b, 0) / prices.length : 0,
+      minPrice: prices.length > 0 ? Math.min(...prices) : 0,
+      maxPrice: prices.length > 0 ? Math.max(...prices) : 0,
+      totalListings: activeListing.length,
+      priceRange: {
+        low: prices.filter((p) => p < 10).length,
+        medium: prices.filter((p) => p >= 10 && p < 20).length,
+        high: prices.filter((p) => p >= 20).length,
+      },
+    }
+
+    res.json({
+      success: true,
+      data: priceStats,
+    })
+  }),
+)
+
+// SEARCH ENDPOINTS
+app.get(
+  "/search",
+  asyncHandler(async (req, res) => {
+    res.json({
+      success: true,
+      data: await search(db, req.query),
+    })
+  }),
+)
+
+// WEBHOOK ENDPOINTS
+// Subscriptions belong to the caller's stakeholder; anyone else's read as not found
+const findOwnSubscription = async (req) => {
+  const subscription = await db.webhookSubscriptions.findById(req.params.id)
+  return subscription && subscription.stakeholderId === req.user.stakeholderId ? subscription : null
+}
+
+const subscriptionNotFound = (res) =>
+  res.status(404).json({
+    success: false,
+    error: "Webhook subscription not found",
   })
-})
+
+const isWebhookUrl = (url) =>
+  validator.isURL(String(url), { protocols: ["http", "https"], require_protocol: true, require_tld: false })
+
+// The signing secret is only in this response
+app.post(
+  "/webhooks",
+  authenticate,
+  asyncHandler(async (req, res) => {
+    const { url, events, description } = req.body
+
+    if (!url || !isWebhookUrl(url)) {
+      return res.status(400).json({
+        success: false,
+        error: "A valid http(s) URL is required",
+      })
+    }
+
+    const subscription = await createSubscription(db, {
+      stakeholderId: req.user.stakeholderId,
+      url,
+      events,
+      description,
+      actor: req.user.email,
+    })
+
+    res.status(201).json({
+      success: true,
+      data: subscription,
+    })
+  }),
+)
+
+app.get(
+  "/webhooks",
+  authenticate,
+  asyncHandler(async (req, res) => {
+    const subscriptions = await db.webhookSubscriptions.find({ stakeholderId: req.user.stakeholderId })
+
+    res.json({
+      success: true,
+      data: subscriptions.map(toPublicSubscription),
+      total: subscriptions.length,
+    })
+  }),
+)
+
+app.get(
+  "/webhooks/:id",
+  authenticate,
+  asyncHandler(async (req, res) => {
+    const subscription = await findOwnSubscription(req)
+    if (!subscription) return subscriptionNotFound(res)
+
+    res.json({
+      success: true,
+      data: toPublicSubscription(subscription),
+    })
+  }),
+)
+
+app.patch(
+  "/webhooks/:id",
+  authenticate,
+  asyncHandler(async (req, res) => {
+    const { url, events, description, status } = req.body
+    const subscription = await findOwnSubscription(req)
+    if (!subscription) return subscriptionNotFound(res)
+
+    if (url !== undefined && !isWebhookUrl(url)) {
+      return res.status(400).json({
+        success: false,
+        error: "A valid http(s) URL is required",
+      })
+    }
+
+    res.json({
+      success: true,
+      data: await updateSubscription(db, subscription, { url, events, description, status }),
+    })
+  }),
+)
+
+// Deliveries still pending when a subscription is deleted are not sent
+app.delete(
+  "/webhooks/:id",
+  authenticate,
+  asyncHandler(async (req, res) => {
+    const subscription = await findOwnSubscription(req)
+    if (!subscription) return subscriptionNotFound(res)
+
+    await db.webhookSubscriptions.remove(subscription.id)
+
+    res.json({
+      success: true,
+      message: "Webhook subscription deleted successfully",
+    })
+  }),
+)
+
+app.get(
+  "/webhooks/:id/deliveries",
+  authenticate,
+  asyncHandler(async (req, res) => {
+    const subscription = await findOwnSubscription(req)
+    if (!subscription) return subscriptionNotFound(res)
+
+    const { items, page } = await findListPage(
+      db.webhookDeliveries,
+      parseListQuery(LIST_QUERIES.webhookDeliveries, req.query),
+      { filter: { subscriptionId: subscription.id } },
+    )
+
+    res.json({
+      success: true,
+      data: items,
+      total: page.total,
+      page,
+    })
+  }),
+)
+
+app.get(
+  "/webhooks/:id/deliveries/:deliveryId",
+  authenticate,
+  asyncHandler(async (req, res) => {
+    const subscription = await findOwnSubscription(req)
+    if (!subscription) return subscriptionNotFound(res)
+
+    const delivery = await db.webhookDeliveries.findById(req.params.deliveryId)
+    if (!delivery || delivery.subscriptionId !== subscription.id) {
+      return res.status(404).json({
+        success: false,
+        error: "Delivery not found",
+      })
+    }
+
+    res.json({
+      success: true,
+      data: delivery,
+    })
+  }),
+)
+
+// Sends the event again as a new delivery and returns it after the first attempt
+app.post(
+  "/webhooks/:id/deliveries/:deliveryId/redeliver",
+  authenticate,
+  asyncHandler(async (req, res) => {
+    const subscription = await findOwnSubscription(req)
+    if (!subscription) return subscriptionNotFound(res)
+
+    const delivery = await db.webhookDeliveries.findById(req.params.deliveryId)
+    if (!delivery || delivery.subscriptionId !== subscription.id) {
+      return res.status(404).json({
+        success: false,
+        error: "Delivery not found",
+      })
+    }
+
+    res.status(201).json({
+      success: true,
+      data: await redeliver(db, { delivery, actor: req.user.email }),
+    })
+  }),
+)
+
+// AUDIT ENDPOINTS
+app.get(
+  "/audit",
+  authenticate,
+  authorize("audit:read"),
+  asyncHandler(async (req, res) => {
+    const { entries, total } = await queryAudit(db, req.query, { entities: Object.values(AUDITED_ENTITIES) })
+
+    res.json({
+      success: true,
+      data: entries,
+      total,
+    })
+  }),
+)
+
+// Recomputes the hash chain; `valid: false` names the first entry that fails
+app.get(
+  "/audit/verify",
+  authenticate,
+  authorize("audit:read"),
+  asyncHandler(async (req, res) => {
+    res.json({
+      success: true,
+      data: await verifyAuditChain(db),
+    })
+  }),
+)
 
 // Health check endpoint
 app.get("/health", (req, res) => {
@@ -775,11 +3005,45 @@ app.get("/health", (req, res) => {
     message: "C-CRED API Server is running",
     timestamp: new Date().toISOString(),
     version: "1.0.0",
+    dataStore,
+    storage: storageBackend,
   })
 })
 
 // Error handling middleware
 app.use((err, req, res, next) => {
+  if (err instanceof ServiceError) {
+    return res.status(err.statusCode).json({
+      success: false,
+      error: err.message,
+    })
+  }
+
+  if (err instanceof multer.MulterError) {
+    return res.status(err.code === "LIMIT_FILE_SIZE" ? 413 : 400).json({
+      success: false,
+      error: err.message,
+    })
+  }
+
+  // The file store timed out or refused the request; the failure is logged
+  // but the response doesn't name storage keys
+  if (err instanceof StorageError) {
+    console.error(err.message)
+    return res.status(503).json({
+      success: false,
+      error: "File storage is unavailable, try again later",
+    })
+  }
+
+  // Schema validation failures from the Mongoose backend are client errors
+  if (err.name === "ValidationError" || err.name === "CastError") {
+    return res.status(400).json({
+      success: false,
+      error: err.message,
+    })
+  }
+
   console.error(err.stack)
   res.status(500).json({
     success: false,
@@ -796,9 +3060,36 @@ app.use((req, res) => {
 })
 
 // Start server
-app.listen(PORT, () => {
-  console.log(`C-CRED API Server running on port ${PORT}`)
-  console.log(`Health check: http://localhost:${PORT}/health`)
-})
+const startServer = async () => {
+  if (dataStore === "mongodb") {
+    await connectDB()
+  }
+
+  app.listen(PORT, () => {
+    console.log(`C-CRED API Server running on port ${PORT}`)
+    console.log(`Health check: http://localhost:${PORT}/health`)
+    console.log(`Data store: ${dataStore}`)
+  })
+
+  // Ledger roots are recorded on a schedule so there is always a recent one to publish
+  const rootInterval = Number(process.env.LEDGER_ROOT_INTERVAL_MINUTES ?? 60)
+  if (rootInterval > 0) {
+    setInterval(() => {
+      publishLedgerRoot(db).catch((error) => console.error("Failed to record ledger root:", error))
+    }, rootInterval * 60 * 1000).unref()
+  }
+
+  // Failed webhook deliveries are retried once their backoff has passed
+  const webhookRetryInterval = Number(process.env.WEBHOOK_RETRY_INTERVAL_SECONDS ?? 15)
+  if (webhookRetryInterval > 0) {
+    setInterval(() => {
+      retryDueDeliveries(db).catch((error) => console.error("Failed to retry webhook deliveries:", error))
+    }, webhookRetryInterval * 1000).unref()
+  }
+}
+
+if (require.main === module) {
+  startServer()
+}
 
 module.exports = app
@@ -0,0 +1,254 @@
+const crypto = require('crypto');
+const jwt = require('jsonwebtoken');
+const { ServiceError } = require('./errors');
+const { getPublicBaseUrl } = require('./publicUrl');
+
+// Signed statements of a credit block's registry state, for holders who need
+// to prove ownership or retirement somewhere else. Each attestation is a W3C
+// Verifiable Credential in JWT form: a compact JWS signed with the platform's
+// current ES256 key, whose `kid` names the key in the published JWKS. Keys
+// rotate on a schedule or on demand; retired keys stay published so earlier
+// attestations keep verifying.
+
+const ALGORITHM = 'ES256';
+const DAY_MS = 24 * 60 * 60 * 1000;
+const KEY_ROTATION_DAYS = Number(process.env.SIGNING_KEY_ROTATION_DAYS) || 90;
+const VC_CONTEXT = 'https://www.w3.org/2018/credentials/v1';
+const ATTESTATION_TYPE = 'CarbonCreditAttestation';
+
+// Private keys are stored encrypted with a key derived from this secret.
+const keyEncryptionKey = () => {
+  const secret = process.env.ATTESTATION_KEY_SECRET || process.env.JWT_SECRET;
+  if (!secret) {
+    throw new Error('ATTESTATION_KEY_SECRET is not configured');
+  }
+  return crypto.createHash('sha256').update(secret).digest();
+};
+
+const encryptPrivateKey = (pem) => {
+  const iv = crypto.randomBytes(12);
+  const cipher = crypto.createCipheriv('aes-256-gcm', keyEncryptionKey(), iv);
+  const data = Buffer.concat([cipher.update(pem, 'utf8'), cipher.final()]);
+  return { iv: iv.toString('base64'), tag: cipher.getAuthTag().toString('base64'), data: data.toString('base64') };
+};
+
+const decryptPrivateKey = ({ iv, tag, data }) => {
+  const decipher = crypto.createDecipheriv('aes-256-gcm', keyEncryptionKey(), Buffer.from(iv, 'base64'));
+  decipher.setAuthTag(Buffer.from(tag, 'base64'));
+  const pem = Buffer.concat([decipher.update(Buffer.from(data, 'base64')), decipher.final()]).toString('utf8');
+  return crypto.createPrivateKey(pem);
+};
+
+// RFC 7638 thumbprint: the required members in lexicographic order.
+const thumbprint = ({ crv, kty, x, y }) =>
+  crypto.createHash('sha256').update(JSON.stringify({ crv, kty, x, y })).digest('base64url');
+
+// The encrypted private key never leaves the service.
+const toPublicKey = (key) => {
+  const publicKey = { ...key };
+  delete publicKey.privateKey;
+  return publicKey;
+};
+
+// Generates a key pair, makes it the active key and retires the previous one.
+const rotateSigningKey = async (db, { actor } = {}) => {
+  const { publicKey, privateKey } = crypto.generateKeyPairSync('ec', { namedCurve: 'P-256' });
+  const { kty, crv, x, y } = publicKey.export({ format: 'jwk' });
+  const kid = thumbprint({ crv, kty, x, y });
+  const now = new Date().toISOString();
+
+  const key = await db.signingKeys.create({
+    kid,
+    algorithm: ALGORITHM,
+    publicJwk: { kty, crv, x, y, kid, alg: ALGORITHM, use: 'sig' },
+    privateKey: encryptPrivateKey(privateKey.export({ format: 'pem', type: 'pkcs8' })),
+    status: 'active',
+    activatedAt: now,
+    createdBy: actor,
+  });
+
+  const previous = await db.signingKeys.find({ status: 'active', id: { $ne: key.id } });
+  for (const old of previous) {
+    await db.signingKeys.updateWhere({ id: old.id, status: 'active' }, { status: 'retired', retiredAt: now });
+  }
+  return key;
+};
+
+// Scheduled rotations in flight, per repository, so concurrent requests
+// that find the key due share one new key.
+const pendingRotations = new WeakMap();
+
+const isDue = (key, now) => new Date(key.activatedAt).getTime() + KEY_ROTATION_DAYS * DAY_MS <= now.getTime();
+
+const currentSigningKey = async (db, now = new Date()) => {
+  const {
+    items: [key],
+  } = await db.signingKeys.findPage({ status: 'active' }, { sort: { activatedAt: -1 }, limit: 1 });
+  if (key && !isDue(key, now)) return key;
+
+  if (!pendingRotations.has(db.signingKeys)) {
+    pendingRotations.set(
+      db.signingKeys,
+      rotateSigningKey(db, { actor: 'system' }).finally(() => pendingRotations.delete(db.signingKeys)),
+    );
+  }
+  return pendingRotations.get(db.signingKeys);
+};
+
+// Every key that may have signed an attestation, newest first.
+const getJwks = async (db) => {
+  const keys = await db.signingKeys.find({ status: { $in: ['active', 'retired'] } });
+  return {
+    keys: keys
+      .sort((a, b) => new Date(b.activatedAt) - new Date(a.activatedAt))
+      .map((key) => key.publicJwk),
+  };
+};
+
+// The attested facts about a block, also used to describe its current state
+// when an attestation is checked.
+const describeCredit = async (db, credit) => {
+  const [project, holder] = await Promise.all([
+    db.projects.findById(credit.projectId),
+    credit.ownerId ? db.stakeholders.findById(credit.ownerId) : null,
+  ]);
+
+  return {
+    creditId: credit.id,
+    serialNumber: credit.serialNumber,
+    serialStart: credit.serialStart,
+    serialEnd: credit.serialEnd,
+    quantity: credit.creditsAmount,
+    vintage: credit.vintage,
+    methodology: credit.methodology,
+    status: credit.status,
+    project: project
+      ? { id: project.id, name: project.name, country: (project.location && project.location.country) || null }
+      : { id: credit.projectId, name: null, country: null },
+    holder: credit.ownerId ? { id: credit.ownerId, name: holder ? holder.name : null } : null,
+    ...(credit.status === 'retired' && {
+      retirement: {
+        beneficiary: credit.retirementBeneficiary || null,
+        reason: credit.retirementReason || null,
+        retiredAt: credit.retiredAt,
+      },
+    }),
+  };
+};
+
+// Signs the block's current state. The issuer and subject id are the
+// registry's configured public address, so a forged Host header can't put
+// another domain into a signed credential.
+const attestCredit = async (db, { credit }) => {
+  const issuer = getPublicBaseUrl();
+  const key = await currentSigningKey(db);
+  const subject = { id: `${issuer}/credits/${credit.id}`, ...(await describeCredit(db, credit)) };
+  const id = `urn:uuid:${crypto.randomUUID()}`;
+
+  const attestation = jwt.sign(
+    {
+      jti: id,
+      vc: {
+        '@context': [VC_CONTEXT],
+        type: ['VerifiableCredential', ATTESTATION_TYPE],
+        credentialSubject: subject,
+      },
+    },
+    decryptPrivateKey(key.privateKey),
+    { algorithm: ALGORITHM, keyid: key.kid, issuer, subject: subject.id, notBefore: 0, header: { typ: 'JWT' } },
+  );
+  const { iat } = jwt.decode(attestation);
+
+  return {
+    format: 'vc+jwt',
+    attestation,
+    kid: key.kid,
+    credential: {
+      '@context': [VC_CONTEXT],
+      id,
+      type: ['VerifiableCredential', ATTESTATION_TYPE],
+      issuer,
+      issuanceDate: new Date(iat * 1000).toISOString(),
+      credentialSubject: subject,
+    },
+  };
+};
+
+// Attested fields that a later change to the block makes out of date.
+const TRACKED_FIELDS = {
+  status: (facts) => facts.status,
+  holder: (facts) => (facts.holder ? facts.holder.id : null),
+  quantity: (facts) => facts.quantity,
+  serialNumber: (facts) => facts.serialNumber,
+};
+
+const summarise = (current, changes) => {
+  if (!current) return 'The attested credit no longer exists on the registry';
+  if (changes.length === 0) return 'The attested state matches the registry';
+
+  const status = changes.find((change) => change.field === 'status');
+  if (status && current.status === 'retired') {
+    return `The credit has since been retired${current.retirement.retiredAt ? ` (${current.retirement.retiredAt})` : ''}`;
+  }
+  if (status) return `The credit's status has since changed from ${status.attested} to ${status.current}`;
+  return `The credit has changed since it was attested: ${changes.map((change) => change.field).join(', ')}`;
+};
+
+// Checks an attestation's signature against the published keys, then compares
+// what it states with the block's current state. A bad signature is a result,
+// not an error; only input that isn't a JWS at all is rejected.
+const verifyAttestation = async (db, attestation) => {
+  const decoded = typeof attestation === 'string' ? jwt.decode(attestation, { complete: true }) : null;
+  if (!decoded || typeof decoded.payload !== 'object') {
+    throw new ServiceError('attestation must be a compact JWS as returned by GET /credits/:id/attestation');
+  }
+
+  const { kid } = decoded.header;
+  const key = kid ? await db.signingKeys.findOne({ kid }) : null;
+  if (!key) {
+    return { valid: false, kid: kid || null, reason: 'Not signed with a key this registry publishes' };
+  }
+
+  let payload;
+  try {
+    payload = jwt.verify(attestation, crypto.createPublicKey({ key: key.publicJwk, format: 'jwk' }), {
+      algorithms: [ALGORITHM],
+    });
+  } catch (error) {
+    return { valid: false, kid, reason: `Signature check failed: ${error.message}` };
+  }
+
+  const claims = payload.vc && payload.vc.credentialSubject;
+  if (!claims || !Array.isArray(payload.vc.type) || !payload.vc.type.includes(ATTESTATION_TYPE)) {
+    return { valid: false, kid, reason: 'Not a credit attestation' };
+  }
+
+  const credit = claims.creditId ? await db.carbonCredits.findById(claims.creditId) : null;
+  const current = credit ? await describeCredit(db, credit) : null;
+  const changes = current
+    ? Object.entries(TRACKED_FIELDS)
+        .map(([field, valueOf]) => ({ field, attested: valueOf(claims), current: valueOf(current) }))
+        .filter((change) => change.attested !== change.current)
+    : [];
+
+  return {
+    valid: true,
+    kid,
+    keyStatus: key.status,
+    issuer: payload.iss,
+    attestedAt: new Date(payload.iat * 1000).toISOString(),
+    claims,
+    current,
+    changes,
+    upToDate: Boolean(current) && changes.length === 0,
+    summary: summarise(current, changes),
+  };
+};
+
+module.exports = {
+  toPublicKey,
+  rotateSigningKey,
+  getJwks,
+  attestCredit,
+  verifyAttestation
+};
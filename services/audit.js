@@ -0,0 +1,120 @@
+const { ServiceError } = require('./errors');
+const { canonicalJson, createChainAppender, verifyChain } = require('./hashChain');
+
+// The audit trail: one entry per create, update or delete of a tracked
+// record, naming the actor and request and holding the fields as they were
+// before and after. Entries form a hash chain (see services/hashChain.js), so
+// editing, removing or reordering any entry breaks the chain from that point
+// on.
+
+const REDACTED = '[redacted]';
+const SECRET_FIELDS = ['passwordHash', 'tokenHash', 'privateKey', 'secret'];
+const DEFAULT_LIMIT = 100;
+const MAX_LIMIT = 1000;
+
+const redact = (record) =>
+  record &&
+  Object.fromEntries(
+    Object.entries(record).map(([key, value]) => [key, SECRET_FIELDS.includes(key) ? REDACTED : value]),
+  );
+
+const sameValue = (a, b) => canonicalJson(a) === canonicalJson(b);
+
+// The fields an update changed, as their before and after values.
+const diffRecords = (before, after) => {
+  const fields = [...new Set([...Object.keys(before), ...Object.keys(after)])].filter(
+    (field) => field !== 'updatedAt' && !sameValue(before[field], after[field]),
+  );
+  return {
+    before: Object.fromEntries(fields.map((field) => [field, before[field] === undefined ? null : before[field]])),
+    after: Object.fromEntries(fields.map((field) => [field, after[field] === undefined ? null : after[field]])),
+  };
+};
+
+// Builds the writer for a set of repositories.
+const createAuditLog = (db, { context = () => null } = {}) => {
+  const append = createChainAppender(db.auditEntries);
+
+  // `action` is create, update or delete. Updates that changed nothing are
+  // not recorded.
+  const record = ({ entity, entityId, action, before = null, after = null }) => {
+    const changes =
+      action === 'update' ? diffRecords(redact(before), redact(after)) : { before: redact(before), after: redact(after) };
+    if (action === 'update' && Object.keys(changes.after).length === 0) return Promise.resolve(null);
+
+    const req = context();
+    const fields = {
+      at: new Date().toISOString(),
+      entity,
+      entityId,
+      action,
+      actor: req && req.user ? req.user.email : 'system',
+      actorStakeholderId: req && req.user ? req.user.stakeholderId : undefined,
+      requestId: req ? req.id : undefined,
+      method: req ? req.method : undefined,
+      path: req ? req.originalUrl.split('?')[0] : undefined,
+      ...changes,
+    };
+
+    return append(fields);
+  };
+
+  return { record };
+};
+
+const parseDate = (value, name) => {
+  const date = new Date(value);
+  if (Number.isNaN(date.getTime())) {
+    throw new ServiceError(`${name} must be a valid date`);
+  }
+  return date.toISOString();
+};
+
+// Query parameters: `entity`, `entityId`, `actor`, `action`, `requestId`,
+// `from` and `to` (on the time of the change) and `limit`. Newest first.
+const queryAudit = async (db, query = {}, { entities = [] } = {}) => {
+  const filter = {};
+
+  if (query.entity !== undefined) {
+    if (!entities.includes(query.entity)) {
+      throw new ServiceError(`entity must be one of: ${entities.join(', ')}`);
+    }
+    filter.entity = query.entity;
+  }
+  if (query.action !== undefined) {
+    if (!['create', 'update', 'delete'].includes(query.action)) {
+      throw new ServiceError('action must be create, update or delete');
+    }
+    filter.action = query.action;
+  }
+  ['entityId', 'actor', 'requestId'].forEach((name) => {
+    if (query[name] !== undefined) filter[name] = String(query[name]);
+  });
+
+  if (query.from !== undefined || query.to !== undefined) {
+    filter.at = {};
+    if (query.from !== undefined) filter.at.$gte = parseDate(query.from, 'from');
+    if (query.to !== undefined) filter.at.$lte = parseDate(query.to, 'to');
+  }
+
+  const limit = query.limit === undefined ? DEFAULT_LIMIT : Number(query.limit);
+  if (!Number.isInteger(limit) || limit < 1) {
+    throw new ServiceError('limit must be a whole number of at least 1');
+  }
+
+  const { items, total } = await db.auditEntries.findPage(filter, {
+    sort: { sequence: -1 },
+    limit: Math.min(limit, MAX_LIMIT),
+  });
+  return { entries: items, total };
+};
+
+// Walks the whole chain in order, recomputing every hash. Reports the first
+// entry that doesn't hold up, which is where tampering (or loss) begins.
+const verifyAuditChain = (db) => verifyChain(db.auditEntries);
+
+module.exports = {
+  createAuditLog,
+  queryAudit,
+  verifyAuditChain
+};
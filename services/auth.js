@@ -0,0 +1,85 @@
+const crypto = require('crypto');
+const bcrypt = require('bcryptjs');
+const jwt = require('jsonwebtoken');
+
+const ACCESS_TOKEN_TTL = process.env.JWT_EXPIRES_IN || '15m';
+const REFRESH_TOKEN_TTL_DAYS = Number(process.env.REFRESH_TOKEN_TTL_DAYS) || 30;
+const BCRYPT_ROUNDS = 10;
+const MIN_PASSWORD_LENGTH = 8;
+
+const getJwtSecret = () => {
+  if (!process.env.JWT_SECRET) {
+    throw new Error('JWT_SECRET is not configured');
+  }
+  return process.env.JWT_SECRET;
+};
+
+const hashPassword = (password) => bcrypt.hash(password, BCRYPT_ROUNDS);
+
+const verifyPassword = (password, passwordHash) => bcrypt.compare(password, passwordHash);
+
+// Refresh tokens are opaque random strings; only their SHA-256 is persisted.
+const hashToken = (token) => crypto.createHash('sha256').update(token).digest('hex');
+
+const signAccessToken = (user) =>
+  jwt.sign(
+    { email: user.email, stakeholderId: user.stakeholderId },
+    getJwtSecret(),
+    { subject: user.id, expiresIn: ACCESS_TOKEN_TTL }
+  );
+
+const verifyAccessToken = (token) => jwt.verify(token, getJwtSecret());
+
+// Creates a new access/refresh token pair and stores the refresh token.
+const issueTokens = async (db, user) => {
+  const refreshToken = crypto.randomBytes(48).toString('base64url');
+  const expiresAt = new Date(Date.now() + REFRESH_TOKEN_TTL_DAYS * 24 * 60 * 60 * 1000);
+
+  await db.refreshTokens.create({
+    userId: user.id,
+    tokenHash: hashToken(refreshToken),
+    expiresAt: expiresAt.toISOString(),
+  });
+
+  return {
+    tokenType: 'Bearer',
+    accessToken: signAccessToken(user),
+    expiresIn: ACCESS_TOKEN_TTL,
+    refreshToken,
+    refreshTokenExpiresAt: expiresAt.toISOString(),
+  };
+};
+
+// Looks up a refresh token that is neither revoked nor expired.
+const findActiveRefreshToken = async (db, refreshToken) => {
+  const record = await db.refreshTokens.findOne({ tokenHash: hashToken(refreshToken) });
+
+  if (!record || record.revokedAt || new Date(record.expiresAt) <= new Date()) {
+    return null;
+  }
+  return record;
+};
+
+// Compare-and-swap on `revokedAt`, so of two requests presenting the same
+// token only one revokes it. Resolves to null for the loser.
+const revokeRefreshToken = (db, record) =>
+  db.refreshTokens.updateWhere({ id: record.id, revokedAt: undefined }, { revokedAt: new Date().toISOString() });
+
+// Users are never returned with their password hash.
+const toPublicUser = (user) => {
+  const publicUser = { ...user };
+  delete publicUser.passwordHash;
+  return publicUser;
+};
+
+module.exports = {
+  MIN_PASSWORD_LENGTH,
+  hashPassword,
+  verifyPassword,
+  signAccessToken,
+  verifyAccessToken,
+  issueTokens,
+  findActiveRefreshToken,
+  revokeRefreshToken,
+  toPublicUser
+};
@@ -0,0 +1,119 @@
+const { ServiceError } = require('./errors');
+const geo = require('./geo');
+
+// Project boundaries: validation, derived area, the double-counting check
+// against other projects and the spatial filters used by GET /projects.
+// Queries run against the 2dsphere index on `location.boundary`.
+
+const DEFAULT_RADIUS_KM = 50;
+const MAX_RADIUS_KM = 2000;
+
+const parseNumbers = (value, count, usage) => {
+  const numbers = String(value).split(',').map((part) => (part.trim() === '' ? NaN : Number(part)));
+  if (numbers.length !== count || !numbers.every(Number.isFinite)) {
+    throw new ServiceError(`Expected ${usage}`);
+  }
+  return numbers;
+};
+
+// Checks a submitted location's boundary and fills in the area (hectares)
+// and, when missing, a point location. Rejects boundaries that share area
+// with another live project, since the same land can't be credited twice.
+const prepareLocation = async (db, location, { projectId } = {}) => {
+  if (!location || location.boundary === undefined || location.boundary === null) return location;
+
+  const errors = geo.validateBoundary(location.boundary);
+  if (errors.length > 0) {
+    const more = errors.length > 3 ? ` (and ${errors.length - 3} more)` : '';
+    throw new ServiceError(`Invalid boundary: ${errors.slice(0, 3).join('; ')}${more}`);
+  }
+
+  const boundary = { type: location.boundary.type, coordinates: location.boundary.coordinates };
+  const candidates = await db.projects.find({
+    'location.boundary': { $geoIntersects: { $geometry: boundary } },
+    status: { $ne: 'cancelled' },
+  });
+  const overlapping = candidates.find(
+    (project) => project.id !== projectId && geo.interiorsOverlap(boundary, project.location.boundary),
+  );
+  if (overlapping) {
+    throw new ServiceError(
+      `Boundary overlaps project "${overlapping.name}" (${overlapping.id}); the same land cannot be credited twice`,
+      409,
+    );
+  }
+
+  const [longitude, latitude] = geo.centreOf(boundary);
+  return {
+    ...location,
+    boundary,
+    area: geo.areaHectares(boundary),
+    coordinates: location.coordinates || { latitude, longitude },
+  };
+};
+
+// Builds the filter for `near=lat,lng&radius=<km>` (projects whose boundary
+// comes within the radius) or `within=minLng,minLat,maxLng,maxLat` (projects
+// entirely inside the box). `origin` is set for near queries so results can
+// be given their distance.
+const spatialQuery = ({ near, radius, within } = {}) => {
+  if (near !== undefined && within !== undefined) {
+    throw new ServiceError('Use either near or within, not both');
+  }
+
+  if (near !== undefined) {
+    const [latitude, longitude] = parseNumbers(near, 2, 'near=<latitude>,<longitude>');
+    if (Math.abs(latitude) > 90 || Math.abs(longitude) > 180) {
+      throw new ServiceError('near must be a valid latitude and longitude');
+    }
+
+    const radiusKm = radius === undefined ? DEFAULT_RADIUS_KM : Number(radius);
+    if (!Number.isFinite(radiusKm) || radiusKm <= 0 || radiusKm > MAX_RADIUS_KM) {
+      throw new ServiceError(`radius must be between 0 and ${MAX_RADIUS_KM} km`);
+    }
+
+    const origin = [longitude, latitude];
+    return {
+      filter: { 'location.boundary': { $geoIntersects: { $geometry: geo.circle(origin, radiusKm * 1000) } } },
+      origin,
+    };
+  }
+
+  if (within !== undefined) {
+    const bbox = parseNumbers(within, 4, 'within=<minLng>,<minLat>,<maxLng>,<maxLat>');
+    const [minLongitude, minLatitude, maxLongitude, maxLatitude] = bbox;
+    if (
+      minLongitude >= maxLongitude ||
+      minLatitude >= maxLatitude ||
+      Math.abs(minLatitude) > 90 ||
+      Math.abs(maxLatitude) > 90 ||
+      Math.abs(minLongitude) > 180 ||
+      Math.abs(maxLongitude) > 180
+    ) {
+      throw new ServiceError('within must be a bounding box: minLng,minLat,maxLng,maxLat');
+    }
+    return { filter: { 'location.boundary': { $geoWithin: { $geometry: geo.bboxPolygon(bbox) } } } };
+  }
+
+  return { filter: {} };
+};
+
+// Adds `distanceKm` from the origin to each project.
+const withDistances = (projects, origin) =>
+  projects.map((project) => ({
+    ...project,
+    distanceKm: Math.round(geo.distanceMetres(origin, project.location.boundary)) / 1000,
+  }));
+
+// Uploads from projects without a boundary can't be checked and pass.
+const isWithinBoundary = (project, { latitude, longitude }) => {
+  const boundary = project.location && project.location.boundary;
+  return !boundary || geo.locatePoint([longitude, latitude], boundary) !== 'outside';
+};
+
+module.exports = {
+  prepareLocation,
+  spatialQuery,
+  withDistances,
+  isWithinBoundary
+};
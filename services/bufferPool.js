@@ -0,0 +1,293 @@
+const { ServiceError } = require('./errors');
+const { detachUnits, parseQuantity } = require('./ledger');
+const {
+  NATURE_BASED_CATEGORIES,
+  RISK_BUFFER_RATES,
+  DEFAULT_RISK_RATING,
+  REVERSAL_EVENT_TYPES,
+} = require('../config/bufferPool');
+
+// The buffer pool is a single registry account holding the credits withheld
+// from nature-based issuances. Buffer blocks keep their project and serial
+// range but sit in status "buffer", so they can never be transferred, listed
+// or retired. A reported reversal waits for the registry to approve it; only
+// then are buffer credits cancelled to cover the loss: the project's own
+// contributions first, then the rest of the pool.
+
+const MAX_ATTEMPTS = 10;
+
+const ensureBufferAccount = async (db) => {
+  const existing = await db.holderAccounts.findOne({ type: 'buffer' });
+  if (existing) return existing;
+
+  return db.holderAccounts.create({
+    type: 'buffer',
+    name: 'Registry buffer pool',
+    status: 'active',
+  });
+};
+
+const bufferRateFor = (project) => {
+  const natureBased = NATURE_BASED_CATEGORIES.includes(project.category);
+  const riskRating = project.riskRating || DEFAULT_RISK_RATING;
+  return {
+    natureBased,
+    riskRating: natureBased ? riskRating : null,
+    rate: natureBased ? RISK_BUFFER_RATES[riskRating] : 0,
+  };
+};
+
+// Credits withheld from an issuance of `quantity`, rounded up so the pool is
+// never short-changed by fractions.
+const bufferShare = (project, quantity) => Math.ceil(quantity * bufferRateFor(project).rate);
+
+// Sort key so a reversal draws on its own project's buffer before the pool,
+// oldest contributions first.
+const cancellationOrder = (projectId) => (a, b) =>
+  (b.projectId === projectId) - (a.projectId === projectId) ||
+  new Date(a.createdAt) - new Date(b.createdAt) ||
+  (a.serialStart || 0) - (b.serialStart || 0);
+
+const cancelBufferCredits = async (db, { account, projectId, quantity, reversalId, actor, memo }) => {
+  const cancellations = [];
+  let remaining = quantity;
+
+  for (let attempt = 0; remaining > 0 && attempt < MAX_ATTEMPTS; attempt += 1) {
+    const blocks = (await db.carbonCredits.find({ accountId: account.id, status: 'buffer' })).sort(
+      cancellationOrder(projectId),
+    );
+    if (blocks.length === 0) break;
+
+    for (const block of blocks) {
+      if (remaining === 0) break;
+      const take = Math.min(remaining, block.creditsAmount);
+
+      let cancelled;
+      try {
+        cancelled = await detachUnits(
+          db,
+          block,
+          take,
+          { status: 'cancelled', cancelledAt: new Date().toISOString(), reversalId },
+          { status: 'buffer' },
+        );
+      } catch (error) {
+        // Another reversal got to this block first; re-read the pool
+        if (error instanceof ServiceError && error.statusCode === 409) break;
+        throw error;
+      }
+
+      const entry = await db.ledgerEntries.create({
+        type: 'cancellation',
+        batchId: block.batchId || block.id,
+        creditId: block.id,
+        resultingCreditId: cancelled.id,
+        fromAccountId: account.id,
+        quantity: take,
+        actor,
+        memo,
+      });
+
+      cancellations.push({
+        creditId: block.id,
+        resultingCreditId: cancelled.id,
+        projectId: block.projectId,
+        serialNumber: cancelled.serialNumber,
+        quantity: take,
+        ledgerEntryId: entry.id,
+      });
+      remaining -= take;
+    }
+  }
+
+  return { cancellations, cancelledQuantity: quantity - remaining };
+};
+
+// Reversals still claiming part of a project's credits: everything reported
+// that the registry hasn't rejected.
+const OPEN_REVERSAL_STATUSES = ['pending', 'approved', 'covered', 'partially_covered', 'uncovered'];
+
+// A project can't lose more than was ever issued for it, so the credits it
+// has been issued (buffer share included) bound what its reversals may claim.
+const assertWithinIssued = async (db, project, quantity, excludeId) => {
+  const reversals = await db.reversals.find({ projectId: project.id, status: { $in: OPEN_REVERSAL_STATUSES } });
+  const claimed = reversals
+    .filter((reversal) => reversal.id !== excludeId)
+    .reduce((sum, reversal) => sum + reversal.quantity, 0);
+  const reversible = Math.max((project.actualCredits || 0) - claimed, 0);
+
+  if (quantity > reversible) {
+    throw new ServiceError(
+      `Reversals on this project can claim at most ${reversible} more credits: ${project.actualCredits || 0} have been issued and ${claimed} are already reported`,
+    );
+  }
+};
+
+const recordReversal = async (db, { project, quantity, eventType, description, occurredAt, user }) => {
+  const amount = parseQuantity(quantity);
+
+  if (!NATURE_BASED_CATEGORIES.includes(project.category)) {
+    throw new ServiceError(`Reversals only apply to nature-based projects, not ${project.category}`);
+  }
+  if (!REVERSAL_EVENT_TYPES.includes(eventType)) {
+    throw new ServiceError(`Event type must be one of: ${REVERSAL_EVENT_TYPES.join(', ')}`);
+  }
+  if (occurredAt !== undefined && (Number.isNaN(Date.parse(occurredAt)) || new Date(occurredAt) > new Date())) {
+    throw new ServiceError('Occurrence date must be a valid date that is not in the future');
+  }
+  await assertWithinIssued(db, project, amount);
+
+  return db.reversals.create({
+    projectId: project.id,
+    eventType,
+    description,
+    occurredAt: occurredAt ? new Date(occurredAt).toISOString() : new Date().toISOString(),
+    quantity: amount,
+    status: 'pending',
+    reportedBy: user.email,
+    reporterStakeholderId: user.stakeholderId,
+  });
+};
+
+const findPendingReversal = async (db, project, reversalId) => {
+  const reversal = await db.reversals.findById(reversalId);
+  if (!reversal || reversal.projectId !== project.id) {
+    throw new ServiceError('Reversal not found', 404);
+  }
+  if (reversal.status !== 'pending') {
+    throw new ServiceError(`Reversal is already ${reversal.status.replace(/_/g, ' ')}`, 409);
+  }
+  return reversal;
+};
+
+// Registry approval: claims the pending reversal with compare-and-swap, so it
+// is only ever covered once, then cancels buffer credits for it.
+const approveReversal = async (db, { project, reversalId, user, comments }) => {
+  const pending = await findPendingReversal(db, project, reversalId);
+  await assertWithinIssued(db, project, pending.quantity, pending.id);
+
+  const reversal = await db.reversals.updateWhere(
+    { id: pending.id, status: 'pending' },
+    { status: 'approved', reviewedBy: user.email, reviewedAt: new Date().toISOString(), reviewComments: comments },
+  );
+  if (!reversal) {
+    throw new ServiceError('Reversal was reviewed concurrently', 409);
+  }
+
+  const account = await ensureBufferAccount(db);
+  const { cancellations, cancelledQuantity } = await cancelBufferCredits(db, {
+    account,
+    projectId: project.id,
+    quantity: reversal.quantity,
+    reversalId: reversal.id,
+    actor: user.email,
+    memo: `Reversal ${reversal.id}: ${reversal.eventType} on project ${project.id}`,
+  });
+
+  const shortfall = reversal.quantity - cancelledQuantity;
+  return db.reversals.update(reversal.id, {
+    cancellations,
+    cancelledQuantity,
+    shortfall,
+    status: shortfall === 0 ? 'covered' : cancelledQuantity > 0 ? 'partially_covered' : 'uncovered',
+  });
+};
+
+const rejectReversal = async (db, { project, reversalId, user, reason }) => {
+  const pending = await findPendingReversal(db, project, reversalId);
+
+  const reversal = await db.reversals.updateWhere(
+    { id: pending.id, status: 'pending' },
+    { status: 'rejected', reviewedBy: user.email, reviewedAt: new Date().toISOString(), rejectionReason: reason },
+  );
+  if (!reversal) {
+    throw new ServiceError('Reversal was reviewed concurrently', 409);
+  }
+  return reversal;
+};
+
+const sumCredits = (blocks, status) =>
+  blocks.filter((block) => block.status === status).reduce((sum, block) => sum + block.creditsAmount, 0);
+
+const summarizeProject = (project, blocks, allReversals) => {
+  // Rejected reports never touched the pool, pending ones haven't yet
+  const reversals = allReversals.filter((reversal) => !['pending', 'rejected'].includes(reversal.status));
+  const balance = sumCredits(blocks, 'buffer');
+  const cancelled = sumCredits(blocks, 'cancelled');
+  const { natureBased, riskRating, rate } = bufferRateFor(project);
+
+  return {
+    projectId: project.id,
+    name: project.name,
+    category: project.category,
+    natureBased,
+    riskRating,
+    bufferRate: rate,
+    contributed: balance + cancelled,
+    cancelled,
+    balance,
+    reversals: reversals.length,
+    pendingReversals: allReversals.filter((reversal) => reversal.status === 'pending').length,
+    reversedQuantity: reversals.reduce((sum, reversal) => sum + reversal.quantity, 0),
+    coveredQuantity: reversals.reduce((sum, reversal) => sum + (reversal.cancelledQuantity || 0), 0),
+    shortfall: reversals.reduce((sum, reversal) => sum + (reversal.shortfall || 0), 0),
+  };
+};
+
+const getProjectBufferReport = async (db, project) => {
+  const account = await ensureBufferAccount(db);
+  const [blocks, reversals] = await Promise.all([
+    db.carbonCredits.find({ accountId: account.id, projectId: project.id }),
+    db.reversals.find({ projectId: project.id }),
+  ]);
+
+  return {
+    accountId: account.id,
+    ...summarizeProject(project, blocks, reversals),
+    blocks: blocks.filter((block) => block.status === 'buffer'),
+    reversalEvents: reversals,
+  };
+};
+
+const getRegistryBufferReport = async (db) => {
+  const account = await ensureBufferAccount(db);
+  const [projects, blocks, reversals] = await Promise.all([
+    db.projects.find(),
+    db.carbonCredits.find({ accountId: account.id }),
+    db.reversals.find(),
+  ]);
+
+  const byProject = projects
+    .map((project) =>
+      summarizeProject(
+        project,
+        blocks.filter((block) => block.projectId === project.id),
+        reversals.filter((reversal) => reversal.projectId === project.id),
+      ),
+    )
+    .filter((summary) => summary.contributed > 0 || summary.reversals > 0 || summary.pendingReversals > 0);
+
+  const balance = sumCredits(blocks, 'buffer');
+  const cancelled = sumCredits(blocks, 'cancelled');
+
+  return {
+    accountId: account.id,
+    contributed: balance + cancelled,
+    cancelled,
+    balance,
+    reversals: reversals.length,
+    shortfall: reversals.reduce((sum, reversal) => sum + (reversal.shortfall || 0), 0),
+    byProject,
+  };
+};
+
+module.exports = {
+  ensureBufferAccount,
+  bufferRateFor,
+  bufferShare,
+  recordReversal,
+  approveReversal,
+  rejectReversal,
+  getProjectBufferReport,
+  getRegistryBufferReport
+};
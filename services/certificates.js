@@ -0,0 +1,236 @@
+const crypto = require('crypto');
+const fs = require('fs');
+const path = require('path');
+const { ServiceError } = require('./errors');
+const { TEMP_DIR } = require('./uploads');
+const { createPdf } = require('./pdf');
+const { encodeQr } = require('./qrCode');
+const { getPublicBaseUrl } = require('./publicUrl');
+
+// PDF certificates for issued and retired credit blocks. A certificate is
+// rendered once, from a snapshot of the block, and stored with the SHA-256 of
+// its bytes; the QR code on it points at the public verification endpoint,
+// which confirms whether a presented copy is the one the registry produced.
+
+const CERTIFICATE_TYPES = {
+  issued: 'issuance',
+  active: 'issuance',
+  retired: 'retirement',
+};
+
+const TITLES = {
+  issuance: 'Certificate of Carbon Credit Issuance',
+  retirement: 'Certificate of Carbon Credit Retirement',
+};
+
+const sha256 = (buffer) => crypto.createHash('sha256').update(buffer).digest('hex');
+
+const formatDate = (value) =>
+  value ? new Date(value).toLocaleDateString('en-GB', { day: 'numeric', month: 'long', year: 'numeric', timeZone: 'UTC' }) : null;
+
+const nameOf = async (db, stakeholderId) => {
+  const stakeholder = stakeholderId ? await db.stakeholders.findById(stakeholderId) : null;
+  return stakeholder ? stakeholder.name : null;
+};
+
+// What the certificate states, resolved to names so it reads on its own.
+const describeCredit = async (db, credit, type) => {
+  const [project, verification] = await Promise.all([
+    db.projects.findById(credit.projectId),
+    credit.verificationId ? db.verificationSubmissions.findById(credit.verificationId) : null,
+  ]);
+
+  return {
+    creditId: credit.id,
+    projectId: credit.projectId,
+    projectName: project ? project.name : 'Unknown Project',
+    country: project && project.location ? project.location.country || null : null,
+    serialNumber: credit.serialNumber,
+    serialStart: credit.serialStart,
+    serialEnd: credit.serialEnd,
+    quantity: credit.creditsAmount,
+    vintage: credit.vintage,
+    methodology: credit.methodology,
+    verifier: verification ? await nameOf(db, verification.assignedVerifierId) : null,
+    verifiedAt: verification ? verification.reviewedAt || null : null,
+    issuedAt: credit.createdAt,
+    ...(type === 'retirement'
+      ? {
+          retiredBy: await nameOf(db, credit.ownerId),
+          beneficiary: credit.retirementBeneficiary || null,
+          reason: credit.retirementReason || null,
+          retiredAt: credit.retiredAt,
+        }
+      : { holder: await nameOf(db, credit.ownerId) }),
+  };
+};
+
+const renderCertificate = ({ id, type, details, verifyUrl }) => {
+  const doc = createPdf({
+    title: `${TITLES[type]} ${id}`,
+    author: 'C-CRED Registry',
+    createdAt: type === 'retirement' ? details.retiredAt : details.issuedAt,
+  });
+  const { width, height } = doc;
+  const accent = [0.09, 0.4, 0.25];
+
+  doc.rect(20, 20, width - 40, height - 40, { stroke: accent, lineWidth: 3 });
+  doc.rect(28, 28, width - 56, height - 56, { stroke: accent, lineWidth: 0.75 });
+
+  doc.text('C-CRED REGISTRY', width / 2, height - 75, { size: 12, font: 'bold', align: 'center', color: accent });
+  doc.text(TITLES[type], width / 2, height - 108, { size: 26, font: 'bold', align: 'center' });
+  doc.line(width / 2 - 180, height - 122, width / 2 + 180, height - 122, { width: 1, color: accent });
+
+  const amount = `${details.quantity.toLocaleString('en-US')} verified carbon credit${details.quantity === 1 ? '' : 's'} (tCO2e)`;
+  const statement =
+    type === 'retirement'
+      ? `This certifies that ${amount} have been permanently retired on the C-CRED registry${details.beneficiary ? ` on behalf of ${details.beneficiary}` : ''}.`
+      : `This certifies that ${amount} have been issued on the C-CRED registry from the project below.`;
+  doc.paragraph(statement, 60, height - 155, width - 120, { size: 13 });
+
+  const rows = [
+    ['Project', `${details.projectName}${details.country ? ` (${details.country})` : ''}`],
+    ['Serial range', details.serialNumber],
+    ['Quantity', `${details.quantity.toLocaleString('en-US')} tCO2e`],
+    ['Vintage', details.vintage],
+    ['Methodology', details.methodology],
+    ['Verified by', details.verifier || 'Not recorded'],
+    ['Issued on', formatDate(details.issuedAt)],
+    ...(type === 'retirement'
+      ? [
+          ['Retired by', details.retiredBy || 'Not recorded'],
+          ['Beneficiary', details.beneficiary || 'Not stated'],
+          ['Reason', details.reason || 'Not stated'],
+          ['Retired on', formatDate(details.retiredAt)],
+        ]
+      : [['Holder', details.holder || 'Not recorded']]),
+    ['Certificate ID', id],
+  ];
+
+  let y = height - 215;
+  rows.forEach(([label, value]) => {
+    doc.text(label, 60, y, { size: 10, font: 'bold', color: 0.35 });
+    y = doc.paragraph(String(value || '-'), 170, y, 400, { size: 11, lineHeight: 14 }) - 8;
+  });
+
+  // QR code with its quiet zone, bottom right
+  const modules = encodeQr(verifyUrl);
+  const moduleSize = 150 / (modules.length + 8);
+  const qrLeft = width - 60 - 150;
+  const qrTop = 60 + 150 + 20;
+  doc.rect(qrLeft, qrTop - 150, 150, 150, { fill: 1 });
+  doc.modules(modules, qrLeft + 4 * moduleSize, qrTop - 4 * moduleSize, moduleSize);
+  doc.text('Scan to verify', qrLeft + 75, qrTop - 165, { size: 10, font: 'bold', align: 'center' });
+
+  doc.paragraph(
+    `The registry keeps a SHA-256 fingerprint of this document. Check a copy at ${verifyUrl}`,
+    60,
+    62,
+    width - 300,
+    { size: 8, lineHeight: 10, color: 0.35 },
+  );
+
+  return doc.toBuffer();
+};
+
+const storeDocument = async (storage, key, buffer) => {
+  await fs.promises.mkdir(TEMP_DIR, { recursive: true });
+  const tempPath = path.join(TEMP_DIR, `certificate-${crypto.randomBytes(8).toString('hex')}.pdf`);
+  await fs.promises.writeFile(tempPath, buffer);
+  try {
+    await storage.put(key, tempPath, { contentType: 'application/pdf' });
+  } finally {
+    await fs.promises.unlink(tempPath).catch(() => {});
+  }
+};
+
+// Returns the block's certificate for its current status, rendering and
+// storing it the first time. Blocks in the buffer pool or cancelled have none.
+const ensureCertificate = async (db, storage, { credit }) => {
+  const type = CERTIFICATE_TYPES[credit.status];
+  if (!type) {
+    throw new ServiceError(`Credits with status "${credit.status}" have no certificate`, 409);
+  }
+  const baseUrl = getPublicBaseUrl();
+
+  const existing = await db.certificates.findOne({ creditId: credit.id, type });
+  if (existing) return existing;
+
+  // The record comes first: its id goes into the verification link
+  const details = await describeCredit(db, credit, type);
+  let certificate;
+  try {
+    certificate = await db.certificates.create({ creditId: credit.id, type, details });
+  } catch (error) {
+    // Another request is rendering the same certificate
+    if (error.code === 11000) {
+      throw new ServiceError('The certificate is being prepared, try again shortly', 409);
+    }
+    throw error;
+  }
+
+  try {
+    const verifyUrl = `${baseUrl}/certificates/${certificate.id}/verify`;
+    const buffer = renderCertificate({ id: certificate.id, type, details, verifyUrl });
+    const storageKey = `certificates/${certificate.id}.pdf`;
+    await storeDocument(storage, storageKey, buffer);
+
+    const stored = await db.certificates.update(certificate.id, {
+      verifyUrl,
+      storage: storage.name,
+      storageKey,
+      sha256: sha256(buffer),
+      size: buffer.length,
+      issuedAt: new Date().toISOString(),
+    });
+    await db.carbonCredits.update(credit.id, { certificateUrl: `${baseUrl}/certificates/${certificate.id}.pdf` });
+    return stored;
+  } catch (error) {
+    await db.certificates.remove(certificate.id);
+    throw error;
+  }
+};
+
+const SHA256_PATTERN = /^[0-9a-f]{64}$/i;
+
+// Compares a presented copy (its bytes or their hash) with the stored
+// fingerprint. `genuine` is null when nothing was presented. The block's
+// current state is included because a genuine certificate can describe units
+// that have since moved on, e.g. an issuance later retired.
+const verifyCertificate = async (db, id, { document, hash } = {}) => {
+  const certificate = await db.certificates.findById(id);
+  if (!certificate || !certificate.sha256) {
+    throw new ServiceError('Certificate not found', 404);
+  }
+  if (hash !== undefined && !SHA256_PATTERN.test(String(hash))) {
+    throw new ServiceError('sha256 must be 64 hexadecimal characters');
+  }
+
+  const presented = document ? sha256(document) : hash !== undefined ? String(hash).toLowerCase() : null;
+  const credit = await db.carbonCredits.findById(certificate.creditId);
+
+  return {
+    certificateId: certificate.id,
+    type: certificate.type,
+    genuine: presented === null ? null : presented === certificate.sha256,
+    ...(presented !== null && { presentedSha256: presented }),
+    sha256: certificate.sha256,
+    issuedAt: certificate.issuedAt,
+    details: certificate.details,
+    credit: credit
+      ? {
+          id: credit.id,
+          status: credit.status,
+          serialNumber: credit.serialNumber,
+          creditsAmount: credit.creditsAmount,
+          retiredAt: credit.retiredAt || null,
+        }
+      : null,
+  };
+};
+
+module.exports = {
+  CERTIFICATE_TYPES,
+  ensureCertificate,
+  verifyCertificate
+};
@@ -0,0 +1,14 @@
+// Errors raised by services for conditions the client caused. The error
+// handling middleware turns them into `{ success: false, error }` responses
+// with the given status code.
+class ServiceError extends Error {
+  constructor(message, statusCode = 400) {
+    super(message);
+    this.name = 'ServiceError';
+    this.statusCode = statusCode;
+  }
+}
+
+module.exports = {
+  ServiceError
+};
@@ -0,0 +1,286 @@
+// Geometry on GeoJSON Polygon and MultiPolygon boundaries, in [longitude,
+// latitude] order. Areas and distances are computed on the sphere; overlap
+// and containment tests treat coordinates as planar, which holds at the
+// scale of a project site.
+
+const EARTH_RADIUS_M = 6378137;
+const MAX_POSITIONS = 10000;
+const EPSILON = 1e-12;
+
+const toRadians = (degrees) => (degrees * Math.PI) / 180;
+const toDegrees = (radians) => (radians * 180) / Math.PI;
+
+const polygonsOf = (geometry) => (geometry.type === 'Polygon' ? [geometry.coordinates] : geometry.coordinates);
+const ringsOf = (geometry) => polygonsOf(geometry).flat();
+const positionsOf = (geometry) => ringsOf(geometry).flatMap((ring) => ring.slice(0, -1));
+const edgesOf = (ring) => ring.slice(1).map((position, index) => [ring[index], position]);
+const allEdges = (geometry) => ringsOf(geometry).flatMap(edgesOf);
+
+const bboxOf = (positions) =>
+  positions.reduce(
+    ([minX, minY, maxX, maxY], [x, y]) => [Math.min(minX, x), Math.min(minY, y), Math.max(maxX, x), Math.max(maxY, y)],
+    [Infinity, Infinity, -Infinity, -Infinity],
+  );
+
+const bboxesTouch = (a, b) => a[0] <= b[2] && b[0] <= a[2] && a[1] <= b[3] && b[1] <= a[3];
+
+const orientation = ([ax, ay], [bx, by], [cx, cy]) => {
+  const value = (bx - ax) * (cy - ay) - (by - ay) * (cx - ax);
+  return Math.abs(value) < EPSILON ? 0 : Math.sign(value);
+};
+
+const onSegment = (a, b, point) =>
+  orientation(a, b, point) === 0 &&
+  point[0] >= Math.min(a[0], b[0]) - EPSILON &&
+  point[0] <= Math.max(a[0], b[0]) + EPSILON &&
+  point[1] >= Math.min(a[1], b[1]) - EPSILON &&
+  point[1] <= Math.max(a[1], b[1]) + EPSILON;
+
+// 'proper' when the segments cross at a point inside both, 'touch' when they
+// only meet at an end or run along each other, null when they don't meet.
+const segmentIntersection = ([a, b], [c, d]) => {
+  const o1 = orientation(a, b, c);
+  const o2 = orientation(a, b, d);
+  const o3 = orientation(c, d, a);
+  const o4 = orientation(c, d, b);
+
+  if (o1 * o2 < 0 && o3 * o4 < 0) return 'proper';
+  if (onSegment(a, b, c) || onSegment(a, b, d) || onSegment(c, d, a) || onSegment(c, d, b)) return 'touch';
+  return null;
+};
+
+const locateInRing = (point, ring) => {
+  if (edgesOf(ring).some(([a, b]) => onSegment(a, b, point))) return 'boundary';
+
+  const [x, y] = point;
+  let inside = false;
+  edgesOf(ring).forEach(([[x1, y1], [x2, y2]]) => {
+    if (y1 > y !== y2 > y && x < ((x2 - x1) * (y - y1)) / (y2 - y1) + x1) inside = !inside;
+  });
+  return inside ? 'inside' : 'outside';
+};
+
+// Where a [longitude, latitude] point lies: 'inside', 'boundary' or
+// 'outside'. Holes count as outside.
+const locatePoint = (point, geometry) => {
+  let result = 'outside';
+  for (const [outer, ...holes] of polygonsOf(geometry)) {
+    const inOuter = locateInRing(point, outer);
+    if (inOuter === 'outside') continue;
+    if (inOuter === 'boundary') {
+      result = 'boundary';
+      continue;
+    }
+
+    const inHoles = holes.map((hole) => locateInRing(point, hole));
+    if (inHoles.includes('inside')) continue;
+    if (inHoles.includes('boundary')) {
+      result = 'boundary';
+      continue;
+    }
+    return 'inside';
+  }
+  return result;
+};
+
+const ringSelfIntersects = (ring) => {
+  const edges = edgesOf(ring);
+  return edges.some((edge, i) =>
+    edges.some((other, j) => {
+      // Neighbouring edges share a vertex by construction
+      if (j <= i + 1 || (i === 0 && j === edges.length - 1)) return false;
+      return bboxesTouch(bboxOf(edge), bboxOf(other)) && segmentIntersection(edge, other) !== null;
+    }),
+  );
+};
+
+const checkPosition = (position, label, errors) => {
+  if (!Array.isArray(position) || position.length < 2 || !position.slice(0, 2).every(Number.isFinite)) {
+    errors.push(`${label} must be a [longitude, latitude] pair`);
+    return;
+  }
+  const [longitude, latitude] = position;
+  if (longitude < -180 || longitude > 180) errors.push(`${label} has longitude ${longitude} outside -180..180`);
+  if (latitude < -90 || latitude > 90) errors.push(`${label} has latitude ${latitude} outside -90..90`);
+};
+
+// Returns a list of problems; an empty list means the boundary can be stored
+// and indexed.
+const validateBoundary = (geometry) => {
+  if (!geometry || typeof geometry !== 'object' || !['Polygon', 'MultiPolygon'].includes(geometry.type)) {
+    return ['boundary must be a GeoJSON Polygon or MultiPolygon'];
+  }
+  if (!Array.isArray(geometry.coordinates) || geometry.coordinates.length === 0) {
+    return ['boundary has no coordinates'];
+  }
+
+  const errors = [];
+  const polygons = polygonsOf(geometry);
+  polygons.forEach((rings, p) => {
+    const polygonLabel = geometry.type === 'Polygon' ? 'boundary' : `boundary polygon ${p + 1}`;
+    if (!Array.isArray(rings) || rings.length === 0) {
+      errors.push(`${polygonLabel} has no rings`);
+      return;
+    }
+
+    rings.forEach((ring, r) => {
+      const label = `${polygonLabel} ${r === 0 ? 'outer ring' : `hole ${r}`}`;
+      if (!Array.isArray(ring) || ring.length < 4) {
+        errors.push(`${label} needs at least four positions`);
+        return;
+      }
+      ring.forEach((position, index) => checkPosition(position, `${label} position ${index + 1}`, errors));
+      if (errors.length > 0) return;
+
+      const [first, last] = [ring[0], ring[ring.length - 1]];
+      if (first[0] !== last[0] || first[1] !== last[1]) {
+        errors.push(`${label} must end where it starts`);
+      } else if (ringSelfIntersects(ring)) {
+        errors.push(`${label} crosses itself`);
+      }
+    });
+  });
+
+  if (errors.length === 0 && positionsOf(geometry).length > MAX_POSITIONS) {
+    errors.push(`boundary has more than ${MAX_POSITIONS} positions`);
+  }
+  return errors;
+};
+
+// Spherical excess of a ring, in square metres.
+const ringArea = (ring) => {
+  const total = edgesOf(ring).reduce(
+    (sum, [[lon1, lat1], [lon2, lat2]]) =>
+      sum + toRadians(lon2 - lon1) * (2 + Math.sin(toRadians(lat1)) + Math.sin(toRadians(lat2))),
+    0,
+  );
+  return Math.abs((total * EARTH_RADIUS_M * EARTH_RADIUS_M) / 2);
+};
+
+const areaHectares = (geometry) => {
+  const squareMetres = polygonsOf(geometry).reduce(
+    (sum, [outer, ...holes]) => sum + ringArea(outer) - holes.reduce((holeSum, hole) => holeSum + ringArea(hole), 0),
+    0,
+  );
+  return Math.round(squareMetres / 100) / 100;
+};
+
+// Vertex average of the largest polygon's outer ring, used as the project's
+// point location when none was given.
+const centreOf = (geometry) => {
+  const [outer] = polygonsOf(geometry).reduce((largest, polygon) =>
+    ringArea(polygon[0]) > ringArea(largest[0]) ? polygon : largest,
+  );
+  const vertices = outer.slice(0, -1);
+  return [0, 1].map((axis) => vertices.reduce((sum, vertex) => sum + vertex[axis], 0) / vertices.length);
+};
+
+// Points that sit inside a geometry's interior unless it is degenerate: its
+// vertices, edge midpoints and centre.
+const samplePoints = (geometry) => [
+  ...positionsOf(geometry),
+  ...allEdges(geometry).map(([a, b]) => [(a[0] + b[0]) / 2, (a[1] + b[1]) / 2]),
+  centreOf(geometry),
+];
+
+// True when two boundaries share area. Boundaries that only touch along an
+// edge or at a corner don't overlap.
+const interiorsOverlap = (a, b) => {
+  if (!bboxesTouch(bboxOf(positionsOf(a)), bboxOf(positionsOf(b)))) return false;
+
+  const edgesB = allEdges(b);
+  if (allEdges(a).some((edge) => edgesB.some((other) => segmentIntersection(edge, other) === 'proper'))) return true;
+
+  return (
+    samplePoints(a).some((point) => locatePoint(point, b) === 'inside' && locatePoint(point, a) !== 'outside') ||
+    samplePoints(b).some((point) => locatePoint(point, a) === 'inside' && locatePoint(point, b) !== 'outside')
+  );
+};
+
+// MongoDB's $geoIntersects: any shared point, touching included.
+const geometriesIntersect = (a, b) => {
+  if (!bboxesTouch(bboxOf(positionsOf(a)), bboxOf(positionsOf(b)))) return false;
+
+  const edgesB = allEdges(b);
+  if (allEdges(a).some((edge) => edgesB.some((other) => segmentIntersection(edge, other) !== null))) return true;
+
+  return (
+    positionsOf(a).some((point) => locatePoint(point, b) !== 'outside') ||
+    positionsOf(b).some((point) => locatePoint(point, a) !== 'outside')
+  );
+};
+
+// MongoDB's $geoWithin: every part of `geometry` inside `container`.
+const geometryWithin = (geometry, container) => {
+  const edgesContainer = allEdges(container);
+  return (
+    positionsOf(geometry).every((point) => locatePoint(point, container) !== 'outside') &&
+    !allEdges(geometry).some((edge) => edgesContainer.some((other) => segmentIntersection(edge, other) === 'proper'))
+  );
+};
+
+// Metres from a point to the nearest part of a geometry; zero inside it.
+const distanceMetres = (point, geometry) => {
+  if (locatePoint(point, geometry) !== 'outside') return 0;
+
+  // Local equirectangular projection centred on the point
+  const scale = Math.cos(toRadians(point[1]));
+  const project = ([longitude, latitude]) => [
+    toRadians(longitude - point[0]) * scale * EARTH_RADIUS_M,
+    toRadians(latitude - point[1]) * EARTH_RADIUS_M,
+  ];
+
+  return Math.min(
+    ...allEdges(geometry).map(([start, end]) => {
+      const [ax, ay] = project(start);
+      const [bx, by] = project(end);
+      const lengthSquared = (bx - ax) ** 2 + (by - ay) ** 2;
+      const t = lengthSquared === 0 ? 0 : Math.max(0, Math.min(1, -(ax * (bx - ax) + ay * (by - ay)) / lengthSquared));
+      return Math.hypot(ax + t * (bx - ax), ay + t * (by - ay));
+    }),
+  );
+};
+
+// Polygon approximating a circle on the sphere, for radius searches.
+const circle = ([longitude, latitude], radiusMetres, steps = 64) => {
+  const angular = radiusMetres / EARTH_RADIUS_M;
+  const lat1 = toRadians(latitude);
+  const lon1 = toRadians(longitude);
+
+  const ring = Array.from({ length: steps }, (_, step) => {
+    const bearing = (2 * Math.PI * step) / steps;
+    const lat2 = Math.asin(Math.sin(lat1) * Math.cos(angular) + Math.cos(lat1) * Math.sin(angular) * Math.cos(bearing));
+    const lon2 =
+      lon1 +
+      Math.atan2(Math.sin(bearing) * Math.sin(angular) * Math.cos(lat1), Math.cos(angular) - Math.sin(lat1) * Math.sin(lat2));
+    return [((toDegrees(lon2) + 540) % 360) - 180, toDegrees(lat2)];
+  });
+
+  return { type: 'Polygon', coordinates: [[...ring, ring[0]]] };
+};
+
+const bboxPolygon = ([minLongitude, minLatitude, maxLongitude, maxLatitude]) => ({
+  type: 'Polygon',
+  coordinates: [
+    [
+      [minLongitude, minLatitude],
+      [maxLongitude, minLatitude],
+      [maxLongitude, maxLatitude],
+      [minLongitude, maxLatitude],
+      [minLongitude, minLatitude],
+    ],
+  ],
+});
+
+module.exports = {
+  validateBoundary,
+  areaHectares,
+  centreOf,
+  locatePoint,
+  interiorsOverlap,
+  geometriesIntersect,
+  geometryWithin,
+  distanceMetres,
+  circle,
+  bboxPolygon
+};
@@ -0,0 +1,113 @@
+const crypto = require('crypto');
+
+// Append-only hash chains, shared by the audit trail and the credit ledger.
+// Records are numbered by `sequence` and each one's `hash` covers its own
+// fields plus `prevHash`, the hash of the record before it, so editing,
+// removing or reordering any record breaks the chain from that point on.
+
+const GENESIS_HASH = '0'.repeat(64);
+const MAX_APPEND_ATTEMPTS = 5;
+const VERIFY_BATCH_SIZE = 1000;
+
+// JSON with object keys sorted, so a hash doesn't depend on the order the
+// database hands fields back in.
+const canonicalJson = (value) => {
+  if (Array.isArray(value)) return `[${value.map(canonicalJson).join(',')}]`;
+  if (value !== null && typeof value === 'object') {
+    return `{${Object.keys(value)
+      .filter((key) => value[key] !== undefined)
+      .sort()
+      .map((key) => `${JSON.stringify(key)}:${canonicalJson(value[key])}`)
+      .join(',')}}`;
+  }
+  return JSON.stringify(value);
+};
+
+// Storage bookkeeping (id and timestamps) is left out of the hash.
+const UNHASHED_FIELDS = ['id', 'hash', 'createdAt', 'updatedAt'];
+
+const hashRecord = (record) => {
+  const hashed = { ...record };
+  UNHASHED_FIELDS.forEach((field) => delete hashed[field]);
+  return crypto.createHash('sha256').update(canonicalJson(hashed)).digest('hex');
+};
+
+const isDuplicateKey = (error) => error && error.code === 11000;
+
+// Builds the writer for a chained repository. Appends are queued so records
+// from concurrent requests chain one after another; a unique index on
+// `sequence` catches another process appending in between, in which case the
+// head is reloaded and the record chained again.
+const createChainAppender = (repository) => {
+  let head;
+  let queue = Promise.resolve();
+
+  const loadHead = async () => {
+    const { items } = await repository.findPage({ sequence: { $gte: 1 } }, { sort: { sequence: -1 }, limit: 1 });
+    return items[0] || { sequence: 0, hash: GENESIS_HASH };
+  };
+
+  const append = async (fields) => {
+    for (let attempt = 1; ; attempt++) {
+      if (!head) head = await loadHead();
+
+      const record = JSON.parse(JSON.stringify({ ...fields, sequence: head.sequence + 1, prevHash: head.hash }));
+      try {
+        head = await repository.create({ ...record, hash: hashRecord(record) });
+        return head;
+      } catch (error) {
+        head = undefined;
+        if (!isDuplicateKey(error) || attempt === MAX_APPEND_ATTEMPTS) throw error;
+      }
+    }
+  };
+
+  return (fields) => {
+    const written = queue.then(() => append(fields));
+    queue = written.catch(() => {});
+    return written;
+  };
+};
+
+// Walks the whole chain in order, recomputing every hash. Reports the first
+// record that doesn't hold up, which is where tampering (or loss) begins.
+// `onRecord` sees each record that checks out, in order.
+const verifyChain = async (repository, { onRecord = () => {} } = {}) => {
+  let previous = { sequence: 0, hash: GENESIS_HASH };
+
+  for (let skip = 0; ; skip += VERIFY_BATCH_SIZE) {
+    const { items } = await repository.findPage(
+      { sequence: { $gte: 1 } },
+      { sort: { sequence: 1 }, skip, limit: VERIFY_BATCH_SIZE },
+    );
+
+    for (const record of items) {
+      let problem;
+      if (record.sequence !== previous.sequence + 1) {
+        problem = `expected record ${previous.sequence + 1} but found ${record.sequence}`;
+      } else if (record.prevHash !== previous.hash) {
+        problem = 'does not link to the record before it';
+      } else if (record.hash !== hashRecord(record)) {
+        problem = 'contents do not match its hash';
+      }
+
+      if (problem) {
+        return { valid: false, checked: previous.sequence, brokenAt: { sequence: record.sequence, id: record.id, problem } };
+      }
+      await onRecord(record);
+      previous = record;
+    }
+
+    if (items.length < VERIFY_BATCH_SIZE) {
+      return { valid: true, checked: previous.sequence, headHash: previous.hash };
+    }
+  }
+};
+
+module.exports = {
+  GENESIS_HASH,
+  canonicalJson,
+  hashRecord,
+  createChainAppender,
+  verifyChain
+};
@@ -0,0 +1,171 @@
+const { ServiceError } = require('./errors');
+const { issueCredit } = require('./ledger');
+const { ensureBufferAccount, bufferShare } = require('./bufferPool');
+const { closePeriod } = require('./monitoringPeriods');
+
+// Issuance is bounded by verification outcomes: a verification approves
+// `creditsGenerated` credits and every issuance against it draws that
+// allowance down through `creditsIssued`. The allowance is reserved with
+// compare-and-swap before any credits exist, so repeated or concurrent
+// requests can never issue the same verified tonnes twice.
+//
+// Nature-based projects have part of each issuance withheld into the buffer
+// pool; the holder receives the rest. Both blocks count against the
+// allowance and towards the project's actual credits.
+//
+// A monitoring period closes once its verification has been fully issued.
+
+const MAX_ATTEMPTS = 5;
+
+const reserveAllowance = async (db, verificationId, quantity) => {
+  for (let attempt = 0; attempt < MAX_ATTEMPTS; attempt += 1) {
+    const verification = await db.verificationSubmissions.findById(verificationId);
+    const approved = verification.creditsGenerated || 0;
+    const issued = verification.creditsIssued || 0;
+
+    if (verification.status !== 'approved') {
+      throw new ServiceError('Valid approved verification required');
+    }
+    if (issued >= approved) {
+      throw new ServiceError('Credits for this verification have already been fully issued', 409);
+    }
+    if (quantity > approved - issued) {
+      throw new ServiceError(
+        `Verification approved ${approved} credits and ${issued} have been issued; at most ${approved - issued} more can be issued`,
+      );
+    }
+
+    const reserved = await db.verificationSubmissions.updateWhere(
+      { id: verificationId, status: 'approved', creditsIssued: verification.creditsIssued },
+      { creditsIssued: issued + quantity },
+    );
+    if (reserved) return reserved;
+  }
+
+  throw new ServiceError('Verification is being issued against concurrently, please retry', 409);
+};
+
+// Adjusts a counter by `delta` with compare-and-swap, retrying while other
+// writers race on the same record.
+const adjustCounter = async (repository, id, field, delta) => {
+  for (let attempt = 0; attempt < MAX_ATTEMPTS * 2; attempt += 1) {
+    const current = await repository.findById(id);
+    const updated = await repository.updateWhere(
+      { id, [field]: current[field] },
+      { [field]: (current[field] || 0) + delta },
+    );
+    if (updated) return updated;
+  }
+  throw new Error(`Could not update ${field} on ${id}`);
+};
+
+const closeIssuedPeriod = async (db, verificationId, actor) => {
+  const verification = await db.verificationSubmissions.findById(verificationId);
+  if (!verification.monitoringPeriodId || verification.creditsIssued < verification.creditsGenerated) return;
+
+  const period = await db.monitoringPeriods.findById(verification.monitoringPeriodId);
+  if (!period || period.status !== 'verified') return;
+
+  try {
+    await closePeriod(db, period, { user: { email: actor }, reason: 'All verified credits issued' });
+  } catch (error) {
+    // A concurrent issuance closed it first
+    if (!(error instanceof ServiceError)) throw error;
+  }
+};
+
+const issueVerifiedCredits = async (db, { verificationId, stakeholderId, actor, ...creditData }) => {
+  const quantity = creditData.creditsAmount;
+  const project = await db.projects.findById(creditData.projectId);
+  if (!project) {
+    throw new ServiceError('Project not found', 404);
+  }
+
+  await reserveAllowance(db, verificationId, quantity);
+
+  const withheld = bufferShare(project, quantity);
+  if (withheld >= quantity) {
+    await adjustCounter(db.verificationSubmissions, verificationId, 'creditsIssued', -quantity);
+    throw new ServiceError(`Issuing ${quantity} credits leaves nothing once ${withheld} are withheld for the buffer pool`);
+  }
+
+  // Whatever fails to be issued is handed back to the verification's allowance
+  let unissued = quantity;
+  let bufferCredit = null;
+  let credit;
+  try {
+    if (withheld > 0) {
+      bufferCredit = await issueCredit(db, {
+        account: await ensureBufferAccount(db),
+        actor,
+        verificationId,
+        ...creditData,
+        creditsAmount: withheld,
+        status: 'buffer',
+      });
+      unissued -= withheld;
+    }
+
+    credit = await issueCredit(db, {
+      stakeholderId,
+      actor,
+      verificationId,
+      ...creditData,
+      creditsAmount: quantity - withheld,
+    });
+    unissued = 0;
+  } catch (error) {
+    await adjustCounter(db.verificationSubmissions, verificationId, 'creditsIssued', -unissued);
+    if (bufferCredit) {
+      await adjustCounter(db.projects, creditData.projectId, 'actualCredits', bufferCredit.creditsAmount);
+    }
+    throw error;
+  }
+
+  await adjustCounter(db.projects, creditData.projectId, 'actualCredits', quantity);
+  await closeIssuedPeriod(db, verificationId, actor);
+  return { credit, bufferCredit };
+};
+
+const percentOf = (part, whole) => (whole > 0 ? Math.round((part / whole) * 10000) / 100 : null);
+
+// Issued against approved against estimated credits for one project, with
+// the per-verification allowances that make up the approved figure.
+const getIssuanceReport = async (db, project) => {
+  const approvedVerifications = await db.verificationSubmissions.find({ projectId: project.id, status: 'approved' });
+
+  const verifications = approvedVerifications.map((verification) => {
+    const approved = verification.creditsGenerated || 0;
+    const issued = verification.creditsIssued || 0;
+    return {
+      verificationId: verification.id,
+      approvedAt: verification.approvedAt,
+      approved,
+      issued,
+      remaining: Math.max(approved - issued, 0),
+    };
+  });
+
+  const approved = verifications.reduce((sum, verification) => sum + verification.approved, 0);
+  const issued = verifications.reduce((sum, verification) => sum + verification.issued, 0);
+  const estimated = project.estimatedCredits || 0;
+
+  return {
+    projectId: project.id,
+    name: project.name,
+    estimatedCredits: estimated,
+    approvedCredits: approved,
+    issuedCredits: issued,
+    actualCredits: project.actualCredits || 0,
+    pendingIssuance: approved - issued,
+    issuedOfApprovedPercent: percentOf(issued, approved),
+    issuedOfEstimatedPercent: percentOf(issued, estimated),
+    approvedOfEstimatedPercent: percentOf(approved, estimated),
+    verifications,
+  };
+};
+
+module.exports = {
+  issueVerifiedCredits,
+  getIssuanceReport
+};
@@ -0,0 +1,261 @@
+const { ServiceError } = require('./errors');
+const { serialFields, splitRange, allocateUnits } = require('./serials');
+
+// Credits are held as blocks: each CarbonCredit record belongs to a single
+// holder account. Moving part of a block splits it, leaving the remainder on
+// the original record and creating a child block for the moved units. Every
+// movement is appended to the ledger, which is the source of truth for
+// balances; the block records are a projection of it.
+
+const ensureHoldingAccount = async (db, stakeholderId) => {
+  const existing = await db.holderAccounts.findOne({ stakeholderId, type: 'holding' });
+  if (existing) return existing;
+
+  const stakeholder = await db.stakeholders.findById(stakeholderId);
+  if (!stakeholder) {
+    throw new ServiceError('Stakeholder not found', 404);
+  }
+
+  return db.holderAccounts.create({
+    stakeholderId,
+    type: 'holding',
+    name: `${stakeholder.name} holding account`,
+    status: 'active',
+  });
+};
+
+// Units of a block already committed to active marketplace listings.
+const getEncumberedQuantity = async (db, creditId) => {
+  const listings = await db.marketplaceListings.find({ creditId, status: 'active' });
+  return listings.reduce((sum, listing) => sum + listing.availableQuantity, 0);
+};
+
+const parseQuantity = (quantity) => {
+  const parsed = Number(quantity);
+  if (!Number.isInteger(parsed) || parsed <= 0) {
+    throw new ServiceError('Quantity must be a positive whole number of credits');
+  }
+  return parsed;
+};
+
+// Creates a freshly issued block, numbering its units from the project's
+// serial range, and records its issuance to the holder. Blocks issued straight
+// into a registry account (the buffer pool) pass `account` instead.
+const issueCredit = async (db, { stakeholderId, account: registryAccount, actor, ...creditData }) => {
+  const account = registryAccount || (await ensureHoldingAccount(db, stakeholderId));
+  const units = await allocateUnits(db, creditData.projectId, creditData.creditsAmount);
+
+  const created = await db.carbonCredits.create({
+    ...creditData,
+    ...serialFields({ ...creditData, ...units }),
+    ownerId: stakeholderId,
+    accountId: account.id,
+  });
+  const credit = await db.carbonCredits.update(created.id, { batchId: created.id });
+
+  await db.ledgerEntries.create({
+    type: 'issuance',
+    batchId: credit.id,
+    creditId: credit.id,
+    toAccountId: account.id,
+    quantity: credit.creditsAmount,
+    actor,
+  });
+
+  return credit;
+};
+
+// Takes `quantity` units off a block. The whole block is handed over as-is
+// when every unit moves; otherwise the front of its serial range is split off
+// into a child block. `changes` are applied to the block receiving the units.
+// Only blocks in `status` (active unless stated) can be detached from.
+const detachUnits = async (db, credit, quantity, changes, { status = 'active' } = {}) => {
+  if (quantity === credit.creditsAmount) {
+    const moved = await db.carbonCredits.updateWhere(
+      { id: credit.id, accountId: credit.accountId, creditsAmount: credit.creditsAmount, status },
+      changes,
+    );
+    if (!moved) {
+      throw new ServiceError('Credit was modified concurrently, please retry', 409);
+    }
+    return moved;
+  }
+
+  if (!credit.serialStart) {
+    throw new ServiceError('Credit block has no unit range and cannot be split', 409);
+  }
+
+  const block = { projectId: credit.projectId, vintage: credit.vintage, methodology: credit.methodology };
+  const { moved, remainder: remainingUnits } = splitRange(credit, quantity);
+
+  // Compare-and-swap on the amount we read, so two concurrent moves can't
+  // both take the same units
+  const remainder = await db.carbonCredits.updateWhere(
+    { id: credit.id, accountId: credit.accountId, creditsAmount: credit.creditsAmount, status },
+    { creditsAmount: credit.creditsAmount - quantity, ...serialFields({ ...block, ...remainingUnits }) },
+  );
+  if (!remainder) {
+    throw new ServiceError('Credit was modified concurrently, please retry', 409);
+  }
+
+  // The new block gets its own id and timestamps
+  const inherited = { ...credit };
+  ['id', 'createdAt', 'updatedAt'].forEach((field) => delete inherited[field]);
+  return db.carbonCredits.create({
+    ...inherited,
+    ...changes,
+    ...serialFields({ ...block, ...moved }),
+    creditsAmount: quantity,
+    batchId: credit.batchId || credit.id,
+    parentCreditId: credit.id,
+  });
+};
+
+const assertSpendable = async (db, credit, quantity) => {
+  if (credit.status !== 'active') {
+    throw new ServiceError(`Credits with status "${credit.status}" cannot be moved`);
+  }
+
+  const spendable = credit.creditsAmount - (await getEncumberedQuantity(db, credit.id));
+  if (quantity > spendable) {
+    throw new ServiceError(
+      `Insufficient balance: ${spendable} of ${credit.creditsAmount} credits in this block are available to move`,
+    );
+  }
+};
+
+// Moves units without checking listing encumbrances; callers either checked
+// them (transferCredit) or are the listing being filled (the marketplace).
+const settleTransfer = async (db, { credit, toStakeholderId, quantity: amount, actor, memo }) => {
+  const toAccount = await ensureHoldingAccount(db, toStakeholderId);
+  if (toAccount.id === credit.accountId) {
+    throw new ServiceError('Cannot transfer credits to the account that already holds them');
+  }
+
+  const transferred = await detachUnits(db, credit, amount, {
+    ownerId: toAccount.stakeholderId,
+    accountId: toAccount.id,
+  });
+
+  const entry = await db.ledgerEntries.create({
+    type: 'transfer',
+    batchId: credit.batchId || credit.id,
+    creditId: credit.id,
+    resultingCreditId: transferred.id,
+    fromAccountId: credit.accountId,
+    toAccountId: toAccount.id,
+    quantity: amount,
+    actor,
+    memo,
+  });
+
+  return { credit: transferred, entry };
+};
+
+const transferCredit = async (db, { creditId, toStakeholderId, quantity, actor, memo }) => {
+  const credit = await db.carbonCredits.findById(creditId);
+  if (!credit) {
+    throw new ServiceError('Credit not found', 404);
+  }
+
+  const amount = parseQuantity(quantity);
+  await assertSpendable(db, credit, amount);
+
+  return settleTransfer(db, { credit, toStakeholderId, quantity: amount, actor, memo });
+};
+
+// Retires units out of circulation for good. The retired units become their
+// own block, which doubles as the public retirement record.
+const retireCredit = async (db, { creditId, quantity, beneficiary, purpose, actor }) => {
+  const credit = await db.carbonCredits.findById(creditId);
+  if (!credit) {
+    throw new ServiceError('Credit not found', 404);
+  }
+
+  const amount = parseQuantity(quantity);
+  await assertSpendable(db, credit, amount);
+
+  const retired = await detachUnits(db, credit, amount, {
+    status: 'retired',
+    retiredBy: actor,
+    retiredAt: new Date().toISOString(),
+    retirementBeneficiary: beneficiary,
+    retirementReason: purpose,
+  });
+
+  const entry = await db.ledgerEntries.create({
+    type: 'retirement',
+    batchId: credit.batchId || credit.id,
+    creditId: credit.id,
+    resultingCreditId: retired.id,
+    fromAccountId: credit.accountId,
+    quantity: amount,
+    actor,
+    memo: purpose,
+  });
+
+  return { credit: retired, entry };
+};
+
+// Replays ledger entries into balances. Units leaving an account without a
+// destination (retirements) simply drop out of the holder's balance.
+const deriveBalances = (entries) => {
+  const balances = new Map();
+  const adjust = (accountId, batchId, delta) => {
+    if (!accountId) return;
+    const key = `${accountId}:${batchId}`;
+    const current = balances.get(key) || { accountId, batchId, quantity: 0 };
+    current.quantity += delta;
+    balances.set(key, current);
+  };
+
+  entries.forEach((entry) => {
+    adjust(entry.fromAccountId, entry.batchId, -entry.quantity);
+    adjust(entry.toAccountId, entry.batchId, entry.quantity);
+  });
+
+  return [...balances.values()].filter((balance) => balance.quantity !== 0);
+};
+
+const getAccountBalances = async (db, accountId) => {
+  const [incoming, outgoing] = await Promise.all([
+    db.ledgerEntries.find({ toAccountId: accountId }),
+    db.ledgerEntries.find({ fromAccountId: accountId }),
+  ]);
+
+  const byBatch = deriveBalances([...incoming, ...outgoing])
+    .filter((balance) => balance.accountId === accountId)
+    .map(({ batchId, quantity }) => ({ batchId, quantity }));
+
+  return {
+    total: byBatch.reduce((sum, balance) => sum + balance.quantity, 0),
+    byBatch,
+  };
+};
+
+const getBatchHoldings = async (db, batchId) => {
+  const entries = await db.ledgerEntries.find({ batchId });
+  const issued = entries
+    .filter((entry) => entry.type === 'issuance')
+    .reduce((sum, entry) => sum + entry.quantity, 0);
+
+  return {
+    batchId,
+    issued,
+    holders: deriveBalances(entries).map(({ accountId, quantity }) => ({ accountId, quantity })),
+  };
+};
+
+module.exports = {
+  ensureHoldingAccount,
+  getEncumberedQuantity,
+  parseQuantity,
+  issueCredit,
+  detachUnits,
+  assertSpendable,
+  settleTransfer,
+  transferCredit,
+  retireCredit,
+  getAccountBalances,
+  getBatchHoldings
+};
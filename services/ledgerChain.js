@@ -0,0 +1,294 @@
+const crypto = require('crypto');
+const { ServiceError } = require('./errors');
+const { verifyChain } = require('./hashChain');
+
+// Tamper evidence for the credit ledger. Every ledger entry (issuance,
+// transfer, retirement, cancellation) is hash-chained as it is written; at
+// intervals the entries since the last root are gathered into a Merkle tree
+// and its root is recorded, itself chained to the root before it. A root
+// hash published outside the registry then pins every entry it covers: an
+// inclusion proof shows an entry is in the tree, and replaying the ledger
+// shows the credit records agree with it, so units can't be counted twice.
+//
+// Trees follow RFC 6962 (Certificate Transparency): leaves are hashed as
+// SHA-256(0x00 || entry hash) and nodes as SHA-256(0x01 || left || right).
+
+const PROOF_BATCH_SIZE = 1000;
+const DEFAULT_ROOTS_LIMIT = 20;
+const MAX_ROOTS_LIMIT = 200;
+
+const sha256 = (...parts) => crypto.createHash('sha256').update(Buffer.concat(parts)).digest();
+const leafHash = (entryHash) => sha256(Buffer.from([0]), Buffer.from(entryHash, 'hex'));
+const nodeHash = (left, right) => sha256(Buffer.from([1]), left, right);
+
+// Largest power of two smaller than n.
+const splitPoint = (n) => 2 ** Math.floor(Math.log2(n - 1));
+
+const merkleRoot = (leaves) => {
+  if (leaves.length === 1) return leaves[0];
+  const k = splitPoint(leaves.length);
+  return nodeHash(merkleRoot(leaves.slice(0, k)), merkleRoot(leaves.slice(k)));
+};
+
+// Sibling hashes from the leaf up to the root. `side` says which side the
+// sibling goes on when combining.
+const auditPath = (leaves, index) => {
+  if (leaves.length === 1) return [];
+  const k = splitPoint(leaves.length);
+  return index < k
+    ? [...auditPath(leaves.slice(0, k), index), { side: 'right', hash: merkleRoot(leaves.slice(k)).toString('hex') }]
+    : [...auditPath(leaves.slice(k), index - k), { side: 'left', hash: merkleRoot(leaves.slice(0, k)).toString('hex') }];
+};
+
+const covers = (root, sequence) => root.fromSequence <= sequence && sequence <= root.toSequence;
+
+const entriesBetween = async (db, fromSequence, toSequence) => {
+  const entries = [];
+  for (let skip = 0; ; skip += PROOF_BATCH_SIZE) {
+    const { items } = await db.ledgerEntries.findPage(
+      { sequence: { $gte: fromSequence, $lte: toSequence } },
+      { sort: { sequence: 1 }, skip, limit: PROOF_BATCH_SIZE },
+    );
+    entries.push(...items);
+    if (items.length < PROOF_BATCH_SIZE) return entries;
+  }
+};
+
+const latestRoot = async (db) => {
+  const { items } = await db.ledgerRoots.findPage({}, { sort: { sequence: -1 }, limit: 1 });
+  return items[0] || null;
+};
+
+const latestEntry = async (db) => {
+  const { items } = await db.ledgerEntries.findPage({ sequence: { $gte: 1 } }, { sort: { sequence: -1 }, limit: 1 });
+  return items[0] || null;
+};
+
+// Records a root over the entries written since the last one. Returns null
+// when there is nothing new to cover. The timer, the route and the verify
+// script can publish at once; a unique index on `fromSequence` lets only one
+// of them record a root over the same entries, and the others find nothing
+// new.
+const publishLedgerRoot = async (db, { actor = 'system' } = {}) => {
+  const [previous, head] = await Promise.all([latestRoot(db), latestEntry(db)]);
+  const fromSequence = previous ? previous.toSequence + 1 : 1;
+  if (!head || head.sequence < fromSequence) return null;
+
+  const entries = await entriesBetween(db, fromSequence, head.sequence);
+  try {
+    return await db.ledgerRoots.create({
+      fromSequence,
+      toSequence: head.sequence,
+      leafCount: entries.length,
+      merkleRoot: merkleRoot(entries.map((entry) => leafHash(entry.hash))).toString('hex'),
+      headHash: head.hash,
+      actor,
+    });
+  } catch (error) {
+    if (error.code === 11000) return null;
+    throw error;
+  }
+};
+
+const listLedgerRoots = async (db, query = {}) => {
+  const limit = query.limit === undefined ? DEFAULT_ROOTS_LIMIT : Number(query.limit);
+  if (!Number.isInteger(limit) || limit < 1) {
+    throw new ServiceError('limit must be a whole number of at least 1');
+  }
+  const { items, total } = await db.ledgerRoots.findPage(
+    {},
+    { sort: { sequence: -1 }, limit: Math.min(limit, MAX_ROOTS_LIMIT) },
+  );
+  return { roots: items, total };
+};
+
+// The block and the blocks it was split from, newest first.
+const creditLineage = async (db, credit) => {
+  const lineage = [credit];
+  for (let parentId = credit.parentCreditId; parentId; ) {
+    const parent = await db.carbonCredits.findById(parentId);
+    if (!parent || lineage.some((block) => block.id === parent.id)) break;
+    lineage.push(parent);
+    parentId = parent.parentCreditId;
+  }
+  return lineage;
+};
+
+// Inclusion proofs for every ledger entry behind a block: the movements that
+// created it and its ancestors and any made from it since. Entries not yet
+// covered by a root are listed with `proof: null`.
+const getInclusionProof = async (db, creditId) => {
+  const credit = await db.carbonCredits.findById(creditId);
+  if (!credit) {
+    throw new ServiceError('Credit not found', 404);
+  }
+
+  const ids = (await creditLineage(db, credit)).map((block) => block.id);
+  const entries = (
+    await db.ledgerEntries.find({ $or: [{ creditId: { $in: ids } }, { resultingCreditId: { $in: ids } }] })
+  )
+    .filter((entry) => entry.sequence)
+    .sort((a, b) => a.sequence - b.sequence);
+
+  const roots = await db.ledgerRoots.find({});
+  const trees = new Map();
+  const proofs = [];
+  for (const entry of entries) {
+    const root = roots.find((candidate) => covers(candidate, entry.sequence));
+    if (!root) {
+      proofs.push({ entry, leafHash: leafHash(entry.hash).toString('hex'), proof: null });
+      continue;
+    }
+
+    if (!trees.has(root.id)) {
+      const covered = await entriesBetween(db, root.fromSequence, root.toSequence);
+      trees.set(root.id, covered.map((coveredEntry) => leafHash(coveredEntry.hash)));
+    }
+    const leaves = trees.get(root.id);
+    const index = entry.sequence - root.fromSequence;
+
+    proofs.push({
+      entry,
+      leafHash: leaves[index].toString('hex'),
+      proof: {
+        rootSequence: root.sequence,
+        rootHash: root.hash,
+        merkleRoot: root.merkleRoot,
+        leafIndex: index,
+        treeSize: leaves.length,
+        path: auditPath(leaves, index),
+      },
+    });
+  }
+
+  return {
+    creditId: credit.id,
+    serialNumber: credit.serialNumber,
+    status: credit.status,
+    lineage: ids,
+    algorithm: 'RFC 6962 Merkle tree, SHA-256; leaf = H(0x00 || entry.hash), node = H(0x01 || left || right)',
+    entries: proofs,
+  };
+};
+
+// Replays ledger movements into the state each block should be in.
+const replayMovements = (entries, bufferAccountIds) => {
+  const blocks = new Map();
+  const problems = [];
+  const report = (entry, problem) => problems.push({ entrySequence: entry.sequence, creditId: entry.creditId, problem });
+
+  const move = (entry, changes) => {
+    const source = blocks.get(entry.creditId);
+    if (!source) {
+      report(entry, `${entry.type} from a block the ledger never issued`);
+      return;
+    }
+    if (entry.resultingCreditId === entry.creditId) {
+      Object.assign(source, changes);
+      return;
+    }
+    if (entry.quantity > source.quantity) {
+      report(entry, `${entry.type} of ${entry.quantity} units from a block holding ${source.quantity}`);
+    }
+    source.quantity -= entry.quantity;
+    blocks.set(entry.resultingCreditId, { ...source, quantity: entry.quantity, ...changes });
+  };
+
+  entries.forEach((entry) => {
+    switch (entry.type) {
+      case 'issuance':
+        if (blocks.has(entry.creditId)) {
+          report(entry, 'issued more than once');
+        }
+        blocks.set(entry.creditId, {
+          accountId: entry.toAccountId,
+          quantity: entry.quantity,
+          status: bufferAccountIds.has(entry.toAccountId) ? 'buffer' : 'active',
+        });
+        break;
+      case 'transfer':
+        move(entry, { accountId: entry.toAccountId });
+        break;
+      case 'retirement':
+        move(entry, { status: 'retired' });
+        break;
+      case 'cancellation':
+        move(entry, { status: 'cancelled' });
+        break;
+      default:
+        report(entry, `unknown entry type "${entry.type}"`);
+    }
+  });
+
+  return { blocks, problems };
+};
+
+// Checks the ledger end to end: the entry chain, every root against the
+// entries it covers, and a replay of all movements against the credit
+// records. Returns a report; `valid` is true only if every part holds.
+const verifyLedger = async (db) => {
+  const entries = [];
+  const chain = await verifyChain(db.ledgerEntries, { onRecord: (entry) => entries.push(entry) });
+
+  const rootProblems = [];
+  let coveredUpTo = 0;
+  const rootChain = await verifyChain(db.ledgerRoots, {
+    onRecord: (root) => {
+      const expectedFrom = coveredUpTo + 1;
+      coveredUpTo = root.toSequence;
+      const covered = entries.filter((entry) => covers(root, entry.sequence));
+
+      let problem;
+      if (root.fromSequence !== expectedFrom) {
+        problem = `starts at entry ${root.fromSequence} but entry ${expectedFrom} is next`;
+      } else if (covered.length !== root.leafCount || covered.length !== root.toSequence - root.fromSequence + 1) {
+        problem = `covers ${root.leafCount} entries but ${covered.length} verified entries are in its range`;
+      } else if (merkleRoot(covered.map((entry) => leafHash(entry.hash))).toString('hex') !== root.merkleRoot) {
+        problem = 'Merkle root does not match the entries it covers';
+      } else if (covered[covered.length - 1].hash !== root.headHash) {
+        problem = 'head hash does not match its last entry';
+      }
+      if (problem) rootProblems.push({ rootSequence: root.sequence, problem });
+    },
+  });
+
+  const [unchained, accounts, credits] = await Promise.all([
+    db.ledgerEntries.count({ sequence: null }),
+    db.holderAccounts.find({ type: 'buffer' }),
+    db.carbonCredits.find({}),
+  ]);
+  const { blocks, problems: replayProblems } = replayMovements(entries, new Set(accounts.map((account) => account.id)));
+
+  const stateProblems = [...replayProblems];
+  credits.forEach((credit) => {
+    const expected = blocks.get(credit.id);
+    if (!expected) {
+      stateProblems.push({ creditId: credit.id, problem: 'credit has no issuance in the ledger' });
+      return;
+    }
+    blocks.delete(credit.id);
+
+    const status = credit.status === 'issued' ? 'active' : credit.status;
+    const mismatches = [
+      credit.creditsAmount !== expected.quantity && `holds ${credit.creditsAmount} units, ledger says ${expected.quantity}`,
+      credit.accountId !== expected.accountId && `is in account ${credit.accountId}, ledger says ${expected.accountId}`,
+      status !== expected.status && `is ${credit.status}, ledger says ${expected.status}`,
+    ].filter(Boolean);
+    if (mismatches.length > 0) stateProblems.push({ creditId: credit.id, problem: mismatches.join('; ') });
+  });
+  blocks.forEach((expected, creditId) => stateProblems.push({ creditId, problem: 'ledger block has no credit record' }));
+
+  return {
+    valid: chain.valid && rootChain.valid && rootProblems.length === 0 && stateProblems.length === 0,
+    chain: { ...chain, unchainedEntries: unchained },
+    roots: { ...rootChain, problems: rootProblems },
+    state: { valid: stateProblems.length === 0, credits: credits.length, problems: stateProblems },
+  };
+};
+
+module.exports = {
+  publishLedgerRoot,
+  listLedgerRoots,
+  getInclusionProof,
+  verifyLedger
+};
@@ -0,0 +1,408 @@
+const { ServiceError } = require('./errors');
+const { parseQuantity, settleTransfer } = require('./ledger');
+
+// Order book per methodology/vintage: listings are the offers, market orders
+// the bids. Orders match by price-time priority and always fill at the price
+// of the order that was resting in the book.
+//
+// Fills reserve quantity with compare-and-swap on the listing (and the bid)
+// before any credits move, so concurrent buyers can never take more than a
+// listing has available. If the credit transfer then fails, the reservations
+// are released again.
+
+const OPEN_ORDER_STATUSES = ['open', 'partially_filled'];
+const MAX_ATTEMPTS = 10;
+
+const isExpired = (entry, now = new Date()) => Boolean(entry.expiryDate) && new Date(entry.expiryDate) <= now;
+
+// Repository filter for the listings buyers are offered: active, unexpired.
+const offeredListingsFilter = (now = new Date()) => ({
+  $and: [{ status: 'active' }, { $or: [{ expiryDate: null }, { expiryDate: { $gt: now.toISOString() } }] }],
+});
+
+// Offers and bids may expire at a moment in the future. Stored as ISO
+// strings, so the comparison in offeredListingsFilter orders them by time.
+const parseExpiryDate = (expiryDate, now = new Date()) => {
+  if (expiryDate === undefined || expiryDate === null || expiryDate === '') return undefined;
+  const parsed = new Date(expiryDate);
+  if (Number.isNaN(parsed.getTime()) || parsed <= now) {
+    throw new ServiceError('expiryDate must be a valid date in the future');
+  }
+  return parsed.toISOString();
+};
+
+const MAX_TAGS = 10;
+const MAX_TAG_LENGTH = 40;
+
+// Listing tags arrive as an array or a comma-separated string and are stored
+// trimmed, lower-cased and without repeats.
+const normalizeTags = (tags) => {
+  if (tags === undefined || tags === null) return [];
+  const list = typeof tags === 'string' ? tags.split(',') : tags;
+  if (!Array.isArray(list) || !list.every((tag) => typeof tag === 'string')) {
+    throw new ServiceError('tags must be a list of words');
+  }
+
+  const normalized = [...new Set(list.map((tag) => tag.trim().toLowerCase()).filter(Boolean))];
+  if (normalized.length > MAX_TAGS) {
+    throw new ServiceError(`A listing can have at most ${MAX_TAGS} tags`);
+  }
+  if (normalized.some((tag) => tag.length > MAX_TAG_LENGTH)) {
+    throw new ServiceError(`Tags can be at most ${MAX_TAG_LENGTH} characters`);
+  }
+  return normalized;
+};
+
+// Smallest fill a listing accepts: its minimum, unless less than that remains.
+const minimumFill = (listing) => Math.min(listing.minimumQuantity || 1, listing.availableQuantity);
+
+const byPriceThenTime = (direction, timeField) => (a, b) =>
+  direction * (a.price - b.price) || new Date(a[timeField]) - new Date(b[timeField]);
+
+const expireListing = (db, listing) =>
+  db.marketplaceListings.updateWhere({ id: listing.id, status: 'active' }, { status: 'expired' });
+
+const expireOrder = (db, order) =>
+  db.marketOrders.updateWhere({ id: order.id, status: order.status }, { status: 'expired' });
+
+const reserveListing = (db, listing, quantity) => {
+  const remaining = listing.availableQuantity - quantity;
+  return db.marketplaceListings.updateWhere(
+    { id: listing.id, status: 'active', availableQuantity: listing.availableQuantity },
+    { availableQuantity: remaining, status: remaining === 0 ? 'sold' : 'active' },
+  );
+};
+
+const reserveOrder = (db, order, quantity) => {
+  const filled = order.filledQuantity + quantity;
+  return db.marketOrders.updateWhere(
+    { id: order.id, status: order.status, filledQuantity: order.filledQuantity },
+    { filledQuantity: filled, status: filled === order.quantity ? 'filled' : 'partially_filled' },
+  );
+};
+
+// Undoes a reservation; retried because other fills may be racing on the
+// same record. `quantityField` is the counter the compare-and-swap guards.
+const release = async (repository, id, quantityField, apply) => {
+  for (let attempt = 0; attempt < MAX_ATTEMPTS; attempt += 1) {
+    const current = await repository.findById(id);
+    const restored = await repository.updateWhere(
+      { id, status: current.status, [quantityField]: current[quantityField] },
+      apply(current),
+    );
+    if (restored) return restored;
+  }
+  throw new Error(`Could not release reservation on ${id}`);
+};
+
+const releaseListing = (db, listingId, quantity) =>
+  release(db.marketplaceListings, listingId, 'availableQuantity', (listing) => ({
+    availableQuantity: listing.availableQuantity + quantity,
+    status: listing.status === 'sold' ? 'active' : listing.status,
+  }));
+
+const releaseOrder = (db, orderId, quantity) =>
+  release(db.marketOrders, orderId, 'filledQuantity', (order) => {
+    const filled = order.filledQuantity - quantity;
+    return {
+      filledQuantity: filled,
+      status: ['filled', 'partially_filled'].includes(order.status) ? (filled === 0 ? 'open' : 'partially_filled') : order.status,
+    };
+  });
+
+// Executes one fill between a listing and a buyer. Returns null when the
+// listing or order changed since it was read, so the caller can re-read and
+// try again.
+const executeFill = async (db, { listing, order, buyerStakeholderId, quantity, price, actor }) => {
+  if (!(await reserveListing(db, listing, quantity))) return null;
+
+  if (order && !(await reserveOrder(db, order, quantity))) {
+    await releaseListing(db, listing.id, quantity);
+    return null;
+  }
+
+  let transfer;
+  try {
+    const credit = await db.carbonCredits.findById(listing.creditId);
+    if (!credit || credit.ownerId !== listing.sellerId) {
+      throw new ServiceError('Listed credit is no longer held by the seller', 409);
+    }
+
+    transfer = await settleTransfer(db, {
+      credit,
+      toStakeholderId: buyerStakeholderId,
+      quantity,
+      actor,
+      memo: `Marketplace fill of listing ${listing.id}`,
+    });
+  } catch (error) {
+    await releaseListing(db, listing.id, quantity);
+    if (order) await releaseOrder(db, order.id, quantity);
+    throw error;
+  }
+
+  const filledAt = new Date().toISOString();
+  await db.marketplaceListings.push(listing.id, 'transactions', {
+    buyerId: buyerStakeholderId,
+    quantity,
+    price,
+    transactionDate: filledAt,
+    status: 'completed',
+    orderId: order ? order.id : undefined,
+    creditId: transfer.credit.id,
+    ledgerEntryId: transfer.entry.id,
+  });
+
+  if (order) {
+    await db.marketOrders.push(order.id, 'fills', {
+      listingId: listing.id,
+      creditId: transfer.credit.id,
+      quantity,
+      price,
+      filledAt,
+    });
+  }
+
+  return {
+    listingId: listing.id,
+    orderId: order ? order.id : undefined,
+    buyerId: buyerStakeholderId,
+    sellerId: listing.sellerId,
+    creditId: transfer.credit.id,
+    ledgerEntryId: transfer.entry.id,
+    quantity,
+    price,
+    filledAt,
+  };
+};
+
+// Buys straight off a listing at its asking price.
+const buyFromListing = async (db, { listingId, buyerStakeholderId, quantity, actor }) => {
+  const amount = parseQuantity(quantity);
+
+  for (let attempt = 0; attempt < MAX_ATTEMPTS; attempt += 1) {
+    const listing = await db.marketplaceListings.findById(listingId);
+    if (!listing) {
+      throw new ServiceError('Listing not found', 404);
+    }
+    if (listing.status !== 'active') {
+      throw new ServiceError(`Listing is ${listing.status}`);
+    }
+    if (isExpired(listing)) {
+      await expireListing(db, listing);
+      throw new ServiceError('Listing has expired');
+    }
+    if (listing.sellerId === buyerStakeholderId) {
+      throw new ServiceError('Sellers cannot buy from their own listing');
+    }
+    if (amount > listing.availableQuantity) {
+      throw new ServiceError(`Only ${listing.availableQuantity} credits remain in this listing`);
+    }
+    if (amount < minimumFill(listing)) {
+      throw new ServiceError(`Minimum purchase for this listing is ${minimumFill(listing)} credits`);
+    }
+
+    const fill = await executeFill(db, {
+      listing,
+      buyerStakeholderId,
+      quantity: amount,
+      price: listing.price,
+      actor,
+    });
+    if (fill) return fill;
+  }
+
+  throw new ServiceError('Listing is busy, please retry', 409);
+};
+
+const findActiveOffers = async (db, { methodology, vintage }) => {
+  const listings = await db.marketplaceListings.find({ methodology, vintage, status: 'active' });
+  const live = [];
+
+  for (const listing of listings) {
+    if (isExpired(listing)) {
+      await expireListing(db, listing);
+    } else {
+      live.push(listing);
+    }
+  }
+  return live.sort(byPriceThenTime(1, 'listedAt'));
+};
+
+const findOpenBids = async (db, { methodology, vintage }) => {
+  const orders = (
+    await Promise.all(OPEN_ORDER_STATUSES.map((status) => db.marketOrders.find({ methodology, vintage, status })))
+  ).flat();
+  const live = [];
+
+  for (const order of orders) {
+    if (isExpired(order)) {
+      await expireOrder(db, order);
+    } else {
+      live.push(order);
+    }
+  }
+  return live.sort(byPriceThenTime(-1, 'createdAt'));
+};
+
+// Runs an incoming order against the opposite side of the book until it is
+// filled or nothing acceptable is left. `pickCounterparty` chooses the next
+// resting order and `fillWith` executes against it.
+const match = async ({ reload, isOpen, pickCounterparty, fillWith }) => {
+  const fills = [];
+  const skipped = new Set();
+  let contention = 0;
+
+  for (let current = await reload(); current && isOpen(current); current = await reload()) {
+    const counterparty = await pickCounterparty(current, skipped);
+    if (!counterparty) break;
+
+    try {
+      const fill = await fillWith(current, counterparty);
+      if (fill) {
+        fills.push(fill);
+      } else if (++contention >= MAX_ATTEMPTS) {
+        break;
+      }
+    } catch (error) {
+      if (!(error instanceof ServiceError)) throw error;
+      // A counterparty that can't settle is passed over, not fatal
+      skipped.add(counterparty.id);
+    }
+  }
+
+  return fills;
+};
+
+const matchBid = (db, orderId, actor) =>
+  match({
+    reload: () => db.marketOrders.findById(orderId),
+    isOpen: (order) => OPEN_ORDER_STATUSES.includes(order.status) && !isExpired(order),
+    pickCounterparty: async (order, skipped) => {
+      const remaining = order.quantity - order.filledQuantity;
+      const offers = await findActiveOffers(db, order);
+      return offers.find(
+        (listing) =>
+          !skipped.has(listing.id) &&
+          listing.sellerId !== order.stakeholderId &&
+          listing.price <= order.price &&
+          Math.min(remaining, listing.availableQuantity) >= minimumFill(listing),
+      );
+    },
+    fillWith: (order, listing) =>
+      executeFill(db, {
+        listing,
+        order,
+        buyerStakeholderId: order.stakeholderId,
+        quantity: Math.min(order.quantity - order.filledQuantity, listing.availableQuantity),
+        price: listing.price,
+        actor,
+      }),
+  });
+
+const matchListing = (db, listingId, actor) =>
+  match({
+    reload: () => db.marketplaceListings.findById(listingId),
+    isOpen: (listing) => listing.status === 'active' && !isExpired(listing),
+    pickCounterparty: async (listing, skipped) => {
+      const bids = await findOpenBids(db, listing);
+      return bids.find(
+        (order) =>
+          !skipped.has(order.id) &&
+          order.stakeholderId !== listing.sellerId &&
+          order.price >= listing.price &&
+          Math.min(order.quantity - order.filledQuantity, listing.availableQuantity) >= minimumFill(listing),
+      );
+    },
+    fillWith: (listing, order) =>
+      executeFill(db, {
+        listing,
+        order,
+        buyerStakeholderId: order.stakeholderId,
+        quantity: Math.min(order.quantity - order.filledQuantity, listing.availableQuantity),
+        price: order.price,
+        actor,
+      }),
+  });
+
+const placeBid = async (db, { stakeholderId, methodology, vintage, price, quantity, currency, expiryDate, actor }) => {
+  const expiresAt = parseExpiryDate(expiryDate);
+  const order = await db.marketOrders.create({
+    side: 'bid',
+    stakeholderId,
+    methodology,
+    vintage: String(vintage),
+    price,
+    currency,
+    quantity: parseQuantity(quantity),
+    filledQuantity: 0,
+    status: 'open',
+    expiryDate: expiresAt,
+    fills: [],
+  });
+
+  const fills = await matchBid(db, order.id, actor);
+  return { order: await db.marketOrders.findById(order.id), fills };
+};
+
+// Aggregated depth per price level for one methodology/vintage.
+const getOrderBook = async (db, { methodology, vintage }) => {
+  const [offers, bids] = await Promise.all([findActiveOffers(db, { methodology, vintage }), findOpenBids(db, { methodology, vintage })]);
+
+  const levels = (orders, quantityOf) => {
+    const byPrice = new Map();
+    orders.forEach((order) => {
+      const level = byPrice.get(order.price) || { price: order.price, quantity: 0, orders: 0 };
+      level.quantity += quantityOf(order);
+      level.orders += 1;
+      byPrice.set(order.price, level);
+    });
+    return [...byPrice.values()];
+  };
+
+  const offerLevels = levels(offers, (listing) => listing.availableQuantity);
+  const bidLevels = levels(bids, (order) => order.quantity - order.filledQuantity);
+
+  return {
+    methodology,
+    vintage,
+    bestBid: bidLevels.length > 0 ? bidLevels[0].price : null,
+    bestOffer: offerLevels.length > 0 ? offerLevels[0].price : null,
+    bids: bidLevels,
+    offers: offerLevels,
+  };
+};
+
+const cancelOrder = async (db, { orderId, stakeholderId }) => {
+  const order = await db.marketOrders.findById(orderId);
+  if (!order) {
+    throw new ServiceError('Order not found', 404);
+  }
+  if (order.stakeholderId !== stakeholderId) {
+    throw new ServiceError('Only the stakeholder who placed an order can cancel it', 403);
+  }
+  if (!OPEN_ORDER_STATUSES.includes(order.status)) {
+    throw new ServiceError(`Order is already ${order.status}`);
+  }
+
+  const cancelled = await db.marketOrders.updateWhere(
+    { id: order.id, status: order.status, filledQuantity: order.filledQuantity },
+    { status: 'cancelled' },
+  );
+  if (!cancelled) {
+    throw new ServiceError('Order was filled concurrently, please retry', 409);
+  }
+  return cancelled;
+};
+
+module.exports = {
+  isExpired,
+  offeredListingsFilter,
+  parseExpiryDate,
+  normalizeTags,
+  buyFromListing,
+  placeBid,
+  matchListing,
+  getOrderBook,
+  cancelOrder
+};
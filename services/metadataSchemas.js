@@ -0,0 +1,182 @@
+const { COMMON_FIELDS, DATA_TYPES } = require('../config/dataTypes');
+
+// Checks upload metadata against the field declarations in
+// config/dataTypes.js and renders those declarations as JSON Schema. Unknown
+// fields are rejected so typos surface at upload rather than at review.
+
+const DATE_PATTERN = /^\d{4}-\d{2}-\d{2}([T ]\d{2}:\d{2}(:\d{2}(\.\d+)?)?(Z|[+-]\d{2}:?\d{2})?)?$/;
+
+const fieldsFor = (dataType) => ({ ...COMMON_FIELDS, ...DATA_TYPES[dataType].fields });
+
+const typeOf = (value) => {
+  if (value === null) return 'null';
+  if (Array.isArray(value)) return 'array';
+  return typeof value;
+};
+
+// Validates one value, returning its normalised form (dates become ISO
+// strings) and pushing any problems onto `errors`.
+const checkValue = (spec, value, path, errors) => {
+  const label = path || 'metadata';
+
+  switch (spec.type) {
+    case 'string':
+      if (typeof value !== 'string') {
+        errors.push(`${label} must be a string`);
+        return value;
+      }
+      if (spec.maxLength !== undefined && value.length > spec.maxLength) {
+        errors.push(`${label} must be at most ${spec.maxLength} characters`);
+      }
+      break;
+    case 'number':
+    case 'integer':
+      if (typeof value !== 'number' || !Number.isFinite(value)) {
+        errors.push(`${label} must be a number`);
+        return value;
+      }
+      if (spec.type === 'integer' && !Number.isInteger(value)) {
+        errors.push(`${label} must be a whole number`);
+      }
+      if (spec.min !== undefined && value < spec.min) {
+        errors.push(`${label} must be at least ${spec.min}`);
+      }
+      if (spec.exclusiveMin !== undefined && value <= spec.exclusiveMin) {
+        errors.push(`${label} must be greater than ${spec.exclusiveMin}`);
+      }
+      if (spec.max !== undefined && value > spec.max) {
+        errors.push(`${label} must be at most ${spec.max}`);
+      }
+      break;
+    case 'boolean':
+      if (typeof value !== 'boolean') errors.push(`${label} must be true or false`);
+      break;
+    case 'date': {
+      if (typeof value !== 'string' || !DATE_PATTERN.test(value) || Number.isNaN(Date.parse(value))) {
+        errors.push(`${label} must be an ISO 8601 date`);
+        return value;
+      }
+      if (spec.notFuture && new Date(value) > new Date()) {
+        errors.push(`${label} cannot be in the future`);
+      }
+      return new Date(value).toISOString();
+    }
+    case 'array':
+      if (!Array.isArray(value)) {
+        errors.push(`${label} must be an array`);
+        return value;
+      }
+      return value.map((item, index) => checkValue(spec.items, item, `${label}[${index}]`, errors));
+    case 'object':
+      if (typeOf(value) !== 'object') {
+        errors.push(`${label} must be an object`);
+        return value;
+      }
+      return checkObject(spec, value, path, errors);
+    default:
+      throw new Error(`Unknown field type "${spec.type}" for ${label}`);
+  }
+
+  if (spec.enum && !spec.enum.includes(value)) {
+    errors.push(`${label} must be one of: ${spec.enum.join(', ')}`);
+  }
+  return value;
+};
+
+const checkObject = (spec, value, path, errors) => {
+  const properties = spec.properties || {};
+  const normalised = {};
+  const prefix = path ? `${path}.` : '';
+
+  Object.entries(properties).forEach(([name, field]) => {
+    if (value[name] === undefined || value[name] === null) {
+      if (field.required) errors.push(`${prefix}${name} is required`);
+      return;
+    }
+    normalised[name] = checkValue(field, value[name], `${prefix}${name}`, errors);
+  });
+
+  Object.keys(value)
+    .filter((name) => !(name in properties))
+    .forEach((name) => {
+      if (!spec.additionalProperties) {
+        errors.push(`${prefix}${name} is not a recognised field`);
+        return;
+      }
+      normalised[name] = checkValue(spec.additionalProperties, value[name], `${prefix}${name}`, errors);
+    });
+
+  return normalised;
+};
+
+// Returns `{ valid, errors, metadata }`, where `metadata` is the normalised
+// copy to store when valid.
+const validateMetadata = (dataType, metadata) => {
+  if (!DATA_TYPES[dataType]) {
+    return { valid: false, errors: [`Unsupported data type "${dataType}"`] };
+  }
+
+  const errors = [];
+  const normalised = checkValue({ type: 'object', properties: fieldsFor(dataType) }, metadata || {}, '', errors);
+  return { valid: errors.length === 0, errors, metadata: normalised };
+};
+
+const toJsonSchemaField = (spec) => {
+  const schema = {};
+  if (spec.description) schema.description = spec.description;
+
+  switch (spec.type) {
+    case 'date':
+      schema.type = 'string';
+      schema.anyOf = [{ format: 'date' }, { format: 'date-time' }];
+      if (spec.notFuture) schema.description = `${spec.description || 'Date'} (not in the future)`;
+      break;
+    case 'array':
+      schema.type = 'array';
+      schema.items = toJsonSchemaField(spec.items);
+      break;
+    case 'object': {
+      const properties = spec.properties || {};
+      schema.type = 'object';
+      schema.properties = Object.fromEntries(
+        Object.entries(properties).map(([name, field]) => [name, toJsonSchemaField(field)]),
+      );
+      const required = Object.keys(properties).filter((name) => properties[name].required);
+      if (required.length > 0) schema.required = required;
+      schema.additionalProperties = spec.additionalProperties ? toJsonSchemaField(spec.additionalProperties) : false;
+      break;
+    }
+    default:
+      schema.type = spec.type;
+  }
+
+  if (spec.enum) schema.enum = spec.enum;
+  if (spec.min !== undefined) schema.minimum = spec.min;
+  if (spec.exclusiveMin !== undefined) schema.exclusiveMinimum = spec.exclusiveMin;
+  if (spec.max !== undefined) schema.maximum = spec.max;
+  if (spec.maxLength !== undefined) schema.maxLength = spec.maxLength;
+  if (spec.unit) schema['x-unit'] = spec.unit;
+  return schema;
+};
+
+const toJsonSchema = (dataType, id) => ({
+  $schema: 'https://json-schema.org/draft/2020-12/schema',
+  $id: id,
+  title: `${dataType} upload metadata`,
+  description: DATA_TYPES[dataType].description,
+  ...toJsonSchemaField({ type: 'object', properties: fieldsFor(dataType) }),
+  'x-file-types': DATA_TYPES[dataType].fileTypes,
+  ...(DATA_TYPES[dataType].columns && {
+    'x-columns': toJsonSchemaField({
+      type: 'object',
+      properties: DATA_TYPES[dataType].columns,
+      additionalProperties: DATA_TYPES[dataType].additionalColumns,
+    }),
+  }),
+});
+
+module.exports = {
+  checkValue,
+  validateMetadata,
+  toJsonSchema
+};
@@ -0,0 +1,201 @@
+const { ServiceError } = require('./errors');
+
+// Monitoring periods split a project's crediting time into date ranges that
+// are reported, verified and issued one at a time:
+//
+//   open -> submitted -> verified -> closed
+//   submitted -> open   (when its verification is rejected)
+//
+// Uploads attach to the period covering their collection date while it is
+// still open or awaiting verification, each period has at most one live
+// verification, and its credits take their vintage from the year the period
+// ends. Projects without periods keep the older per-upload flow.
+const PERIOD_TRANSITIONS = {
+  open: ['submitted'],
+  submitted: ['verified', 'open'],
+  verified: ['closed'],
+  closed: [],
+};
+
+const ACCEPTS_UPLOADS = ['open', 'submitted'];
+
+const DATE_ONLY = /^\d{4}-\d{2}-\d{2}$/;
+
+// Date-only end dates cover the whole of that day.
+const parseDate = (value, name, { endOfDay = false } = {}) => {
+  const text = typeof value === 'string' && DATE_ONLY.test(value) && endOfDay ? `${value}T23:59:59.999Z` : value;
+  const date = value ? new Date(text) : null;
+  if (!date || Number.isNaN(date.getTime())) {
+    throw new ServiceError(`${name} must be a valid date`);
+  }
+  return date;
+};
+
+const covers = (period, date) =>
+  new Date(period.startDate) <= new Date(date) && new Date(date) <= new Date(period.endDate);
+
+const describe = (period) =>
+  `monitoring period ${period.number} (${String(period.startDate).slice(0, 10)} to ${String(period.endDate).slice(0, 10)})`;
+
+const vintageOf = (endDate) => String(new Date(endDate).getUTCFullYear());
+
+const historyEntry = ({ from, to, user, reason }) => ({
+  from,
+  to,
+  actor: user ? user.email : 'system',
+  reason,
+  at: new Date().toISOString(),
+});
+
+// Moves a period with compare-and-swap on its current status.
+const transitionPeriod = async (db, period, { to, user, reason, changes = {} }) => {
+  if (!(PERIOD_TRANSITIONS[period.status] || []).includes(to)) {
+    throw new ServiceError(`Monitoring period ${period.number} is ${period.status} and cannot become ${to}`, 409);
+  }
+
+  const updated = await db.monitoringPeriods.updateWhere(
+    { id: period.id, status: period.status },
+    { ...changes, status: to },
+  );
+  if (!updated) {
+    throw new ServiceError('Monitoring period was updated concurrently, please retry', 409);
+  }
+
+  return db.monitoringPeriods.push(period.id, 'history', historyEntry({ from: period.status, to, user, reason }));
+};
+
+const createPeriod = async (db, project, { startDate, endDate, user }) => {
+  const start = parseDate(startDate, 'startDate');
+  const end = parseDate(endDate, 'endDate', { endOfDay: true });
+  if (start >= end) {
+    throw new ServiceError('startDate must be before endDate');
+  }
+  if (project.startDate && start < new Date(project.startDate)) {
+    throw new ServiceError('Monitoring periods cannot start before the project does');
+  }
+  if (project.endDate && end > parseDate(String(project.endDate).slice(0, 10), 'project endDate', { endOfDay: true })) {
+    throw new ServiceError('Monitoring periods cannot end after the project does');
+  }
+
+  const existing = await db.monitoringPeriods.find({ projectId: project.id });
+  const overlapping = existing.find((period) => start <= new Date(period.endDate) && new Date(period.startDate) <= end);
+  if (overlapping) {
+    throw new ServiceError(`Dates overlap ${describe(overlapping)}`, 409);
+  }
+
+  return db.monitoringPeriods.create({
+    projectId: project.id,
+    number: existing.reduce((highest, period) => Math.max(highest, period.number), 0) + 1,
+    startDate: start.toISOString(),
+    endDate: end.toISOString(),
+    vintage: vintageOf(end),
+    status: 'open',
+    createdBy: user.email,
+    history: [historyEntry({ from: null, to: 'open', user })],
+  });
+};
+
+// Finds the period an upload belongs to: the one named, or else the one
+// covering its collection date. Returns null for projects without periods.
+const periodForUpload = async (db, project, { monitoringPeriodId, collectionDate }) => {
+  let period;
+  if (monitoringPeriodId) {
+    period = await db.monitoringPeriods.findOne({ id: monitoringPeriodId, projectId: project.id });
+    if (!period) {
+      throw new ServiceError('Monitoring period not found for this project', 404);
+    }
+    if (!covers(period, collectionDate)) {
+      throw new ServiceError(`collectionDate ${collectionDate.slice(0, 10)} falls outside ${describe(period)}`);
+    }
+  } else {
+    const periods = await db.monitoringPeriods.find({ projectId: project.id });
+    if (periods.length === 0) return null;
+
+    period = periods.find((candidate) => covers(candidate, collectionDate));
+    if (!period) {
+      throw new ServiceError(`collectionDate ${collectionDate.slice(0, 10)} falls outside every monitoring period of this project`);
+    }
+  }
+
+  if (!ACCEPTS_UPLOADS.includes(period.status)) {
+    throw new ServiceError(`Monitoring period ${period.number} is ${period.status} and no longer accepts uploads`, 409);
+  }
+  return period;
+};
+
+// Called before a verification submission is created for an upload. The
+// period's first submission moves it to submitted; a second live one is
+// refused, since further data goes in through resubmission.
+const submitPeriod = async (db, monitoringPeriodId, user) => {
+  const period = await db.monitoringPeriods.findById(monitoringPeriodId);
+  if (!period) return null;
+  if (['verified', 'closed'].includes(period.status)) {
+    throw new ServiceError(`Monitoring period ${period.number} has already been ${period.status}`, 409);
+  }
+
+  const live = (await db.verificationSubmissions.find({ monitoringPeriodId: period.id })).find(
+    (submission) => submission.status !== 'rejected',
+  );
+  if (live) {
+    throw new ServiceError(
+      `Monitoring period ${period.number} is already being verified in submission ${live.id}; add data to it by resubmitting`,
+      409,
+    );
+  }
+
+  return transitionPeriod(db, period, { to: 'submitted', user });
+};
+
+// Follows a verification decision: approval verifies the period, rejection
+// reopens it for corrected data.
+const recordPeriodDecision = async (db, submission, decision, user) => {
+  if (!submission.monitoringPeriodId || decision === 'more_data_requested') return null;
+
+  const period = await db.monitoringPeriods.findById(submission.monitoringPeriodId);
+  if (!period || period.status !== 'submitted') return period;
+
+  return decision === 'approved'
+    ? transitionPeriod(db, period, {
+        to: 'verified',
+        user,
+        changes: { verificationId: submission.id, verifiedAt: new Date().toISOString() },
+      })
+    : transitionPeriod(db, period, { to: 'open', user, reason: 'Verification rejected' });
+};
+
+const closePeriod = async (db, period, { user, reason }) =>
+  transitionPeriod(db, period, { to: 'closed', user, reason, changes: { closedAt: new Date().toISOString() } });
+
+// Works out the vintage credits are issued under. Credits from a monitoring
+// period always carry its vintage; a client-supplied one must agree.
+const issuanceVintage = async (db, verification, requestedVintage) => {
+  if (!verification.monitoringPeriodId) {
+    const vintage = requestedVintage ? String(requestedVintage) : new Date().getFullYear().toString();
+    if (!/^\d{4}$/.test(vintage)) {
+      throw new ServiceError('Vintage must be a four-digit year');
+    }
+    return { vintage };
+  }
+
+  const period = await db.monitoringPeriods.findById(verification.monitoringPeriodId);
+  if (!period) {
+    throw new ServiceError('The monitoring period of this verification no longer exists', 409);
+  }
+  if (period.status !== 'verified') {
+    throw new ServiceError(`Monitoring period ${period.number} is ${period.status}; credits are only issued while it is verified`, 409);
+  }
+  if (requestedVintage && String(requestedVintage) !== period.vintage) {
+    throw new ServiceError(`Vintage is set by ${describe(period)}: ${period.vintage}`);
+  }
+  return { vintage: period.vintage, monitoringPeriodId: period.id };
+};
+
+module.exports = {
+  PERIOD_TRANSITIONS,
+  createPeriod,
+  periodForUpload,
+  submitPeriod,
+  recordPeriodDecision,
+  closePeriod,
+  issuanceVintage
+};
@@ -0,0 +1,168 @@
+const { ServiceError } = require('./errors');
+
+// Cursor pagination for the list endpoints. Each endpoint declares which
+// fields it sorts and filters on (config/listQueries.js). Results are ordered
+// by one sort field with the record id breaking ties, and the cursor carries
+// the last item's sort value and id, so the next page starts exactly after it
+// even while records are being added or removed (offsets would skip or repeat
+// them).
+
+const DEFAULT_LIMIT = 50;
+const MAX_LIMIT = 200;
+
+const valueAt = (item, path) =>
+  path.split('.').reduce((value, part) => (value === undefined || value === null ? undefined : value[part]), item);
+
+const parseLimit = (value) => {
+  if (value === undefined || value === '') return DEFAULT_LIMIT;
+  const limit = Number(value);
+  if (!Number.isInteger(limit) || limit < 1) {
+    throw new ServiceError('limit must be a whole number of at least 1');
+  }
+  return Math.min(limit, MAX_LIMIT);
+};
+
+// `sort=name` sorts ascending, `sort=-name` descending.
+const parseSort = (spec, value) => {
+  const text = String(value);
+  const field = text.replace(/^-/, '');
+  if (!spec.sortable.includes(field)) {
+    throw new ServiceError(`sort must be one of: ${spec.sortable.join(', ')} (prefix with - for descending)`);
+  }
+  return { param: text, field, direction: text.startsWith('-') ? -1 : 1 };
+};
+
+const parseFilterValue = (name, { type }, raw) => {
+  const text = String(raw);
+  switch (type) {
+    case 'date': {
+      const date = new Date(text);
+      if (Number.isNaN(date.getTime())) throw new ServiceError(`${name} must be a valid date`);
+      return date.toISOString();
+    }
+    case 'number': {
+      const number = Number(text);
+      if (text.trim() === '' || !Number.isFinite(number)) throw new ServiceError(`${name} must be a number`);
+      return number;
+    }
+    case 'list': {
+      const values = text.split(',').map((part) => part.trim()).filter(Boolean);
+      return values.length === 1 ? values[0] : { $in: values };
+    }
+    default:
+      return text;
+  }
+};
+
+const encodeCursor = (sort, item) =>
+  Buffer.from(
+    JSON.stringify({ sort: sort.param, value: valueAt(item, sort.field) ?? null, id: item.id }),
+  ).toString('base64url');
+
+const decodeCursor = (sort, value) => {
+  let cursor;
+  try {
+    cursor = JSON.parse(Buffer.from(String(value), 'base64url').toString('utf8'));
+  } catch (error) {
+    cursor = null;
+  }
+  if (!cursor || typeof cursor !== 'object' || cursor.id === undefined) {
+    throw new ServiceError('cursor is not valid; use the nextCursor of a previous page');
+  }
+  if (cursor.sort !== sort.param) {
+    throw new ServiceError(`cursor was issued for sort=${cursor.sort}; start again without a cursor to sort by ${sort.param}`);
+  }
+  return cursor;
+};
+
+// Reads `limit`, `cursor`, `sort` and the endpoint's declared filters from a
+// query string. Unrelated parameters are left for the route to handle.
+const parseListQuery = (spec, query = {}, { defaultSort } = {}) => {
+  const sort = parseSort(spec, query.sort === undefined ? defaultSort || spec.defaultSort : query.sort);
+  const filter = {};
+
+  Object.entries(spec.filters).forEach(([name, filterSpec]) => {
+    if (query[name] === undefined || query[name] === '') return;
+
+    const value = parseFilterValue(name, filterSpec, query[name]);
+    filter[filterSpec.field] = filterSpec.op ? { ...filter[filterSpec.field], [filterSpec.op]: value } : value;
+  });
+
+  return {
+    filter,
+    sort,
+    limit: parseLimit(query.limit),
+    cursor: query.cursor ? decodeCursor(sort, query.cursor) : null,
+  };
+};
+
+// Records strictly after the cursor in sort order. Missing values sort first
+// ascending and last descending, as they do in MongoDB.
+const afterCursor = ({ field, direction }, { value, id }) => {
+  const beyond = direction === 1 ? '$gt' : '$lt';
+  if (value === null) {
+    return direction === 1
+      ? { $or: [{ [field]: { $ne: null } }, { [field]: null, id: { $gt: id } }] }
+      : { [field]: null, id: { $lt: id } };
+  }
+
+  const clauses = [{ [field]: { [beyond]: value } }, { [field]: value, id: { [beyond]: id } }];
+  if (direction === -1) clauses.push({ [field]: null });
+  return { $or: clauses };
+};
+
+const toPage = (items, { sort, limit }, total) => {
+  const hasMore = items.length > limit;
+  const pageItems = items.slice(0, limit);
+  return {
+    items: pageItems,
+    page: {
+      limit,
+      sort: sort.param,
+      total,
+      hasMore,
+      nextCursor: hasMore ? encodeCursor(sort, pageItems[pageItems.length - 1]) : null,
+    },
+  };
+};
+
+// One page from a repository. `filter` is merged with the parsed filters for
+// conditions the route adds itself.
+const findListPage = async (repository, listQuery, { filter: extra = {} } = {}) => {
+  const { sort, limit, cursor } = listQuery;
+  const filter = Object.keys(extra).length > 0 ? { $and: [listQuery.filter, extra] } : listQuery.filter;
+
+  const [{ items }, total] = await Promise.all([
+    repository.findPage(cursor ? { $and: [filter, afterCursor(sort, cursor)] } : filter, {
+      sort: { [sort.field]: sort.direction, id: sort.direction },
+      limit: limit + 1,
+    }),
+    repository.count(filter),
+  ]);
+  return toPage(items, listQuery, total);
+};
+
+const compareValues = (left, right) => {
+  if (left === right) return 0;
+  if (left === null) return -1;
+  if (right === null) return 1;
+  return left < right ? -1 : 1;
+};
+
+// The same paging over records already loaded and ranked in memory, for sort
+// keys the database can't order by (such as distance from a point).
+const pageFromList = (records, listQuery) => {
+  const { sort, cursor } = listQuery;
+  const keyOf = (record) => ({ value: valueAt(record, sort.field) ?? null, id: record.id });
+  const compare = (a, b) => (compareValues(a.value, b.value) || compareValues(a.id, b.id)) * sort.direction;
+
+  const sorted = [...records].sort((a, b) => compare(keyOf(a), keyOf(b)));
+  const remaining = cursor ? sorted.filter((record) => compare(keyOf(record), cursor) > 0) : sorted;
+  return toPage(remaining.slice(0, listQuery.limit + 1), listQuery, records.length);
+};
+
+module.exports = {
+  parseListQuery,
+  findListPage,
+  pageFromList
+};
@@ -0,0 +1,184 @@
+// Writes small single-page PDF documents: text in the standard Helvetica
+// faces, lines, rectangles and module grids such as QR codes. Nothing in the
+// output depends on the clock or randomness, so the same content always gives
+// the same bytes. Coordinates are in points from the bottom-left corner.
+
+const A4_LANDSCAPE = { width: 842, height: 595 };
+
+// Advance widths (per 1000 units of font size) of printable ASCII, from the
+// Adobe font metrics of the standard 14 fonts.
+const WIDTHS = {
+  regular: [
+    278, 278, 355, 556, 556, 889, 667, 191, 333, 333, 389, 584, 278, 333, 278, 278, 556, 556, 556, 556, 556, 556, 556,
+    556, 556, 556, 278, 278, 584, 584, 584, 556, 1015, 667, 667, 722, 722, 667, 611, 778, 722, 278, 500, 667, 556, 833,
+    722, 778, 667, 778, 722, 667, 611, 722, 667, 944, 667, 667, 611, 278, 278, 278, 469, 556, 333, 556, 556, 500, 556,
+    556, 278, 556, 556, 222, 222, 500, 222, 833, 556, 556, 556, 556, 333, 500, 278, 556, 500, 722, 500, 500, 500, 334,
+    260, 334, 584,
+  ],
+  bold: [
+    278, 333, 474, 556, 556, 889, 722, 238, 333, 333, 389, 584, 278, 333, 278, 278, 556, 556, 556, 556, 556, 556, 556,
+    556, 556, 556, 333, 333, 584, 584, 584, 611, 975, 722, 722, 722, 722, 667, 611, 778, 722, 278, 556, 722, 611, 833,
+    722, 778, 667, 778, 722, 667, 611, 722, 667, 944, 667, 667, 611, 333, 278, 333, 584, 556, 333, 556, 611, 556, 611,
+    556, 333, 611, 611, 278, 278, 556, 278, 889, 611, 611, 611, 611, 389, 556, 333, 611, 556, 778, 556, 556, 500, 389,
+    280, 389, 584,
+  ],
+};
+const DEFAULT_WIDTH = 556;
+
+const FONTS = { regular: { resource: 'F1', name: 'Helvetica' }, bold: { resource: 'F2', name: 'Helvetica-Bold' } };
+
+// Text is written in WinAnsiEncoding, which matches Latin-1 for the accented
+// letters; anything else is replaced.
+const toWinAnsi = (text) =>
+  [...String(text)]
+    .map((char) => {
+      const code = char.codePointAt(0);
+      if (char === '–' || char === '—') return '-';
+      if (char === '‘' || char === '’') return "'";
+      if (char === '“' || char === '”') return '"';
+      return (code >= 32 && code <= 126) || (code >= 160 && code <= 255) ? char : '?';
+    })
+    .join('');
+
+const escapeString = (text) =>
+  [...text]
+    .map((char) => {
+      const code = char.charCodeAt(0);
+      if (char === '(' || char === ')' || char === '\\') return `\\${char}`;
+      return code > 126 ? `\\${code.toString(8).padStart(3, '0')}` : char;
+    })
+    .join('');
+
+const number = (value) => String(Math.round(value * 100) / 100);
+
+const colour = (value = 0) => (Array.isArray(value) ? value : [value, value, value]).map(number).join(' ');
+
+const textWidth = (text, size, font = 'regular') =>
+  ([...toWinAnsi(text)].reduce((sum, char) => {
+    const code = char.charCodeAt(0);
+    return sum + (code >= 32 && code <= 126 ? WIDTHS[font][code - 32] : DEFAULT_WIDTH);
+  }, 0) *
+    size) /
+  1000;
+
+// Collects drawing operations for one page. Colours are a grey level or an
+// [r, g, b] triple, each between 0 and 1.
+class PdfDocument {
+  constructor({ width, height, title, author, createdAt } = {}) {
+    this.width = width || A4_LANDSCAPE.width;
+    this.height = height || A4_LANDSCAPE.height;
+    this.info = { title, author, createdAt };
+    this.operations = [];
+  }
+
+  text(value, x, y, { size = 12, font = 'regular', align = 'left', color = 0 } = {}) {
+    const encoded = toWinAnsi(value);
+    const width = textWidth(encoded, size, font);
+    const left = align === 'center' ? x - width / 2 : align === 'right' ? x - width : x;
+    this.operations.push(
+      `BT /${FONTS[font].resource} ${number(size)} Tf ${colour(color)} rg ${number(left)} ${number(y)} Td (${escapeString(encoded)}) Tj ET`,
+    );
+    return this;
+  }
+
+  // Breaks text into lines no wider than `maxWidth` and draws them downwards
+  // from `y`. Returns the baseline below the last line.
+  paragraph(value, x, y, maxWidth, { size = 12, lineHeight = size * 1.3, ...options } = {}) {
+    const lines = [];
+    String(value)
+      .split(/\s+/)
+      .filter(Boolean)
+      .forEach((word) => {
+        const last = lines[lines.length - 1];
+        if (last !== undefined && textWidth(`${last} ${word}`, size, options.font) <= maxWidth) {
+          lines[lines.length - 1] = `${last} ${word}`;
+        } else {
+          lines.push(word);
+        }
+      });
+    lines.forEach((line, index) => this.text(line, x, y - index * lineHeight, { size, ...options }));
+    return y - lines.length * lineHeight;
+  }
+
+  line(x1, y1, x2, y2, { width = 1, color = 0 } = {}) {
+    this.operations.push(
+      `${number(width)} w ${colour(color)} RG ${number(x1)} ${number(y1)} m ${number(x2)} ${number(y2)} l S`,
+    );
+    return this;
+  }
+
+  rect(x, y, width, height, { fill, stroke, lineWidth = 1 } = {}) {
+    const paint = fill !== undefined && stroke !== undefined ? 'B' : fill !== undefined ? 'f' : 'S';
+    this.operations.push(
+      [
+        fill !== undefined && `${colour(fill)} rg`,
+        stroke !== undefined && `${number(lineWidth)} w ${colour(stroke)} RG`,
+        `${number(x)} ${number(y)} ${number(width)} ${number(height)} re ${paint}`,
+      ]
+        .filter(Boolean)
+        .join(' '),
+    );
+    return this;
+  }
+
+  // Draws a grid of booleans (rows from the top) as dark squares whose
+  // top-left corner is at (x, y).
+  modules(grid, x, y, moduleSize, { color = 0 } = {}) {
+    const squares = [];
+    grid.forEach((row, rowIndex) =>
+      row.forEach((dark, columnIndex) => {
+        if (!dark) return;
+        const left = x + columnIndex * moduleSize;
+        const bottom = y - (rowIndex + 1) * moduleSize;
+        squares.push(`${number(left)} ${number(bottom)} ${number(moduleSize)} ${number(moduleSize)} re`);
+      }),
+    );
+    this.operations.push(`${colour(color)} rg ${squares.join(' ')} f`);
+    return this;
+  }
+
+  toBuffer() {
+    const content = this.operations.join('\n');
+    const infoEntries = [
+      this.info.title && `/Title (${escapeString(toWinAnsi(this.info.title))})`,
+      this.info.author && `/Author (${escapeString(toWinAnsi(this.info.author))})`,
+      this.info.createdAt && `/CreationDate (D:${new Date(this.info.createdAt).toISOString().replace(/[-:T]/g, '').slice(0, 14)}Z)`,
+      '/Producer (C-CRED registry)',
+    ].filter(Boolean);
+
+    const objects = [
+      '<< /Type /Catalog /Pages 2 0 R >>',
+      '<< /Type /Pages /Kids [3 0 R] /Count 1 >>',
+      `<< /Type /Page /Parent 2 0 R /MediaBox [0 0 ${number(this.width)} ${number(this.height)}] ` +
+        '/Resources << /Font << /F1 5 0 R /F2 6 0 R >> >> /Contents 4 0 R >>',
+      `<< /Length ${Buffer.byteLength(content, 'latin1')} >>\nstream\n${content}\nendstream`,
+      `<< /Type /Font /Subtype /Type1 /BaseFont /${FONTS.regular.name} /Encoding /WinAnsiEncoding >>`,
+      `<< /Type /Font /Subtype /Type1 /BaseFont /${FONTS.bold.name} /Encoding /WinAnsiEncoding >>`,
+      `<< ${infoEntries.join(' ')} >>`,
+    ];
+
+    // Byte offsets for the cross-reference table; the content is latin1 so
+    // string length and byte length agree
+    let output = '%PDF-1.4\n%\xe2\xe3\xcf\xd3\n';
+    const offsets = objects.map((body, index) => {
+      const offset = Buffer.byteLength(output, 'latin1');
+      output += `${index + 1} 0 obj\n${body}\nendobj\n`;
+      return offset;
+    });
+
+    const xref = Buffer.byteLength(output, 'latin1');
+    output += `xref\n0 ${objects.length + 1}\n0000000000 65535 f \n`;
+    output += offsets.map((offset) => `${String(offset).padStart(10, '0')} 00000 n \n`).join('');
+    output += `trailer\n<< /Size ${objects.length + 1} /Root 1 0 R /Info ${objects.length} 0 R >>\nstartxref\n${xref}\n%%EOF\n`;
+
+    return Buffer.from(output, 'latin1');
+  }
+}
+
+const createPdf = (options) => new PdfDocument(options);
+
+module.exports = {
+  A4_LANDSCAPE,
+  createPdf,
+  textWidth
+};
@@ -0,0 +1,304 @@
+const { ServiceError } = require('./errors');
+const { prepareLocation } = require('./boundaries');
+const { DELETABLE_STATUSES, removeStoredFiles } = require('./uploads');
+
+// Projects move through their lifecycle only along these transitions:
+//
+//   planning -> active | cancelled
+//   active -> suspended | completed | cancelled
+//   suspended -> active | cancelled
+//
+// Completed and cancelled are final. Suspending a project and reinstating it
+// are regulatory actions; the rest are taken by the project's own
+// stakeholders, which the route checks. What a project accepts depends on its
+// status.
+const PROJECT_TRANSITIONS = {
+  planning: ['active', 'cancelled'],
+  active: ['suspended', 'completed', 'cancelled'],
+  suspended: ['active', 'cancelled'],
+  completed: [],
+  cancelled: [],
+};
+
+const isRegulatoryTransition = (from, to) =>
+  (from === 'active' && to === 'suspended') || (from === 'suspended' && to === 'active');
+
+const STATUS_ALLOWS = {
+  upload: { statuses: ['planning', 'active'], label: 'data uploads' },
+  submit: { statuses: ['active'], label: 'verification submissions' },
+  issue: { statuses: ['active', 'completed'], label: 'credit issuance' },
+  plan: { statuses: ['planning', 'active'], label: 'new monitoring periods' },
+};
+
+const OPEN_SUBMISSION_STATUSES = ['pending', 'under_review', 'more_data_requested', 'resubmitted'];
+
+// Fields a project's stakeholders may change. Everything else is either
+// derived, kept by the server or changed through its own endpoint.
+const UPDATABLE_FIELDS = [
+  'name',
+  'location',
+  'description',
+  'methodology',
+  'startDate',
+  'endDate',
+  'estimatedCredits',
+  'budget',
+  'fundingSource',
+  'documents',
+];
+
+const MANAGED_FIELDS = {
+  id: 'is assigned by the server',
+  createdAt: 'is set by the server',
+  updatedAt: 'is set by the server',
+  status: 'changes through POST /projects/:id/status',
+  statusHistory: 'is recorded by status changes',
+  // The category decides the buffer withheld from every issuance, and the
+  // stakeholder list decides who may act for the project
+  category: 'is changed by government through PUT /projects/:id/category',
+  reclassifiedBy: 'is recorded by reclassification',
+  reclassifiedAt: 'is recorded by reclassification',
+  reclassificationReason: 'is recorded by reclassification',
+  stakeholders: 'are linked by government through POST /projects/:id/stakeholders',
+  actualCredits: 'is kept by credit issuance',
+  lastSerialUnit: 'is kept by credit issuance',
+};
+
+const REQUIRED_FIELDS = ['name', 'category', 'location'];
+
+// Legacy records without a status behave as active projects.
+const statusOf = (project) => project.status || 'active';
+
+const assertProjectAllows = (project, action) => {
+  const { statuses, label } = STATUS_ALLOWS[action];
+  if (!statuses.includes(statusOf(project))) {
+    throw new ServiceError(`Project is ${statusOf(project)}; ${label} are not accepted`, 409);
+  }
+};
+
+const isPlainObject = (value) => value !== null && typeof value === 'object' && !Array.isArray(value);
+
+// JSON Merge Patch (RFC 7396): objects merge key by key, null removes a key
+// and anything else replaces the current value.
+const mergePatch = (target, patch) => {
+  if (!isPlainObject(patch)) return patch;
+
+  const merged = isPlainObject(target) ? { ...target } : {};
+  Object.entries(patch).forEach(([key, value]) => {
+    if (value === null) delete merged[key];
+    else merged[key] = mergePatch(merged[key], value);
+  });
+  return merged;
+};
+
+const checkDates = async (db, project, { startDate, endDate }) => {
+  const start = startDate ? new Date(startDate) : null;
+  const end = endDate ? new Date(endDate) : null;
+  if ((start && Number.isNaN(start.getTime())) || (end && Number.isNaN(end.getTime()))) {
+    throw new ServiceError('startDate and endDate must be valid dates');
+  }
+  if (start && end && start >= end) {
+    throw new ServiceError('startDate must be before endDate');
+  }
+
+  // Periods run to the end of their last day, so compare end dates by day
+  const day = (date) => new Date(date).toISOString().slice(0, 10);
+  const periods = await db.monitoringPeriods.find({ projectId: project.id });
+  const outside = periods.find(
+    (period) => (start && new Date(period.startDate) < start) || (end && day(period.endDate) > day(end)),
+  );
+  if (outside) {
+    throw new ServiceError(`Monitoring period ${outside.number} would fall outside the project's dates`, 409);
+  }
+};
+
+// Applies a partial update. Only the fields named in `patch` change; nested
+// objects such as `location` and `budget` are merged rather than replaced.
+const patchProject = async (db, project, patch) => {
+  if (!isPlainObject(patch) || Object.keys(patch).length === 0) {
+    throw new ServiceError('Send an object with the fields to change');
+  }
+
+  const managed = Object.keys(patch).filter((field) => field in MANAGED_FIELDS);
+  if (managed.length > 0) {
+    throw new ServiceError(managed.map((field) => `${field} ${MANAGED_FIELDS[field]}`).join('; '));
+  }
+  const unknown = Object.keys(patch).filter((field) => !UPDATABLE_FIELDS.includes(field));
+  if (unknown.length > 0) {
+    throw new ServiceError(`Unknown field${unknown.length === 1 ? '' : 's'}: ${unknown.join(', ')}`);
+  }
+  const cleared = REQUIRED_FIELDS.filter((field) => patch[field] === null);
+  if (cleared.length > 0) {
+    throw new ServiceError(`${cleared.join(', ')} cannot be removed`);
+  }
+
+  const changes = Object.fromEntries(
+    Object.entries(patch).map(([field, value]) => [field, value === null ? null : mergePatch(project[field], value)]),
+  );
+
+  if (changes.location) {
+    changes.location = await prepareLocation(db, changes.location, { projectId: project.id });
+  }
+  if ('startDate' in changes || 'endDate' in changes) {
+    await checkDates(db, project, {
+      startDate: 'startDate' in changes ? changes.startDate : project.startDate,
+      endDate: 'endDate' in changes ? changes.endDate : project.endDate,
+    });
+  }
+
+  return db.projects.update(project.id, changes);
+};
+
+const transitionGuards = {
+  completed: async (db, project) => {
+    const submissions = await db.verificationSubmissions.find({ projectId: project.id });
+    if (submissions.some((submission) => OPEN_SUBMISSION_STATUSES.includes(submission.status))) {
+      throw new ServiceError('Project has verifications in progress and cannot be completed yet', 409);
+    }
+
+    const periods = await db.monitoringPeriods.find({ projectId: project.id });
+    if (periods.some((period) => ['open', 'submitted'].includes(period.status))) {
+      throw new ServiceError('Project has monitoring periods that are not yet verified and cannot be completed', 409);
+    }
+  },
+};
+
+// Moves a project with compare-and-swap on its current status and records
+// the change in its status history.
+const transitionProject = async (db, project, { to, user, reason }) => {
+  const from = statusOf(project);
+  if (!(PROJECT_TRANSITIONS[from] || []).includes(to)) {
+    throw new ServiceError(`Cannot move a project that is ${from} to ${to}`, 409);
+  }
+  if (['suspended', 'cancelled'].includes(to) && !reason) {
+    throw new ServiceError(`A reason is required to move a project to ${to}`);
+  }
+  if (transitionGuards[to]) {
+    await transitionGuards[to](db, project);
+  }
+
+  const updated = await db.projects.updateWhere({ id: project.id, status: project.status }, { status: to });
+  if (!updated) {
+    throw new ServiceError('Project was updated concurrently, please retry', 409);
+  }
+
+  return db.projects.push(project.id, 'statusHistory', {
+    from,
+    to,
+    actor: user.email,
+    reason,
+    at: new Date().toISOString(),
+  });
+};
+
+// Issued credits were buffered and described under the current category, so
+// it is settled once the first block exists.
+const reclassifyProject = async (db, project, { category, reason, user }) => {
+  if (typeof category !== 'string' || !category.trim()) {
+    throw new ServiceError('Category is required');
+  }
+  if (!reason) {
+    throw new ServiceError('A reason is required to change a project category');
+  }
+  if (category === project.category) {
+    throw new ServiceError(`Project is already ${category}`, 409);
+  }
+  if ((await db.carbonCredits.count({ projectId: project.id })) > 0) {
+    throw new ServiceError('Projects with issued credits cannot change category', 409);
+  }
+
+  const updated = await db.projects.updateWhere(
+    { id: project.id, category: project.category },
+    { category, reclassifiedBy: user.email, reclassifiedAt: new Date().toISOString(), reclassificationReason: reason },
+  );
+  if (!updated) {
+    throw new ServiceError('Project was updated concurrently, please retry', 409);
+  }
+  return updated;
+};
+
+// Links a stakeholder to a project, keeping the stakeholder's own project
+// list in step.
+const linkStakeholder = async (db, project, stakeholderId) => {
+  const stakeholder = await db.stakeholders.findById(stakeholderId);
+  if (!stakeholder) {
+    throw new ServiceError('Stakeholder not found', 404);
+  }
+  if ((project.stakeholders || []).includes(stakeholder.id)) {
+    throw new ServiceError('Stakeholder is already linked to this project', 409);
+  }
+
+  const updated = await db.projects.push(project.id, 'stakeholders', stakeholder.id);
+  if (!(stakeholder.projects || []).includes(project.id)) {
+    await db.stakeholders.push(stakeholder.id, 'projects', project.id);
+  }
+  return updated;
+};
+
+const unlinkStakeholder = async (db, project, stakeholderId) => {
+  if (!(project.stakeholders || []).includes(stakeholderId)) {
+    throw new ServiceError('Stakeholder is not linked to this project', 404);
+  }
+
+  const updated = await db.projects.update(project.id, {
+    stakeholders: project.stakeholders.filter((id) => id !== stakeholderId),
+  });
+  const stakeholder = await db.stakeholders.findById(stakeholderId);
+  if (stakeholder) {
+    await db.stakeholders.update(stakeholder.id, {
+      projects: (stakeholder.projects || []).filter((id) => id !== project.id),
+    });
+  }
+  return updated;
+};
+
+// Credits, listings and verification submissions keep pointing at their
+// project, as do uploads and monitoring periods that went into a
+// verification, so it has to stay.
+const assertDeletable = async (db, project) => {
+  const [credits, listings, submissions, evidence, periods] = await Promise.all([
+    db.carbonCredits.count({ projectId: project.id }),
+    db.marketplaceListings.count({ projectId: project.id }),
+    db.verificationSubmissions.count({ projectId: project.id }),
+    db.dataUploads.count({ projectId: project.id, status: { $nin: DELETABLE_STATUSES } }),
+    db.monitoringPeriods.count({ projectId: project.id, status: { $ne: 'open' } }),
+  ]);
+  if (credits > 0 || listings > 0) {
+    throw new ServiceError('Projects with issued credits cannot be deleted; cancel the project instead', 409);
+  }
+  if (submissions > 0 || evidence > 0) {
+    throw new ServiceError('Projects with data submitted for verification cannot be deleted; cancel the project instead', 409);
+  }
+  if (periods > 0) {
+    throw new ServiceError('Projects with submitted monitoring periods cannot be deleted; cancel the project instead', 409);
+  }
+};
+
+// Deletes a project with the draft data nobody else relies on: uploads not
+// yet submitted, with their measurements and stored files, and open
+// monitoring periods.
+const deleteProject = async (db, storage, project) => {
+  await assertDeletable(db, project);
+
+  const uploads = await db.dataUploads.find({ projectId: project.id });
+  for (const upload of uploads) {
+    // Conditional on the status, so an upload submitted meanwhile stays put
+    if ((await db.dataUploads.removeWhere({ id: upload.id, status: { $in: DELETABLE_STATUSES } })) === 0) continue;
+    await db.measurements.removeWhere({ uploadId: upload.id });
+    await removeStoredFiles(storage, upload);
+  }
+  await db.monitoringPeriods.removeWhere({ projectId: project.id, status: 'open' });
+  await db.projects.remove(project.id);
+};
+
+module.exports = {
+  PROJECT_TRANSITIONS,
+  isRegulatoryTransition,
+  assertProjectAllows,
+  patchProject,
+  transitionProject,
+  reclassifyProject,
+  linkStakeholder,
+  unlinkStakeholder,
+  deleteProject
+};
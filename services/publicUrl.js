@@ -0,0 +1,23 @@
+const { ServiceError } = require('./errors');
+
+// The registry's public address. Links printed on certificates and the
+// issuer of signed attestations outlive the request that produced them, so
+// they come from configuration and never from the client-supplied Host
+// header, which anyone can set.
+const getPublicBaseUrl = () => {
+  const configured = process.env.PUBLIC_BASE_URL;
+  let url;
+  try {
+    url = new URL(configured);
+  } catch (error) {
+    url = null;
+  }
+  if (!url || !['http:', 'https:'].includes(url.protocol)) {
+    throw new ServiceError('PUBLIC_BASE_URL is not configured; the registry cannot issue documents that link back to it', 503);
+  }
+  return configured.replace(/\/+$/, '');
+};
+
+module.exports = {
+  getPublicBaseUrl
+};
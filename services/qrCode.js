@@ -0,0 +1,305 @@
+// QR code encoder (ISO/IEC 18004) for the verification links printed on
+// certificates. It covers what those links need: byte mode, error correction
+// level M (about 15% of the symbol can be damaged) and versions 1 to 10, which
+// hold up to 213 bytes. The result is a square grid of booleans, true for a
+// dark module, without the quiet zone.
+
+const EC_LEVEL_M = 0b00;
+
+// Per version: error correction codewords per block, the data codewords of
+// each block and the centres of the alignment patterns.
+const VERSIONS = [
+  null,
+  { ecPerBlock: 10, blocks: [16], alignment: [] },
+  { ecPerBlock: 16, blocks: [28], alignment: [6, 18] },
+  { ecPerBlock: 26, blocks: [44], alignment: [6, 22] },
+  { ecPerBlock: 18, blocks: [32, 32], alignment: [6, 26] },
+  { ecPerBlock: 24, blocks: [43, 43], alignment: [6, 30] },
+  { ecPerBlock: 16, blocks: [27, 27, 27, 27], alignment: [6, 34] },
+  { ecPerBlock: 18, blocks: [31, 31, 31, 31], alignment: [6, 22, 38] },
+  { ecPerBlock: 22, blocks: [38, 38, 39, 39], alignment: [6, 24, 42] },
+  { ecPerBlock: 22, blocks: [36, 36, 36, 37, 37], alignment: [6, 26, 46] },
+  { ecPerBlock: 26, blocks: [43, 43, 43, 43, 44], alignment: [6, 28, 50] },
+];
+
+const MASKS = [
+  (x, y) => (x + y) % 2 === 0,
+  (x, y) => y % 2 === 0,
+  (x) => x % 3 === 0,
+  (x, y) => (x + y) % 3 === 0,
+  (x, y) => (Math.floor(x / 3) + Math.floor(y / 2)) % 2 === 0,
+  (x, y) => ((x * y) % 2) + ((x * y) % 3) === 0,
+  (x, y) => (((x * y) % 2) + ((x * y) % 3)) % 2 === 0,
+  (x, y) => (((x + y) % 2) + ((x * y) % 3)) % 2 === 0,
+];
+
+// Arithmetic in GF(256) with the QR polynomial x^8 + x^4 + x^3 + x^2 + 1.
+const EXP = new Array(512);
+const LOG = new Array(256);
+for (let i = 0, value = 1; i < 255; i++) {
+  EXP[i] = value;
+  LOG[value] = i;
+  value <<= 1;
+  if (value & 0x100) value ^= 0x11d;
+}
+for (let i = 255; i < 512; i++) EXP[i] = EXP[i - 255];
+
+const multiply = (a, b) => (a === 0 || b === 0 ? 0 : EXP[LOG[a] + LOG[b]]);
+
+const generatorPolynomial = (degree) => {
+  let polynomial = [1];
+  for (let i = 0; i < degree; i++) {
+    const next = new Array(polynomial.length + 1).fill(0);
+    polynomial.forEach((coefficient, j) => {
+      next[j] ^= coefficient;
+      next[j + 1] ^= multiply(coefficient, EXP[i]);
+    });
+    polynomial = next;
+  }
+  return polynomial;
+};
+
+// Reed-Solomon error correction codewords for one block.
+const errorCorrection = (data, degree) => {
+  const generator = generatorPolynomial(degree);
+  const remainder = [...data, ...new Array(degree).fill(0)];
+  for (let i = 0; i < data.length; i++) {
+    const factor = remainder[i];
+    if (factor !== 0) generator.forEach((coefficient, j) => (remainder[i + j] ^= multiply(coefficient, factor)));
+  }
+  return remainder.slice(data.length);
+};
+
+const countBits = (version) => (version < 10 ? 8 : 16);
+const dataCapacity = (version) => VERSIONS[version].blocks.reduce((sum, size) => sum + size, 0);
+
+const chooseVersion = (length) => {
+  for (let version = 1; version < VERSIONS.length; version++) {
+    if (4 + countBits(version) + 8 * length <= dataCapacity(version) * 8) return version;
+  }
+  throw new Error(`Text of ${length} bytes is too long for a QR code of version 10 or below`);
+};
+
+// Mode indicator, length and bytes, then the terminator and padding.
+const dataCodewords = (bytes, version) => {
+  const capacity = dataCapacity(version) * 8;
+  const bits = [];
+  const push = (value, length) => {
+    for (let i = length - 1; i >= 0; i--) bits.push((value >>> i) & 1);
+  };
+
+  push(0b0100, 4);
+  push(bytes.length, countBits(version));
+  bytes.forEach((byte) => push(byte, 8));
+  push(0, Math.min(4, capacity - bits.length));
+  push(0, (8 - (bits.length % 8)) % 8);
+  for (let pad = 0xec; bits.length < capacity; pad ^= 0xec ^ 0x11) push(pad, 8);
+
+  return Array.from({ length: bits.length / 8 }, (_, i) =>
+    bits.slice(i * 8, i * 8 + 8).reduce((byte, bit) => (byte << 1) | bit, 0),
+  );
+};
+
+// Splits the data into blocks, adds each block's error correction and
+// interleaves the codewords column by column.
+const finalCodewords = (data, version) => {
+  const { ecPerBlock, blocks } = VERSIONS[version];
+  let offset = 0;
+  const split = blocks.map((size) => {
+    const block = data.slice(offset, offset + size);
+    offset += size;
+    return { data: block, ec: errorCorrection(block, ecPerBlock) };
+  });
+
+  const interleave = (parts) => {
+    const longest = Math.max(...parts.map((part) => part.length));
+    const result = [];
+    for (let i = 0; i < longest; i++) parts.forEach((part) => i < part.length && result.push(part[i]));
+    return result;
+  };
+  return [...interleave(split.map((block) => block.data)), ...interleave(split.map((block) => block.ec))];
+};
+
+// BCH-protected format bits: error correction level and mask.
+const formatBits = (mask) => {
+  const data = (EC_LEVEL_M << 3) | mask;
+  let remainder = data;
+  for (let i = 0; i < 10; i++) remainder = (remainder << 1) ^ ((remainder >>> 9) * 0x537);
+  return ((data << 10) | remainder) ^ 0x5412;
+};
+
+const versionBits = (version) => {
+  let remainder = version;
+  for (let i = 0; i < 12; i++) remainder = (remainder << 1) ^ ((remainder >>> 11) * 0x1f25);
+  return (version << 12) | remainder;
+};
+
+const bitAt = (value, index) => ((value >>> index) & 1) !== 0;
+
+// Modules are addressed as (x, y): column, then row.
+class QrSymbol {
+  constructor(version) {
+    this.version = version;
+    this.size = version * 4 + 17;
+    this.modules = Array.from({ length: this.size }, () => new Array(this.size).fill(false));
+    this.reserved = Array.from({ length: this.size }, () => new Array(this.size).fill(false));
+  }
+
+  setFunction(x, y, dark) {
+    this.modules[y][x] = dark;
+    this.reserved[y][x] = true;
+  }
+
+  drawFunctionPatterns() {
+    const { size } = this;
+    for (let i = 0; i < size; i++) {
+      this.setFunction(6, i, i % 2 === 0);
+      this.setFunction(i, 6, i % 2 === 0);
+    }
+
+    [
+      [3, 3],
+      [size - 4, 3],
+      [3, size - 4],
+    ].forEach(([cx, cy]) => {
+      for (let dy = -4; dy <= 4; dy++) {
+        for (let dx = -4; dx <= 4; dx++) {
+          const x = cx + dx;
+          const y = cy + dy;
+          const distance = Math.max(Math.abs(dx), Math.abs(dy));
+          if (x >= 0 && x < size && y >= 0 && y < size) this.setFunction(x, y, distance !== 2 && distance !== 4);
+        }
+      }
+    });
+
+    const { alignment } = VERSIONS[this.version];
+    const last = alignment.length - 1;
+    alignment.forEach((cx, i) =>
+      alignment.forEach((cy, j) => {
+        // Positions that would overlap a finder pattern are skipped
+        if ((i === 0 && j === 0) || (i === 0 && j === last) || (i === last && j === 0)) return;
+        for (let dy = -2; dy <= 2; dy++) {
+          for (let dx = -2; dx <= 2; dx++) this.setFunction(cx + dx, cy + dy, Math.max(Math.abs(dx), Math.abs(dy)) !== 1);
+        }
+      }),
+    );
+
+    this.drawFormatBits(0);
+    if (this.version >= 7) {
+      const bits = versionBits(this.version);
+      for (let i = 0; i < 18; i++) {
+        const a = size - 11 + (i % 3);
+        const b = Math.floor(i / 3);
+        this.setFunction(a, b, bitAt(bits, i));
+        this.setFunction(b, a, bitAt(bits, i));
+      }
+    }
+  }
+
+  drawFormatBits(mask) {
+    const { size } = this;
+    const bits = formatBits(mask);
+    for (let i = 0; i <= 5; i++) this.setFunction(8, i, bitAt(bits, i));
+    this.setFunction(8, 7, bitAt(bits, 6));
+    this.setFunction(8, 8, bitAt(bits, 7));
+    this.setFunction(7, 8, bitAt(bits, 8));
+    for (let i = 9; i < 15; i++) this.setFunction(14 - i, 8, bitAt(bits, i));
+
+    for (let i = 0; i < 8; i++) this.setFunction(size - 1 - i, 8, bitAt(bits, i));
+    for (let i = 8; i < 15; i++) this.setFunction(8, size - 15 + i, bitAt(bits, i));
+    this.setFunction(8, size - 8, true);
+  }
+
+  // Codeword bits fill two-module columns from the right, zigzagging up and
+  // down and stepping over the vertical timing pattern.
+  drawCodewords(codewords) {
+    const { size } = this;
+    let index = 0;
+    for (let right = size - 1; right >= 1; right -= 2) {
+      if (right === 6) right = 5;
+      for (let step = 0; step < size; step++) {
+        for (let j = 0; j < 2; j++) {
+          const x = right - j;
+          const upward = ((right + 1) & 2) === 0;
+          const y = upward ? size - 1 - step : step;
+          if (this.reserved[y][x]) continue;
+          this.modules[y][x] = index < codewords.length * 8 && bitAt(codewords[index >>> 3], 7 - (index & 7));
+          index++;
+        }
+      }
+    }
+  }
+
+  applyMask(mask) {
+    for (let y = 0; y < this.size; y++) {
+      for (let x = 0; x < this.size; x++) {
+        if (!this.reserved[y][x] && MASKS[mask](x, y)) this.modules[y][x] = !this.modules[y][x];
+      }
+    }
+  }
+
+  // Penalty rules of the standard; the mask with the lowest score is used.
+  penalty() {
+    const { size, modules } = this;
+    let score = 0;
+    const lines = [
+      ...modules,
+      ...Array.from({ length: size }, (_, x) => modules.map((row) => row[x])),
+    ];
+
+    lines.forEach((line) => {
+      let run = 1;
+      for (let i = 1; i <= line.length; i++) {
+        if (i < line.length && line[i] === line[i - 1]) {
+          run++;
+        } else {
+          if (run >= 5) score += run - 2;
+          run = 1;
+        }
+      }
+
+      const text = line.map((dark) => (dark ? '1' : '0')).join('');
+      for (const pattern of ['10111010000', '00001011101']) {
+        for (let at = text.indexOf(pattern); at !== -1; at = text.indexOf(pattern, at + 1)) score += 40;
+      }
+    });
+
+    for (let y = 0; y < size - 1; y++) {
+      for (let x = 0; x < size - 1; x++) {
+        const colour = modules[y][x];
+        if (colour === modules[y][x + 1] && colour === modules[y + 1][x] && colour === modules[y + 1][x + 1]) score += 3;
+      }
+    }
+
+    const dark = modules.reduce((sum, row) => sum + row.filter(Boolean).length, 0);
+    const total = size * size;
+    score += (Math.ceil(Math.abs(dark * 20 - total * 10) / total) - 1) * 10;
+    return score;
+  }
+}
+
+const encodeQr = (text) => {
+  const bytes = [...Buffer.from(String(text), 'utf8')];
+  const version = chooseVersion(bytes.length);
+  const symbol = new QrSymbol(version);
+
+  symbol.drawFunctionPatterns();
+  symbol.drawCodewords(finalCodewords(dataCodewords(bytes, version), version));
+
+  let best = { mask: 0, score: Infinity };
+  MASKS.forEach((_, mask) => {
+    symbol.applyMask(mask);
+    symbol.drawFormatBits(mask);
+    const score = symbol.penalty();
+    if (score < best.score) best = { mask, score };
+    symbol.applyMask(mask);
+  });
+
+  symbol.applyMask(best.mask);
+  symbol.drawFormatBits(best.mask);
+  return symbol.modules;
+};
+
+module.exports = {
+  encodeQr
+};
@@ -0,0 +1,238 @@
+const { ServiceError } = require('./errors');
+const { checkValue } = require('./metadataSchemas');
+const { parseDelimited, parseWorkbook } = require('./tabular');
+const { MIME, DATA_TYPES } = require('../config/dataTypes');
+
+// Turns the tabular files of an upload into measurement records: headers are
+// matched against the data type's declared columns and every cell is typed
+// and checked, with problems reported by row and column. Records can then be
+// paged through and filtered without downloading the file.
+
+const TABULAR_TYPES = [MIME.csv, MIME.xlsx];
+const MAX_ROWS_PER_FILE = 100000;
+const MAX_REPORTED_ERRORS = 100;
+const DEFAULT_PAGE_SIZE = 50;
+const MAX_PAGE_SIZE = 500;
+
+// Excel counts days from 1899-12-30 (it wrongly treats 1900 as a leap year).
+const EXCEL_EPOCH_MS = Date.UTC(1899, 11, 30);
+const MS_PER_DAY = 24 * 60 * 60 * 1000;
+
+// "SOC %", "soc_percent" and "socPercent" all name the same column.
+const normaliseHeader = (name) =>
+  String(name)
+    .toLowerCase()
+    .replace(/%/g, 'percent')
+    .replace(/[^a-z0-9]/g, '');
+
+const hasRecords = (dataType) => Boolean(DATA_TYPES[dataType] && DATA_TYPES[dataType].columns);
+
+const readStoredFile = async (storage, key) => {
+  const stream = await storage.createReadStream(key);
+  const chunks = [];
+  for await (const chunk of stream) chunks.push(chunk);
+  return Buffer.concat(chunks);
+};
+
+// Maps each header cell to a declared column, or to an extra column when the
+// data type admits them.
+const matchHeader = (dataType, header) => {
+  const { columns, additionalColumns } = DATA_TYPES[dataType];
+  const byHeader = new Map(Object.keys(columns).map((name) => [normaliseHeader(name), name]));
+  const matched = [];
+  const errors = [];
+
+  header.cells.forEach((cell, index) => {
+    const label = cell.trim();
+    if (!label) return;
+
+    const name = byHeader.get(normaliseHeader(label)) || (additionalColumns ? label : undefined);
+    if (!name) {
+      errors.push({ row: header.row, column: label, error: `Not a recognised column for ${dataType}` });
+    } else if (matched.some((column) => column.name === name)) {
+      errors.push({ row: header.row, column: label, error: `Duplicates the ${name} column` });
+    } else {
+      matched.push({ index, name, spec: columns[name] || additionalColumns });
+    }
+  });
+
+  Object.entries(columns)
+    .filter(([name, spec]) => spec.required && !matched.some((column) => column.name === name))
+    .forEach(([name]) => errors.push({ row: header.row, column: name, error: 'Required column is missing' }));
+
+  return { columns: matched, errors };
+};
+
+// Converts a raw cell to the column's type. Spreadsheets store dates as serial
+// day counts, which are converted here; text files must spell dates out.
+const coerceCell = (spec, raw, { spreadsheet }) => {
+  const text = raw.trim();
+  switch (spec.type) {
+    case 'number':
+    case 'integer':
+      return /^[+-]?(\d+\.?\d*|\.\d+)([eE][+-]?\d+)?$/.test(text) ? Number(text) : text;
+    case 'boolean': {
+      const lowered = text.toLowerCase();
+      if (['true', 'yes', '1'].includes(lowered)) return true;
+      if (['false', 'no', '0'].includes(lowered)) return false;
+      return text;
+    }
+    case 'date':
+      if (spreadsheet && /^\d+(\.\d+)?$/.test(text)) {
+        return new Date(EXCEL_EPOCH_MS + Math.round(Number(text) * MS_PER_DAY)).toISOString();
+      }
+      return text;
+    default:
+      return text;
+  }
+};
+
+const parseFile = async (storage, dataType, file, fileIndex) => {
+  const buffer = await readStoredFile(storage, file.storageKey);
+  const spreadsheet = file.type === MIME.xlsx;
+
+  let rows;
+  try {
+    rows = spreadsheet ? parseWorkbook(buffer) : parseDelimited(buffer.toString('utf8'));
+  } catch (error) {
+    return { records: [], errors: [{ error: `Could not be read: ${error.message}` }] };
+  }
+
+  const filled = rows.filter(({ cells }) => cells.some((cell) => cell.trim() !== ''));
+  const [header, ...body] = filled;
+  if (!header) {
+    return { records: [], errors: [{ error: 'Has no header row' }] };
+  }
+  if (body.length > MAX_ROWS_PER_FILE) {
+    return { records: [], errors: [{ error: `Has ${body.length} rows; at most ${MAX_ROWS_PER_FILE} are accepted per file` }] };
+  }
+
+  const { columns, errors } = matchHeader(dataType, header);
+  if (errors.length > 0) return { records: [], errors };
+
+  const { timeColumn } = DATA_TYPES[dataType];
+  const records = [];
+
+  body.forEach(({ row, cells }) => {
+    const values = {};
+    columns.forEach(({ index, name, spec }) => {
+      const raw = cells[index] || '';
+      if (raw.trim() === '') {
+        if (spec.required) errors.push({ row, column: name, error: 'Required value is missing' });
+        return;
+      }
+
+      const problems = [];
+      values[name] = checkValue(spec, coerceCell(spec, raw, { spreadsheet }), name, problems);
+      problems.forEach((problem) => errors.push({ row, column: name, error: problem }));
+    });
+
+    records.push({ fileIndex, row, recordedAt: timeColumn ? values[timeColumn] : undefined, values });
+  });
+
+  return { records, errors };
+};
+
+// Parses every CSV and spreadsheet file in an upload that has already been
+// stored. Returns the records to save and the first problems found, each
+// naming the file and, where it applies, the row and column.
+const extractRecords = async (storage, { dataType, files }) => {
+  if (!hasRecords(dataType)) return { records: [], errors: [], errorCount: 0 };
+
+  const records = [];
+  const errors = [];
+  for (const [fileIndex, file] of files.entries()) {
+    if (!TABULAR_TYPES.includes(file.type)) continue;
+
+    const parsed = await parseFile(storage, dataType, file, fileIndex);
+    records.push(...parsed.records);
+    errors.push(...parsed.errors.map((error) => ({ file: file.name, ...error })));
+  }
+
+  return { records, errors: errors.slice(0, MAX_REPORTED_ERRORS), errorCount: errors.length };
+};
+
+const RESERVED_PARAMS = ['page', 'limit', 'fileIndex', 'from', 'to', 'min', 'max'];
+
+const filterValue = (dataType, name, raw) => {
+  const { columns, additionalColumns } = DATA_TYPES[dataType];
+  const spec = columns[name] || additionalColumns;
+  if (!spec) {
+    throw new ServiceError(`Cannot filter on "${name}": not a column of ${dataType}`);
+  }
+
+  const problems = [];
+  const value = checkValue({ ...spec, required: false, notFuture: false }, coerceCell(spec, String(raw), {}), name, problems);
+  if (problems.length > 0) throw new ServiceError(`Invalid filter: ${problems[0]}`);
+  return value;
+};
+
+const parseWholeNumber = (value, fallback, name, min = 1) => {
+  if (value === undefined || value === '') return fallback;
+  const number = Number(value);
+  if (!Number.isInteger(number) || number < min) {
+    throw new ServiceError(`${name} must be a whole number of at least ${min}`);
+  }
+  return number;
+};
+
+// Query parameters: `page` and `limit`; `fileIndex`; `from` and `to` on the
+// data type's time column; `column=value` for exact matches; and
+// `min[column]` / `max[column]` for ranges.
+const queryRecords = async (db, upload, query = {}) => {
+  if (!hasRecords(upload.dataType)) {
+    throw new ServiceError(`${upload.dataType} uploads are not parsed into records`);
+  }
+
+  const page = parseWholeNumber(query.page, 1, 'page');
+  const limit = Math.min(parseWholeNumber(query.limit, DEFAULT_PAGE_SIZE, 'limit'), MAX_PAGE_SIZE);
+  const filter = { uploadId: upload.id };
+
+  if (query.fileIndex !== undefined) {
+    filter.fileIndex = parseWholeNumber(query.fileIndex, 0, 'fileIndex', 0);
+  }
+
+  if (query.from !== undefined || query.to !== undefined) {
+    const { timeColumn } = DATA_TYPES[upload.dataType];
+    filter.recordedAt = {};
+    if (query.from !== undefined) filter.recordedAt.$gte = filterValue(upload.dataType, timeColumn, query.from);
+    if (query.to !== undefined) filter.recordedAt.$lte = filterValue(upload.dataType, timeColumn, query.to);
+  }
+
+  Object.entries(query)
+    .filter(([name]) => !RESERVED_PARAMS.includes(name))
+    .forEach(([name, raw]) => {
+      filter[`values.${name}`] = filterValue(upload.dataType, name, raw);
+    });
+
+  [
+    ['min', '$gte'],
+    ['max', '$lte'],
+  ].forEach(([param, operator]) => {
+    if (query[param] === undefined) return;
+    if (typeof query[param] !== 'object') {
+      throw new ServiceError(`${param} takes a column name, e.g. ${param}[value]=10`);
+    }
+    Object.entries(query[param]).forEach(([name, raw]) => {
+      const path = `values.${name}`;
+      if (filter[path] !== undefined && typeof filter[path] !== 'object') {
+        throw new ServiceError(`Cannot combine ${param}[${name}] with an exact match on ${name}`);
+      }
+      filter[path] = { ...filter[path], [operator]: filterValue(upload.dataType, name, raw) };
+    });
+  });
+
+  const { items, total } = await db.measurements.findPage(filter, {
+    sort: { fileIndex: 1, row: 1 },
+    skip: (page - 1) * limit,
+    limit,
+  });
+  return { records: items, total, page, limit };
+};
+
+module.exports = {
+  TABULAR_TYPES,
+  hasRecords,
+  extractRecords,
+  queryRecords
+};
@@ -0,0 +1,134 @@
+const { ServiceError } = require('./errors');
+const { parseSearch, snippetFor } = require('./textSearch');
+const { offeredListingsFilter } = require('./marketplace');
+const { TEXT_INDEXES } = require('../config/textIndexes');
+
+// Site-wide search over projects, stakeholders and marketplace listings.
+// Each type is searched through its repository's text index; results come
+// back grouped by type, best first, with a highlighted snippet and facet
+// counts over every match (not just the page returned). Listings take their
+// category and country from their project.
+
+const DEFAULT_LIMIT = 10;
+const MAX_LIMIT = 50;
+const MAX_MATCHES = 1000;
+
+const countBy = (records, valueOf) => {
+  const counts = new Map();
+  records.forEach((record) => {
+    const value = valueOf(record);
+    if (value) counts.set(value, (counts.get(value) || 0) + 1);
+  });
+  return [...counts.entries()]
+    .map(([value, count]) => ({ value, count }))
+    .sort((a, b) => b.count - a.count || String(a.value).localeCompare(String(b.value)));
+};
+
+const projectFilter = ({ category, country }) => ({
+  ...(category && { category }),
+  ...(country && { 'location.country': country }),
+});
+
+const projectsById = async (db, ids) => {
+  const projects = ids.length > 0 ? await db.projects.find({ id: { $in: [...new Set(ids)] } }) : [];
+  return new Map(projects.map((project) => [project.id, project]));
+};
+
+const SEARCH_TYPES = {
+  projects: {
+    repository: 'projects',
+    filter: async (db, filters) => projectFilter(filters),
+    describe: async (db, matches) => matches.map((project) => ({ record: project, title: project.name, project })),
+    facets: {
+      category: ({ project }) => project.category,
+      country: ({ project }) => project.location && project.location.country,
+    },
+  },
+  stakeholders: {
+    repository: 'stakeholders',
+    // Stakeholders have no location, so a country filter rules them all out
+    filter: async (db, { category, country }) => (country ? null : { status: 'active', ...(category && { category }) }),
+    describe: async (db, matches) => matches.map((stakeholder) => ({ record: stakeholder, title: stakeholder.name })),
+    facets: { category: ({ record }) => record.category },
+  },
+  listings: {
+    repository: 'marketplaceListings',
+    filter: async (db, filters) => {
+      if (!filters.category && !filters.country) return offeredListingsFilter();
+      const projects = await db.projects.find(projectFilter(filters));
+      return { $and: [offeredListingsFilter(), { projectId: { $in: projects.map((project) => project.id) } }] };
+    },
+    describe: async (db, matches) => {
+      const projects = await projectsById(db, matches.map((listing) => listing.projectId).filter(Boolean));
+      return matches.map((listing) => {
+        const project = projects.get(listing.projectId);
+        return {
+          record: listing,
+          title: project ? `${project.name} (${listing.vintage})` : `${listing.methodology} ${listing.vintage}`,
+          project,
+        };
+      });
+    },
+    facets: {
+      category: ({ project }) => project && project.category,
+      country: ({ project }) => project && project.location && project.location.country,
+    },
+  },
+};
+
+const parseTypes = (value) => {
+  if (value === undefined || value === '') return Object.keys(SEARCH_TYPES);
+  const types = String(value).split(',').map((type) => type.trim());
+  const unknown = types.filter((type) => !SEARCH_TYPES[type]);
+  if (unknown.length > 0) {
+    throw new ServiceError(`type must be one or more of: ${Object.keys(SEARCH_TYPES).join(', ')}`);
+  }
+  return [...new Set(types)];
+};
+
+// Query parameters: `q`, `type` (comma-separated), `category`, `country`
+// and `limit` (per type).
+const search = async (db, query = {}) => {
+  const text = typeof query.q === 'string' ? query.q.trim() : '';
+  const parsed = parseSearch(text);
+  if (!parsed) {
+    throw new ServiceError('q must contain at least one word to search for');
+  }
+
+  const limit = query.limit === undefined ? DEFAULT_LIMIT : Number(query.limit);
+  if (!Number.isInteger(limit) || limit < 1) {
+    throw new ServiceError('limit must be a whole number of at least 1');
+  }
+
+  const filters = {
+    category: query.category ? String(query.category) : undefined,
+    country: query.country ? String(query.country) : undefined,
+  };
+
+  const results = {};
+  for (const type of parseTypes(query.type)) {
+    const { repository, filter, describe, facets } = SEARCH_TYPES[type];
+    const repositoryFilter = await filter(db, filters);
+    const matches = repositoryFilter ? await db[repository].search(text, repositoryFilter, { limit: MAX_MATCHES }) : [];
+    const described = await describe(db, matches);
+    const weights = TEXT_INDEXES[repository];
+
+    results[type] = {
+      total: matches.length,
+      items: described.slice(0, Math.min(limit, MAX_LIMIT)).map(({ record: { score, ...record }, title }) => ({
+        id: record.id,
+        title,
+        score: Math.round(score * 1000) / 1000,
+        snippet: snippetFor(record, weights, parsed),
+        record,
+      })),
+      facets: Object.fromEntries(Object.entries(facets).map(([name, valueOf]) => [name, countBy(described, valueOf)])),
+    };
+  }
+
+  return { query: text, results };
+};
+
+module.exports = {
+  search
+};
@@ -0,0 +1,347 @@
+const { ServiceError } = require('./errors');
+const { METHODOLOGIES, DEFAULT_METHODOLOGY_BY_CATEGORY } = require('../config/methodologies');
+const { bufferRateFor } = require('./bufferPool');
+
+// Turns a project's uploaded measurements into a proposed number of credits.
+// Every methodology maps onto one of the calculation models below, which
+// work out project and baseline tCO2e; the common deductions (baseline,
+// project emissions, leakage) are then applied the same way for all of them.
+// The proposal is the full creditable amount: the buffer pool share is shown
+// for reference but only withheld when credits are issued. Each step is
+// recorded so reviewers can follow the arithmetic before accepting or
+// overriding the figure.
+
+const CO2_PER_C = 44 / 12;
+
+const round = (value) => Math.round(value * 1000) / 1000;
+
+// Inputs a model reads. `required` inputs must be measured; the others fall
+// back to the methodology's parameters or the default given here.
+const MODELS = {
+  biomass: {
+    description: 'Change in above- and below-ground tree biomass carbon',
+    inputs: {
+      areaHectares: { unit: 'ha', required: true },
+      abovegroundBiomass: { unit: 't d.m./ha', required: true },
+      baselineAbovegroundBiomass: { unit: 't d.m./ha', default: 0 },
+      rootShootRatio: { unit: 'ratio' },
+      carbonFraction: { unit: 't C/t d.m.' },
+    },
+    calculate: (v, step) => {
+      const stockFactor = (1 + v.rootShootRatio) * v.carbonFraction * v.areaHectares * CO2_PER_C;
+      return {
+        project: step(
+          'Project biomass carbon',
+          'abovegroundBiomass × (1 + rootShootRatio) × carbonFraction × areaHectares × 44/12',
+          v.abovegroundBiomass * stockFactor,
+        ),
+        baseline: step(
+          'Baseline biomass carbon',
+          'baselineAbovegroundBiomass × (1 + rootShootRatio) × carbonFraction × areaHectares × 44/12',
+          v.baselineAbovegroundBiomass * stockFactor,
+        ),
+      };
+    },
+  },
+  tidal_wetland: {
+    description: 'Change in wetland vegetation biomass and soil organic carbon',
+    inputs: {
+      areaHectares: { unit: 'ha', required: true },
+      abovegroundBiomass: { unit: 't d.m./ha', required: true },
+      soilOrganicCarbon: { unit: 't C/ha', required: true },
+      baselineAbovegroundBiomass: { unit: 't d.m./ha', default: 0 },
+      baselineSoilOrganicCarbon: { unit: 't C/ha', default: 0 },
+      rootShootRatio: { unit: 'ratio' },
+      carbonFraction: { unit: 't C/t d.m.' },
+    },
+    calculate: (v, step) => {
+      const biomassFactor = (1 + v.rootShootRatio) * v.carbonFraction * v.areaHectares * CO2_PER_C;
+      const soilFactor = v.areaHectares * CO2_PER_C;
+      const projectBiomass = step(
+        'Project biomass carbon',
+        'abovegroundBiomass × (1 + rootShootRatio) × carbonFraction × areaHectares × 44/12',
+        v.abovegroundBiomass * biomassFactor,
+      );
+      const projectSoil = step(
+        'Project soil organic carbon',
+        'soilOrganicCarbon × areaHectares × 44/12',
+        v.soilOrganicCarbon * soilFactor,
+      );
+      const baselineBiomass = step(
+        'Baseline biomass carbon',
+        'baselineAbovegroundBiomass × (1 + rootShootRatio) × carbonFraction × areaHectares × 44/12',
+        v.baselineAbovegroundBiomass * biomassFactor,
+      );
+      const baselineSoil = step(
+        'Baseline soil organic carbon',
+        'baselineSoilOrganicCarbon × areaHectares × 44/12',
+        v.baselineSoilOrganicCarbon * soilFactor,
+      );
+      return {
+        project: step('Project carbon stock', 'project biomass + project soil carbon', projectBiomass + projectSoil),
+        baseline: step(
+          'Baseline carbon stock',
+          'baseline biomass + baseline soil carbon',
+          baselineBiomass + baselineSoil,
+        ),
+      };
+    },
+  },
+  soil_carbon: {
+    description: 'Change in soil organic carbon stocks',
+    inputs: {
+      areaHectares: { unit: 'ha', required: true },
+      soilOrganicCarbon: { unit: 't C/ha', required: true },
+      baselineSoilOrganicCarbon: { unit: 't C/ha', required: true },
+    },
+    calculate: (v, step) => ({
+      project: step(
+        'Project soil organic carbon',
+        'soilOrganicCarbon × areaHectares × 44/12',
+        v.soilOrganicCarbon * v.areaHectares * CO2_PER_C,
+      ),
+      baseline: step(
+        'Baseline soil organic carbon',
+        'baselineSoilOrganicCarbon × areaHectares × 44/12',
+        v.baselineSoilOrganicCarbon * v.areaHectares * CO2_PER_C,
+      ),
+    }),
+  },
+  methane_destruction: {
+    description: 'Methane captured and destroyed instead of being vented',
+    inputs: {
+      methaneFlowM3: { unit: 'm³ CH4', required: true },
+      destructionEfficiency: { unit: 'fraction' },
+      methaneDensity: { unit: 't/m³' },
+      methaneGwp: { unit: 't CO2e/t CH4' },
+      baselineDestructionFraction: { unit: 'fraction' },
+    },
+    calculate: (v, step) => {
+      const destroyed = step(
+        'Methane destroyed',
+        'methaneFlowM3 × methaneDensity × destructionEfficiency',
+        v.methaneFlowM3 * v.methaneDensity * v.destructionEfficiency,
+        't CH4',
+      );
+      return {
+        project: step('Project emission reductions', 'methane destroyed × methaneGwp', destroyed * v.methaneGwp),
+        baseline: step(
+          'Baseline destruction',
+          'methane destroyed × methaneGwp × baselineDestructionFraction',
+          destroyed * v.methaneGwp * v.baselineDestructionFraction,
+        ),
+      };
+    },
+  },
+  grid_displacement: {
+    description: 'Grid electricity displaced by generation or savings',
+    inputs: {
+      electricityMWh: { unit: 'MWh', required: true, aliases: ['electricityGeneratedMWh', 'energySavedMWh'] },
+      baselineElectricityMWh: { unit: 'MWh', default: 0 },
+      gridEmissionFactor: { unit: 't CO2/MWh' },
+    },
+    calculate: (v, step) => ({
+      project: step(
+        'Displaced grid emissions',
+        'electricityMWh × gridEmissionFactor',
+        v.electricityMWh * v.gridEmissionFactor,
+      ),
+      baseline: step(
+        'Baseline grid emissions',
+        'baselineElectricityMWh × gridEmissionFactor',
+        v.baselineElectricityMWh * v.gridEmissionFactor,
+      ),
+    }),
+  },
+};
+
+// Picks the methodology to apply: an explicitly requested one must fit the
+// category; otherwise the project's own methodology is used when it fits,
+// falling back to the category default.
+const resolveMethodology = (category, requested, projectMethodology) => {
+  if (requested) {
+    const methodology = METHODOLOGIES[requested];
+    if (!methodology) {
+      throw new ServiceError(`Unknown methodology "${requested}"`);
+    }
+    if (!methodology.categories.includes(category)) {
+      throw new ServiceError(`Methodology ${requested} does not apply to ${category} projects`);
+    }
+    return { code: requested, source: 'requested' };
+  }
+
+  const own = METHODOLOGIES[projectMethodology];
+  if (own && own.categories.includes(category)) {
+    return { code: projectMethodology, source: 'project' };
+  }
+
+  const code = DEFAULT_METHODOLOGY_BY_CATEGORY[category];
+  if (!code) {
+    throw new ServiceError(`No sequestration methodology is available for ${category} projects`);
+  }
+  return { code, source: 'category_default' };
+};
+
+const readInputs = (model, methodology, measurements) => {
+  const values = {};
+  const inputs = {};
+  const missing = [];
+
+  Object.entries(model.inputs).forEach(([name, spec]) => {
+    const key = [name, ...(spec.aliases || [])].find((candidate) => measurements[candidate] !== undefined);
+    let value;
+    let source;
+
+    if (key !== undefined) {
+      value = Number(measurements[key]);
+      source = 'measured';
+    } else if (methodology.parameters[name] !== undefined) {
+      value = methodology.parameters[name];
+      source = 'methodology_default';
+    } else if (spec.default !== undefined) {
+      value = spec.default;
+      source = 'default';
+    }
+
+    if (value === undefined) {
+      missing.push(name);
+      return;
+    }
+    if (!Number.isFinite(value) || value < 0) {
+      throw new ServiceError(`Measurement "${key || name}" must be a non-negative number`);
+    }
+
+    values[name] = value;
+    inputs[name] = { value, unit: spec.unit, source };
+  });
+
+  if (missing.length > 0) {
+    throw new ServiceError(`Missing measurements for ${methodology.name}: ${missing.join(', ')}`);
+  }
+
+  return { values, inputs };
+};
+
+// Pure calculation from a category, methodology and measurements.
+const calculateSequestration = ({
+  category,
+  methodology: requested,
+  projectMethodology,
+  measurements = {},
+  bufferRate = 0,
+}) => {
+  const { code, source } = resolveMethodology(category, requested, projectMethodology);
+  const methodology = METHODOLOGIES[code];
+  const model = MODELS[methodology.model];
+  const { values, inputs } = readInputs(model, methodology, measurements);
+
+  const steps = [];
+  const step = (label, formula, value, unit = 't CO2e') => {
+    steps.push({ step: steps.length + 1, label, formula, value: round(value), unit });
+    return value;
+  };
+
+  const { project, baseline } = model.calculate(values, step);
+
+  const projectEmissions = Number(measurements.projectEmissions || 0);
+  if (!Number.isFinite(projectEmissions) || projectEmissions < 0) {
+    throw new ServiceError('Measurement "projectEmissions" must be a non-negative number');
+  }
+
+  const net = step(
+    'Net removals',
+    'project − baseline − projectEmissions',
+    Math.max(project - baseline - projectEmissions, 0),
+  );
+  const leakage = step(
+    'Leakage deduction',
+    `net removals × ${methodology.leakageRate}`,
+    net * methodology.leakageRate,
+  );
+  const creditable = step('Creditable reductions', 'net removals − leakage', net - leakage);
+
+  // Credits are whole tonnes, so fractions are never issued
+  const proposedCredits = Math.floor(round(creditable));
+  const withheld = step(
+    'Buffer pool share withheld at issuance',
+    `⌈proposed credits × ${bufferRate}⌉`,
+    Math.ceil(proposedCredits * bufferRate),
+    'credits',
+  );
+  step('Tradeable credits', 'proposed credits − buffer pool share', proposedCredits - withheld, 'credits');
+
+  return {
+    category,
+    methodology: code,
+    methodologyName: methodology.name,
+    methodologySource: source,
+    model: methodology.model,
+    inputs,
+    deductions: {
+      baseline: round(baseline),
+      projectEmissions: round(projectEmissions),
+      leakage: round(leakage),
+      leakageRate: methodology.leakageRate,
+      bufferPool: withheld,
+      bufferRate,
+    },
+    grossTCO2e: round(project),
+    netTCO2e: round(net),
+    creditableTCO2e: round(creditable),
+    proposedCredits,
+    tradeableCredits: proposedCredits - withheld,
+    steps,
+  };
+};
+
+// Calculation for a verification submission, from its upload's measurements.
+// The project's recorded area stands in when the upload doesn't measure one.
+const proposeCredits = async (db, submission, { methodology } = {}) => {
+  const project = await db.projects.findById(submission.projectId);
+  if (!project) {
+    throw new ServiceError('Project not found', 404);
+  }
+
+  const upload = submission.uploadId ? await db.dataUploads.findById(submission.uploadId) : null;
+  const metadata = (upload && upload.metadata) || submission.metadata || {};
+  const measurements = { ...(metadata.measurements || {}) };
+  if (measurements.areaHectares === undefined && project.location && project.location.area !== undefined) {
+    measurements.areaHectares = project.location.area;
+  }
+
+  return {
+    submissionId: submission.id,
+    projectId: project.id,
+    uploadId: submission.uploadId,
+    ...calculateSequestration({
+      category: project.category,
+      methodology,
+      projectMethodology: project.methodology,
+      measurements,
+      bufferRate: bufferRateFor(project).rate,
+    }),
+  };
+};
+
+const describeMethodologies = () =>
+  Object.entries(METHODOLOGIES).map(([code, methodology]) => ({
+    code,
+    name: methodology.name,
+    categories: methodology.categories,
+    model: methodology.model,
+    description: MODELS[methodology.model].description,
+    leakageRate: methodology.leakageRate,
+    inputs: Object.entries(MODELS[methodology.model].inputs).map(([name, spec]) => ({
+      name,
+      unit: spec.unit,
+      required: Boolean(spec.required),
+      default: methodology.parameters[name] !== undefined ? methodology.parameters[name] : spec.default,
+      aliases: spec.aliases,
+    })),
+  }));
+
+module.exports = {
+  calculateSequestration,
+  proposeCredits,
+  describeMethodologies
+};
@@ -0,0 +1,138 @@
+const { ServiceError } = require('./errors');
+
+// Block serials follow the Verra / Gold Standard convention of encoding where
+// a block comes from plus the range of units it covers:
+//
+//   CCRED-PRJ1A2B3C4D-2024-VM0033-000000001-000000500
+//   registry-project-vintage-methodology-start-end
+//
+// Project and methodology codes are reduced to upper-case alphanumerics so
+// the hyphen stays an unambiguous separator.
+const REGISTRY_PREFIX = (process.env.REGISTRY_PREFIX || 'CCRED').toUpperCase();
+const UNIT_DIGITS = 9;
+const MAX_UNIT = 10 ** UNIT_DIGITS - 1;
+
+const toCode = (value) => String(value || '').toUpperCase().replace(/[^A-Z0-9]/g, '');
+
+const padUnit = (unit) => String(unit).padStart(UNIT_DIGITS, '0');
+
+const serialPrefix = ({ projectId, vintage, methodology }) =>
+  [REGISTRY_PREFIX, toCode(projectId), vintage, toCode(methodology)].join('-');
+
+const formatSerial = ({ projectId, vintage, methodology, start, end }) =>
+  `${serialPrefix({ projectId, vintage, methodology })}-${padUnit(start)}-${padUnit(end)}`;
+
+// Fields stored on a credit block so it can be found by any unit it covers.
+const serialFields = (block) => ({
+  serialNumber: formatSerial(block),
+  serialPrefix: serialPrefix(block),
+  serialStart: block.start,
+  serialEnd: block.end,
+});
+
+const validateSerial = (serial) => {
+  const errors = [];
+  const parts = String(serial || '').toUpperCase().split('-');
+
+  if (parts.length !== 6) {
+    return {
+      valid: false,
+      errors: ['Serial must have six hyphen-separated parts: registry-project-vintage-methodology-start-end'],
+    };
+  }
+
+  const [registry, projectCode, vintage, methodology, startPart, endPart] = parts;
+
+  if (registry !== REGISTRY_PREFIX) {
+    errors.push(`Unknown registry prefix "${registry}", expected "${REGISTRY_PREFIX}"`);
+  }
+  if (!/^[A-Z0-9]+$/.test(projectCode)) {
+    errors.push('Project code must be alphanumeric');
+  }
+  if (!/^\d{4}$/.test(vintage)) {
+    errors.push('Vintage must be a four-digit year');
+  }
+  if (!/^[A-Z0-9]+$/.test(methodology)) {
+    errors.push('Methodology code must be alphanumeric');
+  }
+
+  const start = /^\d+$/.test(startPart) ? Number(startPart) : NaN;
+  const end = /^\d+$/.test(endPart) ? Number(endPart) : NaN;
+
+  if (!Number.isInteger(start) || !Number.isInteger(end) || start < 1 || end > MAX_UNIT) {
+    errors.push(`Unit range must be whole numbers between 1 and ${MAX_UNIT}`);
+  } else if (start > end) {
+    errors.push('Unit range start must not be after its end');
+  }
+
+  if (errors.length > 0) {
+    return { valid: false, errors };
+  }
+
+  return {
+    valid: true,
+    errors,
+    parsed: {
+      registry,
+      projectCode,
+      vintage,
+      methodology,
+      prefix: [registry, projectCode, vintage, methodology].join('-'),
+      start,
+      end,
+      quantity: end - start + 1,
+    },
+  };
+};
+
+const parseSerial = (serial) => {
+  const result = validateSerial(serial);
+  if (!result.valid) {
+    throw new ServiceError(`Invalid serial number: ${result.errors.join('; ')}`);
+  }
+  return result.parsed;
+};
+
+// Splits `quantity` units off the front of a block's range.
+const splitRange = ({ serialStart, serialEnd }, quantity) => ({
+  moved: { start: serialStart, end: serialStart + quantity - 1 },
+  remainder: { start: serialStart + quantity, end: serialEnd },
+});
+
+// Reserves the next `quantity` unit numbers for a project. The project's
+// high-water mark is advanced with compare-and-swap so concurrent issuances
+// never receive overlapping ranges.
+const allocateUnits = async (db, projectId, quantity, attempts = 5) => {
+  for (let attempt = 0; attempt < attempts; attempt += 1) {
+    const project = await db.projects.findById(projectId);
+    if (!project) {
+      throw new ServiceError('Project not found', 404);
+    }
+
+    const lastUnit = project.lastSerialUnit || 0;
+    if (lastUnit + quantity > MAX_UNIT) {
+      throw new ServiceError('Project has exhausted its serial number range');
+    }
+
+    const reserved = await db.projects.updateWhere(
+      { id: projectId, lastSerialUnit: project.lastSerialUnit },
+      { lastSerialUnit: lastUnit + quantity },
+    );
+    if (reserved) {
+      return { start: lastUnit + 1, end: lastUnit + quantity };
+    }
+  }
+
+  throw new ServiceError('Could not reserve serial numbers, please retry', 409);
+};
+
+module.exports = {
+  REGISTRY_PREFIX,
+  formatSerial,
+  serialPrefix,
+  serialFields,
+  validateSerial,
+  parseSerial,
+  splitRange,
+  allocateUnits
+};
@@ -0,0 +1,189 @@
+const zlib = require('zlib');
+
+// Readers for the tabular formats field teams send: delimited text and Excel
+// workbooks. Both return the first table as `{ row, cells }` entries, where
+// `row` is the 1-based row number a spreadsheet would show and `cells` are
+// raw strings. Typing and validation happen in services/records.js.
+
+const DELIMITERS = [',', ';', '\t'];
+
+// Picks the delimiter that splits the header line the most, ignoring any
+// inside quotes.
+const detectDelimiter = (text) => {
+  const counts = Object.fromEntries(DELIMITERS.map((delimiter) => [delimiter, 0]));
+  let quoted = false;
+  for (const char of text) {
+    if (char === '"') quoted = !quoted;
+    else if (!quoted && char in counts) counts[char] += 1;
+    else if (!quoted && (char === '\n' || char === '\r')) break;
+  }
+  return DELIMITERS.reduce((best, delimiter) => (counts[delimiter] > counts[best] ? delimiter : best));
+};
+
+// RFC 4180, plus `;` and tab delimiters and bare LF line endings. Quoted
+// fields may span lines; such a record keeps the number of the line it
+// starts on.
+const parseDelimited = (text) => {
+  const source = text.replace(/^\uFEFF/, '');
+  const delimiter = detectDelimiter(source);
+  const rows = [];
+
+  let cells = [];
+  let cell = '';
+  let quoted = false;
+  let line = 1;
+  let startLine = 1;
+
+  const endCell = () => {
+    cells.push(cell);
+    cell = '';
+  };
+  const endRow = () => {
+    endCell();
+    rows.push({ row: startLine, cells });
+    cells = [];
+  };
+
+  for (let index = 0; index < source.length; index += 1) {
+    const char = source[index];
+
+    if (quoted) {
+      if (char === '"' && source[index + 1] === '"') {
+        cell += '"';
+        index += 1;
+      } else if (char === '"') {
+        quoted = false;
+      } else {
+        if (char === '\n') line += 1;
+        cell += char;
+      }
+    } else if (char === '"' && cell === '') {
+      quoted = true;
+    } else if (char === delimiter) {
+      endCell();
+    } else if (char === '\n' || char === '\r') {
+      if (char === '\r' && source[index + 1] === '\n') index += 1;
+      endRow();
+      line += 1;
+      startLine = line;
+    } else {
+      cell += char;
+    }
+  }
+
+  if (quoted) {
+    throw new Error(`Unterminated quoted field starting on line ${startLine}`);
+  }
+  if (cell !== '' || cells.length > 0) endRow();
+
+  return rows;
+};
+
+// Minimal zip reader: enough to pull the XML parts out of an .xlsx package.
+const readZipEntries = (buffer) => {
+  let end = buffer.length - 22;
+  while (end >= 0 && buffer.readUInt32LE(end) !== 0x06054b50) end -= 1;
+  if (end < 0) throw new Error('Not a zip archive');
+
+  const entries = new Map();
+  const count = buffer.readUInt16LE(end + 10);
+  let offset = buffer.readUInt32LE(end + 16);
+
+  for (let index = 0; index < count; index += 1) {
+    if (buffer.readUInt32LE(offset) !== 0x02014b50) throw new Error('Corrupt zip central directory');
+
+    const nameLength = buffer.readUInt16LE(offset + 28);
+    const name = buffer.toString('utf8', offset + 46, offset + 46 + nameLength);
+    entries.set(name, {
+      method: buffer.readUInt16LE(offset + 10),
+      compressedSize: buffer.readUInt32LE(offset + 20),
+      localOffset: buffer.readUInt32LE(offset + 42),
+    });
+    offset += 46 + nameLength + buffer.readUInt16LE(offset + 30) + buffer.readUInt16LE(offset + 32);
+  }
+
+  return {
+    has: (name) => entries.has(name),
+    read: (name) => {
+      const entry = entries.get(name);
+      if (!entry) throw new Error(`Missing ${name}`);
+
+      const { localOffset, compressedSize, method } = entry;
+      const start = localOffset + 30 + buffer.readUInt16LE(localOffset + 26) + buffer.readUInt16LE(localOffset + 28);
+      const data = buffer.subarray(start, start + compressedSize);
+      if (method === 0) return data.toString('utf8');
+      if (method === 8) return zlib.inflateRawSync(data).toString('utf8');
+      throw new Error(`Unsupported zip compression method ${method}`);
+    },
+  };
+};
+
+const XML_ENTITIES = { amp: '&', lt: '<', gt: '>', quot: '"', apos: "'" };
+
+const decodeXml = (text) =>
+  text.replace(/&(#x[0-9a-f]+|#\d+|\w+);/gi, (match, entity) => {
+    if (entity[0] === '#') {
+      const code = entity[1].toLowerCase() === 'x' ? parseInt(entity.slice(2), 16) : Number(entity.slice(1));
+      return String.fromCodePoint(code);
+    }
+    return XML_ENTITIES[entity] !== undefined ? XML_ENTITIES[entity] : match;
+  });
+
+const attributes = (tag) =>
+  Object.fromEntries([...tag.matchAll(/([\w:]+)="([^"]*)"/g)].map(([, name, value]) => [name, decodeXml(value)]));
+
+// Text of every <t> run in a rich or plain string, minus phonetic guides.
+const runText = (xml) =>
+  [...xml.replace(/<rPh\b[\s\S]*?<\/rPh>/g, '').matchAll(/<t(?:\s[^>]*)?>([\s\S]*?)<\/t>/g)]
+    .map(([, text]) => decodeXml(text))
+    .join('');
+
+const columnIndex = (reference) =>
+  [...reference.replace(/\d+$/, '')].reduce((index, letter) => index * 26 + letter.charCodeAt(0) - 64, 0) - 1;
+
+// The workbook's first sheet, wherever the package keeps it.
+const firstSheetPath = (zip) => {
+  const sheet = /<sheet\b[^>]*>/.exec(zip.read('xl/workbook.xml'));
+  if (!sheet) throw new Error('Workbook has no sheets');
+
+  const relationId = attributes(sheet[0])['r:id'];
+  const relation = [...zip.read('xl/_rels/workbook.xml.rels').matchAll(/<Relationship\b[^>]*>/g)]
+    .map(([tag]) => attributes(tag))
+    .find((candidate) => candidate.Id === relationId);
+  if (!relation) throw new Error('Workbook sheet relationship is missing');
+
+  return relation.Target.startsWith('/') ? relation.Target.slice(1) : `xl/${relation.Target}`;
+};
+
+// Cell values come back as the strings Excel stores: numbers (dates
+// included, as serial day counts) in their raw form and booleans as 1 or 0.
+const parseWorkbook = (buffer) => {
+  const zip = readZipEntries(buffer);
+  const sharedStrings = zip.has('xl/sharedStrings.xml')
+    ? [...zip.read('xl/sharedStrings.xml').matchAll(/<si>([\s\S]*?)<\/si>/g)].map(([, item]) => runText(item))
+    : [];
+
+  const rows = [];
+  for (const [, rowTag, rowBody = ''] of zip.read(firstSheetPath(zip)).matchAll(/<row\b([^>]*?)(?:\/>|>([\s\S]*?)<\/row>)/g)) {
+    const cells = [];
+    for (const [, cellTag, cellBody = ''] of rowBody.matchAll(/<c\b([^>]*?)(?:\/>|>([\s\S]*?)<\/c>)/g)) {
+      const { r: reference, t: type } = attributes(cellTag);
+      const raw = (/<v>([\s\S]*?)<\/v>/.exec(cellBody) || [])[1];
+
+      let value = '';
+      if (type === 's') value = sharedStrings[Number(raw)] || '';
+      else if (type === 'inlineStr') value = runText(cellBody);
+      else if (raw !== undefined) value = decodeXml(raw);
+
+      cells[reference ? columnIndex(reference) : cells.length] = value;
+    }
+    rows.push({ row: Number(attributes(rowTag).r) || rows.length + 1, cells: Array.from(cells, (cell) => cell || '') });
+  }
+
+  return rows;
+};
+
+module.exports = {
+  parseDelimited,
+  parseWorkbook
+};
@@ -0,0 +1,126 @@
+// Text matching for search, modelled on MongoDB's $text operator so the
+// in-memory store ranks results the way a text index would: words are
+// lower-cased, stripped of accents and stop words and reduced to a rough
+// stem; any query word matching is enough, "quoted phrases" must all appear
+// and -words exclude a record. The same tokenizer finds the words to
+// highlight in snippets for either store.
+
+const STOP_WORDS = new Set(
+  'a an and are as at be but by for from has have in into is it its of on or that the their this to was were will with'.split(' '),
+);
+
+const WORD_PATTERN = /[\p{L}\p{N}]+/gu;
+const MAX_QUERY_LENGTH = 200;
+
+const fold = (text) =>
+  text
+    .normalize('NFD')
+    .replace(/\p{M}/gu, '')
+    .toLowerCase();
+
+// Enough stemming to match plurals and common verb forms ("forests",
+// "planting", "restored").
+const stem = (word) => {
+  if (word.length <= 3) return word;
+  if (word.endsWith('ies')) return `${word.slice(0, -3)}y`;
+  if (word.endsWith('sses')) return word.slice(0, -2);
+  if (word.endsWith('ing') && word.length > 5) return word.slice(0, -3);
+  if (word.endsWith('ed') && word.length > 4) return word.slice(0, -2);
+  if (word.endsWith('s') && !word.endsWith('ss') && !word.endsWith('us')) return word.slice(0, -1);
+  return word;
+};
+
+// Every word of a text with its position, for scoring and highlighting.
+const words = (text) =>
+  [...String(text || '').matchAll(WORD_PATTERN)].map((match) => ({
+    stem: stem(fold(match[0])),
+    start: match.index,
+    end: match.index + match[0].length,
+    stop: STOP_WORDS.has(fold(match[0])),
+  }));
+
+const stemsOf = (text) => words(text).filter((word) => !word.stop).map((word) => word.stem);
+
+// Splits a query into optional terms, required phrases and excluded terms.
+// Returns null when nothing searchable is left.
+const parseSearch = (query) => {
+  const text = String(query || '').slice(0, MAX_QUERY_LENGTH);
+  const phrases = [...text.matchAll(/"([^"]+)"/g)].map((match) => stemsOf(match[1])).filter((stems) => stems.length > 0);
+  const rest = text.replace(/"[^"]*"/g, ' ');
+
+  const excluded = [];
+  const terms = [];
+  rest.split(/\s+/).forEach((token) => {
+    if (token.startsWith('-')) excluded.push(...stemsOf(token.slice(1)));
+    else terms.push(...stemsOf(token));
+  });
+  phrases.forEach((stems) => terms.push(...stems));
+
+  if (terms.length === 0) return null;
+  return { terms: [...new Set(terms)], phrases, excluded: [...new Set(excluded)] };
+};
+
+const containsPhrase = (stems, phrase) =>
+  stems.some((_, index) => phrase.every((word, offset) => stems[index + offset] === word));
+
+const fieldValue = (record, path) =>
+  path.split('.').reduce((value, part) => (value === undefined || value === null ? undefined : value[part]), record);
+
+const fieldText = (record, path) => {
+  const value = fieldValue(record, path);
+  return Array.isArray(value) ? value.join(' ') : value;
+};
+
+// Relevance of a record for a parsed query, or 0 when it doesn't match.
+// `weights` maps field paths to their weight, as in a text index. Each query
+// term found in a field adds the field's weight, scaled by how much of the
+// field it makes up.
+const scoreRecord = (record, weights, search) => {
+  const fields = Object.entries(weights).map(([path, weight]) => ({ weight, stems: stemsOf(fieldText(record, path)) }));
+  const all = fields.flatMap((field) => field.stems);
+
+  if (search.excluded.some((term) => all.includes(term))) return 0;
+  if (!search.phrases.every((phrase) => fields.some((field) => containsPhrase(field.stems, phrase)))) return 0;
+
+  return fields.reduce((score, { weight, stems }) => {
+    const matched = stems.filter((word) => search.terms.includes(word)).length;
+    return matched === 0 ? score : score + weight * (0.5 + (0.5 * matched) / stems.length) * matched;
+  }, 0);
+};
+
+const SNIPPET_LENGTH = 160;
+
+// A window of the first field (in weight order) containing a match, with the
+// character ranges of the matching words. Ranges are relative to `text`.
+const snippetFor = (record, weights, search) => {
+  const paths = Object.entries(weights)
+    .sort(([, a], [, b]) => b - a)
+    .map(([path]) => path);
+
+  for (const path of paths) {
+    const text = fieldText(record, path);
+    const matches = words(text).filter((word) => !word.stop && search.terms.includes(word.stem));
+    if (matches.length === 0) continue;
+
+    const full = String(text);
+    let start = Math.max(0, matches[0].start - SNIPPET_LENGTH / 4);
+    if (start > 0) start = full.indexOf(' ', start) + 1 || start;
+    const end = Math.min(full.length, start + SNIPPET_LENGTH);
+    const prefix = start > 0 ? '…' : '';
+
+    return {
+      field: path,
+      text: `${prefix}${full.slice(start, end)}${end < full.length ? '…' : ''}`,
+      highlights: matches
+        .filter((word) => word.start >= start && word.end <= end)
+        .map((word) => [word.start - start + prefix.length, word.end - start + prefix.length]),
+    };
+  }
+  return null;
+};
+
+module.exports = {
+  parseSearch,
+  scoreRecord,
+  snippetFor
+};
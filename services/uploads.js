@@ -0,0 +1,243 @@
+const crypto = require('crypto');
+const fs = require('fs');
+const path = require('path');
+const { ServiceError } = require('./errors');
+const { MIME, DATA_TYPES } = require('../config/dataTypes');
+
+// Ingest pipeline for uploaded files. Multer writes each file to a temporary
+// path; every file is then hashed, sniffed and checked against the project's
+// existing uploads before being handed to the storage backend. Each upload
+// stores its files under a prefix of its own, keyed by their SHA-256 digest,
+// so a file's key also proves its content and deleting one upload can never
+// remove another's objects. A unique index on project and checksum is what
+// finally keeps a file from being uploaded to a project twice.
+
+const UPLOAD_DIR = process.env.UPLOAD_PATH || 'uploads/';
+const TEMP_DIR = path.join(UPLOAD_DIR, 'tmp');
+const SNIFF_BYTES = 4100;
+const SIGNED_URL_TTL_SECONDS = Number(process.env.SIGNED_URL_TTL_SECONDS) || 15 * 60;
+const MAX_SIGNED_URL_TTL_SECONDS = 24 * 60 * 60;
+
+// Uploads in review, or approved, are evidence behind a verification.
+const DELETABLE_STATUSES = ['uploaded', 'processing', 'rejected'];
+
+const startsWith = (buffer, bytes, offset = 0) =>
+  buffer.length >= offset + bytes.length && bytes.every((byte, index) => buffer[offset + index] === byte);
+
+const ascii = (text) => [...text].map((char) => char.charCodeAt(0));
+
+// Magic numbers of the binary formats we accept, checked in order.
+const SIGNATURES = [
+  { mime: MIME.pdf, test: (b) => startsWith(b, ascii('%PDF-')) },
+  { mime: MIME.jpeg, test: (b) => startsWith(b, [0xff, 0xd8, 0xff]) },
+  { mime: MIME.png, test: (b) => startsWith(b, [0x89, 0x50, 0x4e, 0x47, 0x0d, 0x0a, 0x1a, 0x0a]) },
+  { mime: MIME.tiff, test: (b) => startsWith(b, [0x49, 0x49, 0x2a, 0x00]) || startsWith(b, [0x4d, 0x4d, 0x00, 0x2a]) },
+  { mime: MIME.webp, test: (b) => startsWith(b, ascii('RIFF')) && startsWith(b, ascii('WEBP'), 8) },
+  { mime: MIME.mp4, test: (b) => startsWith(b, ascii('ftyp'), 4) },
+  { mime: MIME.hdf5, test: (b) => startsWith(b, [0x89, 0x48, 0x44, 0x46, 0x0d, 0x0a, 0x1a, 0x0a]) },
+  { mime: MIME.netcdf, test: (b) => startsWith(b, ascii('CDF')) && [1, 2, 5].includes(b[3]) },
+  { mime: MIME.zip, test: (b) => startsWith(b, [0x50, 0x4b, 0x03, 0x04]) },
+];
+
+// Zip containers are told apart by extension: the bytes are the same.
+const ZIP_FLAVOURS = { '.xlsx': MIME.xlsx, '.kmz': MIME.kmz };
+
+// The sample may end part-way through a multi-byte character, so the last
+// few bytes are left out of the UTF-8 check.
+const looksLikeText = (buffer) => {
+  const sample = buffer.length === SNIFF_BYTES ? buffer.subarray(0, SNIFF_BYTES - 3) : buffer;
+  return !sample.includes(0) && !sample.toString('utf8').includes('\uFFFD');
+};
+
+const sniffText = (buffer, name) => {
+  const text = buffer.toString('utf8').replace(/^\uFEFF/, '').trimStart();
+  if (text.startsWith('{') || text.startsWith('[')) return MIME.json;
+  if (text.startsWith('<?xml') || text.startsWith('<kml') || text.startsWith('<gpx')) return MIME.xml;
+
+  const extension = path.extname(name || '').toLowerCase();
+  const firstLine = text.split(/\r?\n/)[0];
+  if (extension === '.csv' || extension === '.tsv' || /^[^,;\t]+([,;\t][^,;\t]*)+$/.test(firstLine)) {
+    return MIME.csv;
+  }
+  return MIME.text;
+};
+
+// Works out what a file really is from its first bytes.
+const sniffMimeType = (buffer, name) => {
+  const signature = SIGNATURES.find(({ test }) => test(buffer));
+  if (signature) {
+    return signature.mime === MIME.zip
+      ? ZIP_FLAVOURS[path.extname(name || '').toLowerCase()] || MIME.zip
+      : signature.mime;
+  }
+  if (buffer.length > 0 && looksLikeText(buffer)) {
+    return sniffText(buffer, name);
+  }
+  return 'application/octet-stream';
+};
+
+const hashFile = (filePath) =>
+  new Promise((resolve, reject) => {
+    const hash = crypto.createHash('sha256');
+    fs.createReadStream(filePath)
+      .on('error', reject)
+      .on('data', (chunk) => hash.update(chunk))
+      .on('end', () => resolve(hash.digest('hex')));
+  });
+
+const readHead = async (filePath) => {
+  const handle = await fs.promises.open(filePath, 'r');
+  try {
+    const buffer = Buffer.alloc(SNIFF_BYTES);
+    const { bytesRead } = await handle.read(buffer, 0, SNIFF_BYTES, 0);
+    return buffer.subarray(0, bytesRead);
+  } finally {
+    await handle.close();
+  }
+};
+
+const removeFiles = (filePaths) =>
+  Promise.all(
+    filePaths.filter(Boolean).map((filePath) =>
+      fs.promises.unlink(filePath).catch((error) => {
+        if (error.code !== 'ENOENT') throw error;
+      }),
+    ),
+  );
+
+// Multer decodes multipart filenames as latin1; browsers send UTF-8.
+const originalName = (file) => {
+  const decoded = Buffer.from(file.originalname, 'latin1').toString('utf8');
+  return decoded.includes('\uFFFD') ? file.originalname : decoded;
+};
+
+const discardTempFiles = (files = []) => removeFiles(files.map((file) => file.path));
+
+// Deletes an upload's files from storage. Records from before storage keys
+// existed have nothing the backend can find, so they are skipped.
+const removeStoredFiles = (storage, upload) =>
+  Promise.all((upload.files || []).filter((file) => file.storageKey).map((file) => storage.remove(file.storageKey)));
+
+// Hashes, sniffs and de-duplicates multer's temporary files, then stores them
+// under the project's prefix. Nothing is kept if any file is rejected.
+const ingestFiles = async (db, storage, { projectId, dataType, files = [] }) => {
+  const stored = [];
+  try {
+    const allowed = DATA_TYPES[dataType].fileTypes;
+    const inspected = [];
+
+    for (const file of files) {
+      const [checksum, head] = await Promise.all([hashFile(file.path), readHead(file.path)]);
+      const name = originalName(file);
+      const mimeType = sniffMimeType(head, name);
+
+      if (!allowed.includes(mimeType)) {
+        throw new ServiceError(
+          `${name} looks like ${mimeType}, which is not accepted for ${dataType} (accepted: ${allowed.join(', ')})`,
+          415,
+        );
+      }
+      if (inspected.some((other) => other.checksum === checksum)) {
+        throw new ServiceError(`${name} is included more than once in this upload`, 409);
+      }
+
+      inspected.push({ file, name, checksum, mimeType });
+    }
+
+    // Catches most repeats with a readable message; two requests racing
+    // past it are stopped by the unique index when the upload is saved
+    const existing = await db.dataUploads.find({ projectId });
+    for (const { name, checksum } of inspected) {
+      const duplicate = existing.find((upload) => (upload.files || []).some((previous) => previous.checksum === checksum));
+      if (duplicate) {
+        throw new ServiceError(
+          `${name} has already been uploaded to this project (upload ${duplicate.id})`,
+          409,
+        );
+      }
+    }
+
+    const prefix = `${projectId}/${crypto.randomUUID()}`;
+    for (const { file, name, checksum, mimeType } of inspected) {
+      const storageKey = `${prefix}/${checksum}${path.extname(name).toLowerCase()}`;
+      await storage.put(storageKey, file.path, { contentType: mimeType });
+      stored.push({
+        name,
+        type: mimeType,
+        declaredType: file.mimetype,
+        size: file.size,
+        storage: storage.name,
+        storageKey,
+        checksum,
+      });
+    }
+    return stored;
+  } catch (error) {
+    await Promise.all([discardTempFiles(files), removeStoredFiles(storage, { files: stored })]);
+    throw error;
+  }
+};
+
+// The unique index reports a file already uploaded to the project by
+// another request that saved first.
+const isDuplicateUpload = (error) => Boolean(error) && error.code === 11000;
+
+// Parses a single-range `Range: bytes=...` header against a file size. Returns
+// null to serve the whole file and `{ unsatisfiable: true }` for ranges that
+// fall outside it. Multi-range requests are answered with the whole file.
+const parseRange = (header, size) => {
+  const match = /^bytes=(\d*)-(\d*)$/.exec(String(header || '').trim());
+  if (!match || (match[1] === '' && match[2] === '')) return null;
+
+  let start;
+  let end;
+  if (match[1] === '') {
+    // Suffix range: the last N bytes
+    start = Math.max(size - Number(match[2]), 0);
+    end = size - 1;
+  } else {
+    start = Number(match[1]);
+    end = match[2] === '' ? size - 1 : Math.min(Number(match[2]), size - 1);
+  }
+
+  if (start >= size || start > end) return { unsatisfiable: true };
+  return { start, end };
+};
+
+const fileSigningSecret = () => process.env.FILE_URL_SECRET || process.env.JWT_SECRET;
+
+const fileSignature = (uploadId, fileIndex, expires) =>
+  crypto.createHmac('sha256', fileSigningSecret()).update(`${uploadId}:${fileIndex}:${expires}`).digest('hex');
+
+// Time-limited download link that works without a bearer token.
+const signFileUrl = ({ baseUrl, uploadId, fileIndex, expiresIn }) => {
+  const ttl = Math.min(Number(expiresIn) || SIGNED_URL_TTL_SECONDS, MAX_SIGNED_URL_TTL_SECONDS);
+  const expires = Math.floor(Date.now() / 1000) + ttl;
+  return {
+    url: `${baseUrl}/data/uploads/${uploadId}/files/${fileIndex}?expires=${expires}&signature=${fileSignature(uploadId, fileIndex, expires)}`,
+    expiresAt: new Date(expires * 1000).toISOString(),
+  };
+};
+
+const verifyFileSignature = ({ uploadId, fileIndex, expires, signature }) => {
+  if (!/^\d+$/.test(String(expires)) || Number(expires) < Date.now() / 1000) return false;
+
+  const expected = Buffer.from(fileSignature(uploadId, fileIndex, expires));
+  const given = Buffer.from(String(signature || ''));
+  return expected.length === given.length && crypto.timingSafeEqual(expected, given);
+};
+
+module.exports = {
+  UPLOAD_DIR,
+  TEMP_DIR,
+  DELETABLE_STATUSES,
+  sniffMimeType,
+  hashFile,
+  ingestFiles,
+  discardTempFiles,
+  removeStoredFiles,
+  isDuplicateUpload,
+  parseRange,
+  signFileUrl,
+  verifyFileSignature
+};
@@ -0,0 +1,190 @@
+const { ServiceError } = require('./errors');
+const { submitPeriod, recordPeriodDecision } = require('./monitoringPeriods');
+
+// Verification submissions move through an explicit state machine:
+//
+//   pending -> under_review -> approved | rejected | more_data_requested
+//   more_data_requested -> resubmitted -> under_review
+//
+// Approved and rejected are final. Every transition is appended to the
+// submission's history with the acting user and their comments. Submissions
+// for uploads in a monitoring period carry the period along with them.
+const TRANSITIONS = {
+  pending: ['under_review'],
+  under_review: ['under_review', 'approved', 'rejected', 'more_data_requested'],
+  more_data_requested: ['resubmitted'],
+  resubmitted: ['under_review'],
+  approved: [],
+  rejected: [],
+};
+
+const canTransition = (from, to) => (TRANSITIONS[from] || []).includes(to);
+
+const historyEntry = ({ from, to, action, user, comments }) => ({
+  from,
+  to,
+  action,
+  actor: user.email,
+  actorStakeholderId: user.stakeholderId,
+  comments,
+  at: new Date().toISOString(),
+});
+
+// Applies a transition with compare-and-swap on the current status, so two
+// reviewers acting at once can't both move the submission.
+const transition = async (db, submission, { to, action, user, comments, changes = {} }) => {
+  if (!canTransition(submission.status, to)) {
+    throw new ServiceError(`Cannot ${action.replace(/_/g, ' ')} a submission that is ${submission.status.replace(/_/g, ' ')}`, 409);
+  }
+
+  const updated = await db.verificationSubmissions.updateWhere(
+    { id: submission.id, status: submission.status },
+    { ...changes, status: to },
+  );
+  if (!updated) {
+    throw new ServiceError('Submission was updated concurrently, please retry', 409);
+  }
+
+  return db.verificationSubmissions.push(
+    submission.id,
+    'history',
+    historyEntry({ from: submission.status, to, action, user, comments }),
+  );
+};
+
+const createSubmission = async (db, { upload, user, comments }) => {
+  if (upload.monitoringPeriodId) {
+    await submitPeriod(db, upload.monitoringPeriodId, user);
+  }
+
+  const submission = await db.verificationSubmissions.create({
+    uploadId: upload.id,
+    projectId: upload.projectId,
+    monitoringPeriodId: upload.monitoringPeriodId,
+    status: 'pending',
+    submittedAt: new Date().toISOString(),
+    dataType: upload.dataType,
+    submittedBy: user.email,
+    metadata: upload.metadata,
+    history: [historyEntry({ from: null, to: 'pending', action: 'submitted', user, comments })],
+  });
+
+  await db.dataUploads.update(upload.id, {
+    status: 'submitted_for_verification',
+    verificationId: submission.id,
+  });
+
+  return submission;
+};
+
+// Puts a submission in a verifier's hands. Verifiers may only take work for
+// themselves; government stakeholders may assign or reassign anyone.
+const assignVerifier = async (db, { submission, verifierId, user, comments }) => {
+  const assigneeId = verifierId || user.stakeholderId;
+
+  if (user.category !== 'government' && assigneeId !== user.stakeholderId) {
+    throw new ServiceError('Verifiers can only assign submissions to themselves', 403);
+  }
+  if (submission.status === 'under_review' && user.category !== 'government') {
+    throw new ServiceError('Only government stakeholders can reassign a submission under review', 403);
+  }
+  if (
+    submission.status === 'resubmitted' &&
+    submission.assignedVerifierId &&
+    submission.assignedVerifierId !== assigneeId &&
+    user.category !== 'government'
+  ) {
+    throw new ServiceError('Resubmitted data goes back to the verifier already assigned to it', 403);
+  }
+
+  const verifier = await db.stakeholders.findById(assigneeId);
+  if (!verifier || verifier.category !== 'verifier' || verifier.status !== 'active') {
+    throw new ServiceError('Submissions can only be assigned to active verifier stakeholders');
+  }
+
+  return transition(db, submission, {
+    to: 'under_review',
+    action: submission.status === 'under_review' ? 'reassigned' : 'assigned',
+    user,
+    comments,
+    changes: {
+      assignedVerifierId: verifier.id,
+      assignedAt: new Date().toISOString(),
+    },
+  });
+};
+
+const REVIEW_ACTIONS = {
+  approved: 'approve',
+  rejected: 'reject',
+  more_data_requested: 'request_more_data',
+};
+
+// Records the assigned verifier's decision on a submission under review.
+const reviewSubmission = async (db, { submission, decision, user, comments, changes }) => {
+  if (submission.status === 'under_review' && submission.assignedVerifierId !== user.stakeholderId) {
+    throw new ServiceError('Only the verifier assigned to this submission can review it', 403);
+  }
+
+  const reviewed = await transition(db, submission, {
+    to: decision,
+    action: REVIEW_ACTIONS[decision],
+    user,
+    comments,
+    changes: {
+      ...changes,
+      comments,
+      reviewedBy: user.email,
+      reviewedAt: new Date().toISOString(),
+    },
+  });
+
+  await recordPeriodDecision(db, reviewed, decision, user);
+
+  if (decision !== 'more_data_requested') {
+    await db.dataUploads.update(submission.uploadId, { status: decision === 'approved' ? 'validated' : 'rejected' });
+    await db.stakeholders.push(user.stakeholderId, 'verificationHistory', {
+      projectId: submission.projectId,
+      action: REVIEW_ACTIONS[decision],
+      date: new Date().toISOString(),
+      result: decision,
+    });
+  }
+
+  return reviewed;
+};
+
+// Answers a request for more data, optionally pointing at a new upload.
+const resubmit = async (db, { submission, upload, user, comments }) => {
+  if (upload && upload.monitoringPeriodId !== submission.monitoringPeriodId) {
+    throw new ServiceError('Resubmitted data must come from the same monitoring period as the submission');
+  }
+
+  const resubmitted = await transition(db, submission, {
+    to: 'resubmitted',
+    action: 'resubmit',
+    user,
+    comments,
+    changes: upload
+      ? { uploadId: upload.id, dataType: upload.dataType, metadata: upload.metadata, resubmittedAt: new Date().toISOString() }
+      : { resubmittedAt: new Date().toISOString() },
+  });
+
+  if (upload) {
+    await db.dataUploads.update(upload.id, {
+      status: 'submitted_for_verification',
+      verificationId: submission.id,
+    });
+  }
+
+  return resubmitted;
+};
+
+module.exports = {
+  TRANSITIONS,
+  canTransition,
+  createSubmission,
+  assignVerifier,
+  reviewSubmission,
+  resubmit
+};
@@ -0,0 +1,342 @@
+const crypto = require('crypto');
+const dns = require('dns');
+const http = require('http');
+const https = require('https');
+const net = require('net');
+const { ServiceError } = require('./errors');
+
+// Outbound notifications of registry events. A stakeholder subscribes an
+// endpoint to some of WEBHOOK_EVENTS and is sent those that concern its own
+// records; each event becomes one delivery per matching subscription, POSTed
+// as JSON and signed with that subscription's secret. Failed deliveries are retried with exponential
+// backoff up to MAX_ATTEMPTS, and every attempt is kept on the delivery so
+// subscribers can see what happened and ask for a redelivery.
+//
+// Each request carries `X-CCred-Signature: t=<unix seconds>,v1=<hex>`, the
+// HMAC-SHA256 of "<t>.<raw body>" under the secret. Receivers recompute it
+// over the body as received and should refuse stale timestamps.
+//
+// Endpoints are only ever public addresses: the address a host name resolves
+// to is checked as each request connects, so a name can't be pointed at the
+// registry's own network after it was subscribed.
+
+const projectStakeholders = async (db, projectId) => {
+  const project = projectId ? await db.projects.findById(projectId) : null;
+  return project ? project.stakeholders || [] : [];
+};
+
+// The stakeholders each event concerns, from the event's data. Only their
+// subscriptions receive it.
+const EVENT_AUDIENCES = {
+  'submission.approved': (db, submission) => projectStakeholders(db, submission.projectId),
+  'submission.rejected': (db, submission) => projectStakeholders(db, submission.projectId),
+  'credit.issued': async (db, credit) => [credit.ownerId, ...(await projectStakeholders(db, credit.projectId))],
+  'credit.retired': async (db, retirement) => [retirement.credit.ownerId],
+  'listing.created': async (db, listing) => [listing.sellerId],
+  'listing.filled': async (db, fill) => [fill.buyerId, fill.sellerId],
+};
+
+const WEBHOOK_EVENTS = Object.keys(EVENT_AUDIENCES);
+const MAX_ATTEMPTS = Number(process.env.WEBHOOK_MAX_ATTEMPTS) || 8;
+const RETRY_BASE_SECONDS = Number(process.env.WEBHOOK_RETRY_BASE_SECONDS) || 30;
+const MAX_RETRY_DELAY_SECONDS = 6 * 60 * 60;
+const TIMEOUT_MS = Number(process.env.WEBHOOK_TIMEOUT_MS) || 10000;
+const RETRY_BATCH_SIZE = 50;
+const USER_AGENT = 'C-CRED-Webhooks/1.0';
+const STATUSES = ['active', 'disabled'];
+
+// Loopback, private, link-local (which includes cloud metadata services),
+// shared, multicast and reserved ranges. IPv4-mapped IPv6 addresses are
+// matched against the IPv4 ranges.
+const BLOCKED_ADDRESSES = new net.BlockList();
+[
+  ['0.0.0.0', 8],
+  ['10.0.0.0', 8],
+  ['100.64.0.0', 10],
+  ['127.0.0.0', 8],
+  ['169.254.0.0', 16],
+  ['172.16.0.0', 12],
+  ['192.0.0.0', 24],
+  ['192.168.0.0', 16],
+  ['198.18.0.0', 15],
+  ['224.0.0.0', 4],
+  ['240.0.0.0', 4],
+].forEach(([network, prefix]) => BLOCKED_ADDRESSES.addSubnet(network, prefix, 'ipv4'));
+[
+  ['::', 96], // unspecified, loopback and IPv4-compatible
+  ['fc00::', 7],
+  ['fe80::', 10],
+  ['fec0::', 10],
+  ['ff00::', 8],
+].forEach(([network, prefix]) => BLOCKED_ADDRESSES.addSubnet(network, prefix, 'ipv6'));
+
+// For development against a receiver on the same machine; never set in production.
+const allowsPrivateHosts = () => process.env.WEBHOOK_ALLOW_PRIVATE_HOSTS === 'true';
+
+const isBlockedAddress = (address) =>
+  !allowsPrivateHosts() && BLOCKED_ADDRESSES.check(address, net.isIPv6(address) ? 'ipv6' : 'ipv4');
+
+// The host as `net` sees it: IPv6 literals lose their brackets.
+const hostOf = (url) => url.hostname.replace(/^\[(.*)\]$/, '$1');
+
+// Refuses URLs that name a private host outright. Names are checked again,
+// by address, whenever a delivery is sent.
+const assertPublicUrl = (url) => {
+  const host = hostOf(new URL(url));
+  const local = net.isIP(host) ? isBlockedAddress(host) : !allowsPrivateHosts() && /(^|\.)localhost\.?$/i.test(host);
+  if (local) {
+    throw new ServiceError('Webhook URLs must point to a public address');
+  }
+  return url;
+};
+
+// dns.lookup, failing for names that resolve to a blocked address. Requests
+// use it as their lookup, so the address checked is the one connected to.
+const lookupPublic = (hostname, options, callback) => {
+  dns.lookup(hostname, { ...options, all: true }, (error, addresses) => {
+    if (error) return callback(error);
+    const blocked = addresses.find(({ address }) => isBlockedAddress(address));
+    if (blocked) {
+      return callback(new Error(`${hostname} resolves to ${blocked.address}, which is not a public address`));
+    }
+    return options.all ? callback(null, addresses) : callback(null, addresses[0].address, addresses[0].family);
+  });
+};
+
+const generateSecret = () => `whsec_${crypto.randomBytes(24).toString('base64url')}`;
+
+const signPayload = (secret, timestamp, body) =>
+  crypto.createHmac('sha256', secret).update(`${timestamp}.${body}`).digest('hex');
+
+// Wait before the next attempt once `attemptCount` attempts have failed.
+const retryDelaySeconds = (attemptCount) =>
+  Math.min(RETRY_BASE_SECONDS * 2 ** (attemptCount - 1), MAX_RETRY_DELAY_SECONDS);
+
+// The secret is only ever returned once, when the subscription is created.
+const toPublicSubscription = (subscription) => {
+  const publicSubscription = { ...subscription };
+  delete publicSubscription.secret;
+  return publicSubscription;
+};
+
+const parseEvents = (events) => {
+  if (!Array.isArray(events) || events.length === 0) {
+    throw new ServiceError(`events must list at least one of: ${WEBHOOK_EVENTS.join(', ')}`);
+  }
+  const unknown = events.filter((event) => !WEBHOOK_EVENTS.includes(event));
+  if (unknown.length > 0) {
+    throw new ServiceError(`Unknown events: ${unknown.join(', ')}. Supported: ${WEBHOOK_EVENTS.join(', ')}`);
+  }
+  return [...new Set(events)];
+};
+
+// The caller checks `url` is a well-formed http(s) URL.
+const createSubscription = async (db, { stakeholderId, url, events, description, actor }) => {
+  const secret = generateSecret();
+  const subscription = await db.webhookSubscriptions.create({
+    stakeholderId,
+    url: assertPublicUrl(url),
+    events: parseEvents(events),
+    description,
+    secret,
+    status: 'active',
+    createdBy: actor,
+  });
+  return { ...toPublicSubscription(subscription), secret };
+};
+
+const updateSubscription = async (db, subscription, { url, events, description, status }) => {
+  if (status !== undefined && !STATUSES.includes(status)) {
+    throw new ServiceError(`status must be one of: ${STATUSES.join(', ')}`);
+  }
+  const updated = await db.webhookSubscriptions.update(subscription.id, {
+    url: url === undefined ? undefined : assertPublicUrl(url),
+    events: events === undefined ? undefined : parseEvents(events),
+    description,
+    status,
+  });
+  return toPublicSubscription(updated);
+};
+
+// Resolves with the response status; rejects on network errors, timeouts and
+// hosts that aren't public. The response body is read and discarded: what an
+// endpoint answers is never stored or shown back to the subscriber.
+const post = (url, body, headers) => {
+  const target = new URL(url);
+  const transport = target.protocol === 'https:' ? https : http;
+
+  // Literal addresses are connected to without a lookup
+  const host = hostOf(target);
+  if (net.isIP(host) && isBlockedAddress(host)) {
+    return Promise.reject(new Error(`${host} is not a public address`));
+  }
+
+  return new Promise((resolve, reject) => {
+    const req = transport.request(
+      target,
+      {
+        method: 'POST',
+        headers: { ...headers, 'content-length': Buffer.byteLength(body) },
+        timeout: TIMEOUT_MS,
+        lookup: lookupPublic,
+      },
+      (res) => {
+        res.resume();
+        res.on('end', () => resolve({ status: res.statusCode }));
+        res.on('error', reject);
+      },
+    );
+    req.on('timeout', () => req.destroy(new Error(`No response within ${TIMEOUT_MS} ms`)));
+    req.on('error', reject);
+    req.end(body);
+  });
+};
+
+const send = async (subscription, delivery) => {
+  const timestamp = Math.floor(Date.now() / 1000);
+  const started = Date.now();
+  let outcome;
+
+  try {
+    const response = await post(subscription.url, delivery.payload, {
+      'content-type': 'application/json',
+      'user-agent': USER_AGENT,
+      'x-ccred-event': delivery.event,
+      'x-ccred-event-id': delivery.eventId,
+      'x-ccred-delivery': delivery.id,
+      'x-ccred-signature': `t=${timestamp},v1=${signPayload(subscription.secret, timestamp, delivery.payload)}`,
+    });
+    const ok = response.status >= 200 && response.status < 300;
+    outcome = {
+      responseStatus: response.status,
+      error: ok ? undefined : `Endpoint responded with HTTP ${response.status}`,
+    };
+  } catch (error) {
+    outcome = { error: error.message };
+  }
+
+  return { at: new Date(started).toISOString(), ...outcome, durationMs: Date.now() - started };
+};
+
+// Makes one attempt at a pending delivery. The delivery is claimed first by
+// moving its next attempt past the request timeout, so a direct send and the
+// retry worker never post the same attempt twice; if the process stops
+// mid-attempt the delivery just comes due again. Returns null when another
+// worker got there first.
+const attemptDelivery = async (db, delivery) => {
+  const claimed = await db.webhookDeliveries.updateWhere(
+    { id: delivery.id, status: 'pending', nextAttemptAt: delivery.nextAttemptAt },
+    { nextAttemptAt: new Date(Date.now() + 2 * TIMEOUT_MS).toISOString() },
+  );
+  if (!claimed) return null;
+
+  const subscription = await db.webhookSubscriptions.findById(delivery.subscriptionId);
+  if (!subscription || subscription.status !== 'active') {
+    return db.webhookDeliveries.update(delivery.id, {
+      status: 'failed',
+      nextAttemptAt: null,
+      lastError: subscription ? 'Subscription is disabled' : 'Subscription no longer exists',
+    });
+  }
+
+  const attempt = await send(subscription, claimed);
+  const attemptCount = claimed.attemptCount + 1;
+  const retry = Boolean(attempt.error) && attemptCount < MAX_ATTEMPTS;
+
+  await db.webhookDeliveries.push(delivery.id, 'attempts', attempt);
+  return db.webhookDeliveries.update(delivery.id, {
+    attemptCount,
+    status: attempt.error ? (retry ? 'pending' : 'failed') : 'succeeded',
+    lastAttemptAt: attempt.at,
+    lastError: attempt.error || null,
+    deliveredAt: attempt.error ? undefined : attempt.at,
+    nextAttemptAt: retry ? new Date(Date.now() + retryDelaySeconds(attemptCount) * 1000).toISOString() : null,
+  });
+};
+
+// Attempts deliveries in the background. A failure here (rather than at the
+// endpoint) leaves the delivery pending for the retry worker.
+const dispatch = (db, deliveries) => {
+  deliveries.forEach((delivery) => attemptDelivery(db, delivery).catch(() => {}));
+};
+
+// Records a delivery of the event for every active subscription to it held
+// by a stakeholder the event concerns, and starts sending them. Resolves once
+// the deliveries are recorded.
+const publishEvent = async (db, event, data) => {
+  const audience = [...new Set((await EVENT_AUDIENCES[event](db, data)).filter(Boolean))];
+  if (audience.length === 0) return [];
+
+  const subscriptions = (
+    await db.webhookSubscriptions.find({ status: 'active', stakeholderId: { $in: audience } })
+  ).filter((subscription) => subscription.events.includes(event));
+  if (subscriptions.length === 0) return [];
+
+  const eventId = `evt_${crypto.randomUUID()}`;
+  const now = new Date().toISOString();
+  const payload = JSON.stringify({ id: eventId, event, createdAt: now, data });
+
+  const deliveries = await db.webhookDeliveries.createMany(
+    subscriptions.map((subscription) => ({
+      subscriptionId: subscription.id,
+      eventId,
+      event,
+      payload,
+      status: 'pending',
+      attemptCount: 0,
+      nextAttemptAt: now,
+      attempts: [],
+    })),
+  );
+  dispatch(db, deliveries);
+  return deliveries;
+};
+
+// Run on a schedule: makes the next attempt at every delivery now due.
+const retryDueDeliveries = async (db, now = new Date()) => {
+  const { items } = await db.webhookDeliveries.findPage(
+    { status: 'pending', nextAttemptAt: { $lte: now.toISOString() } },
+    { sort: { nextAttemptAt: 1 }, limit: RETRY_BATCH_SIZE },
+  );
+
+  let attempted = 0;
+  for (const delivery of items) {
+    if (await attemptDelivery(db, delivery)) attempted += 1;
+  }
+  return attempted;
+};
+
+// Sends a delivery's event again as a new delivery with its own attempts and
+// retries, and waits for the first attempt. The event id is kept so
+// receivers can recognise the repeat.
+const redeliver = async (db, { delivery, actor }) => {
+  const subscription = await db.webhookSubscriptions.findById(delivery.subscriptionId);
+  if (!subscription || subscription.status !== 'active') {
+    throw new ServiceError('Deliveries can only be sent again to an active subscription', 409);
+  }
+
+  const copy = await db.webhookDeliveries.create({
+    subscriptionId: delivery.subscriptionId,
+    eventId: delivery.eventId,
+    event: delivery.event,
+    payload: delivery.payload,
+    status: 'pending',
+    attemptCount: 0,
+    nextAttemptAt: new Date().toISOString(),
+    redeliveryOf: delivery.id,
+    requestedBy: actor,
+    attempts: [],
+  });
+  return (await attemptDelivery(db, copy)) || db.webhookDeliveries.findById(copy.id);
+};
+
+module.exports = {
+  WEBHOOK_EVENTS,
+  signPayload,
+  toPublicSubscription,
+  createSubscription,
+  updateSubscription,
+  publishEvent,
+  retryDueDeliveries,
+  redeliver
+};
@@ -0,0 +1,15 @@
+// Raised when the storage backend cannot be reached or refuses a request.
+// The error handling middleware answers these with 503 rather than blaming
+// the client or reporting an internal fault.
+class StorageError extends Error {
+  constructor(message, { operation, key } = {}) {
+    super(message);
+    this.name = 'StorageError';
+    this.operation = operation;
+    this.key = key;
+  }
+}
+
+module.exports = {
+  StorageError
+};
@@ -0,0 +1,34 @@
+const { LocalStorage } = require('./local');
+
+const STORAGE_BACKENDS = ['local', 's3'];
+
+const resolveStorageBackend = () => process.env.STORAGE_BACKEND || 'local';
+
+// Every backend offers the same operations: put(key, sourcePath, options),
+// stat(key), createReadStream(key, range) and remove(key).
+const createStorage = (backend = resolveStorageBackend()) => {
+  if (!STORAGE_BACKENDS.includes(backend)) {
+    throw new Error(`Unknown storage backend "${backend}", expected one of: ${STORAGE_BACKENDS.join(', ')}`);
+  }
+
+  if (backend === 's3') {
+    const { S3Storage } = require('./s3');
+    return new S3Storage({
+      endpoint: process.env.S3_ENDPOINT,
+      bucket: process.env.S3_BUCKET,
+      region: process.env.S3_REGION,
+      accessKeyId: process.env.S3_ACCESS_KEY_ID,
+      secretAccessKey: process.env.S3_SECRET_ACCESS_KEY,
+      forcePathStyle: process.env.S3_FORCE_PATH_STYLE !== 'false',
+      timeout: Number(process.env.S3_TIMEOUT_MS) || undefined,
+    });
+  }
+
+  return new LocalStorage(process.env.UPLOAD_PATH || 'uploads/');
+};
+
+module.exports = {
+  STORAGE_BACKENDS,
+  resolveStorageBackend,
+  createStorage
+};
@@ -0,0 +1,60 @@
+const fs = require('fs');
+const path = require('path');
+
+// Keeps objects as plain files under a root directory, one file per key.
+class LocalStorage {
+  constructor(root) {
+    this.name = 'local';
+    this.root = path.resolve(root);
+  }
+
+  resolve(key) {
+    const target = path.resolve(this.root, key);
+    if (!target.startsWith(this.root + path.sep)) {
+      throw new Error(`Storage key "${key}" escapes the storage root`);
+    }
+    return target;
+  }
+
+  async put(key, sourcePath) {
+    const target = this.resolve(key);
+    await fs.promises.mkdir(path.dirname(target), { recursive: true });
+    try {
+      await fs.promises.rename(sourcePath, target);
+    } catch (error) {
+      // Temporary files on another device can't be renamed into place
+      if (error.code !== 'EXDEV') throw error;
+      await fs.promises.copyFile(sourcePath, target);
+      await fs.promises.unlink(sourcePath);
+    }
+    const { size } = await fs.promises.stat(target);
+    return { key, size };
+  }
+
+  async stat(key) {
+    try {
+      const { size } = await fs.promises.stat(this.resolve(key));
+      return { size };
+    } catch (error) {
+      if (error.code === 'ENOENT') return null;
+      throw error;
+    }
+  }
+
+  // `range` is inclusive on both ends, as in HTTP Range headers.
+  async createReadStream(key, range) {
+    return fs.createReadStream(this.resolve(key), range ? { start: range.start, end: range.end } : {});
+  }
+
+  async remove(key) {
+    try {
+      await fs.promises.unlink(this.resolve(key));
+    } catch (error) {
+      if (error.code !== 'ENOENT') throw error;
+    }
+  }
+}
+
+module.exports = {
+  LocalStorage
+};
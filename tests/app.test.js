@@ -0,0 +1,35 @@
+const { api, db } = require('./helpers');
+
+describe('app wiring', () => {
+  test('GET /health reports the backends in use', async () => {
+    const res = await api.get('/health');
+
+    expect(res.status).toBe(200);
+    expect(res.body).toMatchObject({ success: true, dataStore: 'memory', storage: 'local' });
+  });
+
+  test('list endpoints keep the { success, data, total } shape', async () => {
+    for (const path of ['/projects', '/data/uploads', '/verification/submissions', '/credits', '/stakeholders', '/marketplace/credits']) {
+      const res = await api.get(path);
+
+      expect(res.status).toBe(200);
+      expect(res.body).toMatchObject({ success: true, data: [], total: 0 });
+    }
+  });
+
+  test('routes read and write through the repositories', async () => {
+    await db.stakeholders.create({ name: 'Registry', category: 'government', contact: { email: 'gov@example.org' }, projects: [] });
+
+    const res = await api.get('/stakeholders');
+
+    expect(res.body.total).toBe(1);
+    expect(res.body.data[0]).toMatchObject({ name: 'Registry', id: expect.stringMatching(/^STK-/) });
+  });
+
+  test('unknown endpoints get a JSON 404', async () => {
+    const res = await api.get('/nowhere');
+
+    expect(res.status).toBe(404);
+    expect(res.body).toEqual({ success: false, error: 'Endpoint not found' });
+  });
+});
@@ -0,0 +1,129 @@
+const jwt = require('jsonwebtoken');
+const { api, db, auth, register, registerPrivileged, issueCredits } = require('./helpers');
+
+const BASE_URL = 'https://registry.example.org';
+
+let developer;
+let verifier;
+let government;
+
+beforeAll(async () => {
+  process.env.PUBLIC_BASE_URL = BASE_URL;
+  developer = await register('project_developer', 'developer');
+  verifier = await registerPrivileged('verifier');
+  government = await registerPrivileged('government');
+});
+
+afterAll(() => {
+  delete process.env.PUBLIC_BASE_URL;
+});
+
+const attest = (credit) => api.get(`/credits/${credit.id}/attestation`);
+const check = (attestation) => api.post('/attestations/verify').send({ attestation });
+
+describe('GET /credits/:id/attestation', () => {
+  test('names the configured registry as issuer, whatever host the request names', async () => {
+    const { credit } = await issueCredits({ developer, verifier });
+
+    const res = await attest(credit).set('Host', 'attacker.example').set('X-Forwarded-Host', 'attacker.example');
+
+    expect(res.status).toBe(200);
+    const { attestation, credential, kid } = res.body.data;
+    expect(res.body.data).toMatchObject({
+      format: 'vc+jwt',
+      jwksUrl: `${BASE_URL}/.well-known/jwks.json`,
+      verifyUrl: `${BASE_URL}/attestations/verify`,
+    });
+    expect(credential).toMatchObject({
+      issuer: BASE_URL,
+      credentialSubject: {
+        id: `${BASE_URL}/credits/${credit.id}`,
+        creditId: credit.id,
+        status: 'active',
+        quantity: credit.creditsAmount,
+      },
+    });
+    const { header, payload } = jwt.decode(attestation, { complete: true });
+    expect(header).toMatchObject({ alg: 'ES256', kid, typ: 'JWT' });
+    expect(payload).toMatchObject({ iss: BASE_URL, sub: `${BASE_URL}/credits/${credit.id}` });
+    expect((await api.get('/.well-known/jwks.json')).body.keys.map((key) => key.kid)).toContain(kid);
+  });
+
+  test('refuses to sign until the public address is configured', async () => {
+    const { credit } = await issueCredits({ developer, verifier });
+    const keys = await db.signingKeys.count();
+    delete process.env.PUBLIC_BASE_URL;
+    try {
+      const res = await attest(credit);
+
+      expect(res.status).toBe(503);
+      expect(res.body.error).toBe('PUBLIC_BASE_URL is not configured; the registry cannot issue documents that link back to it');
+      expect(await db.signingKeys.count()).toBe(keys);
+    } finally {
+      process.env.PUBLIC_BASE_URL = BASE_URL;
+    }
+  });
+});
+
+describe('POST /attestations/verify', () => {
+  test('reports a genuine attestation and what has changed since', async () => {
+    const { credit } = await issueCredits({ developer, verifier });
+    const { attestation } = (await attest(credit)).body.data;
+
+    expect((await check(attestation)).body.data).toMatchObject({
+      valid: true,
+      issuer: BASE_URL,
+      upToDate: true,
+      summary: 'The attested state matches the registry',
+    });
+
+    await api
+      .post(`/credits/${credit.id}/retire`)
+      .set(auth(developer))
+      .send({ quantity: credit.creditsAmount, beneficiary: 'Acme Ltd' });
+    const later = (await check(attestation)).body.data;
+    expect(later).toMatchObject({
+      valid: true,
+      upToDate: false,
+      changes: [{ field: 'status', attested: 'active', current: 'retired' }],
+    });
+    expect(later.summary).toMatch(/^The credit has since been retired/);
+  });
+
+  test('rejects forged signatures and anything that is not a JWS', async () => {
+    const { credit } = await issueCredits({ developer, verifier });
+    const { attestation } = (await attest(credit)).body.data;
+    const [header, payload, signature] = attestation.split('.');
+    const claims = JSON.parse(Buffer.from(payload, 'base64url'));
+    claims.vc.credentialSubject.quantity = 1000000;
+    const forged = [header, Buffer.from(JSON.stringify(claims)).toString('base64url'), signature].join('.');
+
+    expect((await check(forged)).body.data).toMatchObject({
+      valid: false,
+      reason: expect.stringMatching(/^Signature check failed/),
+    });
+    const stranger = jwt.sign({ vc: {} }, 'secret', { keyid: 'unknown-key' });
+    expect((await check(stranger)).body.data).toEqual({
+      valid: false,
+      kid: 'unknown-key',
+      reason: 'Not signed with a key this registry publishes',
+    });
+    expect((await check('not-a-token')).status).toBe(400);
+  });
+
+  test('keeps verifying attestations signed before a key rotation', async () => {
+    const { credit } = await issueCredits({ developer, verifier });
+    const { attestation, kid } = (await attest(credit)).body.data;
+
+    expect((await api.post('/attestations/keys/rotate').set(auth(developer))).status).toBe(403);
+    const rotated = await api.post('/attestations/keys/rotate').set(auth(government));
+    expect(rotated.status).toBe(201);
+    expect(rotated.body.data.kid).not.toBe(kid);
+    expect(rotated.body.data).not.toHaveProperty('privateKey');
+
+    expect((await check(attestation)).body.data).toMatchObject({ valid: true, kid, keyStatus: 'retired' });
+    expect((await attest(credit)).body.data.kid).toBe(rotated.body.data.kid);
+    const published = (await api.get('/.well-known/jwks.json')).body.keys.map((key) => key.kid);
+    expect(published.slice(0, 2)).toEqual([rotated.body.data.kid, kid]);
+  });
+});
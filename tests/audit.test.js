@@ -0,0 +1,108 @@
+const { api, db, auth, register, registerPrivileged, createProject } = require('./helpers');
+
+let developer;
+let government;
+
+beforeAll(async () => {
+  developer = await register('project_developer', 'developer');
+  government = await registerPrivileged('government');
+});
+
+const audit = (query = {}, session = government) => api.get('/audit').set(auth(session)).query(query);
+
+describe('GET /audit', () => {
+  test('records who changed what, and in which request', async () => {
+    const project = await createProject(developer);
+
+    const res = await api
+      .patch(`/projects/${project.id}`)
+      .set(auth(developer))
+      .set('X-Request-Id', 'req-rename-1')
+      .send({ name: 'Kerala Mangroves', description: 'Replanting' });
+    expect(res.headers['x-request-id']).toBe('req-rename-1');
+
+    const { body } = await audit({ entity: 'project', entityId: project.id });
+    expect(body.total).toBe(2);
+    expect(body.data[0]).toMatchObject({
+      action: 'update',
+      actor: developer.user.email,
+      actorStakeholderId: developer.stakeholderId,
+      requestId: 'req-rename-1',
+      method: 'PATCH',
+      path: `/projects/${project.id}`,
+      before: { name: 'Mangrove Restoration', description: null },
+      after: { name: 'Kerala Mangroves', description: 'Replanting' },
+    });
+    expect(body.data[1]).toMatchObject({ action: 'create', before: null, after: { id: project.id } });
+  });
+
+  test('gives unsupplied requests an ID of their own', async () => {
+    const project = await createProject(developer);
+    const res = await api.patch(`/projects/${project.id}`).set(auth(developer)).send({ description: 'Mudflats' });
+
+    const { data } = (await audit({ requestId: res.headers['x-request-id'] })).body;
+    expect(data).toMatchObject([{ entityId: project.id, action: 'update' }]);
+  });
+
+  test('keeps secrets out of the trail', async () => {
+    const session = await register('buyer', 'buyer');
+
+    const [entry] = (await audit({ entity: 'user', entityId: session.user.id })).body.data;
+
+    expect(entry.after.passwordHash).toBe('[redacted]');
+    expect(entry.after.email).toBe(session.user.email);
+  });
+
+  test('filters by actor, action and time, newest first', async () => {
+    const project = await createProject(developer);
+    await api.delete(`/projects/${project.id}`).set(auth(developer));
+
+    const deletions = (await audit({ actor: developer.user.email, action: 'delete' })).body.data;
+    expect(deletions[0]).toMatchObject({ entityId: project.id, before: { id: project.id }, after: null });
+
+    const sequences = (await audit({ limit: 5 })).body.data.map((entry) => entry.sequence);
+    expect(sequences).toEqual([...sequences].sort((a, b) => b - a));
+    expect(sequences).toHaveLength(5);
+    expect((await audit({ from: '2999-01-01' })).body).toMatchObject({ data: [], total: 0 });
+    expect((await audit({ to: '2000-01-01' })).body.total).toBe(0);
+  });
+
+  test('refuses malformed queries', async () => {
+    expect((await audit({ entity: 'spaceship' })).body.error).toMatch(/^entity must be one of: project, /);
+    expect((await audit({ action: 'read' })).body.error).toBe('action must be create, update or delete');
+    expect((await audit({ from: 'yesterday' })).body.error).toBe('from must be a valid date');
+    expect((await audit({ limit: 0 })).body.error).toBe('limit must be a whole number of at least 1');
+  });
+
+  test('is for government only', async () => {
+    expect((await audit({}, developer)).status).toBe(403);
+    expect((await api.get('/audit')).status).toBe(401);
+    expect((await api.get('/audit/verify').set(auth(developer))).status).toBe(403);
+  });
+});
+
+describe('GET /audit/verify', () => {
+  test('confirms an intact chain and names the first tampered entry', async () => {
+    const intact = (await api.get('/audit/verify').set(auth(government))).body.data;
+    const total = await db.auditEntries.count();
+    expect(intact).toMatchObject({ valid: true, checked: total, headHash: expect.stringMatching(/^[0-9a-f]{64}$/) });
+
+    // the store refuses edits, so tamper with the record underneath it
+    const stored = db.auditEntries.items.find((entry) => entry.sequence === 3);
+    const { actor } = stored;
+    stored.actor = 'someone-else@example.org';
+    try {
+      const broken = (await api.get('/audit/verify').set(auth(government))).body.data;
+      expect(broken).toEqual({ valid: false, checked: 2, brokenAt: { sequence: 3, id: stored.id, problem: 'contents do not match its hash' } });
+    } finally {
+      stored.actor = actor;
+    }
+  });
+
+  test('entries cannot be rewritten or appended out of turn', async () => {
+    const [latest] = (await audit({ limit: 1 })).body.data;
+
+    await expect(db.auditEntries.update(latest.id, { actor: 'x' })).rejects.toThrow('append-only');
+    await expect(db.auditEntries.create({ ...latest, id: undefined })).rejects.toMatchObject({ code: 11000 });
+  });
+});
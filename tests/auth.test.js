@@ -0,0 +1,143 @@
+const { api, db, auth, register, registerPrivileged } = require('./helpers');
+const { findActiveRefreshToken, revokeRefreshToken } = require('../services/auth');
+
+const credentials = { password: 'password123', name: 'Dev', stakeholder: { name: 'Dev Co', category: 'project_developer' } };
+
+describe('POST /auth/register', () => {
+  test('creates a user and stakeholder and returns tokens', async () => {
+    const res = await api.post('/auth/register').send({ ...credentials, email: 'Dev@Example.org' });
+
+    expect(res.status).toBe(201);
+    expect(res.body.data.user).toMatchObject({ email: 'dev@example.org', status: 'active' });
+    expect(res.body.data.user).not.toHaveProperty('passwordHash');
+    expect(res.body.data.stakeholder).toMatchObject({ category: 'project_developer', contact: { email: 'dev@example.org' } });
+    expect(res.body.data.tokens).toMatchObject({ tokenType: 'Bearer', accessToken: expect.any(String) });
+  });
+
+  test('keeps the login email as the contact email', async () => {
+    const res = await api.post('/auth/register').send({
+      ...credentials,
+      email: 'owner@example.org',
+      stakeholder: { ...credentials.stakeholder, contact: { email: 'someone-else@example.org', phone: '+91 555' } },
+    });
+
+    expect(res.status).toBe(201);
+    expect(res.body.data.stakeholder.contact).toEqual({ email: 'owner@example.org', phone: '+91 555' });
+  });
+
+  test('validates email, password and stakeholder', async () => {
+    expect((await api.post('/auth/register').send({ ...credentials, email: 'nope' })).status).toBe(400);
+    expect((await api.post('/auth/register').send({ ...credentials, email: 'a@example.org', password: 'short' })).status).toBe(400);
+    expect((await api.post('/auth/register').send({ email: 'b@example.org', password: 'password123' })).status).toBe(400);
+  });
+
+  test('refuses a second account for the same email', async () => {
+    await api.post('/auth/register').send({ ...credentials, email: 'twice@example.org' });
+
+    expect((await api.post('/auth/register').send({ ...credentials, email: 'twice@example.org' })).status).toBe(409);
+  });
+
+  test('joining a stakeholder needs its contact email', async () => {
+    const stakeholder = await db.stakeholders.create({ name: 'V', category: 'verifier', contact: { email: 'v@example.org' } });
+
+    const wrong = await api
+      .post('/auth/register')
+      .send({ email: 'x@example.org', password: 'password123', stakeholderId: stakeholder.id });
+    const right = await api
+      .post('/auth/register')
+      .send({ email: 'v@example.org', password: 'password123', stakeholderId: stakeholder.id });
+
+    expect(wrong.status).toBe(403);
+    expect(right.status).toBe(201);
+  });
+});
+
+describe('POST /auth/login', () => {
+  test('returns tokens for valid credentials only', async () => {
+    await api.post('/auth/register').send({ ...credentials, email: 'login@example.org' });
+
+    const ok = await api.post('/auth/login').send({ email: 'LOGIN@example.org', password: 'password123' });
+    const bad = await api.post('/auth/login').send({ email: 'login@example.org', password: 'wrong-password' });
+
+    expect(ok.status).toBe(200);
+    expect(ok.body.data.user.lastLoginAt).toEqual(expect.any(String));
+    expect(bad.status).toBe(401);
+    expect((await api.post('/auth/login').send({})).status).toBe(400);
+  });
+
+  test('refuses disabled accounts', async () => {
+    const session = await register();
+    await db.users.update(session.user.id, { status: 'disabled' });
+
+    const res = await api.post('/auth/login').send({ email: session.user.email, password: 'password123' });
+
+    expect(res.status).toBe(403);
+  });
+});
+
+describe('POST /auth/refresh', () => {
+  test('rotates the refresh token', async () => {
+    const session = await register();
+
+    const res = await api.post('/auth/refresh').send({ refreshToken: session.refreshToken });
+    const reused = await api.post('/auth/refresh').send({ refreshToken: session.refreshToken });
+
+    expect(res.status).toBe(200);
+    expect(res.body.data.tokens.refreshToken).not.toBe(session.refreshToken);
+    expect(reused.status).toBe(401);
+  });
+
+  test('lets only one of two concurrent refreshes with the same token through', async () => {
+    const session = await register();
+
+    const results = await Promise.all([
+      api.post('/auth/refresh').send({ refreshToken: session.refreshToken }),
+      api.post('/auth/refresh').send({ refreshToken: session.refreshToken }),
+    ]);
+
+    expect(results.map((res) => res.status).sort()).toEqual([200, 401]);
+  });
+
+  test('revokes with compare-and-swap, so a token read twice is only revoked once', async () => {
+    const session = await register();
+    const [first, second] = await Promise.all([
+      findActiveRefreshToken(db, session.refreshToken),
+      findActiveRefreshToken(db, session.refreshToken),
+    ]);
+
+    expect(await revokeRefreshToken(db, first)).toMatchObject({ revokedAt: expect.any(String) });
+    expect(await revokeRefreshToken(db, second)).toBeNull();
+  });
+
+  test('needs a token', async () => {
+    expect((await api.post('/auth/refresh').send({})).status).toBe(400);
+    expect((await api.post('/auth/refresh').send({ refreshToken: 'unknown' })).status).toBe(401);
+  });
+});
+
+describe('POST /auth/logout', () => {
+  test('revokes the refresh token', async () => {
+    const session = await register();
+
+    expect((await api.post('/auth/logout').send({ refreshToken: session.refreshToken })).status).toBe(200);
+    expect((await api.post('/auth/refresh').send({ refreshToken: session.refreshToken })).status).toBe(401);
+    expect((await api.post('/auth/logout').send({})).status).toBe(400);
+  });
+});
+
+describe('GET /auth/me', () => {
+  test('returns the signed-in user and stakeholder', async () => {
+    const session = await registerPrivileged('verifier');
+
+    const res = await api.get('/auth/me').set(auth(session));
+
+    expect(res.status).toBe(200);
+    expect(res.body.data.user).toMatchObject({ id: session.user.id });
+    expect(res.body.data.user).not.toHaveProperty('passwordHash');
+  });
+
+  test('needs a valid bearer token', async () => {
+    expect((await api.get('/auth/me')).status).toBe(401);
+    expect((await api.get('/auth/me').set({ Authorization: 'Bearer not-a-token' })).status).toBe(401);
+  });
+});
@@ -0,0 +1,286 @@
+const { PERMISSIONS } = require('../config/permissions');
+const { can, denialReason } = require('../middleware/authorize');
+const {
+  api,
+  db,
+  auth,
+  META,
+  register,
+  registerPrivileged,
+  createProject,
+  uploadData,
+  submitUpload,
+  issueCredits,
+} = require('./helpers');
+
+let developer;
+let otherDeveloper;
+let buyer;
+let verifier;
+let government;
+
+beforeAll(async () => {
+  developer = await register('project_developer', 'developer');
+  otherDeveloper = await register('project_developer', 'other-developer');
+  buyer = await register('buyer');
+  verifier = await registerPrivileged('verifier');
+  government = await registerPrivileged('government');
+});
+
+const expectDenied = (res, reason) => {
+  expect(res.status).toBe(403);
+  expect(res.body).toEqual({ success: false, error: reason || expect.any(String) });
+};
+
+describe('permission matrix', () => {
+  test('every permission names known categories and a description', () => {
+    Object.values(PERMISSIONS).forEach(({ categories, description }) => {
+      expect(categories.length).toBeGreaterThan(0);
+      expect(description).toEqual(expect.any(String));
+    });
+  });
+
+  test('can checks the user category against the matrix', () => {
+    expect(can({ category: 'verifier' }, 'verification:review')).toBe(true);
+    expect(can({ category: 'project_developer' }, 'verification:review')).toBe(false);
+    expect(can(null, 'verification:review')).toBe(false);
+    expect(() => can({ category: 'verifier' }, 'nothing:here')).toThrow('Unknown permission');
+  });
+
+  test('denial reasons name who may act', () => {
+    expect(denialReason('verification:review')).toBe(
+      'Only verifier stakeholders can approve, reject or request more data on submissions',
+    );
+  });
+
+  test('protected routes need a bearer token', async () => {
+    expect((await api.post('/projects').send({})).status).toBe(401);
+    expect((await api.post('/credits/generate').send({})).status).toBe(401);
+  });
+});
+
+describe('projects', () => {
+  test('GET /projects and GET /projects/:id are public', async () => {
+    const project = await createProject(developer);
+
+    expect((await api.get('/projects')).body.data.map((item) => item.id)).toContain(project.id);
+    expect((await api.get(`/projects/${project.id}`)).body.data).toMatchObject({ id: project.id });
+    expect((await api.get('/projects/PRJ-missing')).status).toBe(404);
+  });
+
+  test('POST /projects is for developers and government', async () => {
+    const body = { name: 'P', category: 'forestry', location: { country: 'IN' } };
+
+    expectDenied(await api.post('/projects').set(auth(buyer)).send(body), denialReason('projects:create'));
+    expectDenied(await api.post('/projects').set(auth(verifier)).send(body));
+    expect((await api.post('/projects').set(auth(government)).send(body)).status).toBe(201);
+    expect((await api.post('/projects').set(auth(developer)).send({ name: 'P' })).status).toBe(400);
+
+    const created = await api.post('/projects').set(auth(developer)).send(body);
+    expect(created.body.data.stakeholders).toContain(developer.stakeholderId);
+  });
+
+  test('PUT /projects/:id is limited to linked stakeholders and government', async () => {
+    const project = await createProject(developer);
+
+    expectDenied(await api.put(`/projects/${project.id}`).set(auth(otherDeveloper)).send({ name: 'Taken' }));
+    expectDenied(await api.put(`/projects/${project.id}`).set(auth(buyer)).send({ name: 'Taken' }));
+    expect((await api.put(`/projects/${project.id}`).set(auth(developer)).send({ name: 'Renamed' })).body.data.name).toBe('Renamed');
+    expect((await api.put(`/projects/${project.id}`).set(auth(government)).send({ name: 'Again' })).status).toBe(200);
+  });
+
+  test('DELETE /projects/:id is limited to linked stakeholders', async () => {
+    const project = await createProject(developer);
+
+    expectDenied(await api.delete(`/projects/${project.id}`).set(auth(otherDeveloper)));
+    expect((await api.delete(`/projects/${project.id}`).set(auth(developer))).status).toBe(200);
+    expect((await api.delete(`/projects/${project.id}`).set(auth(developer))).status).toBe(404);
+  });
+});
+
+describe('data uploads', () => {
+  let project;
+  beforeAll(async () => {
+    project = await createProject(developer);
+  });
+
+  const send = (session) =>
+    api
+      .post('/data/upload')
+      .set(auth(session))
+      .field('projectId', project.id)
+      .field('dataType', 'field_survey')
+      .field('metadata', JSON.stringify(META));
+
+  test('POST /data/upload is for developers linked to the project', async () => {
+    expectDenied(await send(verifier), denialReason('data:upload'));
+    expectDenied(await send(otherDeveloper), 'Only developers linked to this project can upload data for it');
+    expect((await send(developer)).status).toBe(201);
+  });
+
+  test('uploads can be listed and read by anyone', async () => {
+    const dataUpload = await uploadData(developer, project.id);
+
+    expect((await api.get('/data/uploads')).body.data.map((item) => item.id)).toContain(dataUpload.id);
+    expect((await api.get(`/data/uploads/${dataUpload.id}`)).body.data).toMatchObject({ projectId: project.id });
+    expect((await api.get('/data/uploads/UPL-missing')).status).toBe(404);
+  });
+
+  test('POST /data/uploads/:id/verify is for linked developers', async () => {
+    const dataUpload = await uploadData(developer, project.id);
+
+    expectDenied(await api.post(`/data/uploads/${dataUpload.id}/verify`).set(auth(verifier)), denialReason('data:submit'));
+    expectDenied(await api.post(`/data/uploads/${dataUpload.id}/verify`).set(auth(otherDeveloper)));
+    expect((await api.post(`/data/uploads/${dataUpload.id}/verify`).set(auth(developer))).body.data).toMatchObject({
+      status: 'pending',
+    });
+  });
+
+  test('DELETE /data/uploads/:id is for linked developers', async () => {
+    const dataUpload = await uploadData(developer, project.id);
+
+    expectDenied(await api.delete(`/data/uploads/${dataUpload.id}`).set(auth(government)), denialReason('data:delete'));
+    expectDenied(await api.delete(`/data/uploads/${dataUpload.id}`).set(auth(otherDeveloper)));
+    expect((await api.delete(`/data/uploads/${dataUpload.id}`).set(auth(developer))).status).toBe(200);
+  });
+
+  test('GET /data/types and POST /data/validate are public', async () => {
+    expect((await api.get('/data/types')).body.data).toContain('field_survey');
+    expect((await api.post('/data/validate').send({ dataType: 'field_survey', metadata: META })).body.valid).toBe(true);
+  });
+});
+
+describe('verification', () => {
+  let submission;
+  beforeEach(async () => {
+    const project = await createProject(developer);
+    const dataUpload = await uploadData(developer, project.id);
+    submission = await submitUpload(developer, dataUpload.id);
+    await api.post(`/verification/submissions/${submission.id}/assign`).set(auth(verifier)).send({});
+  });
+
+  test.each([
+    ['approve', { creditsGenerated: 10 }],
+    ['reject', { reason: 'Incomplete' }],
+    ['request-more', { requestedData: ['soil samples'] }],
+  ])('only verifiers can %s', async (action, body) => {
+    const path = `/verification/submissions/${submission.id}/${action}`;
+
+    for (const session of [developer, buyer, government]) {
+      expectDenied(await api.post(path).set(auth(session)).send(body), denialReason('verification:review'));
+    }
+    expect((await api.post(path).set(auth(verifier)).send(body)).status).toBe(200);
+  });
+
+  test('submissions and history are public', async () => {
+    await api.post(`/verification/submissions/${submission.id}/reject`).set(auth(verifier)).send({ reason: 'No' });
+
+    expect((await api.get('/verification/submissions')).body.total).toBeGreaterThan(0);
+    expect((await api.get(`/verification/submissions/${submission.id}`)).body.data.status).toBe('rejected');
+    expect((await api.get('/verification/history')).body.data.map((item) => item.id)).toContain(submission.id);
+  });
+});
+
+describe('credits', () => {
+  test('POST /credits/generate is for developers linked to the project', async () => {
+    const { project, submission } = await issueCredits({ developer, verifier, creditsGenerated: 100, creditsAmount: 10 });
+    const body = { projectId: project.id, verificationId: submission.id, creditsAmount: 10 };
+
+    expectDenied(await api.post('/credits/generate').set(auth(verifier)).send(body), denialReason('credits:issue'));
+    expectDenied(
+      await api.post('/credits/generate').set(auth(otherDeveloper)).send(body),
+      'Only developers linked to this project can request credit issuance',
+    );
+    expect((await api.post('/credits/generate').set(auth(developer)).send(body)).status).toBe(201);
+  });
+
+  test('GET /credits and GET /credits/portfolio are public', async () => {
+    const { credit } = await issueCredits({ developer, verifier });
+
+    expect((await api.get('/credits')).body.data.map((item) => item.id)).toContain(credit.id);
+    expect((await api.get('/credits/portfolio')).body.data.totalCredits).toBeGreaterThan(0);
+  });
+});
+
+describe('stakeholders', () => {
+  test('POST /stakeholders is for government', async () => {
+    const body = { name: 'Audit Co', category: 'verifier', contact: { email: 'audit@example.org' } };
+
+    expectDenied(await api.post('/stakeholders').set(auth(developer)).send(body), denialReason('stakeholders:create'));
+    expect((await api.post('/stakeholders').set(auth(government)).send(body)).status).toBe(201);
+  });
+
+  test('stakeholders, their projects and single records are public', async () => {
+    const project = await createProject(developer);
+
+    expect((await api.get('/stakeholders')).body.total).toBeGreaterThan(0);
+    expect((await api.get(`/stakeholders/${developer.stakeholderId}`)).body.data.id).toBe(developer.stakeholderId);
+    expect((await api.get(`/stakeholders/${developer.stakeholderId}/projects`)).body.data.map((item) => item.id)).toContain(
+      project.id,
+    );
+    expect((await api.get('/stakeholders/STK-missing')).status).toBe(404);
+  });
+
+  test('PUT /stakeholders/:id edits your own record only', async () => {
+    const res = await api.put(`/stakeholders/${developer.stakeholderId}`).set(auth(developer)).send({ role: 'Lead developer' });
+
+    expect(res.body.data.role).toBe('Lead developer');
+    expectDenied(await api.put(`/stakeholders/${buyer.stakeholderId}`).set(auth(developer)).send({ role: 'x' }));
+    expect((await api.put(`/stakeholders/${buyer.stakeholderId}`).set(auth(government)).send({ role: 'Buyer' })).status).toBe(
+      200,
+    );
+  });
+
+  test('PUT /stakeholders/:id keeps category and status for government', async () => {
+    expectDenied(
+      await api.put(`/stakeholders/${developer.stakeholderId}`).set(auth(developer)).send({ category: 'government' }),
+      "Only government stakeholders can change a stakeholder's category or status",
+    );
+
+    const res = await api.put(`/stakeholders/${buyer.stakeholderId}`).set(auth(government)).send({ status: 'inactive' });
+    expect(res.body.data.status).toBe('inactive');
+  });
+
+  test('PUT /stakeholders/:id rejects fields the server keeps', async () => {
+    for (const body of [{ id: 'STK-other' }, { createdAt: '2000-01-01' }, { projects: [] }, { verificationHistory: [] }]) {
+      const res = await api.put(`/stakeholders/${developer.stakeholderId}`).set(auth(developer)).send(body);
+
+      expect(res.status).toBe(400);
+    }
+    expect((await db.stakeholders.findById(developer.stakeholderId)).projects).toBeDefined();
+  });
+
+  test('PUT /stakeholders/:id merges contact details but keeps the contact email', async () => {
+    const path = `/stakeholders/${developer.stakeholderId}`;
+    const email = developer.stakeholder.contact.email;
+
+    const res = await api.put(path).set(auth(developer)).send({ contact: { phone: '+91 555' } });
+    expect(res.body.data.contact).toEqual({ email, phone: '+91 555' });
+
+    expectDenied(await api.put(path).set(auth(developer)).send({ contact: { email: 'new@example.org' } }));
+    expect((await api.put(path).set(auth(government)).send({ contact: { email: 'new@example.org' } })).body.data.contact.email).toBe(
+      'new@example.org',
+    );
+  });
+
+  test('connect and message need an account', async () => {
+    const path = `/stakeholders/${developer.stakeholderId}`;
+
+    expect((await api.post(`${path}/connect`)).status).toBe(401);
+    expect((await api.post(`${path}/connect`).set(auth(buyer))).body.data.status).toBe('connection_requested');
+    expect((await api.post(`${path}/message`).set(auth(buyer)).send({})).status).toBe(400);
+    expect((await api.post(`${path}/message`).set(auth(buyer)).send({ message: 'Hello' })).status).toBe(200);
+  });
+});
+
+describe('marketplace', () => {
+  test('only the credit owner can list it', async () => {
+    const { credit } = await issueCredits({ developer, verifier });
+    const path = `/marketplace/credits/${credit.id}/list`;
+
+    expectDenied(await api.post(path).set(auth(buyer)).send({ price: 12 }), 'Only the credit owner can list it on the marketplace');
+    expect((await api.post(path).set(auth(developer)).send({ price: 12 })).status).toBe(201);
+    expect((await api.get('/marketplace/credits')).body.total).toBeGreaterThan(0);
+    expect((await api.get('/marketplace/prices')).body.data).toMatchObject({ minPrice: 12, totalListings: 1 });
+  });
+});
@@ -0,0 +1,152 @@
+const geo = require('../services/geo');
+const { api, auth, META, register, createProject, uploadData } = require('./helpers');
+
+let developer;
+
+beforeAll(async () => {
+  developer = await register('project_developer', 'developer');
+});
+
+// A closed square ring of `size` degrees with its south-west corner at
+// (longitude, latitude).
+const square = (longitude, latitude, size = 0.1) => ({
+  type: 'Polygon',
+  coordinates: [
+    [
+      [longitude, latitude],
+      [longitude + size, latitude],
+      [longitude + size, latitude + size],
+      [longitude, latitude + size],
+      [longitude, latitude],
+    ],
+  ],
+});
+
+const create = (boundary, overrides = {}) =>
+  api
+    .post('/projects')
+    .set(auth(developer))
+    .send({ name: 'Mangrove Restoration', category: 'blue_carbon', location: { country: 'IN', boundary }, ...overrides });
+
+const namesOf = async (query) => (await api.get('/projects').query(query)).body.data.map((project) => project.name).sort();
+
+describe('project boundaries', () => {
+  test('derive the area in hectares and a centre point', async () => {
+    const res = await create(square(76.0, 9.0, 0.01));
+
+    expect(res.status).toBe(201);
+    const { location } = res.body.data;
+    // 0.01° is about 1.11 km at the equator and 1.10 km east-west at 9°N
+    expect(location.area).toBeGreaterThan(120);
+    expect(location.area).toBeLessThan(124);
+    expect(location.area).toBe(geo.areaHectares(location.boundary));
+    expect(location.coordinates.latitude).toBeCloseTo(9.005, 3);
+    expect(location.coordinates.longitude).toBeCloseTo(76.005, 3);
+  });
+
+  test('must be valid GeoJSON polygons', async () => {
+    const open = square(70, 5);
+    open.coordinates[0].pop();
+    const bowTie = {
+      type: 'Polygon',
+      coordinates: [
+        [
+          [70, 5],
+          [71, 6],
+          [71, 5],
+          [70, 6],
+          [70, 5],
+        ],
+      ],
+    };
+
+    expect((await create({ type: 'Point', coordinates: [70, 5] })).body.error).toBe(
+      'Invalid boundary: boundary must be a GeoJSON Polygon or MultiPolygon',
+    );
+    expect((await create(open)).body.error).toBe('Invalid boundary: boundary outer ring must end where it starts');
+    expect((await create(bowTie)).body.error).toBe('Invalid boundary: boundary outer ring crosses itself');
+    expect((await create(square(179.95, 5))).status).toBe(400);
+  });
+
+  test('may not overlap another project', async () => {
+    const first = (await create(square(80, 10), { name: 'First' })).body.data;
+
+    const res = await create(square(80.05, 10.05));
+    expect(res.status).toBe(409);
+    expect(res.body.error).toBe(`Boundary overlaps project "First" (${first.id}); the same land cannot be credited twice`);
+
+    // sharing an edge is not an overlap
+    expect((await create(square(80.1, 10))).status).toBe(201);
+    const multi = { type: 'MultiPolygon', coordinates: [square(81, 10).coordinates, square(80.02, 10.02, 0.01).coordinates] };
+    expect((await create(multi)).status).toBe(409);
+  });
+
+  test('are checked again when a project moves', async () => {
+    const first = (await create(square(82, 12))).body.data;
+    const second = (await create(square(83, 12))).body.data;
+    const move = (project, boundary) =>
+      api.patch(`/projects/${project.id}`).set(auth(developer)).send({ location: { country: 'IN', boundary } });
+
+    expect((await move(second, square(82.05, 12))).status).toBe(409);
+    const moved = await move(first, square(82, 12, 0.2));
+    expect(moved.status).toBe(200);
+    expect(moved.body.data.location.area).toBeGreaterThan(first.location.area);
+  });
+});
+
+describe('GET /projects spatial queries', () => {
+  beforeAll(async () => {
+    await create(square(100, 20), { name: 'Delta' });
+    await create(square(100.5, 20), { name: 'Estuary' });
+    await create(square(105, 20), { name: 'Far Shore' });
+  });
+
+  test('near finds projects whose boundary comes within the radius, nearest first', async () => {
+    const res = await api.get('/projects').query({ near: '20.05,100.05', radius: 60 });
+
+    expect(res.body.data.map((project) => project.name)).toEqual(['Delta', 'Estuary']);
+    expect(res.body.data[0].distanceKm).toBe(0);
+    expect(res.body.data[1].distanceKm).toBeGreaterThan(40);
+    expect(await namesOf({ near: '20.05,100.05', radius: 10 })).toEqual(['Delta']);
+  });
+
+  test('within finds projects wholly inside a bounding box', async () => {
+    expect(await namesOf({ within: '99.9,19.9,100.7,20.2' })).toEqual(['Delta', 'Estuary']);
+    expect(await namesOf({ within: '99.9,19.9,100.55,20.2' })).toEqual(['Delta']);
+  });
+
+  test('refuses malformed queries', async () => {
+    const errorOf = async (query) => (await api.get('/projects').query(query)).body.error;
+
+    expect(await errorOf({ near: '20' })).toBe('Expected near=<latitude>,<longitude>');
+    expect(await errorOf({ near: '95,100' })).toBe('near must be a valid latitude and longitude');
+    expect(await errorOf({ near: '20,100', radius: 5000 })).toBe('radius must be between 0 and 2000 km');
+    expect(await errorOf({ within: '101,20,100,21' })).toBe('within must be a bounding box: minLng,minLat,maxLng,maxLat');
+    expect(await errorOf({ near: '20,100', within: '99,19,101,21' })).toBe('Use either near or within, not both');
+    expect(await errorOf({ sort: 'distanceKm' })).toBe('Sorting by distanceKm needs near=<latitude>,<longitude>');
+  });
+});
+
+describe('upload locations', () => {
+  test('must fall inside the project boundary', async () => {
+    const project = (await create(square(19.95, 9.95))).body.data;
+    const outside = { ...META, location: { latitude: 11, longitude: 20 } };
+
+    const res = await api
+      .post('/data/upload')
+      .set(auth(developer))
+      .field('projectId', project.id)
+      .field('dataType', 'field_survey')
+      .field('metadata', JSON.stringify(outside));
+
+    expect(res.status).toBe(400);
+    expect(res.body.error).toBe('Collection location (11, 20) is outside the project boundary');
+    expect((await uploadData(developer, project.id)).metadata.location).toEqual(META.location);
+  });
+
+  test('are not checked for projects without a boundary', async () => {
+    const project = await createProject(developer);
+
+    expect(await uploadData(developer, project.id, { metadata: { ...META, location: { latitude: -40, longitude: 170 } } })).toBeTruthy();
+  });
+});
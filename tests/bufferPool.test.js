@@ -0,0 +1,177 @@
+const { api, db, auth, register, registerPrivileged, createProject, issueCredits } = require('./helpers');
+
+let developer;
+let otherDeveloper;
+let verifier;
+let government;
+
+beforeAll(async () => {
+  developer = await register('project_developer', 'developer');
+  otherDeveloper = await register('project_developer', 'other-developer');
+  verifier = await registerPrivileged('verifier');
+  government = await registerPrivileged('government');
+});
+
+const report = (session, project, body) => api.post(`/projects/${project.id}/reversals`).set(auth(session)).send(body);
+const review = (session, project, reversal, action, body = {}) =>
+  api.post(`/projects/${project.id}/reversals/${reversal.id}/${action}`).set(auth(session)).send(body);
+const bufferOf = async (project) => (await api.get(`/projects/${project.id}/buffer`)).body.data;
+
+describe('buffer withholding', () => {
+  test('nature-based issuances withhold the risk share into the pool', async () => {
+    const { project, credit, buffer } = await issueCredits({ developer, verifier, creditsAmount: 100 });
+
+    expect(buffer).toMatchObject({ status: 'buffer', creditsAmount: 15 });
+    expect(credit.creditsAmount).toBe(85);
+    expect(await bufferOf(project)).toMatchObject({ riskRating: 'medium', bufferRate: 0.15, contributed: 15, balance: 15 });
+  });
+
+  test('other categories withhold nothing', async () => {
+    const project = await createProject(developer, { category: 'renewable_energy' });
+    const { credit, buffer } = await issueCredits({ developer, verifier, project });
+
+    expect(buffer).toBeNull();
+    expect(credit.creditsAmount).toBe(100);
+  });
+
+  test('verifiers and government rate the risk that sets the share', async () => {
+    const project = await createProject(developer);
+    const rate = (session, body) => api.put(`/projects/${project.id}/risk`).set(auth(session)).send(body);
+
+    expect((await rate(developer, { riskRating: 'low' })).status).toBe(403);
+    expect((await rate(verifier, { riskRating: 'extreme' })).status).toBe(400);
+    expect((await rate(verifier, { riskRating: 'high', rationale: 'Cyclone belt' })).body.data.buffer.rate).toBe(0.25);
+    expect((await api.patch(`/projects/${project.id}`).set(auth(developer)).send({ riskRating: 'low' })).status).toBe(403);
+
+    const { buffer } = await issueCredits({ developer, verifier, project, creditsAmount: 10 });
+    expect(buffer.creditsAmount).toBe(3);
+  });
+});
+
+describe('reporting reversals', () => {
+  test('a report waits for registry review without touching the pool', async () => {
+    const { project } = await issueCredits({ developer, verifier });
+
+    const res = await report(developer, project, { quantity: 10, eventType: 'fire', description: 'Dry season fire' });
+
+    expect(res.status).toBe(201);
+    expect(res.body.data).toMatchObject({ status: 'pending', quantity: 10, reportedBy: developer.user.email });
+    expect(res.body.data).not.toHaveProperty('cancellations');
+    expect(await bufferOf(project)).toMatchObject({ balance: 15, cancelled: 0, pendingReversals: 1, reversedQuantity: 0 });
+  });
+
+  test("cannot claim more than the project's issued credits", async () => {
+    const { project } = await issueCredits({ developer, verifier });
+    const fresh = await createProject(developer);
+
+    const res = await report(developer, project, { quantity: 101, eventType: 'fire' });
+    expect(res.status).toBe(400);
+    expect(res.body.error).toBe(
+      'Reversals on this project can claim at most 100 more credits: 100 have been issued and 0 are already reported',
+    );
+
+    expect((await report(developer, project, { quantity: 60, eventType: 'fire' })).status).toBe(201);
+    expect((await report(developer, project, { quantity: 41, eventType: 'flood' })).status).toBe(400);
+    expect((await report(developer, fresh, { quantity: 1, eventType: 'fire' })).status).toBe(400);
+  });
+
+  test('is limited to linked developers and validated', async () => {
+    const { project } = await issueCredits({ developer, verifier });
+    const energy = await createProject(developer, { category: 'renewable_energy' });
+
+    expect((await report(otherDeveloper, project, { quantity: 1, eventType: 'fire' })).status).toBe(403);
+    expect((await report(developer, project, { quantity: 1, eventType: 'meteor' })).status).toBe(400);
+    expect((await report(developer, project, { quantity: 1, eventType: 'fire', occurredAt: '2999-01-01' })).status).toBe(400);
+    expect((await report(developer, energy, { quantity: 1, eventType: 'fire' })).status).toBe(400);
+    expect((await report(verifier, project, { quantity: 1, eventType: 'storm' })).status).toBe(201);
+  });
+});
+
+describe('reviewing reversals', () => {
+  test('only government can approve or reject', async () => {
+    const { project } = await issueCredits({ developer, verifier });
+    const reversal = (await report(developer, project, { quantity: 5, eventType: 'fire' })).body.data;
+
+    for (const session of [developer, verifier]) {
+      expect((await review(session, project, reversal, 'approve')).status).toBe(403);
+      expect((await review(session, project, reversal, 'reject', { reason: 'No' })).status).toBe(403);
+    }
+    expect((await db.reversals.findById(reversal.id)).status).toBe('pending');
+  });
+
+  test("approval cancels the project's own buffer first", async () => {
+    const { project } = await issueCredits({ developer, verifier });
+    const reversal = (await report(developer, project, { quantity: 10, eventType: 'fire' })).body.data;
+
+    const res = await review(government, project, reversal, 'approve', { comments: 'Confirmed by satellite' });
+
+    expect(res.body.data).toMatchObject({
+      status: 'covered',
+      cancelledQuantity: 10,
+      shortfall: 0,
+      reviewedBy: government.user.email,
+      reviewComments: 'Confirmed by satellite',
+    });
+    expect(res.body.data.cancellations.every((cancellation) => cancellation.projectId === project.id)).toBe(true);
+    expect(await bufferOf(project)).toMatchObject({ balance: 5, cancelled: 10, reversedQuantity: 10, coveredQuantity: 10 });
+
+    const entries = (await api.get('/ledger/entries').query({ type: 'cancellation' })).body.data;
+    expect(entries.map((entry) => entry.resultingCreditId)).toContain(res.body.data.cancellations[0].resultingCreditId);
+  });
+
+  test('an approved loss beyond the own buffer is covered from the rest of the pool', async () => {
+    await issueCredits({ developer: otherDeveloper, verifier });
+    const { project } = await issueCredits({ developer, verifier });
+    const reversal = (await report(developer, project, { quantity: 20, eventType: 'clearing' })).body.data;
+
+    const { data } = (await review(government, project, reversal, 'approve')).body;
+
+    expect(data).toMatchObject({ status: 'covered', cancelledQuantity: 20 });
+    expect(data.cancellations[0]).toMatchObject({ projectId: project.id, quantity: 15 });
+    expect(data.cancellations.slice(1).every((cancellation) => cancellation.projectId !== project.id)).toBe(true);
+  });
+
+  test('a reviewed reversal cannot be reviewed again', async () => {
+    const { project } = await issueCredits({ developer, verifier });
+    const reversal = (await report(developer, project, { quantity: 1, eventType: 'fire' })).body.data;
+
+    const results = await Promise.all([review(government, project, reversal, 'approve'), review(government, project, reversal, 'approve')]);
+
+    expect(results.map((res) => res.status).sort()).toEqual([200, 409]);
+    expect((await bufferOf(project)).cancelled).toBe(1);
+    expect((await review(government, project, reversal, 'reject', { reason: 'Late' })).status).toBe(409);
+  });
+
+  test('rejection needs a reason and leaves the pool alone', async () => {
+    const { project } = await issueCredits({ developer, verifier });
+    const reversal = (await report(developer, project, { quantity: 10, eventType: 'fire' })).body.data;
+
+    expect((await review(government, project, reversal, 'reject')).status).toBe(400);
+    const res = await review(government, project, reversal, 'reject', { reason: 'No loss found on inspection' });
+
+    expect(res.body.data).toMatchObject({ status: 'rejected', rejectionReason: 'No loss found on inspection' });
+    expect(await bufferOf(project)).toMatchObject({ balance: 15, cancelled: 0, reversals: 0, pendingReversals: 0 });
+    expect((await report(developer, project, { quantity: 100, eventType: 'fire' })).status).toBe(201);
+  });
+
+  test('reversals are reviewed under their own project only', async () => {
+    const { project } = await issueCredits({ developer, verifier });
+    const other = await createProject(developer);
+    const reversal = (await report(developer, project, { quantity: 1, eventType: 'fire' })).body.data;
+
+    expect((await review(government, other, reversal, 'approve')).status).toBe(404);
+    expect((await review(government, project, { id: 'REV-missing' }, 'approve')).status).toBe(404);
+  });
+});
+
+describe('GET /buffer-pool', () => {
+  test('reports the registry balance by contributing project', async () => {
+    const { project } = await issueCredits({ developer, verifier });
+
+    const pool = (await api.get('/buffer-pool')).body.data;
+
+    expect(pool.balance).toBe(pool.contributed - pool.cancelled);
+    expect(pool.byProject.find((summary) => summary.projectId === project.id)).toMatchObject({ contributed: 15 });
+    expect((await api.get(`/projects/${project.id}/reversals`)).body).toMatchObject({ data: [], total: 0 });
+  });
+});
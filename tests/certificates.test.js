@@ -0,0 +1,132 @@
+const crypto = require('crypto');
+const { encodeQr } = require('../services/qrCode');
+const { api, db, auth, register, registerPrivileged, createProject, issueCredits } = require('./helpers');
+
+const BASE_URL = 'https://registry.example.org';
+
+let developer;
+let verifier;
+
+beforeAll(async () => {
+  process.env.PUBLIC_BASE_URL = `${BASE_URL}/`;
+  developer = await register('project_developer', 'developer');
+  verifier = await registerPrivileged('verifier', 'coastal-audits');
+});
+
+afterAll(() => {
+  delete process.env.PUBLIC_BASE_URL;
+});
+
+const certificateOf = (credit) => api.get(`/credits/${credit.id}/certificate`);
+const sha256 = (buffer) => crypto.createHash('sha256').update(buffer).digest('hex');
+// Collects a binary response body as a Buffer.
+const download = (path) =>
+  api
+    .get(path)
+    .buffer(true)
+    .parse((res, callback) => {
+      const chunks = [];
+      res.on('data', (chunk) => chunks.push(chunk));
+      res.on('end', () => callback(null, Buffer.concat(chunks)));
+    });
+
+describe('GET /credits/:id/certificate', () => {
+  test('links to the configured address, whatever host the request names', async () => {
+    const project = await createProject(developer, { category: 'renewable_energy' });
+    const { credit } = await issueCredits({ developer, verifier, project });
+
+    const res = await certificateOf(credit).set('Host', 'attacker.example').set('X-Forwarded-Host', 'attacker.example');
+
+    expect(res.status).toBe(200);
+    const { certificateId } = res.body.data;
+    expect(res.body.data).toMatchObject({
+      type: 'issuance',
+      creditId: credit.id,
+      serialNumber: credit.serialNumber,
+      creditsAmount: 100,
+      verifier: 'coastal-audits',
+      certificateUrl: `${BASE_URL}/certificates/${certificateId}.pdf`,
+      verifyUrl: `${BASE_URL}/certificates/${certificateId}/verify`,
+      sha256: expect.stringMatching(/^[0-9a-f]{64}$/),
+    });
+    expect((await db.carbonCredits.findById(credit.id)).certificateUrl).toBe(res.body.data.certificateUrl);
+    expect((await certificateOf(credit)).body.data.certificateId).toBe(certificateId);
+  });
+
+  test('refuses to issue certificates until the public address is configured', async () => {
+    const { credit } = await issueCredits({ developer, verifier });
+    delete process.env.PUBLIC_BASE_URL;
+    try {
+      const res = await certificateOf(credit);
+
+      expect(res.status).toBe(503);
+      expect(res.body.error).toBe('PUBLIC_BASE_URL is not configured; the registry cannot issue documents that link back to it');
+      expect(await db.certificates.count({ creditId: credit.id })).toBe(0);
+    } finally {
+      process.env.PUBLIC_BASE_URL = BASE_URL;
+    }
+  });
+
+  test('certifies retirements with their beneficiary, and nothing for the buffer', async () => {
+    const { credit, buffer } = await issueCredits({ developer, verifier });
+    const retirement = await api
+      .post(`/credits/${credit.id}/retire`)
+      .set(auth(developer))
+      .send({ quantity: 5, beneficiary: 'Acme Ltd', purpose: 'Offsets' });
+
+    expect((await certificateOf(retirement.body.data.credit)).body.data).toMatchObject({
+      type: 'retirement',
+      creditsAmount: 5,
+      beneficiary: 'Acme Ltd',
+    });
+    expect((await certificateOf(buffer)).body.error).toBe('Credits with status "buffer" have no certificate');
+    expect((await certificateOf({ id: 'CRD-missing' })).status).toBe(404);
+  });
+});
+
+describe('certificate documents', () => {
+  let certificate;
+  let pdf;
+  beforeAll(async () => {
+    const { credit } = await issueCredits({ developer, verifier });
+    certificate = (await certificateOf(credit)).body.data;
+    pdf = (await download(`/certificates/${certificate.certificateId}.pdf`)).body;
+  });
+
+  test('are served as the PDF whose hash the registry keeps', async () => {
+    const res = await api.head(`/certificates/${certificate.certificateId}.pdf`);
+
+    expect(res.headers['content-type']).toBe('application/pdf');
+    expect(res.headers.etag).toBe(`"${certificate.sha256}"`);
+    expect(pdf.subarray(0, 5).toString()).toBe('%PDF-');
+    expect(sha256(pdf)).toBe(certificate.sha256);
+    expect(pdf.toString('latin1')).toContain(certificate.serialNumber);
+    expect((await api.get('/certificates/CRT-missing.pdf')).status).toBe(404);
+  });
+
+  test('verify by fingerprint or by the document itself', async () => {
+    const verify = (query) => api.get(`/certificates/${certificate.certificateId}/verify`).query(query);
+    const present = (document) =>
+      api.post(`/certificates/${certificate.certificateId}/verify`).set('Content-Type', 'application/pdf').send(document);
+
+    expect((await verify({})).body.data).toMatchObject({ genuine: null, details: { serialNumber: certificate.serialNumber } });
+    expect((await verify({ sha256: certificate.sha256.toUpperCase() })).body.data.genuine).toBe(true);
+    expect((await verify({ sha256: '0'.repeat(64) })).body.data.genuine).toBe(false);
+    expect((await verify({ sha256: 'abc' })).body.error).toBe('sha256 must be 64 hexadecimal characters');
+
+    expect((await present(pdf)).body.data).toMatchObject({ genuine: true, credit: { status: 'active' } });
+    const altered = Buffer.from(pdf);
+    altered[altered.length - 10] ^= 1;
+    expect((await present(altered)).body.data.genuine).toBe(false);
+    expect((await present(Buffer.alloc(0))).status).toBe(400);
+  });
+});
+
+describe('QR codes', () => {
+  test('grow with the data they carry', () => {
+    expect(encodeQr('HELLO')).toHaveLength(21);
+    expect(encodeQr(`${BASE_URL}/certificates/CRT-abc/verify`)).toHaveLength(33);
+    // finder pattern: a dark 7x7 ring around a dark 3x3 centre
+    expect(encodeQr('HELLO')[0].slice(0, 8)).toEqual([true, true, true, true, true, true, true, false]);
+  });
+});
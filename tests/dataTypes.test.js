@@ -0,0 +1,138 @@
+const fs = require('fs');
+const { validateMetadata } = require('../services/metadataSchemas');
+const { TEMP_DIR } = require('../services/uploads');
+const { DATA_TYPES } = require('../config/dataTypes');
+const { api, db, auth, META, register, createProject } = require('./helpers');
+
+let developer;
+let project;
+
+beforeAll(async () => {
+  developer = await register('project_developer', 'developer');
+  project = await createProject(developer);
+});
+
+const validate = (dataType, metadata) => api.post('/data/validate').send({ dataType, metadata });
+const upload = (dataType, metadata) =>
+  api
+    .post('/data/upload')
+    .set(auth(developer))
+    .field('projectId', project.id)
+    .field('dataType', dataType)
+    .field('metadata', typeof metadata === 'string' ? metadata : JSON.stringify(metadata))
+    .attach('files', Buffer.from('plotId,heightM\nA,12\n'), 'plots.csv');
+
+describe('GET /data/types', () => {
+  test('lists every data type the upload model accepts', async () => {
+    const { data } = (await api.get('/data/types')).body;
+
+    expect(data).toEqual(Object.keys(DATA_TYPES));
+    expect(data).toEqual(expect.arrayContaining(['carbon_measurement', 'forest_inventory', 'remote_sensing']));
+  });
+});
+
+describe('GET /data/types/:type/schema', () => {
+  test('renders the metadata fields as JSON Schema', async () => {
+    const res = await api.get('/data/types/sensor_data/schema');
+
+    expect(res.headers['content-type']).toMatch(/^application\/schema\+json/);
+    expect(res.body).toMatchObject({
+      $schema: 'https://json-schema.org/draft/2020-12/schema',
+      title: 'sensor_data upload metadata',
+      type: 'object',
+      required: ['collectionDate', 'location', 'deviceId', 'samplingIntervalSeconds'],
+      additionalProperties: false,
+      properties: {
+        samplingIntervalSeconds: { type: 'integer', minimum: 1, 'x-unit': 's' },
+        location: { type: 'object', required: ['latitude', 'longitude'] },
+      },
+      'x-columns': { required: ['timestamp'], additionalProperties: { type: 'number' } },
+    });
+  });
+
+  test('describes soil samples and drone imagery by their own fields', async () => {
+    const soil = (await api.get('/data/types/soil_samples/schema')).body;
+    const drone = (await api.get('/data/types/drone_imagery/schema')).body;
+
+    expect(soil.properties.socPercent).toMatchObject({ type: 'number', minimum: 0, maximum: 100 });
+    expect(drone.required).toEqual(expect.arrayContaining(['altitudeM', 'gsdCm']));
+    expect(drone).not.toHaveProperty('x-columns');
+  });
+
+  test('404s for an unknown type', async () => {
+    const res = await api.get('/data/types/tea_leaves/schema');
+
+    expect(res.status).toBe(404);
+    expect(res.body.error).toBe('Unknown data type "tea_leaves"');
+  });
+});
+
+describe('POST /data/validate', () => {
+  test('accepts metadata that matches the schema', async () => {
+    const res = await validate('soil_samples', { ...META, depthCm: 30, socPercent: 2.4 });
+
+    expect(res.status).toBe(200);
+    expect(res.body).toEqual({ success: true, valid: true, errors: [] });
+  });
+
+  test('reports every problem, including missing metadata', async () => {
+    const res = await validate('drone_imagery', {
+      collectionDate: '2999-01-01',
+      location: { latitude: 95 },
+      altitudeM: 'high',
+      pilot: 'Asha',
+    });
+
+    expect(res.body).toMatchObject({ success: false, valid: false });
+    expect(res.body.errors).toEqual([
+      'collectionDate cannot be in the future',
+      'location.latitude must be at most 90',
+      'location.longitude is required',
+      'altitudeM must be a number',
+      'gsdCm is required',
+      'pilot is not a recognised field',
+    ]);
+    expect((await validate('field_survey')).body.errors).toEqual(['collectionDate is required', 'location is required']);
+  });
+
+  test('needs a known data type', async () => {
+    expect((await validate(undefined, META)).status).toBe(400);
+    expect((await validate('tea_leaves', META)).body.errors).toEqual(['Unsupported data type "tea_leaves"']);
+  });
+});
+
+describe('upload metadata', () => {
+  test('is held to the same schema as /data/validate', async () => {
+    const metadata = { ...META, deviceId: 'LOGGER-7' };
+
+    const res = await upload('sensor_data', metadata);
+
+    expect(res.status).toBe(400);
+    expect(res.body).toMatchObject({
+      error: 'Metadata does not match the sensor_data schema',
+      errors: validateMetadata('sensor_data', metadata).errors,
+    });
+    expect(res.body.errors).toEqual(['samplingIntervalSeconds is required']);
+    expect(await db.dataUploads.count({ projectId: project.id })).toBe(0);
+  });
+
+  test('must be a JSON object', async () => {
+    expect((await upload('field_survey', '{not json')).body.error).toMatch(/^Metadata is not valid JSON/);
+    expect((await upload('field_survey', '[1]')).body.error).toBe('Metadata must be a JSON object');
+  });
+
+  test('is stored normalised', async () => {
+    const res = await upload('field_survey', { ...META, collectionDate: '2024-01-15', plotCount: 4 });
+
+    expect(res.status).toBe(201);
+    expect(res.body.data.metadata).toMatchObject({ collectionDate: '2024-01-15T00:00:00.000Z', plotCount: 4 });
+  });
+
+  test('leaves no temporary files behind when refused', async () => {
+    const before = fs.existsSync(TEMP_DIR) ? fs.readdirSync(TEMP_DIR).length : 0;
+
+    await upload('field_survey', { ...META, plotCount: 0 });
+
+    expect(fs.existsSync(TEMP_DIR) ? fs.readdirSync(TEMP_DIR).length : 0).toBe(before);
+  });
+});
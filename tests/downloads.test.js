@@ -0,0 +1,104 @@
+const { StorageError } = require('../storage/errors');
+const { app, api, auth, register, registerPrivileged, createProject, uploadData } = require('./helpers');
+
+const { storage } = app.locals;
+
+let developer;
+let outsider;
+let verifier;
+let dataUpload;
+
+const CSV = 'plotId,heightM\nA,12\nB,14\n';
+
+beforeAll(async () => {
+  developer = await register('project_developer', 'developer');
+  outsider = await register('project_developer', 'outsider');
+  verifier = await registerPrivileged('verifier');
+  const project = await createProject(developer);
+  dataUpload = await uploadData(developer, project.id, { files: [['plots 2024.csv', CSV]] });
+});
+
+afterEach(() => jest.restoreAllMocks());
+
+const download = (session, fileIndex = 0) => api.get(`/data/uploads/${dataUpload.id}/files/${fileIndex}`).set(auth(session));
+const signedUrl = (session, body = {}) =>
+  api.post(`/data/uploads/${dataUpload.id}/files/0/signed-url`).set(auth(session)).send(body);
+const pathOf = (url) => {
+  const { pathname, search } = new URL(url);
+  return pathname + search;
+};
+
+describe('GET /data/uploads/:id/files/:fileIndex', () => {
+  test('streams the original file under its name and type', async () => {
+    const res = await download(developer);
+
+    expect(res.status).toBe(200);
+    expect(res.text).toBe(CSV);
+    expect(res.headers).toMatchObject({
+      'content-type': expect.stringMatching(/^text\/csv/),
+      'content-disposition': 'attachment; filename="plots 2024.csv"',
+      'accept-ranges': 'bytes',
+      etag: `"${dataUpload.files[0].checksum}"`,
+    });
+    expect((await download(verifier)).status).toBe(200);
+  });
+
+  test('serves byte ranges and refuses ranges outside the file', async () => {
+    const partial = await download(developer).set('Range', 'bytes=15-18');
+    expect(partial.status).toBe(206);
+    expect(partial.text).toBe('A,12');
+    expect(partial.headers['content-range']).toBe(`bytes 15-18/${CSV.length}`);
+
+    const suffix = await download(developer).set('Range', 'bytes=-5');
+    expect(suffix.text).toBe('B,14\n');
+
+    const outside = await download(developer).set('Range', `bytes=${CSV.length}-`);
+    expect(outside.status).toBe(416);
+    expect(outside.headers['content-range']).toBe(`bytes */${CSV.length}`);
+  });
+
+  test('is limited to project stakeholders and verifiers', async () => {
+    expect((await download(outsider)).status).toBe(403);
+    expect((await api.get(`/data/uploads/${dataUpload.id}/files/0`)).status).toBe(401);
+    expect((await download(developer, 1)).status).toBe(404);
+    expect((await api.get('/data/uploads/UPL-missing/files/0').set(auth(developer))).status).toBe(404);
+  });
+
+  test('reports a storage outage as unavailable', async () => {
+    jest.spyOn(storage, 'stat').mockRejectedValue(new StorageError('S3 lookup of "key" timed out after 30000 ms'));
+    jest.spyOn(console, 'error').mockImplementation(() => {});
+
+    const res = await download(developer);
+
+    expect(res.status).toBe(503);
+    expect(res.body.error).toBe('File storage is unavailable, try again later');
+  });
+});
+
+describe('signed download links', () => {
+  test('download without a token until they expire', async () => {
+    const { data } = (await signedUrl(developer, { expiresIn: 60 })).body;
+
+    expect(Date.parse(data.expiresAt) - Date.now()).toBeLessThanOrEqual(60000);
+    const res = await api.get(pathOf(data.url)).set('Range', 'bytes=0-5');
+    expect(res.status).toBe(206);
+    expect(res.text).toBe('plotId');
+
+    jest.spyOn(Date, 'now').mockReturnValue(Date.parse(data.expiresAt) + 1000);
+    expect((await api.get(pathOf(data.url))).status).toBe(403);
+  });
+
+  test('only work for the file they were signed for', async () => {
+    const { url } = (await signedUrl(developer)).body.data;
+    const signed = new URL(url);
+    const other = await uploadData(developer, dataUpload.projectId, { files: [['other.csv', 'plotId,heightM\nC,9\n']] });
+
+    expect((await api.get(`/data/uploads/${other.id}/files/0${signed.search}`)).status).toBe(403);
+    signed.searchParams.set('expires', String(Number(signed.searchParams.get('expires')) + 3600));
+    expect((await api.get(signed.pathname + signed.search)).status).toBe(403);
+  });
+
+  test('are issued only to those who can download', async () => {
+    expect((await signedUrl(outsider)).status).toBe(403);
+  });
+});
@@ -0,0 +1,142 @@
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+
+// The suites drive the app in-process against the in-memory store. Each test
+// file gets its own module registry, so requiring the server here gives every
+// file a fresh, empty registry; uploads go to a temporary directory.
+process.env.NODE_ENV = 'test';
+process.env.DATA_STORE = 'memory';
+process.env.STORAGE_BACKEND = process.env.STORAGE_BACKEND || 'local';
+process.env.JWT_SECRET = process.env.JWT_SECRET || 'test-jwt-secret';
+process.env.UPLOAD_PATH = fs.mkdtempSync(path.join(os.tmpdir(), 'ccred-test-'));
+
+const request = require('supertest');
+const app = require('../server');
+
+const api = request(app);
+const { db } = app.locals;
+
+const auth = (session) => ({ Authorization: `Bearer ${session.token}` });
+
+const META = { collectionDate: '2024-01-15', location: { latitude: 10, longitude: 20 } };
+
+let sequence = 0;
+const uniqueEmail = (label) => `${label}-${++sequence}@example.org`;
+
+const expectStatus = (res, status) => {
+  if (res.status !== status) {
+    throw new Error(`Expected ${status} from ${res.req.method} ${res.req.path}, got ${res.status}: ${JSON.stringify(res.body)}`);
+  }
+  return res.body.data;
+};
+
+const toSession = (res) => {
+  const { user, stakeholder, tokens } = expectStatus(res, 201);
+  return {
+    token: tokens.accessToken,
+    refreshToken: tokens.refreshToken,
+    user,
+    stakeholder,
+    stakeholderId: user.stakeholderId,
+  };
+};
+
+// Self-registration with a new stakeholder record.
+const register = async (category = 'project_developer', label = category) => {
+  const email = uniqueEmail(label);
+  return toSession(
+    await api
+      .post('/auth/register')
+      .send({ email, password: 'password123', name: label, stakeholder: { name: label, category } }),
+  );
+};
+
+// Verifier and government accounts can't self-register; their stakeholder
+// record is created first, as a government stakeholder would.
+const registerPrivileged = async (category, label = category) => {
+  const email = uniqueEmail(label);
+  const stakeholder = await db.stakeholders.create({
+    name: label,
+    category,
+    contact: { email },
+    projects: [],
+    status: 'active',
+  });
+  const session = toSession(
+    await api.post('/auth/register').send({ email, password: 'password123', name: label, stakeholderId: stakeholder.id }),
+  );
+  return { ...session, stakeholder };
+};
+
+const createProject = async (developer, overrides = {}) =>
+  expectStatus(
+    await api
+      .post('/projects')
+      .set(auth(developer))
+      .send({
+        name: 'Mangrove Restoration',
+        category: 'blue_carbon',
+        location: { country: 'IN', state: 'Kerala' },
+        startDate: '2022-01-01',
+        endDate: '2032-12-31',
+        ...overrides,
+      }),
+    201,
+  );
+
+// Files are [name, content] pairs.
+const uploadData = async (developer, projectId, { dataType = 'field_survey', metadata = META, files = [] } = {}) => {
+  let req = api
+    .post('/data/upload')
+    .set(auth(developer))
+    .field('projectId', projectId)
+    .field('dataType', dataType)
+    .field('metadata', JSON.stringify(metadata));
+  files.forEach(([name, content]) => {
+    req = req.attach('files', Buffer.from(content), name);
+  });
+  return expectStatus(await req, 201);
+};
+
+const submitUpload = async (developer, uploadId) =>
+  expectStatus(await api.post(`/data/uploads/${uploadId}/verify`).set(auth(developer)).send({}), 200);
+
+// Runs a project's data through verification up to approval.
+const approvedSubmission = async ({ developer, verifier, project, creditsGenerated = 100 }) => {
+  const dataUpload = await uploadData(developer, project.id);
+  const submission = await submitUpload(developer, dataUpload.id);
+  expectStatus(await api.post(`/verification/submissions/${submission.id}/assign`).set(auth(verifier)).send({}), 200);
+  return expectStatus(
+    await api.post(`/verification/submissions/${submission.id}/approve`).set(auth(verifier)).send({ creditsGenerated }),
+    200,
+  );
+};
+
+// A project with an approved verification and a block of credits issued
+// from it to the developer.
+const issueCredits = async ({ developer, verifier, project, creditsGenerated = 100, creditsAmount = 100 }) => {
+  const target = project || (await createProject(developer));
+  const submission = await approvedSubmission({ developer, verifier, project: target, creditsGenerated });
+  const res = await api
+    .post('/credits/generate')
+    .set(auth(developer))
+    .send({ projectId: target.id, verificationId: submission.id, creditsAmount });
+  return { project: target, submission, credit: expectStatus(res, 201), buffer: res.body.buffer };
+};
+
+module.exports = {
+  app,
+  api,
+  db,
+  auth,
+  META,
+  expectStatus,
+  register,
+  registerPrivileged,
+  createProject,
+  uploadData,
+  submitUpload,
+  approvedSubmission,
+  issueCredits
+};
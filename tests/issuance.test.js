@@ -0,0 +1,83 @@
+const { api, auth, register, registerPrivileged, createProject, approvedSubmission } = require('./helpers');
+
+let developer;
+let verifier;
+
+beforeAll(async () => {
+  developer = await register('project_developer', 'developer');
+  verifier = await registerPrivileged('verifier');
+});
+
+const generate = (session, body) => api.post('/credits/generate').set(auth(session)).send(body);
+
+describe('POST /credits/generate', () => {
+  let project;
+  let submission;
+  beforeEach(async () => {
+    project = await createProject(developer, { category: 'renewable_energy' });
+    submission = await approvedSubmission({ developer, verifier, project, creditsGenerated: 100 });
+  });
+
+  const issue = (creditsAmount) => generate(developer, { projectId: project.id, verificationId: submission.id, creditsAmount });
+
+  test('issues against the approved allowance until it is used up', async () => {
+    expect((await issue(60)).status).toBe(201);
+
+    const over = await issue(41);
+    expect(over.status).toBe(400);
+    expect(over.body.error).toBe('Verification approved 100 credits and 60 have been issued; at most 40 more can be issued');
+
+    expect((await issue(40)).status).toBe(201);
+    expect((await issue(1)).status).toBe(409);
+  });
+
+  test('concurrent requests cannot issue the same verified tonnes twice', async () => {
+    const results = await Promise.all([issue(100), issue(100)]);
+
+    expect(results.map((res) => res.status).sort()).toEqual([201, 409]);
+  });
+
+  test('only whole credits against an approved verification of the project', async () => {
+    const elsewhere = await createProject(developer);
+
+    expect((await issue(2.5)).status).toBe(400);
+    expect((await issue('ten')).status).toBe(400);
+    expect((await generate(developer, { projectId: project.id, creditsAmount: 1 })).status).toBe(400);
+    expect(
+      (await generate(developer, { projectId: elsewhere.id, verificationId: submission.id, creditsAmount: 1 })).body.error,
+    ).toBe('Valid approved verification required');
+    expect((await generate(developer, { projectId: 'PRJ-missing', verificationId: submission.id, creditsAmount: 1 })).status).toBe(
+      404,
+    );
+  });
+});
+
+describe('issuance reports', () => {
+  test('compare issued, approved and estimated credits for a project', async () => {
+    const project = await createProject(developer, { category: 'renewable_energy' });
+    await api.patch(`/projects/${project.id}`).set(auth(developer)).send({ estimatedCredits: 200 });
+    const submission = await approvedSubmission({ developer, verifier, project, creditsGenerated: 100 });
+    await generate(developer, { projectId: project.id, verificationId: submission.id, creditsAmount: 25 });
+
+    const report = (await api.get(`/projects/${project.id}/issuance`)).body.data;
+
+    expect(report).toMatchObject({
+      estimatedCredits: 200,
+      approvedCredits: 100,
+      issuedCredits: 25,
+      actualCredits: 25,
+      pendingIssuance: 75,
+      issuedOfApprovedPercent: 25,
+      approvedOfEstimatedPercent: 50,
+      verifications: [{ verificationId: submission.id, approved: 100, issued: 25, remaining: 75 }],
+    });
+    expect((await api.get('/projects/PRJ-missing/issuance')).status).toBe(404);
+  });
+
+  test('roll up across every project', async () => {
+    const { body } = await api.get('/credits/issuance-report');
+
+    expect(body.total).toBe(body.data.length);
+    expect(body.totals.issuedCredits).toBe(body.data.reduce((sum, report) => sum + report.issuedCredits, 0));
+  });
+});
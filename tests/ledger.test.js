@@ -0,0 +1,123 @@
+const { transferCredit } = require('../services/ledger');
+const { api, db, auth, register, registerPrivileged, issueCredits } = require('./helpers');
+
+let developer;
+let buyer;
+let verifier;
+
+beforeAll(async () => {
+  developer = await register('project_developer', 'developer');
+  buyer = await register('buyer');
+  verifier = await registerPrivileged('verifier');
+});
+
+const transfer = (session, creditId, body) => api.post(`/credits/${creditId}/transfer`).set(auth(session)).send(body);
+
+describe('holder accounts', () => {
+  test('issuance opens a holding account and records the units on the ledger', async () => {
+    const { credit } = await issueCredits({ developer, verifier });
+
+    const account = (await api.get('/accounts/me').set(auth(developer))).body.data;
+    expect(account).toMatchObject({ id: credit.accountId, stakeholderId: developer.stakeholderId, type: 'holding' });
+    expect(account.balances.byBatch).toContainEqual({ batchId: credit.id, quantity: credit.creditsAmount });
+
+    const entries = (await api.get('/ledger/entries').query({ batchId: credit.id })).body.data;
+    expect(entries).toEqual([
+      expect.objectContaining({ type: 'issuance', toAccountId: credit.accountId, quantity: credit.creditsAmount }),
+    ]);
+  });
+
+  test('accounts can be listed, filtered and read', async () => {
+    const { credit } = await issueCredits({ developer, verifier });
+
+    const listed = (await api.get('/accounts').query({ stakeholderId: developer.stakeholderId })).body;
+    expect(listed.data.map((account) => account.id)).toEqual([credit.accountId]);
+    expect((await api.get(`/accounts/${credit.accountId}`)).body.data.balances.total).toBeGreaterThan(0);
+    expect((await api.get('/accounts/ACC-missing')).status).toBe(404);
+    expect((await api.get('/accounts/me')).status).toBe(401);
+  });
+});
+
+describe('POST /credits/:id/transfer', () => {
+  test('splits the block and moves the units to the recipient', async () => {
+    const { credit } = await issueCredits({ developer, verifier });
+
+    const res = await transfer(developer, credit.id, { toStakeholderId: buyer.stakeholderId, quantity: 10, memo: 'Sale' });
+
+    expect(res.status).toBe(201);
+    expect(res.body.data.credit).toMatchObject({ ownerId: buyer.stakeholderId, creditsAmount: 10, parentCreditId: credit.id });
+    expect(res.body.data.entry).toMatchObject({ type: 'transfer', fromAccountId: credit.accountId, quantity: 10, memo: 'Sale' });
+    expect((await db.carbonCredits.findById(credit.id)).creditsAmount).toBe(credit.creditsAmount - 10);
+
+    const holdings = (await api.get(`/credits/${credit.id}/holdings`)).body.data;
+    expect(holdings.issued).toBe(credit.creditsAmount);
+    expect(holdings.holders).toContainEqual({ accountId: res.body.data.credit.accountId, quantity: 10 });
+  });
+
+  test('hands the whole block over when every unit moves', async () => {
+    const { credit } = await issueCredits({ developer, verifier });
+
+    const res = await transfer(developer, credit.id, { toStakeholderId: buyer.stakeholderId, quantity: credit.creditsAmount });
+
+    expect(res.body.data.credit).toMatchObject({ id: credit.id, ownerId: buyer.stakeholderId });
+  });
+
+  test('only the owner can transfer', async () => {
+    const { credit } = await issueCredits({ developer, verifier });
+
+    const res = await transfer(buyer, credit.id, { toStakeholderId: buyer.stakeholderId, quantity: 1 });
+
+    expect(res.status).toBe(403);
+    expect(res.body.error).toBe('Only the credit owner can transfer it');
+    expect((await api.post(`/credits/${credit.id}/transfer`).send({})).status).toBe(401);
+  });
+
+  test('validates the quantity, recipient and balance', async () => {
+    const { credit } = await issueCredits({ developer, verifier });
+    const to = buyer.stakeholderId;
+
+    expect((await transfer(developer, credit.id, { quantity: 1 })).status).toBe(400);
+    expect((await transfer(developer, credit.id, { toStakeholderId: to, quantity: 1.5 })).status).toBe(400);
+    expect((await transfer(developer, credit.id, { toStakeholderId: to, quantity: -1 })).status).toBe(400);
+    expect((await transfer(developer, credit.id, { toStakeholderId: to, quantity: credit.creditsAmount + 1 })).status).toBe(400);
+    expect((await transfer(developer, credit.id, { toStakeholderId: developer.stakeholderId, quantity: 1 })).status).toBe(400);
+    expect((await transfer(developer, credit.id, { toStakeholderId: 'STK-missing', quantity: 1 })).status).toBe(404);
+    expect((await transfer(developer, 'CRD-missing', { toStakeholderId: to, quantity: 1 })).status).toBe(404);
+  });
+
+  test('two transfers from the same read of a block cannot both take its units', async () => {
+    const { credit } = await issueCredits({ developer, verifier });
+    const move = () =>
+      transferCredit(db, { creditId: credit.id, toStakeholderId: buyer.stakeholderId, quantity: credit.creditsAmount, actor: 'test' });
+
+    const results = await Promise.allSettled([move(), move()]);
+
+    expect(results.map((result) => result.status).sort()).toEqual(['fulfilled', 'rejected']);
+    expect((await api.get(`/credits/${credit.id}/holdings`)).body.data.holders).toHaveLength(1);
+  });
+});
+
+describe('GET /ledger/entries', () => {
+  test('filters by account and entry type', async () => {
+    const { credit } = await issueCredits({ developer, verifier });
+    await transfer(developer, credit.id, { toStakeholderId: buyer.stakeholderId, quantity: 5 });
+    const buyerAccount = (await api.get('/accounts/me').set(auth(buyer))).body.data;
+
+    const entries = (await api.get('/ledger/entries').query({ accountId: buyerAccount.id, type: 'transfer' })).body;
+
+    expect(entries.total).toBeGreaterThan(0);
+    entries.data.forEach((entry) => expect(entry).toMatchObject({ type: 'transfer', toAccountId: buyerAccount.id }));
+  });
+});
+
+describe('GET /credits/portfolio', () => {
+  test('totals credits by project', async () => {
+    const { project, credit } = await issueCredits({ developer, verifier });
+
+    const portfolio = (await api.get('/credits/portfolio')).body.data;
+
+    expect(portfolio.creditsByProject.find((item) => item.projectId === project.id).credits.map((item) => item.id)).toContain(
+      credit.id,
+    );
+  });
+});
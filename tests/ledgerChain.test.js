@@ -0,0 +1,173 @@
+const crypto = require('crypto');
+const { GENESIS_HASH, hashRecord } = require('../services/hashChain');
+const { publishLedgerRoot } = require('../services/ledgerChain');
+const { api, db, auth, register, registerPrivileged, issueCredits } = require('./helpers');
+
+let developer;
+let buyer;
+let verifier;
+let government;
+
+beforeAll(async () => {
+  developer = await register('project_developer', 'developer');
+  buyer = await register('buyer');
+  verifier = await registerPrivileged('verifier');
+  government = await registerPrivileged('government');
+});
+
+const sha256 = (...parts) => crypto.createHash('sha256').update(Buffer.concat(parts)).digest('hex');
+const publishRoot = (session = government) => api.post('/ledger/roots').set(auth(session));
+const verifyLedger = async () => (await api.get('/ledger/verify').set(auth(government))).body.data;
+// The stored record underneath the repository wrappers, for tampering.
+const storedEntry = (sequence) => db.ledgerEntries.repository.items.find((entry) => entry.sequence === sequence);
+
+// Folds an audit path into the root it proves, as an outside verifier would.
+const rootFrom = (leafHash, path) =>
+  path.reduce(
+    (hash, sibling) =>
+      sibling.side === 'left'
+        ? sha256(Buffer.from([1]), Buffer.from(sibling.hash, 'hex'), Buffer.from(hash, 'hex'))
+        : sha256(Buffer.from([1]), Buffer.from(hash, 'hex'), Buffer.from(sibling.hash, 'hex')),
+    leafHash,
+  );
+
+describe('ledger roots', () => {
+  test('cover the entries written since the previous root', async () => {
+    expect((await api.get('/ledger/roots/latest')).status).toBe(404);
+    const { credit } = await issueCredits({ developer, verifier });
+    await api
+      .post(`/credits/${credit.id}/transfer`)
+      .set(auth(developer))
+      .send({ toStakeholderId: buyer.stakeholderId, quantity: 10 });
+
+    expect((await publishRoot(developer)).status).toBe(403);
+    const first = await publishRoot();
+    expect(first.status).toBe(201);
+    const head = await db.ledgerEntries.count();
+    expect(first.body.data).toMatchObject({
+      sequence: 1,
+      prevHash: GENESIS_HASH,
+      fromSequence: 1,
+      toSequence: head,
+      leafCount: head,
+      actor: government.user.email,
+    });
+    expect((await publishRoot()).body.error).toBe('No ledger entries have been written since the last root');
+
+    await issueCredits({ developer, verifier });
+    const second = (await publishRoot()).body.data;
+    expect(second).toMatchObject({ sequence: 2, prevHash: first.body.data.hash, fromSequence: head + 1 });
+
+    expect((await api.get('/ledger/roots/latest')).body.data.id).toBe(second.id);
+    expect((await api.get('/ledger/roots')).body).toMatchObject({
+      total: 2,
+      data: [{ id: second.id }, { id: first.body.data.id }],
+    });
+    expect((await api.get('/ledger/roots').query({ limit: 0 })).status).toBe(400);
+  });
+
+  test('are recorded once when publishes overlap', async () => {
+    await issueCredits({ developer, verifier });
+    const roots = await db.ledgerRoots.count();
+
+    const published = await Promise.all([publishLedgerRoot(db), publishLedgerRoot(db, { actor: government.user.email })]);
+
+    expect(published.filter(Boolean)).toHaveLength(1);
+    expect(await db.ledgerRoots.count()).toBe(roots + 1);
+    expect((await verifyLedger()).roots).toMatchObject({ valid: true, problems: [] });
+  });
+});
+
+describe('GET /ledger/proof/:creditId', () => {
+  test('proves every movement behind a block against a recorded root', async () => {
+    const { credit } = await issueCredits({ developer, verifier });
+    const transferred = await api
+      .post(`/credits/${credit.id}/transfer`)
+      .set(auth(developer))
+      .send({ toStakeholderId: buyer.stakeholderId, quantity: 5 });
+    const moved = transferred.body.data.credit;
+    const root = (await publishRoot()).body.data;
+    await api.post(`/credits/${moved.id}/retire`).set(auth(buyer)).send({ quantity: 5, beneficiary: 'Acme Ltd' });
+
+    const { body } = await api.get(`/ledger/proof/${moved.id}`);
+
+    expect(body.data.lineage).toEqual([moved.id, credit.id]);
+    const [issuance, transfer, retirement] = body.data.entries;
+    expect([issuance.entry.type, transfer.entry.type, retirement.entry.type]).toEqual(['issuance', 'transfer', 'retirement']);
+    [issuance, transfer].forEach(({ entry, leafHash, proof }) => {
+      expect(leafHash).toBe(sha256(Buffer.from([0]), Buffer.from(entry.hash, 'hex')));
+      expect(proof).toMatchObject({ rootSequence: root.sequence, merkleRoot: root.merkleRoot, treeSize: root.leafCount });
+      expect(rootFrom(leafHash, proof.path)).toBe(root.merkleRoot);
+    });
+    // written after the root, so not yet provable
+    expect(retirement.proof).toBeNull();
+    expect((await api.get('/ledger/proof/CRD-missing')).status).toBe(404);
+  });
+});
+
+describe('GET /ledger/verify', () => {
+  test('is for government only', async () => {
+    expect((await api.get('/ledger/verify').set(auth(developer))).status).toBe(403);
+  });
+
+  test('confirms the chain, the roots and the credit balances', async () => {
+    const report = await verifyLedger();
+
+    expect(report).toMatchObject({
+      valid: true,
+      chain: { valid: true, checked: await db.ledgerEntries.count(), unchainedEntries: 0 },
+      roots: { valid: true, problems: [] },
+      state: { valid: true, problems: [] },
+    });
+  });
+
+  test('finds credit records that disagree with the ledger', async () => {
+    const { credit } = await issueCredits({ developer, verifier });
+    await db.carbonCredits.update(credit.id, { creditsAmount: credit.creditsAmount + 50 });
+    try {
+      const report = await verifyLedger();
+
+      expect(report.valid).toBe(false);
+      expect(report.state.problems).toEqual([
+        { creditId: credit.id, problem: `holds ${credit.creditsAmount + 50} units, ledger says ${credit.creditsAmount}` },
+      ]);
+    } finally {
+      await db.carbonCredits.update(credit.id, { creditsAmount: credit.creditsAmount });
+    }
+  });
+
+  test('finds an edited entry and the roots that covered it', async () => {
+    const stored = storedEntry(2);
+    const { quantity } = stored;
+    stored.quantity = quantity + 1;
+    try {
+      const report = await verifyLedger();
+
+      expect(report.chain).toMatchObject({
+        valid: false,
+        checked: 1,
+        brokenAt: { sequence: 2, problem: 'contents do not match its hash' },
+      });
+      expect(report.roots.problems[0]).toEqual({
+        rootSequence: 1,
+        problem: expect.stringMatching(/^covers \d+ entries but 1 verified entries are in its range$/),
+      });
+    } finally {
+      stored.quantity = quantity;
+    }
+    expect((await verifyLedger()).valid).toBe(true);
+  });
+});
+
+describe('chained writes', () => {
+  test('ignore chain fields a caller supplies', async () => {
+    const head = await db.ledgerEntries.count();
+
+    const entry = await db.ledgerEntries.create({ type: 'note', sequence: 1, prevHash: GENESIS_HASH, hash: 'forged' });
+
+    expect(entry.sequence).toBe(head + 1);
+    expect(entry.prevHash).toBe(storedEntry(head).hash);
+    expect(entry.hash).toBe(hashRecord(entry));
+    await expect(db.ledgerEntries.repository.create({ ...entry, id: undefined })).rejects.toMatchObject({ code: 11000 });
+  });
+});
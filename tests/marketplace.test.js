@@ -0,0 +1,196 @@
+const { api, db, auth, register, registerPrivileged, issueCredits } = require('./helpers');
+
+let developer;
+let buyer;
+let verifier;
+
+beforeAll(async () => {
+  developer = await register('project_developer', 'developer');
+  buyer = await register('buyer');
+  verifier = await registerPrivileged('verifier');
+});
+
+const list = (session, creditId, body) => api.post(`/marketplace/credits/${creditId}/list`).set(auth(session)).send(body);
+const bid = (session, body) => api.post('/marketplace/orders').set(auth(session)).send(body);
+const bookOf = (credit) => ({ methodology: credit.methodology, vintage: credit.vintage });
+
+describe('POST /marketplace/credits/:id/list', () => {
+  test.each([['abc'], ['NaN'], ['Infinity'], [0], [-5], [''], [null]])('refuses a price of %p', async (price) => {
+    const { credit } = await issueCredits({ developer, verifier });
+
+    const res = await list(developer, credit.id, { price });
+
+    expect(res.status).toBe(400);
+    expect(res.body.error).toBe('Valid price is required');
+    expect(await db.marketplaceListings.count({ creditId: credit.id })).toBe(0);
+  });
+
+  test.each([['abc'], [0], [2.5], [null]])('refuses a minimum quantity of %p', async (minimumQuantity) => {
+    const { credit } = await issueCredits({ developer, verifier });
+
+    const res = await list(developer, credit.id, { price: 10, minimumQuantity });
+
+    expect(res.status).toBe(400);
+    expect(res.body.error).toBe('Quantity must be a positive whole number of credits');
+    expect(await db.marketplaceListings.count({ creditId: credit.id })).toBe(0);
+  });
+
+  test.each([['next week'], ['2001-01-01']])('refuses an expiry date of %p', async (expiryDate) => {
+    const { credit } = await issueCredits({ developer, verifier });
+
+    const res = await list(developer, credit.id, { price: 10, expiryDate });
+
+    expect(res.status).toBe(400);
+    expect(res.body.error).toBe('expiryDate must be a valid date in the future');
+    expect(await db.marketplaceListings.count({ creditId: credit.id })).toBe(0);
+  });
+
+  test('stores the expiry date as an ISO timestamp the order book honours', async () => {
+    const { credit } = await issueCredits({ developer, verifier });
+
+    const listing = (await list(developer, credit.id, { price: 10, expiryDate: '2099-06-30' })).body.data;
+
+    expect(listing.expiryDate).toBe('2099-06-30T00:00:00.000Z');
+    const book = (await api.get('/marketplace/orderbook').query(bookOf(credit))).body.data;
+    expect(book.offers).toContainEqual(expect.objectContaining({ price: 10 }));
+  });
+
+  test('lists the unlisted units of a block at a parsed price', async () => {
+    const { credit } = await issueCredits({ developer, verifier });
+
+    const res = await list(developer, credit.id, { price: '12.50', minimumQuantity: 5, tags: 'Blue, mangrove' });
+
+    expect(res.status).toBe(201);
+    expect(res.body.data).toMatchObject({
+      price: 12.5,
+      availableQuantity: credit.creditsAmount,
+      minimumQuantity: 5,
+      tags: ['blue', 'mangrove'],
+      status: 'active',
+    });
+    expect((await list(developer, credit.id, { price: 15 })).body.error).toBe('No unlisted credits remain in this block');
+    expect((await api.get(`/marketplace/listings/${res.body.data.id}`)).body.data.id).toBe(res.body.data.id);
+    expect((await api.get('/marketplace/listings/LST-missing')).status).toBe(404);
+  });
+});
+
+describe('POST /marketplace/listings/:id/buy', () => {
+  test('transfers the units to the buyer at the asking price', async () => {
+    const { credit } = await issueCredits({ developer, verifier });
+    const listing = (await list(developer, credit.id, { price: 10 })).body.data;
+
+    const res = await api.post(`/marketplace/listings/${listing.id}/buy`).set(auth(buyer)).send({ quantity: 5 });
+
+    expect(res.status).toBe(201);
+    expect(res.body.data).toMatchObject({ quantity: 5, price: 10 });
+    expect((await db.carbonCredits.findById(res.body.data.creditId)).ownerId).toBe(buyer.stakeholderId);
+    expect((await api.get(`/marketplace/listings/${listing.id}`)).body.data.availableQuantity).toBe(credit.creditsAmount - 5);
+  });
+
+  test('enforces quantity, minimums and who may buy', async () => {
+    const { credit } = await issueCredits({ developer, verifier });
+    const listing = (await list(developer, credit.id, { price: 10, minimumQuantity: 5 })).body.data;
+    const buy = (session, body) => api.post(`/marketplace/listings/${listing.id}/buy`).set(auth(session)).send(body);
+
+    expect((await buy(buyer, {})).status).toBe(400);
+    expect((await buy(buyer, { quantity: 2 })).body.error).toBe('Minimum purchase for this listing is 5 credits');
+    expect((await buy(buyer, { quantity: credit.creditsAmount + 1 })).status).toBe(400);
+    expect((await buy(developer, { quantity: 5 })).body.error).toBe('Sellers cannot buy from their own listing');
+    expect((await api.post('/marketplace/listings/LST-missing/buy').set(auth(buyer)).send({ quantity: 5 })).status).toBe(404);
+  });
+
+  test('concurrent buyers cannot take more than the listing holds', async () => {
+    const { credit } = await issueCredits({ developer, verifier, creditsAmount: 10 });
+    const listing = (await list(developer, credit.id, { price: 10 })).body.data;
+    const other = await register('buyer', 'other-buyer');
+
+    const results = await Promise.all(
+      [buyer, other].map((session) =>
+        api.post(`/marketplace/listings/${listing.id}/buy`).set(auth(session)).send({ quantity: credit.creditsAmount }),
+      ),
+    );
+
+    expect(results.map((res) => res.status).sort()).toEqual([201, 400]);
+    expect((await api.get(`/marketplace/listings/${listing.id}`)).body.data).toMatchObject({ availableQuantity: 0, status: 'sold' });
+  });
+});
+
+describe('market orders', () => {
+  test.each([['abc'], [0], [-1], ['Infinity']])('refuses a bid price of %p', async (price) => {
+    const res = await bid(buyer, { methodology: 'VM0033', vintage: '2024', quantity: 1, price });
+
+    expect(res.status).toBe(400);
+    expect(res.body.error).toBe('Valid price is required');
+  });
+
+  test.each([['next week'], ['2001-01-01']])('refuses a bid expiring %p', async (expiryDate) => {
+    const res = await bid(buyer, { methodology: 'VM0033', vintage: '2024', quantity: 1, price: 5, expiryDate });
+
+    expect(res.status).toBe(400);
+    expect(res.body.error).toBe('expiryDate must be a valid date in the future');
+  });
+
+  test('stores a bid expiry as an ISO timestamp', async () => {
+    const expiryDate = '2099-06-30T12:00:00+02:00';
+
+    const res = await bid(buyer, { methodology: 'VM0007', vintage: '2019', quantity: 1, price: 1, expiryDate });
+
+    expect(res.status).toBe(201);
+    expect(res.body.data.order.expiryDate).toBe('2099-06-30T10:00:00.000Z');
+  });
+
+  test('a bid at or above the best offer fills at the resting price', async () => {
+    const { credit } = await issueCredits({ developer, verifier });
+    await list(developer, credit.id, { price: 8 });
+
+    const res = await bid(buyer, { ...bookOf(credit), quantity: 3, price: '9.5' });
+
+    expect(res.status).toBe(201);
+    expect(res.body.data.order).toMatchObject({ price: 9.5, filledQuantity: 3, status: 'filled' });
+    expect(res.body.data.fills).toEqual([expect.objectContaining({ quantity: 3, price: 8 })]);
+  });
+
+  test('a resting bid fills when a matching listing arrives', async () => {
+    const { credit } = await issueCredits({ developer, verifier });
+    // Priced under the offers earlier tests left in the book
+    const order = (await bid(buyer, { ...bookOf(credit), quantity: 4, price: 2 })).body.data.order;
+
+    const book = (await api.get('/marketplace/orderbook').query(bookOf(credit))).body.data;
+    expect(order.status).toBe('open');
+    expect(book.bestBid).toBe(2);
+
+    await list(developer, credit.id, { price: 1.5 });
+
+    const filled = (await api.get(`/marketplace/orders/${order.id}`).set(auth(buyer))).body.data;
+    expect(filled).toMatchObject({ status: 'filled', filledQuantity: 4 });
+  });
+
+  test('orders are private to the bidder and can be cancelled while open', async () => {
+    const order = (await bid(buyer, { methodology: 'VM0007', vintage: '2020', quantity: 2, price: 5 })).body.data.order;
+
+    expect((await api.get('/marketplace/orders').set(auth(buyer))).body.data.map((item) => item.id)).toContain(order.id);
+    expect((await api.get(`/marketplace/orders/${order.id}`).set(auth(developer))).status).toBe(404);
+    expect((await api.delete(`/marketplace/orders/${order.id}`).set(auth(developer))).status).toBe(403);
+    expect((await api.delete(`/marketplace/orders/${order.id}`).set(auth(buyer))).body.data.status).toBe('cancelled');
+    expect((await api.delete(`/marketplace/orders/${order.id}`).set(auth(buyer))).status).toBe(400);
+    expect((await api.get('/marketplace/orders').query({ status: 'cancelled' }).set(auth(buyer))).body.total).toBeGreaterThan(0);
+  });
+
+  test('the order book needs a methodology and vintage', async () => {
+    expect((await api.get('/marketplace/orderbook')).status).toBe(400);
+    expect((await bid(buyer, { price: 5 })).status).toBe(400);
+  });
+});
+
+describe('GET /marketplace/prices', () => {
+  test('summarises active listings', async () => {
+    const { credit } = await issueCredits({ developer, verifier });
+    await list(developer, credit.id, { price: 25 });
+
+    const stats = (await api.get('/marketplace/prices')).body.data;
+
+    expect(stats.maxPrice).toBe(25);
+    expect(stats.priceRange.high).toBeGreaterThan(0);
+    expect(Number.isFinite(stats.averagePrice)).toBe(true);
+  });
+});
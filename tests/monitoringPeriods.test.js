@@ -0,0 +1,184 @@
+const { api, db, auth, META, register, registerPrivileged, createProject, uploadData, submitUpload } = require('./helpers');
+
+let developer;
+let outsider;
+let verifier;
+
+beforeAll(async () => {
+  developer = await register('project_developer', 'developer');
+  outsider = await register('project_developer', 'outsider');
+  verifier = await registerPrivileged('verifier');
+});
+
+const addPeriod = (session, project, startDate, endDate) =>
+  api.post(`/projects/${project.id}/monitoring-periods`).set(auth(session)).send({ startDate, endDate });
+const periodOf = async (project, period) => (await api.get(`/projects/${project.id}/monitoring-periods/${period.id}`)).body.data;
+const collectedOn = (collectionDate) => ({ metadata: { ...META, collectionDate } });
+// An upload request whose response is checked by the caller.
+const sendUpload = (project, metadata, fields = {}) => {
+  let req = api
+    .post('/data/upload')
+    .set(auth(developer))
+    .field('projectId', project.id)
+    .field('dataType', 'field_survey')
+    .field('metadata', JSON.stringify(metadata));
+  Object.entries(fields).forEach(([name, value]) => {
+    req = req.field(name, value);
+  });
+  return req;
+};
+const review = (submission, action, body = {}) =>
+  api.post(`/verification/submissions/${submission.id}/${action}`).set(auth(verifier)).send(body);
+const generate = (project, verification, body = {}) =>
+  api
+    .post('/credits/generate')
+    .set(auth(developer))
+    .send({ projectId: project.id, verificationId: verification.id, creditsAmount: 100, ...body });
+
+describe('POST /projects/:id/monitoring-periods', () => {
+  test('numbers periods and sets their vintage from the end date', async () => {
+    const project = await createProject(developer);
+
+    const first = await addPeriod(developer, project, '2023-01-01', '2023-12-31');
+    const second = await addPeriod(developer, project, '2024-01-01', '2024-06-30');
+
+    expect(first.status).toBe(201);
+    expect(first.body.data).toMatchObject({
+      number: 1,
+      status: 'open',
+      vintage: '2023',
+      startDate: '2023-01-01T00:00:00.000Z',
+      endDate: '2023-12-31T23:59:59.999Z',
+      history: [{ from: null, to: 'open', actor: developer.user.email }],
+    });
+    expect(second.body.data).toMatchObject({ number: 2, vintage: '2024' });
+    expect((await api.get(`/projects/${project.id}/monitoring-periods`)).body).toMatchObject({ total: 2 });
+  });
+
+  test('keeps periods apart and inside the project dates', async () => {
+    const project = await createProject(developer);
+    await addPeriod(developer, project, '2023-01-01', '2023-12-31');
+
+    const overlap = await addPeriod(developer, project, '2023-12-31', '2024-03-31');
+    expect(overlap.status).toBe(409);
+    expect(overlap.body.error).toBe('Dates overlap monitoring period 1 (2023-01-01 to 2023-12-31)');
+    expect((await addPeriod(developer, project, '2021-06-01', '2021-12-31')).body.error).toBe(
+      'Monitoring periods cannot start before the project does',
+    );
+    expect((await addPeriod(developer, project, '2032-01-01', '2033-12-31')).status).toBe(400);
+    expect((await addPeriod(developer, project, '2025-06-01', '2025-01-01')).body.error).toBe('startDate must be before endDate');
+    expect((await addPeriod(developer, project, 'soon', '2025-01-01')).body.error).toBe('startDate must be a valid date');
+  });
+
+  test('is limited to the project stakeholders', async () => {
+    const project = await createProject(developer);
+
+    expect((await addPeriod(outsider, project, '2023-01-01', '2023-12-31')).status).toBe(403);
+    expect((await addPeriod(developer, { id: 'PRJ-missing' }, '2023-01-01', '2023-12-31')).status).toBe(404);
+  });
+});
+
+describe('uploads into periods', () => {
+  let project;
+  let period;
+  beforeEach(async () => {
+    project = await createProject(developer);
+    period = (await addPeriod(developer, project, '2023-01-01', '2023-12-31')).body.data;
+  });
+
+  test('attach to the period covering their collection date', async () => {
+    const dataUpload = await uploadData(developer, project.id, collectedOn('2023-06-01'));
+
+    expect(dataUpload.monitoringPeriodId).toBe(period.id);
+    expect((await periodOf(project, period)).uploads.map((upload) => upload.id)).toEqual([dataUpload.id]);
+  });
+
+  test('are refused outside every period, or outside the one named', async () => {
+    expect((await sendUpload(project, META)).body.error).toBe(
+      'collectionDate 2024-01-15 falls outside every monitoring period of this project',
+    );
+    expect((await sendUpload(project, META, { monitoringPeriodId: period.id })).body.error).toBe(
+      'collectionDate 2024-01-15 falls outside monitoring period 1 (2023-01-01 to 2023-12-31)',
+    );
+    expect((await sendUpload(project, META, { monitoringPeriodId: 'MPD-missing' })).status).toBe(404);
+  });
+
+  test('go to projects without periods as before', async () => {
+    const unplanned = await createProject(developer);
+
+    expect((await uploadData(developer, unplanned.id)).monitoringPeriodId).toBeUndefined();
+  });
+});
+
+describe('period lifecycle', () => {
+  let project;
+  let period;
+  beforeEach(async () => {
+    project = await createProject(developer, { category: 'renewable_energy' });
+    period = (await addPeriod(developer, project, '2023-01-01', '2023-12-31')).body.data;
+  });
+
+  test('submission, rejection and approval move the period', async () => {
+    const first = await submitUpload(developer, (await uploadData(developer, project.id, collectedOn('2023-03-01'))).id);
+    expect((await periodOf(project, period)).status).toBe('submitted');
+
+    // a submitted period still takes data, but not a second verification
+    const late = await uploadData(developer, project.id, collectedOn('2023-09-01'));
+    const second = await api.post(`/data/uploads/${late.id}/verify`).set(auth(developer)).send({});
+    expect(second.status).toBe(409);
+    expect(second.body.error).toMatch(`already being verified in submission ${first.id}`);
+
+    await review(first, 'assign');
+    await review(first, 'reject', { reason: 'Plots missing' });
+    expect((await periodOf(project, period)).status).toBe('open');
+
+    const retry = await submitUpload(developer, late.id);
+    await review(retry, 'assign');
+    await review(retry, 'approve', { creditsGenerated: 100 });
+
+    const verified = await periodOf(project, period);
+    expect(verified).toMatchObject({ status: 'verified', verificationId: retry.id, creditsApproved: 100, creditsIssued: 0 });
+    expect(verified.history.map((entry) => entry.to)).toEqual(['open', 'submitted', 'open', 'submitted', 'verified']);
+    expect((await sendUpload(project, { ...META, collectionDate: '2023-10-01' })).body.error).toBe(
+      'Monitoring period 1 is verified and no longer accepts uploads',
+    );
+  });
+
+  test('credits take the period vintage and issuing them all closes it', async () => {
+    const submission = await submitUpload(developer, (await uploadData(developer, project.id, collectedOn('2023-03-01'))).id);
+    expect((await generate(project, submission)).status).toBe(400);
+    await review(submission, 'assign');
+    await review(submission, 'approve', { creditsGenerated: 100 });
+
+    expect((await generate(project, submission, { vintage: '2025' })).body.error).toBe(
+      'Vintage is set by monitoring period 1 (2023-01-01 to 2023-12-31): 2023',
+    );
+    const partial = await generate(project, submission, { creditsAmount: 40 });
+    expect(partial.body.data).toMatchObject({ vintage: '2023', monitoringPeriodId: period.id });
+    expect((await generate(project, submission, { creditsAmount: 60, vintage: '2023' })).status).toBe(201);
+
+    const closed = await periodOf(project, period);
+    expect(closed).toMatchObject({ status: 'closed', creditsIssued: 100 });
+    expect(closed.credits).toHaveLength(2);
+    expect(closed.history[closed.history.length - 1]).toMatchObject({ to: 'closed', reason: 'All verified credits issued' });
+  });
+
+  test('a verified period can be closed early, which stops issuance', async () => {
+    const close = (session, target) =>
+      api.post(`/projects/${project.id}/monitoring-periods/${target.id}/close`).set(auth(session)).send({ reason: 'Rest forfeited' });
+
+    expect((await close(developer, period)).body.error).toBe('Monitoring period 1 is open and cannot become closed');
+
+    const submission = await submitUpload(developer, (await uploadData(developer, project.id, collectedOn('2023-03-01'))).id);
+    await review(submission, 'assign');
+    await review(submission, 'approve', { creditsGenerated: 100 });
+
+    expect((await close(outsider, period)).status).toBe(403);
+    expect((await close(developer, period)).body.data).toMatchObject({ status: 'closed', closedAt: expect.any(String) });
+    expect((await generate(project, submission, { creditsAmount: 10 })).body.error).toBe(
+      'Monitoring period 1 is closed; credits are only issued while it is verified',
+    );
+    expect(await db.carbonCredits.count({ monitoringPeriodId: period.id })).toBe(0);
+    expect((await close(developer, { id: 'MPD-missing' })).status).toBe(404);
+  });
+});
@@ -0,0 +1,139 @@
+const { api, auth, register, registerPrivileged, createProject, uploadData, submitUpload, issueCredits } = require('./helpers');
+
+let developer;
+let verifier;
+
+beforeAll(async () => {
+  developer = await register('project_developer', 'developer');
+  verifier = await registerPrivileged('verifier');
+});
+
+const list = (path, query) => api.get(path).query(query);
+const namesOf = async (query) => (await list('/projects', { state: 'Goa', ...query })).body.data.map((project) => project.name);
+
+// Follows nextCursor from the first page to the last.
+const walk = async (path, query) => {
+  const pages = [];
+  let cursor;
+  do {
+    const { body } = await list(path, { ...query, cursor });
+    pages.push(body);
+    cursor = body.page.nextCursor;
+  } while (cursor);
+  return pages;
+};
+
+describe('GET /projects paging', () => {
+  beforeAll(async () => {
+    const goa = (name, category, startDate) =>
+      createProject(developer, { name, category, startDate, location: { country: 'IN', state: 'Goa' } });
+    await goa('Cashew Agroforestry', 'agroforestry', '2022-03-01');
+    await goa('Estuary Mangroves', 'blue_carbon', '2023-01-01');
+    await goa('Biochar Fields', 'soil_carbon', '2022-06-01');
+    await goa('Dune Grasses', 'blue_carbon', '2024-01-01');
+    await goa('Anjuna Solar', 'renewable_energy', '2022-01-01');
+  });
+
+  test('walks every page once, in sort order', async () => {
+    const pages = await walk('/projects', { state: 'Goa', sort: 'name', limit: 2 });
+
+    expect(pages.map((page) => page.data.map((project) => project.name))).toEqual([
+      ['Anjuna Solar', 'Biochar Fields'],
+      ['Cashew Agroforestry', 'Dune Grasses'],
+      ['Estuary Mangroves'],
+    ]);
+    expect(pages[0]).toMatchObject({ total: 5, page: { limit: 2, sort: 'name', total: 5, hasMore: true } });
+    expect(pages[2].page).toMatchObject({ hasMore: false, nextCursor: null });
+  });
+
+  test('a cursor holds its place while records are added ahead of it', async () => {
+    const first = (await list('/projects', { state: 'Goa', sort: 'name', limit: 2 })).body;
+    const late = await createProject(developer, { name: 'Aldona Wetland', location: { country: 'IN', state: 'Goa' } });
+
+    const next = (await list('/projects', { state: 'Goa', sort: 'name', limit: 2, cursor: first.page.nextCursor })).body;
+
+    expect(next.data.map((project) => project.name)).toEqual(['Cashew Agroforestry', 'Dune Grasses']);
+    expect(next.total).toBe(6);
+    await api.delete(`/projects/${late.id}`).set(auth(developer));
+  });
+
+  test('sorts descending and filters by list, place and date range', async () => {
+    expect(await namesOf({ sort: '-startDate', limit: 2 })).toEqual(['Dune Grasses', 'Estuary Mangroves']);
+    expect(await namesOf({ category: 'blue_carbon,soil_carbon', sort: 'name' })).toEqual([
+      'Biochar Fields',
+      'Dune Grasses',
+      'Estuary Mangroves',
+    ]);
+    expect(await namesOf({ startFrom: '2022-02-01', startTo: '2022-12-31', sort: 'startDate' })).toEqual([
+      'Cashew Agroforestry',
+      'Biochar Fields',
+    ]);
+    expect(await namesOf({ country: 'KE' })).toEqual([]);
+  });
+
+  test('refuses malformed paging', async () => {
+    const errorOf = async (query) => (await list('/projects', query)).body.error;
+    const byName = (await list('/projects', { sort: 'name', limit: 1 })).body.page.nextCursor;
+
+    expect(await errorOf({ sort: 'budget' })).toMatch(/^sort must be one of: createdAt, updatedAt, name, /);
+    expect(await errorOf({ limit: 0 })).toBe('limit must be a whole number of at least 1');
+    expect(await errorOf({ cursor: 'not-a-cursor' })).toBe('cursor is not valid; use the nextCursor of a previous page');
+    expect(await errorOf({ sort: '-name', cursor: byName })).toBe(
+      'cursor was issued for sort=name; start again without a cursor to sort by -name',
+    );
+    expect(await errorOf({ startFrom: 'spring' })).toBe('startFrom must be a valid date');
+    expect((await list('/projects', { limit: 5000 })).body.page.limit).toBe(200);
+  });
+});
+
+describe('other list endpoints', () => {
+  let project;
+  beforeAll(async () => {
+    project = await createProject(developer, { category: 'renewable_energy' });
+  });
+
+  test('stakeholders filter by category and sort by name', async () => {
+    await registerPrivileged('verifier', 'zeta-audits');
+    await registerPrivileged('verifier', 'alpha-audits');
+
+    const names = (await list('/stakeholders', { category: 'verifier' })).body.data.map((stakeholder) => stakeholder.name);
+
+    expect(names).toEqual(['alpha-audits', 'verifier', 'zeta-audits']);
+  });
+
+  test('uploads and submissions filter by project, type and status', async () => {
+    const survey = await uploadData(developer, project.id);
+    const sensor = await uploadData(developer, project.id, {
+      dataType: 'sensor_data',
+      metadata: { collectionDate: '2024-02-01', location: { latitude: 10, longitude: 20 }, deviceId: 'D1', samplingIntervalSeconds: 60 },
+    });
+    const submission = await submitUpload(developer, sensor.id);
+
+    const uploads = (await list('/data/uploads', { projectId: project.id, sort: 'metadata.collectionDate' })).body.data;
+    expect(uploads.map((upload) => upload.id)).toEqual([survey.id, sensor.id]);
+    expect((await list('/data/uploads', { projectId: project.id, dataType: 'sensor_data' })).body.total).toBe(1);
+    expect((await list('/data/uploads', { collectedFrom: 'later' })).status).toBe(400);
+
+    const pending = (await list('/verification/submissions', { projectId: project.id, status: 'pending' })).body;
+    expect(pending.data.map((entry) => entry.id)).toEqual([submission.id]);
+    expect(pending.page.sort).toBe('-submittedAt');
+  });
+
+  test('credits and marketplace listings filter by project and price', async () => {
+    const cheap = (await issueCredits({ developer, verifier, project: await createProject(developer, { category: 'renewable_energy' }) }))
+      .credit;
+    const dear = (await issueCredits({ developer, verifier, project: await createProject(developer, { category: 'agroforestry' }) }))
+      .credit;
+    const offer = (credit, price) => api.post(`/marketplace/credits/${credit.id}/list`).set(auth(developer)).send({ price });
+    await offer(cheap, 12);
+    await offer(dear, 30);
+
+    expect((await list('/credits', { projectId: cheap.projectId })).body.data.map((credit) => credit.id)).toEqual([cheap.id]);
+    const prices = async (query) => (await list('/marketplace/credits', query)).body.data.map((listing) => listing.price);
+    expect(await prices({})).toEqual([12, 30]);
+    expect(await prices({ sort: '-price' })).toEqual([30, 12]);
+    expect(await prices({ minPrice: 20 })).toEqual([30]);
+    expect(await prices({ category: 'renewable_energy' })).toEqual([12]);
+    expect((await list('/marketplace/credits', { maxPrice: 'cheap' })).body.error).toBe('maxPrice must be a number');
+  });
+});
@@ -0,0 +1,280 @@
+const {
+  app,
+  api,
+  db,
+  auth,
+  META,
+  register,
+  registerPrivileged,
+  createProject,
+  uploadData,
+  submitUpload,
+  issueCredits,
+} = require('./helpers');
+
+const { storage } = app.locals;
+
+let developer;
+let partner;
+let verifier;
+let government;
+
+beforeAll(async () => {
+  developer = await register('project_developer', 'developer');
+  partner = await register('project_developer', 'partner');
+  verifier = await registerPrivileged('verifier');
+  government = await registerPrivileged('government');
+});
+
+const patch = (session, project, body) => api.patch(`/projects/${project.id}`).set(auth(session)).send(body);
+const move = (session, project, status, reason) =>
+  api.post(`/projects/${project.id}/status`).set(auth(session)).send({ status, reason });
+const reclassify = (session, project, body) => api.put(`/projects/${project.id}/category`).set(auth(session)).send(body);
+const link = (session, project, stakeholderId) =>
+  api.post(`/projects/${project.id}/stakeholders`).set(auth(session)).send({ stakeholderId });
+const unlink = (session, project, stakeholderId) =>
+  api.delete(`/projects/${project.id}/stakeholders/${stakeholderId}`).set(auth(session));
+const addPeriod = async (project) =>
+  (
+    await api
+      .post(`/projects/${project.id}/monitoring-periods`)
+      .set(auth(developer))
+      .send({ startDate: '2024-01-01', endDate: '2024-12-31' })
+  ).body.data;
+
+describe('PATCH /projects/:id', () => {
+  test('changes only the fields sent and merges nested objects', async () => {
+    const project = await createProject(developer);
+    await patch(developer, project, { budget: { amount: 1000, currency: 'INR' } });
+
+    const res = await patch(developer, project, { description: 'Replanting', budget: { amount: 2000 }, location: { state: null } });
+
+    expect(res.body.data).toMatchObject({
+      name: project.name,
+      description: 'Replanting',
+      budget: { amount: 2000, currency: 'INR' },
+      location: { country: 'IN' },
+    });
+    expect(res.body.data.location).not.toHaveProperty('state');
+  });
+
+  test('refuses fields the server keeps or that change elsewhere', async () => {
+    const project = await createProject(developer);
+
+    expect((await patch(developer, project, { id: 'PRJ-mine', status: 'completed' })).body.error).toBe(
+      'id is assigned by the server; status changes through POST /projects/:id/status',
+    );
+    expect((await patch(developer, project, { category: 'renewable_energy' })).body.error).toBe(
+      'category is changed by government through PUT /projects/:id/category',
+    );
+    expect((await patch(government, project, { stakeholders: [partner.stakeholderId] })).body.error).toBe(
+      'stakeholders are linked by government through POST /projects/:id/stakeholders',
+    );
+    expect((await patch(developer, project, { colour: 'green' })).body.error).toBe('Unknown field: colour');
+    expect((await patch(developer, project, { name: null })).body.error).toBe('name cannot be removed');
+    expect((await patch(developer, project, {})).status).toBe(400);
+    expect(await db.projects.findById(project.id)).toMatchObject({ category: 'blue_carbon', stakeholders: [developer.stakeholderId] });
+  });
+
+  test('checks dates against each other and the monitoring periods', async () => {
+    const project = await createProject(developer);
+    await api
+      .post(`/projects/${project.id}/monitoring-periods`)
+      .set(auth(developer))
+      .send({ startDate: '2023-01-01', endDate: '2023-12-31' });
+
+    expect((await patch(developer, project, { endDate: '2021-01-01' })).body.error).toBe('startDate must be before endDate');
+    expect((await patch(developer, project, { startDate: '2023-06-01' })).body.error).toBe(
+      "Monitoring period 1 would fall outside the project's dates",
+    );
+    expect((await patch(developer, project, { startDate: 'someday' })).status).toBe(400);
+  });
+});
+
+describe('POST /projects', () => {
+  test('links only the creator', async () => {
+    const res = await api
+      .post('/projects')
+      .set(auth(developer))
+      .send({ name: 'P', category: 'blue_carbon', location: { country: 'IN' }, stakeholders: [partner.stakeholderId] });
+
+    expect(res.status).toBe(400);
+    expect(res.body.error).toBe('Stakeholders are linked by government through POST /projects/:id/stakeholders');
+  });
+
+  test('starts projects as planning or active only', async () => {
+    const body = { name: 'P', category: 'blue_carbon', location: { country: 'IN' } };
+
+    expect((await api.post('/projects').set(auth(developer)).send({ ...body, status: 'planning' })).body.data.status).toBe('planning');
+    expect((await api.post('/projects').set(auth(developer)).send({ ...body, status: 'completed' })).status).toBe(400);
+  });
+});
+
+describe('PUT /projects/:id/category', () => {
+  test('is a government action that records who changed it and why', async () => {
+    const project = await createProject(developer);
+
+    expect((await reclassify(developer, project, { category: 'renewable_energy', reason: 'Mine' })).status).toBe(403);
+    expect((await reclassify(verifier, project, { category: 'renewable_energy', reason: 'Mine' })).status).toBe(403);
+    expect((await reclassify(government, project, { category: 'renewable_energy' })).body.error).toBe(
+      'A reason is required to change a project category',
+    );
+    expect((await reclassify(government, project, { category: 'blue_carbon', reason: 'Same' })).status).toBe(409);
+
+    const res = await reclassify(government, project, { category: 'soil_carbon', reason: 'Registered as cropland' });
+    expect(res.body.data).toMatchObject({
+      category: 'soil_carbon',
+      reclassifiedBy: government.user.email,
+      reclassificationReason: 'Registered as cropland',
+    });
+    expect((await reclassify(government, { id: 'PRJ-missing' }, { category: 'x', reason: 'y' })).status).toBe(404);
+  });
+
+  test('is settled once credits have been issued', async () => {
+    const { project } = await issueCredits({ developer, verifier });
+
+    const res = await reclassify(government, project, { category: 'renewable_energy', reason: 'No buffer needed' });
+
+    expect(res.status).toBe(409);
+    expect(res.body.error).toBe('Projects with issued credits cannot change category');
+  });
+});
+
+describe('project stakeholders', () => {
+  test('government links and unlinks them, on both records', async () => {
+    const project = await createProject(developer);
+
+    expect((await link(developer, project, partner.stakeholderId)).status).toBe(403);
+    const linked = await link(government, project, partner.stakeholderId);
+    expect(linked.status).toBe(201);
+    expect(linked.body.data.stakeholders).toEqual([developer.stakeholderId, partner.stakeholderId]);
+    expect((await db.stakeholders.findById(partner.stakeholderId)).projects).toContain(project.id);
+
+    // the partner may now act for the project
+    expect((await patch(partner, project, { description: 'Joint venture' })).status).toBe(200);
+
+    expect((await unlink(developer, project, partner.stakeholderId)).status).toBe(403);
+    expect((await unlink(government, project, partner.stakeholderId)).body.data.stakeholders).toEqual([developer.stakeholderId]);
+    expect((await db.stakeholders.findById(partner.stakeholderId)).projects).not.toContain(project.id);
+    expect((await patch(partner, project, { description: 'Taken over' })).status).toBe(403);
+  });
+
+  test('refuses unknown, repeated and missing links', async () => {
+    const project = await createProject(developer);
+
+    expect((await link(government, project, 'STK-missing')).status).toBe(404);
+    expect((await link(government, project, developer.stakeholderId)).status).toBe(409);
+    expect((await link(government, project)).status).toBe(400);
+    expect((await unlink(government, project, partner.stakeholderId)).body.error).toBe('Stakeholder is not linked to this project');
+  });
+});
+
+describe('POST /projects/:id/status', () => {
+  test('follows the lifecycle and records each move', async () => {
+    const project = await createProject(developer, { status: 'planning' });
+
+    expect((await move(developer, project, 'completed')).body.error).toBe('Cannot move a project that is planning to completed');
+    expect((await move(developer, project, 'active')).status).toBe(200);
+    expect((await move(developer, project, 'cancelled')).body.error).toBe('A reason is required to move a project to cancelled');
+    const cancelled = await move(developer, project, 'cancelled', 'Land dispute');
+
+    expect(cancelled.body.data.statusHistory.map(({ from, to }) => [from, to])).toEqual([
+      [null, 'planning'],
+      ['planning', 'active'],
+      ['active', 'cancelled'],
+    ]);
+    expect((await move(developer, project, 'active')).status).toBe(409);
+  });
+
+  test('suspension and reinstatement are for government, and suspended projects take no data', async () => {
+    const project = await createProject(developer);
+
+    expect((await move(developer, project, 'suspended', 'Audit')).status).toBe(403);
+    expect((await move(government, project, 'suspended', 'Audit')).status).toBe(200);
+
+    const upload = await api
+      .post('/data/upload')
+      .set(auth(developer))
+      .field('projectId', project.id)
+      .field('dataType', 'field_survey')
+      .field('metadata', JSON.stringify(META));
+    expect(upload.status).toBe(409);
+    expect(upload.body.error).toBe('Project is suspended; data uploads are not accepted');
+
+    expect((await move(developer, project, 'active')).status).toBe(403);
+    expect((await move(government, project, 'active')).status).toBe(200);
+    expect(await uploadData(developer, project.id)).toBeTruthy();
+  });
+
+  test('completion waits for verifications in progress', async () => {
+    const project = await createProject(developer);
+    const dataUpload = await uploadData(developer, project.id);
+    await api.post(`/data/uploads/${dataUpload.id}/verify`).set(auth(developer)).send({});
+
+    expect((await move(developer, project, 'completed')).body.error).toBe(
+      'Project has verifications in progress and cannot be completed yet',
+    );
+  });
+});
+
+describe('DELETE /projects/:id', () => {
+  test('keeps projects that have issued credits', async () => {
+    const { project } = await issueCredits({ developer, verifier });
+
+    const res = await api.delete(`/projects/${project.id}`).set(auth(developer));
+
+    expect(res.status).toBe(409);
+    expect(res.body.error).toBe('Projects with issued credits cannot be deleted; cancel the project instead');
+  });
+
+  test('keeps projects with data submitted for verification', async () => {
+    const project = await createProject(developer);
+    const dataUpload = await uploadData(developer, project.id);
+    await submitUpload(developer, dataUpload.id);
+
+    const res = await api.delete(`/projects/${project.id}`).set(auth(developer));
+
+    expect(res.status).toBe(409);
+    expect(res.body.error).toBe('Projects with data submitted for verification cannot be deleted; cancel the project instead');
+    expect(await db.dataUploads.findById(dataUpload.id)).not.toBeNull();
+  });
+
+  test('keeps projects with validated uploads', async () => {
+    const project = await createProject(developer);
+    const dataUpload = await uploadData(developer, project.id);
+    await db.dataUploads.update(dataUpload.id, { status: 'validated' });
+
+    const res = await api.delete(`/projects/${project.id}`).set(auth(developer));
+
+    expect(res.status).toBe(409);
+    expect(res.body.error).toBe('Projects with data submitted for verification cannot be deleted; cancel the project instead');
+  });
+
+  test('keeps projects with submitted monitoring periods', async () => {
+    const project = await createProject(developer);
+    const period = await addPeriod(project);
+    await db.monitoringPeriods.update(period.id, { status: 'submitted' });
+
+    const res = await api.delete(`/projects/${project.id}`).set(auth(developer));
+
+    expect(res.status).toBe(409);
+    expect(res.body.error).toBe('Projects with submitted monitoring periods cannot be deleted; cancel the project instead');
+  });
+
+  test('removes draft uploads, their measurements and files, and open periods with the project', async () => {
+    const project = await createProject(developer);
+    const period = await addPeriod(project);
+    const dataUpload = await uploadData(developer, project.id, { files: [['plots.csv', 'plotId,heightM\nA,12\n']] });
+    const { storageKey } = dataUpload.files[0];
+    expect(await db.measurements.count({ uploadId: dataUpload.id })).toBeGreaterThan(0);
+
+    const res = await api.delete(`/projects/${project.id}`).set(auth(developer));
+
+    expect(res.status).toBe(200);
+    expect(await db.projects.findById(project.id)).toBeNull();
+    expect(await db.dataUploads.findById(dataUpload.id)).toBeNull();
+    expect(await db.measurements.count({ uploadId: dataUpload.id })).toBe(0);
+    expect(await storage.stat(storageKey)).toBeNull();
+    expect(await db.monitoringPeriods.findById(period.id)).toBeNull();
+  });
+});
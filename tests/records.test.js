@@ -0,0 +1,225 @@
+const zlib = require('zlib');
+const { parseDelimited, parseWorkbook } = require('../services/tabular');
+const { api, db, auth, META, register, registerPrivileged, createProject, uploadData } = require('./helpers');
+
+let developer;
+let outsider;
+let verifier;
+let project;
+
+beforeAll(async () => {
+  developer = await register('project_developer', 'developer');
+  outsider = await register('project_developer', 'outsider');
+  verifier = await registerPrivileged('verifier');
+  project = await createProject(developer);
+});
+
+const SENSOR_META = { ...META, deviceId: 'LOGGER-7', samplingIntervalSeconds: 900 };
+const SOIL_META = { ...META, depthCm: 30, socPercent: 2.1 };
+
+const send = (dataType, metadata, files) => {
+  let req = api
+    .post('/data/upload')
+    .set(auth(developer))
+    .field('projectId', project.id)
+    .field('dataType', dataType)
+    .field('metadata', JSON.stringify(metadata));
+  files.forEach(([name, content]) => {
+    req = req.attach('files', Buffer.from(content), name);
+  });
+  return req;
+};
+
+const records = (session, uploadId, query = {}) => api.get(`/data/uploads/${uploadId}/records`).set(auth(session)).query(query);
+
+// Packs name -> content entries into a deflated zip, the container an .xlsx
+// workbook comes in.
+const zip = (entries) => {
+  const locals = [];
+  const centrals = [];
+  let offset = 0;
+  Object.entries(entries).forEach(([name, content]) => {
+    const data = zlib.deflateRawSync(Buffer.from(content));
+    const local = Buffer.alloc(30);
+    local.writeUInt32LE(0x04034b50, 0);
+    local.writeUInt16LE(8, 8);
+    local.writeUInt32LE(data.length, 18);
+    local.writeUInt32LE(Buffer.byteLength(content), 22);
+    local.writeUInt16LE(Buffer.byteLength(name), 26);
+    const central = Buffer.alloc(46);
+    central.writeUInt32LE(0x02014b50, 0);
+    central.writeUInt16LE(8, 10);
+    central.writeUInt32LE(data.length, 20);
+    central.writeUInt32LE(Buffer.byteLength(content), 24);
+    central.writeUInt16LE(Buffer.byteLength(name), 28);
+    central.writeUInt32LE(offset, 42);
+    locals.push(local, Buffer.from(name), data);
+    centrals.push(central, Buffer.from(name));
+    offset += local.length + Buffer.byteLength(name) + data.length;
+  });
+  const directory = Buffer.concat(centrals);
+  const end = Buffer.alloc(22);
+  end.writeUInt32LE(0x06054b50, 0);
+  end.writeUInt16LE(Object.keys(entries).length, 8);
+  end.writeUInt16LE(Object.keys(entries).length, 10);
+  end.writeUInt32LE(directory.length, 12);
+  end.writeUInt32LE(offset, 16);
+  return Buffer.concat([...locals, directory, end]);
+};
+
+// A workbook with one sheet built from <row> elements, sharing the strings
+// Sample ID, Sampled On, Depth (cm), SOC % and a rich-text S-1.
+const SHARED_STRINGS = ['<t>Sample ID</t>', '<t>Sampled On</t>', '<t>Depth (cm)</t>', '<t>SOC %</t>', '<r><t>S-</t></r><r><t>1</t></r>'];
+const workbook = (rows) =>
+  zip({
+    'xl/workbook.xml': '<workbook><sheets><sheet name="Samples" sheetId="1" r:id="rId1"/></sheets></workbook>',
+    'xl/_rels/workbook.xml.rels': '<Relationships><Relationship Id="rId1" Target="worksheets/sheet1.xml"/></Relationships>',
+    'xl/sharedStrings.xml': `<sst>${SHARED_STRINGS.map((item) => `<si>${item}</si>`).join('')}</sst>`,
+    'xl/worksheets/sheet1.xml': `<worksheet><sheetData>${rows.join('')}</sheetData></worksheet>`,
+  });
+
+describe('tabular readers', () => {
+  test('delimited text takes quotes, semicolons and multi-line cells', () => {
+    expect(parseDelimited('a;b\r\n"x;1";"say ""hi""\nthere"\n3;4')).toEqual([
+      { row: 1, cells: ['a', 'b'] },
+      { row: 2, cells: ['x;1', 'say "hi"\nthere'] },
+      { row: 4, cells: ['3', '4'] },
+    ]);
+    expect(() => parseDelimited('a,b\n"open,1')).toThrow('Unterminated quoted field starting on line 2');
+  });
+
+  test('workbooks read shared, inline and numeric cells in place', () => {
+    const rows = parseWorkbook(
+      workbook([
+        '<row r="1"><c r="A1" t="s"><v>0</v></c><c r="C1" t="inlineStr"><is><t>x &amp; y</t></is></c></row>',
+        '<row r="3"><c r="B3"><v>45306</v></c></row>',
+      ]),
+    );
+
+    expect(rows).toEqual([
+      { row: 1, cells: ['Sample ID', '', 'x & y'] },
+      { row: 3, cells: ['', '45306'] },
+    ]);
+  });
+});
+
+describe('CSV ingestion', () => {
+  test('parses each row into a typed measurement linked to the upload', async () => {
+    const csv = 'Plot ID;Survey Date;Tree Count;Height (m);Notes\nA;2024-01-10;12;8.5;"edge; mangroves"\nB;2024-01-11;7;6\n';
+
+    const res = await send('field_survey', META, [['plots.csv', csv]]);
+
+    expect(res.status).toBe(201);
+    expect(res.body.data.recordCount).toBe(2);
+    const { body } = await records(developer, res.body.data.id);
+    expect(body).toMatchObject({ total: 2, page: 1, limit: 50 });
+    expect(body.data[0]).toMatchObject({
+      uploadId: res.body.data.id,
+      projectId: project.id,
+      fileIndex: 0,
+      row: 2,
+      recordedAt: '2024-01-10T00:00:00.000Z',
+      values: { plotId: 'A', treeCount: 12, heightM: 8.5, notes: 'edge; mangroves' },
+    });
+  });
+
+  test('reports problems by file, row and column and stores nothing', async () => {
+    const csv = 'plotId,treeCount,heightM,colour\nA,12,8\n';
+    const bad = 'plotId,treeCount,heightM\n,1.5,-2\nQ,many,3\n';
+
+    const header = await send('field_survey', META, [['header.csv', csv]]);
+    expect(header.status).toBe(400);
+    expect(header.body.errors).toEqual([
+      { file: 'header.csv', row: 1, column: 'colour', error: 'Not a recognised column for field_survey' },
+    ]);
+
+    const rows = await send('field_survey', META, [['rows.csv', bad]]);
+    expect(rows.body.error).toBe('Found 4 problems in the uploaded field_survey files');
+    expect(rows.body.errors).toEqual([
+      { file: 'rows.csv', row: 2, column: 'plotId', error: 'Required value is missing' },
+      { file: 'rows.csv', row: 2, column: 'treeCount', error: 'treeCount must be a whole number' },
+      { file: 'rows.csv', row: 2, column: 'heightM', error: 'heightM must be greater than 0' },
+      { file: 'rows.csv', row: 3, column: 'treeCount', error: 'treeCount must be a number' },
+    ]);
+    expect(await db.measurements.count({ projectId: project.id, 'values.plotId': 'Q' })).toBe(0);
+  });
+
+  test('names required columns a file leaves out', async () => {
+    const res = await send('soil_samples', SOIL_META, [['lab.csv', 'sampleId,depthCm\nS1,30\n']]);
+
+    expect(res.body.errors).toEqual([{ file: 'lab.csv', row: 1, column: 'socPercent', error: 'Required column is missing' }]);
+  });
+});
+
+describe('spreadsheet ingestion', () => {
+  test('reads the first sheet and converts serial dates', async () => {
+    const xlsx = workbook([
+      '<row r="1"><c r="A1" t="s"><v>0</v></c><c r="B1" t="s"><v>1</v></c><c r="C1" t="s"><v>2</v></c><c r="D1" t="s"><v>3</v></c></row>',
+      '<row r="2"><c r="A2" t="s"><v>4</v></c><c r="B2"><v>45306</v></c><c r="C2"><v>30</v></c><c r="D2"><v>2.15</v></c></row>',
+    ]);
+
+    const res = await send('soil_samples', SOIL_META, [['lab.xlsx', xlsx]]);
+
+    expect(res.status).toBe(201);
+    expect((await records(developer, res.body.data.id)).body.data).toMatchObject([
+      { row: 2, recordedAt: '2024-01-15T00:00:00.000Z', values: { sampleId: 'S-1', depthCm: 30, socPercent: 2.15 } },
+    ]);
+  });
+});
+
+describe('GET /data/uploads/:id/records', () => {
+  let sensorLog;
+  beforeAll(async () => {
+    const csv = [
+      'timestamp,parameter,value,unit,waterLevelCm',
+      '2024-01-01T00:00:00Z,salinity,31.2,PSU,40',
+      '2024-01-01T00:15:00Z,salinity,33.8,PSU,42',
+      '2024-01-01T00:30:00Z,temperature,27.5,C,45',
+      '2024-01-01T00:45:00Z,salinity,35.1,PSU,47',
+    ].join('\n');
+    sensorLog = await uploadData(developer, project.id, { dataType: 'sensor_data', metadata: SENSOR_META, files: [['log.csv', csv]] });
+  });
+
+  const rowsOf = async (query) => (await records(verifier, sensorLog.id, query)).body.data.map((record) => record.row);
+
+  test('pages through the readings in file order', async () => {
+    const res = await records(developer, sensorLog.id, { page: 2, limit: 3 });
+
+    expect(res.body).toMatchObject({ total: 4, page: 2, limit: 3 });
+    expect(res.body.data.map((record) => record.row)).toEqual([5]);
+  });
+
+  test('filters by exact value, range, extra columns and time', async () => {
+    expect(await rowsOf({ parameter: 'salinity' })).toEqual([2, 3, 5]);
+    expect(await rowsOf({ parameter: 'salinity', min: { value: 32 }, max: { value: 34 } })).toEqual([3]);
+    expect(await rowsOf({ min: { waterLevelCm: 45 } })).toEqual([4, 5]);
+    expect(await rowsOf({ from: '2024-01-01T00:10:00Z', to: '2024-01-01T00:40:00Z' })).toEqual([3, 4]);
+    expect(await rowsOf({ fileIndex: 1 })).toEqual([]);
+  });
+
+  test('refuses filters the data type cannot answer', async () => {
+    const errorOf = async (query) => (await records(developer, sensorLog.id, query)).body.error;
+
+    expect(await errorOf({ value: 'high' })).toBe('Invalid filter: value must be a number');
+    expect(await errorOf({ min: '3' })).toBe('min takes a column name, e.g. min[value]=10');
+    expect(await errorOf({ value: '3', max: { value: 4 } })).toBe('Cannot combine max[value] with an exact match on value');
+    expect(await errorOf({ limit: 0 })).toBe('limit must be a whole number of at least 1');
+
+    const survey = await uploadData(developer, project.id, { files: [['p.csv', 'plotId\nZ\n']] });
+    expect((await records(developer, survey.id, { colour: 'red' })).body.error).toBe(
+      'Cannot filter on "colour": not a column of field_survey',
+    );
+  });
+
+  test('is open to stakeholders and verifiers of the project only', async () => {
+    const drone = await uploadData(developer, project.id, {
+      dataType: 'drone_imagery',
+      metadata: { ...META, altitudeM: 120, gsdCm: 3 },
+    });
+
+    expect((await records(outsider, sensorLog.id)).status).toBe(403);
+    expect((await api.get(`/data/uploads/${sensorLog.id}/records`)).status).toBe(401);
+    expect((await records(developer, 'UPL-missing')).status).toBe(404);
+    expect((await records(developer, drone.id)).body.error).toBe('drone_imagery uploads are not parsed into records');
+  });
+});
@@ -0,0 +1,125 @@
+const { MemoryRepository, createMemoryRepositories } = require('../repositories/memory');
+const { DATA_STORES, resolveDataStore, createRepositories } = require('../repositories');
+
+describe('MemoryRepository', () => {
+  let repository;
+
+  beforeEach(async () => {
+    repository = new MemoryRepository('TST');
+    await repository.createMany([
+      { name: 'alpha', amount: 5, tags: ['a'], location: { country: 'IN' } },
+      { name: 'beta', amount: 15, location: { country: 'KE' } },
+      { name: 'gamma', amount: 25, note: null },
+    ]);
+  });
+
+  test('create assigns a prefixed id and timestamps', async () => {
+    const created = await repository.create({ name: 'delta', skipped: undefined });
+
+    expect(created.id).toMatch(/^TST-[0-9a-f]{8}$/);
+    expect(created.createdAt).toBe(created.updatedAt);
+    expect(created).not.toHaveProperty('skipped');
+  });
+
+  test('hands out copies rather than stored records', async () => {
+    const found = await repository.findOne({ name: 'alpha' });
+    found.name = 'changed';
+    found.location.country = 'XX';
+
+    expect(await repository.findOne({ name: 'alpha' })).toMatchObject({ location: { country: 'IN' } });
+  });
+
+  test('filters on equality, dotted paths and comparison operators', async () => {
+    const names = async (filter) => (await repository.find(filter)).map((item) => item.name).sort();
+
+    expect(await names({ 'location.country': 'KE' })).toEqual(['beta']);
+    expect(await names({ amount: { $gte: 15 } })).toEqual(['beta', 'gamma']);
+    expect(await names({ amount: { $gt: 5, $lt: 25 } })).toEqual(['beta']);
+    expect(await names({ name: { $in: ['alpha', 'gamma'] } })).toEqual(['alpha', 'gamma']);
+    expect(await names({ name: { $ne: 'alpha' } })).toEqual(['beta', 'gamma']);
+    expect(await names({ $or: [{ name: 'alpha' }, { amount: 25 }] })).toEqual(['alpha', 'gamma']);
+    expect(await names({ $and: [{ amount: { $gte: 5 } }, { 'location.country': 'IN' }] })).toEqual(['alpha']);
+  });
+
+  test('null matches a missing field, as in MongoDB', async () => {
+    expect((await repository.find({ note: null })).map((item) => item.name).sort()).toEqual(['alpha', 'beta', 'gamma']);
+    expect(await repository.count({ location: null })).toBe(1);
+  });
+
+  test('findPage sorts, skips and reports the total', async () => {
+    const { items, total } = await repository.findPage({}, { sort: { amount: -1 }, skip: 1, limit: 1 });
+
+    expect(total).toBe(3);
+    expect(items.map((item) => item.name)).toEqual(['beta']);
+  });
+
+  test('updateWhere only applies while the filter still matches', async () => {
+    const alpha = await repository.findOne({ name: 'alpha' });
+
+    expect(await repository.updateWhere({ id: alpha.id, amount: 5 }, { amount: 6 })).toMatchObject({ amount: 6 });
+    expect(await repository.updateWhere({ id: alpha.id, amount: 5 }, { amount: 7 })).toBeNull();
+    expect(await repository.findById(alpha.id)).toMatchObject({ amount: 6 });
+  });
+
+  test('push appends to an array field', async () => {
+    const alpha = await repository.findOne({ name: 'alpha' });
+    await repository.push(alpha.id, 'tags', 'b');
+
+    expect((await repository.findById(alpha.id)).tags).toEqual(['a', 'b']);
+    expect(await repository.push('TST-missing', 'tags', 'c')).toBeNull();
+  });
+
+  test('remove and removeWhere delete records', async () => {
+    const alpha = await repository.findOne({ name: 'alpha' });
+
+    expect(await repository.remove(alpha.id)).toMatchObject({ name: 'alpha' });
+    expect(await repository.remove(alpha.id)).toBeNull();
+    expect(await repository.removeWhere({ amount: { $gte: 15 } })).toBe(2);
+    expect(await repository.count()).toBe(0);
+  });
+
+  test('unique fields are enforced on create and update, through arrays', async () => {
+    const uploads = new MemoryRepository('UPL', { unique: [['projectId', 'files.checksum']] });
+    await uploads.create({ projectId: 'P1', files: [{ checksum: 'a' }, { checksum: 'b' }] });
+    const other = await uploads.create({ projectId: 'P2', files: [{ checksum: 'a' }] });
+    await uploads.create({ projectId: 'P1', files: [] });
+    await uploads.create({ projectId: 'P1' });
+
+    await expect(uploads.create({ projectId: 'P1', files: [{ checksum: 'b' }] })).rejects.toMatchObject({ code: 11000 });
+    await expect(uploads.update(other.id, { projectId: 'P1' })).rejects.toMatchObject({ code: 11000 });
+    expect(await uploads.count({ projectId: 'P1' })).toBe(3);
+    expect(await uploads.update(other.id, { note: 'still unique' })).toMatchObject({ projectId: 'P2' });
+  });
+
+  test('append-only repositories refuse changes', async () => {
+    const ledger = new MemoryRepository('LED', { appendOnly: true });
+    const entry = await ledger.create({ quantity: 1 });
+
+    await expect(ledger.update(entry.id, { quantity: 2 })).rejects.toThrow('append-only');
+    await expect(ledger.remove(entry.id)).rejects.toThrow('append-only');
+    await expect(ledger.removeWhere({})).rejects.toThrow('append-only');
+  });
+});
+
+describe('createRepositories', () => {
+  const { DATA_STORE } = process.env;
+  afterEach(() => {
+    if (DATA_STORE === undefined) delete process.env.DATA_STORE;
+    else process.env.DATA_STORE = DATA_STORE;
+  });
+
+  test('defaults to the memory store under test', () => {
+    delete process.env.DATA_STORE;
+
+    expect(DATA_STORES).toEqual(['memory', 'mongodb']);
+    expect(resolveDataStore()).toBe('memory');
+  });
+
+  test('exposes every repository the memory backend defines', () => {
+    expect(Object.keys(createRepositories('memory')).sort()).toEqual(Object.keys(createMemoryRepositories()).sort());
+  });
+
+  test('rejects an unknown data store', () => {
+    expect(() => createRepositories('postgres')).toThrow('Unknown data store "postgres"');
+  });
+});
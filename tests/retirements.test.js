@@ -0,0 +1,81 @@
+const { api, db, auth, register, registerPrivileged, issueCredits } = require('./helpers');
+
+let developer;
+let buyer;
+let verifier;
+
+beforeAll(async () => {
+  developer = await register('project_developer', 'developer');
+  buyer = await register('buyer');
+  verifier = await registerPrivileged('verifier');
+});
+
+const retire = (session, creditId, body) => api.post(`/credits/${creditId}/retire`).set(auth(session)).send(body);
+
+describe('POST /credits/:id/retire', () => {
+  test('retires part of a block as its own record and takes it off the balance', async () => {
+    const { credit } = await issueCredits({ developer, verifier });
+
+    const res = await retire(developer, credit.id, { quantity: 4, beneficiary: 'Acme Ltd', purpose: '2024 offsets' });
+
+    expect(res.status).toBe(201);
+    expect(res.body.data.credit).toMatchObject({
+      status: 'retired',
+      creditsAmount: 4,
+      retirementBeneficiary: 'Acme Ltd',
+      retirementReason: '2024 offsets',
+      retiredAt: expect.any(String),
+    });
+    expect(res.body.data.entry).toMatchObject({ type: 'retirement', fromAccountId: credit.accountId, quantity: 4 });
+    expect(res.body.data.entry).not.toHaveProperty('toAccountId');
+
+    const holdings = (await api.get(`/credits/${credit.id}/holdings`)).body.data;
+    expect(holdings.holders).toEqual([{ accountId: credit.accountId, quantity: credit.creditsAmount - 4 }]);
+  });
+
+  test('retired units cannot be moved again', async () => {
+    const { credit } = await issueCredits({ developer, verifier });
+    await retire(developer, credit.id, { quantity: credit.creditsAmount, beneficiary: 'Acme Ltd' });
+
+    expect((await retire(developer, credit.id, { quantity: 1, beneficiary: 'Acme Ltd' })).status).toBe(400);
+    expect(
+      (await api.post(`/credits/${credit.id}/transfer`).set(auth(developer)).send({ toStakeholderId: buyer.stakeholderId, quantity: 1 }))
+        .status,
+    ).toBe(400);
+  });
+
+  test('only the owner can retire, with a quantity and beneficiary', async () => {
+    const { credit } = await issueCredits({ developer, verifier });
+
+    expect((await retire(buyer, credit.id, { quantity: 1, beneficiary: 'Acme Ltd' })).body.error).toBe(
+      'Only the credit owner can retire it',
+    );
+    expect((await retire(developer, credit.id, { quantity: 1 })).status).toBe(400);
+    expect((await retire(developer, credit.id, { quantity: 0.5, beneficiary: 'Acme Ltd' })).status).toBe(400);
+    expect((await retire(developer, 'CRD-missing', { quantity: 1, beneficiary: 'Acme Ltd' })).status).toBe(404);
+    expect((await api.post(`/credits/${credit.id}/retire`).send({ quantity: 1, beneficiary: 'Acme Ltd' })).status).toBe(401);
+    expect((await db.carbonCredits.findById(credit.id)).creditsAmount).toBe(credit.creditsAmount);
+  });
+});
+
+describe('GET /retirements', () => {
+  test('is a public feed, newest first, filterable by project, vintage and beneficiary', async () => {
+    const { project, credit } = await issueCredits({ developer, verifier });
+    await retire(developer, credit.id, { quantity: 1, beneficiary: 'First Beneficiary' });
+    const latest = (await retire(developer, credit.id, { quantity: 2, beneficiary: 'Second Beneficiary' })).body.data.credit;
+    await db.carbonCredits.update(latest.id, { retiredAt: new Date(Date.now() + 1000).toISOString() });
+
+    const feed = (await api.get('/retirements').query({ projectId: project.id })).body;
+    expect(feed.total).toBe(2);
+    expect(feed.data[0]).toMatchObject({
+      creditId: latest.id,
+      projectName: project.name,
+      quantity: 2,
+      beneficiary: 'Second Beneficiary',
+    });
+
+    expect((await api.get('/retirements').query({ beneficiary: 'first' })).body.data.map((item) => item.quantity)).toEqual([1]);
+    expect((await api.get('/retirements').query({ projectId: project.id, vintage: latest.vintage })).body.total).toBe(2);
+    expect((await api.get('/retirements').query({ vintage: '1999' })).body.total).toBe(0);
+  });
+});
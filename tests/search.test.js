@@ -0,0 +1,129 @@
+const { parseSearch, snippetFor } = require('../services/textSearch');
+const { api, db, auth, register, registerPrivileged, createProject, issueCredits } = require('./helpers');
+
+let developer;
+let verifier;
+let sundarbans;
+let listing;
+
+const describeProject = (project, description) => api.patch(`/projects/${project.id}`).set(auth(developer)).send({ description });
+const search = (query) => api.get('/search').query(query);
+const titles = (group) => group.items.map((item) => item.title);
+
+beforeAll(async () => {
+  developer = await register('project_developer', 'developer');
+  verifier = await registerPrivileged('verifier');
+
+  sundarbans = await createProject(developer, { name: 'Sundarbans Mangroves' });
+  await describeProject(sundarbans, 'Replanting tidal forest along the delta');
+  const nursery = await createProject(developer, { name: 'Coastal Nursery', category: 'agroforestry' });
+  await describeProject(nursery, 'Seedlings grown for mangrove and cashew planting');
+  const kenya = await createProject(developer, {
+    name: 'Gazi Bay Mangrove',
+    location: { country: 'KE' },
+    category: 'blue_carbon',
+  });
+  await describeProject(kenya, 'Community led restoration');
+
+  await db.stakeholders.create({ name: 'Mangrove Action Trust', category: 'ngo', role: 'Field partner', projects: [], status: 'active' });
+  await db.stakeholders.create({ name: 'Mangrove Dormant Society', category: 'ngo', projects: [], status: 'inactive' });
+
+  const { credit } = await issueCredits({ developer, verifier, project: sundarbans });
+  listing = (
+    await api
+      .post(`/marketplace/credits/${credit.id}/list`)
+      .set(auth(developer))
+      .send({ price: 15, description: 'Verified mangrove restoration credits', tags: ['Blue Carbon', 'mangroves'] })
+  ).body.data;
+});
+
+describe('GET /search', () => {
+  test('groups matches by type, with name matches ranked first', async () => {
+    const { body } = await search({ q: 'mangroves' });
+
+    expect(body.data.query).toBe('mangroves');
+    const { projects, stakeholders, listings } = body.data.results;
+    // a name that is mostly the search word outranks a longer one
+    expect(titles(projects)).toEqual(['Sundarbans Mangroves', 'Gazi Bay Mangrove', 'Coastal Nursery']);
+    expect(projects.items[0].score).toBeGreaterThan(projects.items[1].score);
+    expect(projects.items[1].score).toBeGreaterThan(projects.items[2].score);
+    expect(titles(stakeholders)).toEqual(['Mangrove Action Trust']);
+    expect(listings.items).toMatchObject([{ id: listing.id, title: `Sundarbans Mangroves (${listing.vintage})` }]);
+  });
+
+  test('highlights the matching words in a snippet', async () => {
+    const { projects } = (await search({ q: 'planting', type: 'projects' })).body.data.results;
+
+    // "Replanting" is a different word, not a match
+    expect(projects.items.map((item) => item.snippet)).toEqual([
+      { field: 'description', text: 'Seedlings grown for mangrove and cashew planting', highlights: [[40, 48]] },
+    ]);
+  });
+
+  test('takes phrases and excluded words', async () => {
+    const names = async (q) => titles((await search({ q, type: 'projects' })).body.data.results.projects);
+
+    expect(await names('"tidal forest"')).toEqual(['Sundarbans Mangroves']);
+    expect(await names('"forest tidal"')).toEqual([]);
+    expect(await names('mangrove -cashew')).toEqual(['Sundarbans Mangroves', 'Gazi Bay Mangrove']);
+  });
+
+  test('counts facets over every match and narrows by category and country', async () => {
+    const { projects, stakeholders } = (await search({ q: 'mangrove', limit: 1 })).body.data.results;
+    expect(projects).toMatchObject({
+      total: 3,
+      facets: {
+        category: [
+          { value: 'blue_carbon', count: 2 },
+          { value: 'agroforestry', count: 1 },
+        ],
+        country: [
+          { value: 'IN', count: 2 },
+          { value: 'KE', count: 1 },
+        ],
+      },
+    });
+    expect(projects.items).toHaveLength(1);
+    expect(stakeholders.facets.category).toEqual([{ value: 'ngo', count: 1 }]);
+
+    const kenyan = (await search({ q: 'mangrove', country: 'KE' })).body.data.results;
+    expect(titles(kenyan.projects)).toEqual(['Gazi Bay Mangrove']);
+    expect(kenyan.stakeholders.total).toBe(0);
+    expect(kenyan.listings.total).toBe(0);
+    expect(titles((await search({ q: 'mangrove', category: 'agroforestry' })).body.data.results.projects)).toEqual(['Coastal Nursery']);
+  });
+
+  test('offers only listings still on sale', async () => {
+    // as a completed sale leaves it
+    await db.marketplaceListings.update(listing.id, { status: 'sold', availableQuantity: 0 });
+
+    expect((await search({ q: 'restoration', type: 'listings' })).body.data.results.listings.total).toBe(0);
+  });
+
+  test('refuses queries with nothing to search for', async () => {
+    const errorOf = async (query) => (await search(query)).body.error;
+
+    expect(await errorOf({})).toBe('q must contain at least one word to search for');
+    expect(await errorOf({ q: 'the and of' })).toBe('q must contain at least one word to search for');
+    expect(await errorOf({ q: '-mangrove' })).toBe('q must contain at least one word to search for');
+    expect(await errorOf({ q: 'mangrove', type: 'users' })).toBe('type must be one or more of: projects, stakeholders, listings');
+    expect(await errorOf({ q: 'mangrove', limit: 0 })).toBe('limit must be a whole number of at least 1');
+  });
+});
+
+describe('text matching', () => {
+  test('folds case and accents and stems plurals', () => {
+    const query = parseSearch('Forêts "Tidal Creeks" -shrimp');
+
+    expect(query).toEqual({ terms: ['foret', 'tidal', 'creek'], phrases: [['tidal', 'creek']], excluded: ['shrimp'] });
+    expect(snippetFor({ name: 'Tidal creek forets' }, { name: 1 }, query)).toEqual({
+      field: 'name',
+      text: 'Tidal creek forets',
+      highlights: [
+        [0, 5],
+        [6, 11],
+        [12, 18],
+      ],
+    });
+  });
+});
@@ -0,0 +1,129 @@
+const { calculateSequestration } = require('../services/sequestration');
+const { api, auth, META, register, registerPrivileged, createProject, uploadData, submitUpload } = require('./helpers');
+
+let developer;
+let verifier;
+
+beforeAll(async () => {
+  developer = await register('project_developer', 'developer');
+  verifier = await registerPrivileged('verifier');
+});
+
+// A submission under review whose upload measured `measurements`.
+const reviewedSubmission = async (category, measurements) => {
+  const project = await createProject(developer, { category });
+  const dataUpload = await uploadData(developer, project.id, { metadata: { ...META, measurements } });
+  const submission = await submitUpload(developer, dataUpload.id);
+  await api.post(`/verification/submissions/${submission.id}/assign`).set(auth(verifier)).send({});
+  return submission;
+};
+
+describe('calculateSequestration', () => {
+  test('applies the category default methodology and its parameters', () => {
+    const result = calculateSequestration({ category: 'renewable_energy', measurements: { electricityGeneratedMWh: 1000 } });
+
+    expect(result).toMatchObject({
+      methodology: 'ACM0002',
+      methodologySource: 'category_default',
+      grossTCO2e: 710,
+      proposedCredits: 710,
+      inputs: { gridEmissionFactor: { value: 0.71, source: 'methodology_default' } },
+    });
+    expect(result.steps.map((step) => step.step)).toEqual(result.steps.map((_, index) => index + 1));
+  });
+
+  test('deducts baseline, project emissions and leakage, and rounds down to whole credits', () => {
+    const result = calculateSequestration({
+      category: 'soil_carbon',
+      measurements: { areaHectares: 10, soilOrganicCarbon: 5, baselineSoilOrganicCarbon: 2, projectEmissions: 10 },
+    });
+
+    // (5 - 2) × 10 × 44/12 = 110; minus 10 emitted; minus 5% leakage = 95
+    expect(result).toMatchObject({ netTCO2e: 100, creditableTCO2e: 95, proposedCredits: 95 });
+  });
+
+  test('shows the buffer share without deducting it from the proposal', () => {
+    const result = calculateSequestration({
+      category: 'renewable_energy',
+      measurements: { electricityMWh: 100 },
+      bufferRate: 0.1,
+    });
+
+    expect(result).toMatchObject({ proposedCredits: 71, tradeableCredits: 63, deductions: { bufferPool: 8 } });
+  });
+
+  test('refuses missing or negative measurements and methodologies that do not fit', () => {
+    expect(() => calculateSequestration({ category: 'soil_carbon', measurements: { areaHectares: 1 } })).toThrow(
+      'Missing measurements for Improved agricultural land management: soilOrganicCarbon, baselineSoilOrganicCarbon',
+    );
+    expect(() => calculateSequestration({ category: 'renewable_energy', measurements: { electricityMWh: -1 } })).toThrow(
+      'must be a non-negative number',
+    );
+    expect(() => calculateSequestration({ category: 'renewable_energy', methodology: 'VM0033' })).toThrow(
+      'Methodology VM0033 does not apply to renewable_energy projects',
+    );
+    expect(() => calculateSequestration({ category: 'space_mirrors' })).toThrow('No sequestration methodology');
+  });
+});
+
+describe('GET /verification/submissions/:id/calculation', () => {
+  test("works out the proposal from the upload's measurements", async () => {
+    const submission = await reviewedSubmission('renewable_energy', { electricityMWh: 200 });
+
+    const res = await api.get(`/verification/submissions/${submission.id}/calculation`);
+
+    expect(res.body.data).toMatchObject({ submissionId: submission.id, methodology: 'ACM0002', proposedCredits: 142 });
+    expect((await api.get('/verification/submissions/SUB-missing/calculation')).status).toBe(404);
+  });
+
+  test('reports measurements the methodology needs', async () => {
+    const submission = await reviewedSubmission('renewable_energy', {});
+
+    const res = await api.get(`/verification/submissions/${submission.id}/calculation`);
+
+    expect(res.status).toBe(400);
+    expect(res.body.error).toContain('electricityMWh');
+  });
+});
+
+describe('approval with a calculation', () => {
+  test('accepts the proposal when no figure is given', async () => {
+    const submission = await reviewedSubmission('renewable_energy', { electricityMWh: 200 });
+
+    const res = await api.post(`/verification/submissions/${submission.id}/approve`).set(auth(verifier)).send({});
+
+    expect(res.body.data).toMatchObject({ creditsGenerated: 142, creditsProposed: 142, creditsOverridden: false });
+  });
+
+  test('records an override of the proposal', async () => {
+    const submission = await reviewedSubmission('renewable_energy', { electricityMWh: 200 });
+
+    const res = await api
+      .post(`/verification/submissions/${submission.id}/approve`)
+      .set(auth(verifier))
+      .send({ creditsGenerated: 100, overrideReason: 'Metering gap in March' });
+
+    expect(res.body.data).toMatchObject({ creditsGenerated: 100, creditsProposed: 142, creditsOverridden: true });
+  });
+
+  test('needs an explicit figure when nothing can be calculated', async () => {
+    const submission = await reviewedSubmission('renewable_energy', {});
+
+    expect((await api.post(`/verification/submissions/${submission.id}/approve`).set(auth(verifier)).send({})).status).toBe(400);
+    expect(
+      (await api.post(`/verification/submissions/${submission.id}/approve`).set(auth(verifier)).send({ creditsGenerated: 5 })).body
+        .data,
+    ).toMatchObject({ creditsGenerated: 5, calculation: null });
+  });
+});
+
+describe('GET /verification/methodologies', () => {
+  test('describes each methodology and its inputs', async () => {
+    const { data } = (await api.get('/verification/methodologies')).body;
+
+    expect(data.find((methodology) => methodology.code === 'ACM0002')).toMatchObject({
+      model: 'grid_displacement',
+      inputs: expect.arrayContaining([{ name: 'gridEmissionFactor', unit: 't CO2/MWh', required: false, default: 0.71 }]),
+    });
+  });
+});
@@ -0,0 +1,79 @@
+const { validateSerial } = require('../services/serials');
+const { api, auth, register, registerPrivileged, createProject, issueCredits } = require('./helpers');
+
+let developer;
+let buyer;
+let verifier;
+
+beforeAll(async () => {
+  developer = await register('project_developer', 'developer');
+  buyer = await register('buyer');
+  verifier = await registerPrivileged('verifier');
+});
+
+const unitsOf = (credit) => [credit.serialStart, credit.serialEnd];
+
+describe('credit serials', () => {
+  test('issued blocks carry a serial covering their unit range, after the buffer withheld from them', async () => {
+    const { credit, buffer } = await issueCredits({ developer, verifier });
+
+    expect(validateSerial(credit.serialNumber)).toMatchObject({ valid: true });
+    expect(unitsOf(buffer)).toEqual([1, buffer.creditsAmount]);
+    expect(unitsOf(credit)).toEqual([buffer.creditsAmount + 1, buffer.creditsAmount + credit.creditsAmount]);
+    expect(credit.serialNumber.endsWith(`-${String(credit.serialEnd).padStart(9, '0')}`)).toBe(true);
+  });
+
+  test("later blocks continue the project's unit range", async () => {
+    const project = await createProject(developer);
+    const first = (await issueCredits({ developer, verifier, project, creditsAmount: 10 })).credit;
+    const second = (await issueCredits({ developer, verifier, project, creditsAmount: 10 })).credit;
+
+    expect(second.serialStart).toBeGreaterThan(first.serialEnd);
+  });
+
+  test('splitting a block splits its serial range', async () => {
+    const { credit } = await issueCredits({ developer, verifier });
+
+    const moved = (
+      await api.post(`/credits/${credit.id}/transfer`).set(auth(developer)).send({ toStakeholderId: buyer.stakeholderId, quantity: 10 })
+    ).body.data.credit;
+    const original = (await api.get(`/credits/serial/${credit.serialNumber}`)).body.data;
+
+    expect(unitsOf(moved)).toEqual([credit.serialStart, credit.serialStart + 9]);
+    expect(original.exists).toBe(false);
+    expect((await api.get(`/credits/serial/${moved.serialNumber}`)).body.data.block.id).toBe(moved.id);
+  });
+});
+
+describe('GET /credits/serial/:serial', () => {
+  test('resolves a single unit or sub-range to its enclosing block', async () => {
+    const { credit } = await issueCredits({ developer, verifier });
+    const pad = (unit) => String(unit).padStart(9, '0');
+    const unit = `${credit.serialPrefix}-${pad(credit.serialStart + 1)}-${pad(credit.serialStart + 2)}`.toLowerCase();
+
+    const res = await api.get(`/credits/serial/${unit}`);
+
+    expect(res.status).toBe(200);
+    expect(res.body.data).toMatchObject({ serial: unit.toUpperCase(), exists: true, block: { id: credit.id } });
+    expect(res.body.data.parsed).toMatchObject({ start: credit.serialStart + 1, end: credit.serialStart + 2 });
+  });
+
+  test('reports serials no block covers', async () => {
+    const { credit } = await issueCredits({ developer, verifier });
+
+    const res = await api.get(`/credits/serial/${credit.serialPrefix}-900000000-900000001`);
+
+    expect(res.body.data).toMatchObject({ exists: false, block: null });
+  });
+
+  test('rejects malformed serials with the reasons', async () => {
+    const res = await api.get('/credits/serial/XX-PRJ1-24-VM0033-000000005-000000001');
+
+    expect(res.status).toBe(400);
+    expect(res.body.error).toBe('Invalid serial number');
+    expect(res.body.errors).toEqual(
+      expect.arrayContaining([expect.stringContaining('registry prefix'), 'Vintage must be a four-digit year']),
+    );
+    expect((await api.get('/credits/serial/not-a-serial')).status).toBe(400);
+  });
+});
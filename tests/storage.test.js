@@ -0,0 +1,160 @@
+const fs = require('fs');
+const http = require('http');
+const os = require('os');
+const path = require('path');
+const { S3Storage } = require('../storage/s3');
+const { LocalStorage } = require('../storage/local');
+const { StorageError } = require('../storage/errors');
+const { createStorage } = require('../storage');
+
+// A MinIO-style stand-in: path-style buckets, objects kept in memory, single
+// byte ranges and S3's XML error bodies. Keys under stall/ never answer and
+// keys under trickle/ send half their body and then go quiet.
+const objects = new Map();
+const received = [];
+
+const standIn = http.createServer((req, res) => {
+  received.push({ method: req.method, url: req.url, headers: req.headers });
+  const [, bucket, ...parts] = req.url.split('/');
+  const key = parts.map(decodeURIComponent).join('/');
+
+  const fail = (status, code) => {
+    res.writeHead(status, { 'content-type': 'application/xml' });
+    res.end(req.method === 'HEAD' ? undefined : `<Error><Code>${code}</Code></Error>`);
+  };
+
+  if (!/^AWS4-HMAC-SHA256 Credential=minio\//.test(req.headers.authorization || '')) return fail(403, 'AccessDenied');
+  if (bucket !== 'ccred-uploads') return fail(404, 'NoSuchBucket');
+  if (key.startsWith('stall/')) return undefined;
+
+  if (req.method === 'PUT') {
+    const chunks = [];
+    req.on('data', (chunk) => chunks.push(chunk));
+    req.on('end', () => {
+      objects.set(key, { body: Buffer.concat(chunks), type: req.headers['content-type'] });
+      res.end();
+    });
+    return undefined;
+  }
+
+  const object = objects.get(key);
+  if (req.method === 'DELETE') {
+    objects.delete(key);
+    res.writeHead(204);
+    return res.end();
+  }
+  if (!object) return fail(404, 'NoSuchKey');
+
+  if (key.startsWith('trickle/')) {
+    res.writeHead(200, { 'content-length': object.body.length });
+    return res.write(object.body.subarray(0, object.body.length / 2));
+  }
+
+  const range = /^bytes=(\d+)-(\d+)$/.exec(req.headers.range || '');
+  const body = range ? object.body.subarray(Number(range[1]), Number(range[2]) + 1) : object.body;
+  res.writeHead(range ? 206 : 200, { 'content-length': body.length, 'content-type': object.type });
+  return res.end(req.method === 'HEAD' ? undefined : body);
+});
+
+let endpoint;
+beforeAll(async () => {
+  await new Promise((resolve) => standIn.listen(0, '127.0.0.1', resolve));
+  endpoint = `http://127.0.0.1:${standIn.address().port}`;
+});
+afterAll(async () => {
+  standIn.closeAllConnections();
+  await new Promise((resolve) => standIn.close(resolve));
+});
+beforeEach(() => {
+  objects.clear();
+  received.length = 0;
+});
+
+const s3 = (options = {}) =>
+  new S3Storage({ endpoint, bucket: 'ccred-uploads', accessKeyId: 'minio', secretAccessKey: 'minio-secret', ...options });
+
+const tempFile = (content) => {
+  const file = path.join(fs.mkdtempSync(path.join(os.tmpdir(), 'ccred-storage-')), 'upload');
+  fs.writeFileSync(file, content);
+  return file;
+};
+
+const read = async (stream) => {
+  const chunks = [];
+  for await (const chunk of stream) chunks.push(chunk);
+  return Buffer.concat(chunks).toString('utf8');
+};
+
+describe('S3Storage', () => {
+  test('puts, looks up, reads ranges of and removes objects', async () => {
+    const storage = s3();
+    const source = tempFile('plotId,heightM\nA,12\n');
+
+    expect(await storage.put('PRJ-1/upload/survey file.csv', source, { contentType: 'text/csv' })).toEqual({
+      key: 'PRJ-1/upload/survey file.csv',
+      size: 20,
+    });
+    expect(fs.existsSync(source)).toBe(false);
+    expect(objects.get('PRJ-1/upload/survey file.csv').type).toBe('text/csv');
+    expect(received[0]).toMatchObject({ url: '/ccred-uploads/PRJ-1/upload/survey%20file.csv' });
+    expect(received[0].headers).toMatchObject({ 'x-amz-content-sha256': 'UNSIGNED-PAYLOAD' });
+
+    expect(await storage.stat('PRJ-1/upload/survey file.csv')).toEqual({ size: 20 });
+    expect(await read(await storage.createReadStream('PRJ-1/upload/survey file.csv'))).toBe('plotId,heightM\nA,12\n');
+    expect(await read(await storage.createReadStream('PRJ-1/upload/survey file.csv', { start: 15, end: 15 }))).toBe('A');
+
+    await storage.remove('PRJ-1/upload/survey file.csv');
+    expect(await storage.stat('PRJ-1/upload/survey file.csv')).toBeNull();
+    await expect(storage.remove('PRJ-1/upload/survey file.csv')).resolves.toBeUndefined();
+  });
+
+  test('refusals become storage errors naming the S3 error code', async () => {
+    await expect(s3({ accessKeyId: 'intruder' }).stat('any')).rejects.toThrow(new StorageError('S3 lookup of "any" failed with 403'));
+    await expect(s3().createReadStream('missing')).rejects.toThrow('S3 download of "missing" failed with 404 (NoSuchKey)');
+    await expect(s3({ bucket: 'elsewhere' }).put('a', tempFile('a'))).rejects.toMatchObject({
+      name: 'StorageError',
+      operation: 'upload',
+      message: 'S3 upload of "a" failed with 404 (NoSuchBucket)',
+    });
+  });
+
+  test('an unreachable endpoint is a storage error', async () => {
+    const closed = http.createServer();
+    await new Promise((resolve) => closed.listen(0, '127.0.0.1', resolve));
+    const { port } = closed.address();
+    await new Promise((resolve) => closed.close(resolve));
+
+    await expect(s3({ endpoint: `http://127.0.0.1:${port}` }).stat('a')).rejects.toThrow(/^S3 lookup of "a" failed: .*ECONNREFUSED/);
+  });
+
+  test('requests that get no answer time out', async () => {
+    await expect(s3({ timeout: 50 }).stat('stall/a')).rejects.toThrow(
+      new StorageError('S3 lookup of "stall/a" timed out after 50 ms'),
+    );
+  });
+
+  test('a download whose body stops arriving fails its stream', async () => {
+    objects.set('trickle/drone.tif', { body: Buffer.alloc(64, 1) });
+
+    const stream = await s3({ timeout: 50 }).createReadStream('trickle/drone.tif');
+
+    await expect(read(stream)).rejects.toThrow('S3 download of "trickle/drone.tif" timed out after 50 ms');
+  });
+});
+
+describe('LocalStorage', () => {
+  test('keeps keys inside its root', async () => {
+    const storage = new LocalStorage(fs.mkdtempSync(path.join(os.tmpdir(), 'ccred-storage-')));
+
+    await storage.put('PRJ-1/a/b.csv', tempFile('abc'));
+    expect(await read(await storage.createReadStream('PRJ-1/a/b.csv', { start: 1, end: 2 }))).toBe('bc');
+    await expect(storage.stat('../outside')).rejects.toThrow('escapes the storage root');
+  });
+});
+
+describe('createStorage', () => {
+  test('builds the configured backend', () => {
+    expect(createStorage('local').name).toBe('local');
+    expect(() => createStorage('ftp')).toThrow('Unknown storage backend "ftp"');
+  });
+});
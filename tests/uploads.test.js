@@ -0,0 +1,144 @@
+const { sniffMimeType } = require('../services/uploads');
+const { app, api, db, auth, META, register, registerPrivileged, createProject, uploadData, submitUpload } = require('./helpers');
+
+const { storage } = app.locals;
+
+let developer;
+let verifier;
+
+beforeAll(async () => {
+  developer = await register('project_developer', 'developer');
+  verifier = await registerPrivileged('verifier');
+});
+
+let project;
+beforeEach(async () => {
+  project = await createProject(developer);
+});
+
+const CSV = 'plotId,heightM\nA,12\n';
+const PNG = Buffer.from([0x89, 0x50, 0x4e, 0x47, 0x0d, 0x0a, 0x1a, 0x0a, 0, 0, 0, 0]);
+
+const send = (files) => {
+  let req = api
+    .post('/data/upload')
+    .set(auth(developer))
+    .field('projectId', project.id)
+    .field('dataType', 'field_survey')
+    .field('metadata', JSON.stringify(META));
+  files.forEach(([name, content]) => {
+    req = req.attach('files', Buffer.from(content), name);
+  });
+  return req;
+};
+
+describe('file ingestion', () => {
+  test('files are hashed, sniffed and stored under a prefix of their own upload', async () => {
+    const dataUpload = await uploadData(developer, project.id, { files: [['plots.csv', CSV], ['photo.png', PNG]] });
+    const [csv, png] = dataUpload.files;
+
+    expect(csv).toMatchObject({ name: 'plots.csv', type: 'text/csv', size: CSV.length, checksum: expect.stringMatching(/^[0-9a-f]{64}$/) });
+    expect(png.type).toBe('image/png');
+    expect(csv.storageKey).toMatch(new RegExp(`^${project.id}/[0-9a-f-]{36}/${csv.checksum}\\.csv$`));
+    expect(csv.storageKey.split('/')[1]).toBe(png.storageKey.split('/')[1]);
+    expect(await storage.stat(csv.storageKey)).toEqual({ size: CSV.length });
+  });
+
+  test('content that does not match an accepted format is refused, whatever its name', async () => {
+    const res = await send([['survey.pdf', Buffer.from([0x00, 0x01, 0x02, 0xff])]]);
+
+    expect(res.status).toBe(415);
+    expect(await db.dataUploads.count({ projectId: project.id })).toBe(0);
+  });
+
+  test('a file cannot appear twice in one upload', async () => {
+    const res = await send([['a.csv', CSV], ['b.csv', CSV]]);
+
+    expect(res.status).toBe(409);
+    expect(res.body.error).toBe('b.csv is included more than once in this upload');
+  });
+
+  test('sniffing tells formats apart by content', () => {
+    expect(sniffMimeType(Buffer.from('%PDF-1.7'), 'x.bin')).toBe('application/pdf');
+    expect(sniffMimeType(Buffer.from('{"a":1}'), 'x.csv')).toBe('application/json');
+    expect(sniffMimeType(Buffer.from([0x50, 0x4b, 0x03, 0x04]), 'sheet.xlsx')).toBe(
+      'application/vnd.openxmlformats-officedocument.spreadsheetml.sheet',
+    );
+  });
+});
+
+describe('duplicate files', () => {
+  test('a file already uploaded to the project is refused', async () => {
+    const first = await uploadData(developer, project.id, { files: [['plots.csv', CSV]] });
+
+    const res = await send([['copy.csv', CSV]]);
+
+    expect(res.status).toBe(409);
+    expect(res.body.error).toBe(`copy.csv has already been uploaded to this project (upload ${first.id})`);
+  });
+
+  test('the same file may go to different projects, each under its own key', async () => {
+    const other = await createProject(developer);
+    const first = await uploadData(developer, project.id, { files: [['plots.csv', CSV]] });
+    const second = await uploadData(developer, other.id, { files: [['plots.csv', CSV]] });
+
+    expect(second.files[0].storageKey).not.toBe(first.files[0].storageKey);
+  });
+
+  test('the unique index stops a copy saved past the read check', async () => {
+    const first = await uploadData(developer, project.id, { files: [['plots.csv', CSV]] });
+    const [file] = first.files;
+
+    await expect(
+      db.dataUploads.create({ projectId: project.id, dataType: 'field_survey', files: [{ ...file, storageKey: 'elsewhere' }] }),
+    ).rejects.toMatchObject({ code: 11000 });
+    expect(await db.dataUploads.count({ projectId: project.id })).toBe(1);
+  });
+
+  test('uploads racing with the same file leave one upload and one stored object', async () => {
+    const results = await Promise.all([send([['a.csv', CSV]]), send([['b.csv', CSV]])]);
+
+    expect(results.map((res) => res.status).sort()).toEqual([201, 409]);
+    const kept = await db.dataUploads.find({ projectId: project.id });
+    expect(kept).toHaveLength(1);
+    expect(await storage.stat(kept[0].files[0].storageKey)).not.toBeNull();
+  });
+});
+
+describe('DELETE /data/uploads/:id', () => {
+  const remove = (uploadId) => api.delete(`/data/uploads/${uploadId}`).set(auth(developer));
+
+  test('removes an unsubmitted upload with its stored files and records', async () => {
+    const dataUpload = await uploadData(developer, project.id, { files: [['plots.csv', CSV]] });
+
+    expect((await remove(dataUpload.id)).status).toBe(200);
+    expect(await storage.stat(dataUpload.files[0].storageKey)).toBeNull();
+    expect(await db.measurements.count({ uploadId: dataUpload.id })).toBe(0);
+
+    // and the file may then be uploaded again
+    expect((await send([['plots.csv', CSV]])).status).toBe(201);
+  });
+
+  test('keeps uploads submitted for verification or validated', async () => {
+    const submitted = await uploadData(developer, project.id, { files: [['plots.csv', CSV]] });
+    const submission = await submitUpload(developer, submitted.id);
+
+    const res = await remove(submitted.id);
+    expect(res.status).toBe(409);
+    expect(await storage.stat(submitted.files[0].storageKey)).not.toBeNull();
+
+    await api.post(`/verification/submissions/${submission.id}/assign`).set(auth(verifier)).send({});
+    await api.post(`/verification/submissions/${submission.id}/approve`).set(auth(verifier)).send({ creditsGenerated: 1 });
+    expect((await db.dataUploads.findById(submitted.id)).status).toBe('validated');
+    expect((await remove(submitted.id)).status).toBe(409);
+  });
+
+  test('rejected uploads can be cleared away', async () => {
+    const dataUpload = await uploadData(developer, project.id);
+    const submission = await submitUpload(developer, dataUpload.id);
+    await api.post(`/verification/submissions/${submission.id}/assign`).set(auth(verifier)).send({});
+    await api.post(`/verification/submissions/${submission.id}/reject`).set(auth(verifier)).send({ reason: 'Blurry' });
+
+    expect((await remove(dataUpload.id)).status).toBe(200);
+  });
+});
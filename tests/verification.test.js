@@ -0,0 +1,170 @@
+const { canTransition } = require('../services/verification');
+const { api, db, auth, register, registerPrivileged, createProject, uploadData, submitUpload } = require('./helpers');
+
+let developer;
+let otherDeveloper;
+let verifier;
+let otherVerifier;
+let government;
+
+beforeAll(async () => {
+  developer = await register('project_developer', 'developer');
+  otherDeveloper = await register('project_developer', 'other-developer');
+  verifier = await registerPrivileged('verifier');
+  otherVerifier = await registerPrivileged('verifier', 'other-verifier');
+  government = await registerPrivileged('government');
+});
+
+const submissionPath = (submission, action) => `/verification/submissions/${submission.id}/${action}`;
+const act = (session, submission, action, body = {}) => api.post(submissionPath(submission, action)).set(auth(session)).send(body);
+
+let project;
+let submission;
+beforeEach(async () => {
+  project = await createProject(developer);
+  submission = await submitUpload(developer, (await uploadData(developer, project.id)).id);
+});
+
+describe('state machine', () => {
+  test('approved and rejected are final', () => {
+    expect(canTransition('pending', 'under_review')).toBe(true);
+    expect(canTransition('pending', 'approved')).toBe(false);
+    expect(canTransition('approved', 'under_review')).toBe(false);
+    expect(canTransition('rejected', 'resubmitted')).toBe(false);
+  });
+
+  test('submissions start pending and cannot be reviewed before assignment', async () => {
+    expect(submission.status).toBe('pending');
+    expect((await act(verifier, submission, 'approve', { creditsGenerated: 10 })).status).toBe(409);
+  });
+});
+
+describe('POST /verification/submissions/:id/assign', () => {
+  test('a verifier takes a submission for themselves', async () => {
+    const res = await act(verifier, submission, 'assign', { comments: 'Taking this one' });
+
+    expect(res.body.data).toMatchObject({ status: 'under_review', assignedVerifierId: verifier.stakeholderId });
+  });
+
+  test('verifiers cannot assign others or take over a submission under review', async () => {
+    expect((await act(verifier, submission, 'assign', { verifierId: otherVerifier.stakeholderId })).status).toBe(403);
+
+    await act(verifier, submission, 'assign');
+    expect((await act(otherVerifier, submission, 'assign')).body.error).toBe(
+      'Only government stakeholders can reassign a submission under review',
+    );
+  });
+
+  test('government can reassign to another active verifier only', async () => {
+    await act(verifier, submission, 'assign');
+
+    expect((await act(government, submission, 'assign', { verifierId: developer.stakeholderId })).status).toBe(400);
+    const res = await act(government, submission, 'assign', { verifierId: otherVerifier.stakeholderId });
+    expect(res.body.data.assignedVerifierId).toBe(otherVerifier.stakeholderId);
+    expect(res.body.data.history.map((entry) => entry.action)).toEqual(['submitted', 'assigned', 'reassigned']);
+  });
+
+  test('developers cannot assign', async () => {
+    expect((await act(developer, submission, 'assign')).status).toBe(403);
+    expect((await act(verifier, { id: 'SUB-missing' }, 'assign')).status).toBe(404);
+  });
+});
+
+describe('reviews', () => {
+  beforeEach(async () => {
+    await act(verifier, submission, 'assign');
+  });
+
+  test('only the assigned verifier can decide', async () => {
+    const res = await act(otherVerifier, submission, 'reject', { reason: 'No' });
+
+    expect(res.status).toBe(403);
+    expect(res.body.error).toBe('Only the verifier assigned to this submission can review it');
+  });
+
+  test('approval records the credits and validates the upload', async () => {
+    const res = await act(verifier, submission, 'approve', { creditsGenerated: 40, qualityScore: 90 });
+
+    expect(res.body.data).toMatchObject({ status: 'approved', creditsGenerated: 40, reviewedBy: verifier.user.email });
+    expect((await db.dataUploads.findById(submission.uploadId)).status).toBe('validated');
+    expect((await act(verifier, submission, 'reject', { reason: 'Late' })).status).toBe(409);
+  });
+
+  test('approval needs a whole number of credits', async () => {
+    expect((await act(verifier, submission, 'approve', { creditsGenerated: 1.5 })).status).toBe(400);
+    expect((await act(verifier, submission, 'approve', { creditsGenerated: -1 })).status).toBe(400);
+  });
+
+  test('rejection is final and rejects the upload', async () => {
+    const res = await act(verifier, submission, 'reject', { reason: 'Incomplete', requiredActions: ['Resurvey'] });
+
+    expect(res.body.data).toMatchObject({ status: 'rejected', reason: 'Incomplete', requiredActions: ['Resurvey'] });
+    expect((await db.dataUploads.findById(submission.uploadId)).status).toBe('rejected');
+  });
+
+  test('two reviewers deciding at once cannot both move the submission', async () => {
+    const results = await Promise.all([
+      act(verifier, submission, 'approve', { creditsGenerated: 10 }),
+      act(verifier, submission, 'reject', { reason: 'No' }),
+    ]);
+
+    expect(results.map((res) => res.status).sort()).toEqual([200, 409]);
+  });
+});
+
+describe('requesting more data and resubmitting', () => {
+  beforeEach(async () => {
+    await act(verifier, submission, 'assign');
+    await act(verifier, submission, 'request-more', { requestedData: ['soil cores'] });
+  });
+
+  test('the developer resubmits with a new upload from the same project', async () => {
+    const replacement = await uploadData(developer, project.id);
+
+    const res = await act(developer, submission, 'resubmit', { uploadId: replacement.id, comments: 'Added cores' });
+
+    expect(res.body.data).toMatchObject({ status: 'resubmitted', uploadId: replacement.id });
+    expect((await db.dataUploads.findById(replacement.id)).status).toBe('submitted_for_verification');
+  });
+
+  test('resubmission is limited to the project and its uploads', async () => {
+    const elsewhere = await createProject(otherDeveloper);
+    const foreign = await uploadData(otherDeveloper, elsewhere.id);
+
+    expect((await act(otherDeveloper, submission, 'resubmit')).status).toBe(403);
+    expect((await act(developer, submission, 'resubmit', { uploadId: foreign.id })).status).toBe(400);
+  });
+
+  test('resubmitted data goes back to the assigned verifier', async () => {
+    await act(developer, submission, 'resubmit');
+
+    expect((await act(otherVerifier, submission, 'assign')).status).toBe(403);
+    expect((await act(verifier, submission, 'assign')).body.data.status).toBe('under_review');
+  });
+
+  test('the timeline lists every transition in order', async () => {
+    await act(developer, submission, 'resubmit');
+
+    const { data } = (await api.get(submissionPath(submission, 'timeline'))).body;
+
+    expect(data).toMatchObject({ status: 'resubmitted', assignedVerifierId: verifier.stakeholderId });
+    expect(data.timeline.map((entry) => [entry.from, entry.to])).toEqual([
+      [null, 'pending'],
+      ['pending', 'under_review'],
+      ['under_review', 'more_data_requested'],
+      ['more_data_requested', 'resubmitted'],
+    ]);
+    expect((await api.get('/verification/submissions/SUB-missing/timeline')).status).toBe(404);
+  });
+});
+
+describe('GET /verification/history', () => {
+  test('lists decided submissions, optionally for one project', async () => {
+    await act(verifier, submission, 'assign');
+    await act(verifier, submission, 'reject', { reason: 'No' });
+
+    const { data } = (await api.get('/verification/history').query({ projectId: project.id })).body;
+
+    expect(data.map((item) => item.id)).toEqual([submission.id]);
+  });
+});
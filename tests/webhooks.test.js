@@ -0,0 +1,157 @@
+const http = require('http');
+const { signPayload } = require('../services/webhooks');
+const { api, auth, register, registerPrivileged, createProject, issueCredits } = require('./helpers');
+
+// A subscriber's endpoint. Requests are recorded by path; paths under fail/
+// answer 500, and every response carries a body the registry must not keep.
+const received = [];
+
+const receiver = http.createServer((req, res) => {
+  const chunks = [];
+  req.on('data', (chunk) => chunks.push(chunk));
+  req.on('end', () => {
+    received.push({ path: req.url, headers: req.headers, body: Buffer.concat(chunks).toString('utf8') });
+    res.writeHead(req.url.startsWith('/fail/') ? 500 : 200, { 'content-type': 'text/plain' });
+    res.end('internal admin page: db password hunter2');
+  });
+});
+
+let port;
+let developer;
+let outsider;
+let verifier;
+
+beforeAll(async () => {
+  await new Promise((resolve) => receiver.listen(0, '127.0.0.1', resolve));
+  ({ port } = receiver.address());
+  developer = await register('project_developer', 'developer');
+  outsider = await register('project_developer', 'outsider');
+  verifier = await registerPrivileged('verifier');
+});
+afterAll(async () => {
+  receiver.closeAllConnections();
+  await new Promise((resolve) => receiver.close(resolve));
+});
+beforeEach(() => {
+  process.env.WEBHOOK_ALLOW_PRIVATE_HOSTS = 'true';
+  received.length = 0;
+});
+afterEach(() => {
+  delete process.env.WEBHOOK_ALLOW_PRIVATE_HOSTS;
+});
+
+const subscribe = (session, url, events = ['credit.issued']) => api.post('/webhooks').set(auth(session)).send({ url, events });
+const deliveriesOf = async (session, subscription) =>
+  (await api.get(`/webhooks/${subscription.id}/deliveries`).set(auth(session))).body;
+
+// Polls until `check` returns something truthy; deliveries are sent after the response.
+const waitFor = async (check) => {
+  const deadline = Date.now() + 5000;
+  for (;;) {
+    const result = await check();
+    if (result) return result;
+    if (Date.now() > deadline) throw new Error('Timed out waiting for a webhook delivery');
+    await new Promise((resolve) => setTimeout(resolve, 20));
+  }
+};
+const settledDelivery = (session, subscription) =>
+  waitFor(async () => {
+    const [delivery] = (await deliveriesOf(session, subscription)).data;
+    return delivery && delivery.attemptCount > 0 ? delivery : null;
+  });
+
+describe('subscriptions', () => {
+  test('show the signing secret once', async () => {
+    const created = (await subscribe(developer, 'https://hooks.example.org/ccred')).body.data;
+
+    expect(created.secret).toMatch(/^whsec_/);
+    const { data } = (await api.get(`/webhooks/${created.id}`).set(auth(developer))).body;
+    expect(data).toMatchObject({ url: 'https://hooks.example.org/ccred', events: ['credit.issued'], status: 'active' });
+    expect(data).not.toHaveProperty('secret');
+    expect((await api.get(`/webhooks/${created.id}`).set(auth(outsider))).status).toBe(404);
+  });
+
+  test('refuse endpoints on private, loopback and link-local addresses', async () => {
+    delete process.env.WEBHOOK_ALLOW_PRIVATE_HOSTS;
+    const urls = [
+      'http://127.0.0.1:8080/hook',
+      'http://localhost/hook',
+      'http://10.1.2.3/hook',
+      'http://192.168.0.10/hook',
+      'http://169.254.169.254/latest/meta-data',
+      'http://[::1]/hook',
+      'http://[fe80::1]/hook',
+      'http://[fd00::1]/hook',
+      'http://[::ffff:127.0.0.1]/hook',
+      'http://[::ffff:a9fe:a9fe]/hook',
+    ];
+
+    for (const url of urls) {
+      const res = await subscribe(developer, url);
+      expect([url, res.status, res.body.error]).toEqual([url, 400, 'Webhook URLs must point to a public address']);
+    }
+    const created = (await subscribe(developer, 'https://hooks.example.org/ccred')).body.data;
+    expect((await api.patch(`/webhooks/${created.id}`).set(auth(developer)).send({ url: 'http://[::1]/' })).status).toBe(400);
+    expect((await subscribe(developer, 'ftp://hooks.example.org')).body.error).toBe('A valid http(s) URL is required');
+  });
+});
+
+describe('deliveries', () => {
+  test('are signed, and keep the response status but never its body', async () => {
+    const { secret, ...subscription } = (await subscribe(developer, `http://127.0.0.1:${port}/ok/developer`)).body.data;
+
+    const { credit } = await issueCredits({ developer, verifier });
+    const delivery = await settledDelivery(developer, subscription);
+
+    expect(delivery).toMatchObject({ event: 'credit.issued', status: 'succeeded', attemptCount: 1 });
+    expect(delivery.attempts).toEqual([{ at: expect.any(String), responseStatus: 200, durationMs: expect.any(Number) }]);
+    expect(JSON.stringify(delivery)).not.toContain('hunter2');
+
+    const [request] = received;
+    const [, timestamp, signature] = /^t=(\d+),v1=([0-9a-f]{64})$/.exec(request.headers['x-ccred-signature']);
+    expect(signature).toBe(signPayload(secret, timestamp, request.body));
+    expect(JSON.parse(request.body)).toMatchObject({ event: 'credit.issued', data: { id: credit.id } });
+  });
+
+  test('go only to stakeholders the event concerns', async () => {
+    const events = ['credit.issued', 'submission.approved'];
+    const own = (await subscribe(developer, `http://127.0.0.1:${port}/ok/own`, events)).body.data;
+    const other = (await subscribe(outsider, `http://127.0.0.1:${port}/ok/other`, events)).body.data;
+
+    await issueCredits({ developer, verifier, project: await createProject(developer, { category: 'renewable_energy' }) });
+    await waitFor(async () => (await deliveriesOf(developer, own)).total === 2);
+
+    expect((await deliveriesOf(outsider, other)).total).toBe(0);
+    await waitFor(() => received.filter((request) => request.path === '/ok/own').length === 2);
+    expect(received.map((request) => request.path)).not.toContain('/ok/other');
+  });
+
+  test('are retried after failures and can be sent again', async () => {
+    const subscription = (await subscribe(developer, `http://127.0.0.1:${port}/fail/developer`)).body.data;
+
+    await issueCredits({ developer, verifier });
+    const failed = await settledDelivery(developer, subscription);
+    expect(failed).toMatchObject({ status: 'pending', attemptCount: 1, lastError: 'Endpoint responded with HTTP 500' });
+    expect(failed.attempts[0]).not.toHaveProperty('responseBody');
+
+    await api.patch(`/webhooks/${subscription.id}`).set(auth(developer)).send({ url: `http://127.0.0.1:${port}/ok/fixed` });
+    const again = await api.post(`/webhooks/${subscription.id}/deliveries/${failed.id}/redeliver`).set(auth(developer));
+    expect(again.body.data).toMatchObject({ status: 'succeeded', eventId: failed.eventId, redeliveryOf: failed.id });
+  });
+
+  test('check the address a host resolves to when they are sent', async () => {
+    // Subscribed while local hosts were allowed, as a name could later be
+    // pointed at the registry's own network
+    const byName = (await subscribe(developer, `http://localhost:${port}/ok/name`)).body.data;
+    const byAddress = (await subscribe(developer, `http://[::ffff:127.0.0.1]:${port}/ok/mapped`)).body.data;
+    delete process.env.WEBHOOK_ALLOW_PRIVATE_HOSTS;
+
+    await issueCredits({ developer, verifier });
+
+    expect((await settledDelivery(developer, byName)).lastError).toMatch(
+      /^localhost resolves to (127\.0\.0\.1|::1), which is not a public address$/,
+    );
+    expect((await settledDelivery(developer, byAddress)).lastError).toBe('::ffff:7f00:1 is not a public address');
+    expect(received).toEqual([]);
+  });
+});